@@ -184,6 +184,463 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Simulation seeds so every game can be replayed exactly
+    await client.query(`
+      ALTER TABLE leagues ADD COLUMN IF NOT EXISTS seed VARCHAR(64);
+      UPDATE leagues SET seed = md5(id::text || created_at::text) WHERE seed IS NULL;
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS seed VARCHAR(255);
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS sim_input JSONB;
+    `);
+
+    // Stored play-by-play for each simulated game
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS game_play_by_play (
+        game_id INTEGER PRIMARY KEY REFERENCES games(id) ON DELETE CASCADE,
+        events JSONB NOT NULL DEFAULT '[]'::jsonb,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Injuries picked up in simulated games
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS injuries (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        game_id INTEGER REFERENCES games(id) ON DELETE SET NULL,
+        injury_type VARCHAR(100) NOT NULL,
+        severity VARCHAR(20) NOT NULL CHECK (severity IN ('minor', 'moderate', 'severe')),
+        season INTEGER NOT NULL,
+        injured_day INTEGER NOT NULL,
+        expected_return_day INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'healed')),
+        healed_day INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Depth charts: starters, minutes, batting orders and pitching roles
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS depth_charts (
+        team_id INTEGER PRIMARY KEY REFERENCES teams(id) ON DELETE CASCADE,
+        chart JSONB NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'default' CHECK (source IN ('manual', 'ai', 'default')),
+        roster_ids JSONB DEFAULT '[]'::jsonb,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Conferences and divisions, used to weight the schedule
+    await client.query(`
+      ALTER TABLE teams ADD COLUMN IF NOT EXISTS conference VARCHAR(100);
+      ALTER TABLE teams ADD COLUMN IF NOT EXISTS division VARCHAR(100);
+    `);
+
+    // One row per player per game, so game logs and single-game searches
+    // don't have to dig through box score JSON
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS player_game_stats (
+        id SERIAL PRIMARY KEY,
+        game_id INTEGER REFERENCES games(id) ON DELETE CASCADE,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        opponent_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        season INTEGER NOT NULL,
+        day INTEGER NOT NULL,
+        is_home BOOLEAN NOT NULL,
+        won BOOLEAN NOT NULL,
+        starter BOOLEAN,
+        stats JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(game_id, player_id)
+      )
+    `);
+
+    // Fill it in for games completed before it existed
+    await client.query(`
+      INSERT INTO player_game_stats
+        (game_id, league_id, player_id, team_id, opponent_id, season, day, is_home, won, starter, stats)
+      SELECT g.id, g.league_id, (line->>'playerId')::int,
+             CASE WHEN s.side = 'home' THEN g.home_team_id ELSE g.away_team_id END,
+             CASE WHEN s.side = 'home' THEN g.away_team_id ELSE g.home_team_id END,
+             g.season, g.day, s.side = 'home',
+             CASE WHEN s.side = 'home' THEN g.home_score > g.away_score ELSE g.away_score > g.home_score END,
+             (line->>'starter')::boolean,
+             line->'stats'
+      FROM games g
+      CROSS JOIN (VALUES ('home'), ('away')) AS s(side)
+      CROSS JOIN LATERAL jsonb_array_elements(
+        CASE WHEN jsonb_typeof(g.box_score->s.side) = 'array' THEN g.box_score->s.side ELSE '[]'::jsonb END
+      ) AS line
+      WHERE g.status = 'completed'
+        AND jsonb_typeof(line->'stats') = 'object'
+        AND line->>'playerId' ~ '^[0-9]+$'
+        AND EXISTS (SELECT 1 FROM players p WHERE p.id = (line->>'playerId')::int)
+        AND NOT EXISTS (SELECT 1 FROM player_game_stats pgs WHERE pgs.game_id = g.id)
+      ON CONFLICT (game_id, player_id) DO NOTHING
+    `);
+
+    // Postseason brackets and the series in them
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS playoffs (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('play_in', 'in_progress', 'completed')),
+        format JSONB NOT NULL,
+        seeds JSONB NOT NULL DEFAULT '[]'::jsonb,
+        current_round INTEGER NOT NULL DEFAULT 1,
+        champion_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        started_day INTEGER,
+        completed_day INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, season)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS playoff_series (
+        id SERIAL PRIMARY KEY,
+        playoff_id INTEGER REFERENCES playoffs(id) ON DELETE CASCADE,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        slot INTEGER NOT NULL,
+        higher_seed INTEGER,
+        lower_seed INTEGER,
+        higher_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        lower_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        best_of INTEGER NOT NULL,
+        higher_wins INTEGER NOT NULL DEFAULT 0,
+        lower_wins INTEGER NOT NULL DEFAULT 0,
+        winner_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'bye')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(playoff_id, round, slot)
+      )
+    `);
+
+    // Playoff games run through the same daily simulation as the season
+    await client.query(`
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS game_type VARCHAR(20) DEFAULT 'regular';
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS playoff_series_id INTEGER REFERENCES playoff_series(id) ON DELETE SET NULL;
+    `);
+
+    // Games a team couldn't play because nobody on its roster was available
+    await client.query(`
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS forfeited_by INTEGER REFERENCES teams(id);
+    `);
+
+    // Multiplayer leagues have a commissioner; older leagues fall back
+    // to their owner
+    await client.query(`
+      ALTER TABLE leagues ADD COLUMN IF NOT EXISTS commissioner_user_id INTEGER;
+    `);
+
+    // Final standings of each finished season
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS season_standings (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+        rank INTEGER NOT NULL,
+        wins INTEGER NOT NULL,
+        losses INTEGER NOT NULL,
+        win_pct NUMERIC(4, 3),
+        conference VARCHAR(100),
+        division VARCHAR(100),
+        playoff_seed INTEGER,
+        playoff_result VARCHAR(50),
+        record JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, season, team_id)
+      )
+    `);
+
+    // Progress through each season rollover, one row per finished season
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS season_rollovers (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        from_season INTEGER NOT NULL,
+        to_season INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+        completed_steps JSONB DEFAULT '[]'::jsonb,
+        summary JSONB DEFAULT '{}'::jsonb,
+        error TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        UNIQUE(league_id, from_season)
+      )
+    `);
+
+    // Award voting, once per league season
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS season_awards (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        voters INTEGER NOT NULL,
+        seed VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, season)
+      )
+    `);
+
+    // Everyone who got votes for an award; `selection` marks the winner
+    // or the All-League team a player made
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS awards (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        award VARCHAR(50) NOT NULL,
+        player_id INTEGER REFERENCES players(id),
+        team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        place INTEGER NOT NULL,
+        points INTEGER NOT NULL,
+        first_place_votes INTEGER DEFAULT 0,
+        vote_share NUMERIC(4, 3),
+        selection VARCHAR(50),
+        details JSONB DEFAULT '{}'::jsonb,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, season, award, player_id)
+      )
+    `);
+
+    // League phases. Leagues that were already playing before phases
+    // existed pick up where their games and playoffs say they are
+    await client.query(`
+      ALTER TABLE leagues ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'setup';
+      UPDATE leagues SET status = 'setup' WHERE status IS NULL;
+      UPDATE leagues l SET status = 'regular_season'
+      WHERE l.status = 'setup'
+        AND EXISTS (SELECT 1 FROM games g WHERE g.league_id = l.id AND g.status = 'completed');
+      UPDATE leagues l SET status = 'playoffs'
+      WHERE l.status = 'regular_season'
+        AND EXISTS (SELECT 1 FROM playoffs p WHERE p.league_id = l.id AND p.season = l.current_season);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS league_phase_changes (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        from_phase VARCHAR(20) NOT NULL,
+        to_phase VARCHAR(20) NOT NULL,
+        season INTEGER NOT NULL,
+        day INTEGER NOT NULL,
+        changed_by INTEGER REFERENCES users(id),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Record book entries; the highest value per scope and category is the
+    // current record, the rest are its progression
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS league_records (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        scope VARCHAR(20) NOT NULL CHECK (scope IN ('single_game', 'season', 'career')),
+        category VARCHAR(50) NOT NULL,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        value NUMERIC NOT NULL,
+        season INTEGER NOT NULL,
+        day INTEGER,
+        game_id INTEGER REFERENCES games(id) ON DELETE SET NULL,
+        previous_record_id INTEGER REFERENCES league_records(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Players who have retired from a league
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS retired_players (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        age INTEGER,
+        last_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        seasons INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, player_id)
+      )
+    `);
+
+    // Hall of Fame voting, one row per candidate per ballot, and its members
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS hall_of_fame_ballots (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        ballot_number INTEGER NOT NULL,
+        votes INTEGER NOT NULL,
+        voters INTEGER NOT NULL,
+        vote_share NUMERIC(4, 3),
+        career_value NUMERIC,
+        inducted BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, season, player_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS hall_of_fame (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+        vote_share NUMERIC(4, 3),
+        ballot_number INTEGER,
+        career_value NUMERIC,
+        honors JSONB DEFAULT '[]'::jsonb,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, player_id)
+      )
+    `);
+
+    // Numbers teams have retired; players have no recorded number, so the
+    // team gives it when retiring it
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS retired_numbers (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        number INTEGER,
+        season INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(team_id, player_id)
+      )
+    `);
+
+    // Every attempt to move a league's clock forward, scheduled or manual,
+    // and how it ended
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS league_progressions (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        trigger VARCHAR(20) NOT NULL,
+        requested_by INTEGER REFERENCES users(id),
+        worker VARCHAR(100),
+        status VARCHAR(20) DEFAULT 'running',
+        from_season INTEGER,
+        from_day INTEGER,
+        to_season INTEGER,
+        to_day INTEGER,
+        error TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      )
+    `);
+
+    // Commissioner sim controls: automatic progression can be paused, and a
+    // sim-to run keeps its target and can be asked to stop between days
+    await client.query(`
+      ALTER TABLE leagues ADD COLUMN IF NOT EXISTS progression_paused BOOLEAN DEFAULT false;
+      ALTER TABLE league_progressions ADD COLUMN IF NOT EXISTS target VARCHAR(30);
+      ALTER TABLE league_progressions ADD COLUMN IF NOT EXISTS target_day INTEGER;
+      ALTER TABLE league_progressions ADD COLUMN IF NOT EXISTS stop_reason TEXT;
+      ALTER TABLE league_progressions ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN DEFAULT false;
+    `);
+
+    // League days owed to a league after missed scheduler runs, played off
+    // a window at a time
+    await client.query(`
+      ALTER TABLE leagues ADD COLUMN IF NOT EXISTS catch_up_days INTEGER DEFAULT 0;
+      ALTER TABLE league_progressions ADD COLUMN IF NOT EXISTS skipped_days INTEGER DEFAULT 0;
+      ALTER TABLE league_progressions ADD COLUMN IF NOT EXISTS backlog_days INTEGER DEFAULT 0;
+    `);
+
+    // Draft picks as owned assets, for the current season and a few ahead.
+    // pick_number is set when the draft order is drawn up, player_id when
+    // the pick is made
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS draft_picks (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        original_team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+        owner_team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+        protection INTEGER,
+        protection_triggered BOOLEAN DEFAULT false,
+        pick_number INTEGER,
+        player_id INTEGER REFERENCES players(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, season, round, original_team_id)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE trades ADD COLUMN IF NOT EXISTS offering_picks JSONB DEFAULT '[]'::jsonb;
+      ALTER TABLE trades ADD COLUMN IF NOT EXISTS requesting_picks JSONB DEFAULT '[]'::jsonb;
+    `);
+
+    // Draft lotteries, with the seed, entrants and odds needed to check the
+    // draw; season is the draft's, standings_season the one it was based on
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS draft_lotteries (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        season INTEGER NOT NULL,
+        standings_season INTEGER NOT NULL,
+        lottery_type VARCHAR(20) NOT NULL,
+        lottery_picks INTEGER NOT NULL,
+        seed VARCHAR(255) NOT NULL,
+        entrants JSONB NOT NULL,
+        results JSONB NOT NULL,
+        drawn_by INTEGER REFERENCES users(id),
+        reveal_ends_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(league_id, season)
+      )
+    `);
+
+    // Draft pick clock: the deadline for the pick on the clock, or the time
+    // left on it while the commissioner has it paused
+    await client.query(`
+      ALTER TABLE drafts ADD COLUMN IF NOT EXISTS pick_deadline TIMESTAMP;
+      ALTER TABLE drafts ADD COLUMN IF NOT EXISTS clock_paused BOOLEAN DEFAULT false;
+      ALTER TABLE drafts ADD COLUMN IF NOT EXISTS clock_remaining INTEGER;
+    `);
+
+    // A GM's private draft board: queue order, custom rankings and players
+    // not to draft, used first whenever the team's pick is made for it
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS draft_preferences (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+        player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        queue_position INTEGER,
+        ranking INTEGER,
+        do_not_draft BOOLEAN DEFAULT false,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(team_id, player_id)
+      )
+    `);
+
+    // Per-team autodraft switch and position limits for picks made for it
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS draft_team_settings (
+        team_id INTEGER PRIMARY KEY REFERENCES teams(id) ON DELETE CASCADE,
+        league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+        autodraft BOOLEAN DEFAULT false,
+        position_limits JSONB DEFAULT '{}'::jsonb,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes for better performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_teams_league ON teams(league_id);
@@ -194,6 +651,21 @@ const initializeDatabase = async () => {
       CREATE INDEX IF NOT EXISTS idx_games_league ON games(league_id);
       CREATE INDEX IF NOT EXISTS idx_storylines_league ON storylines(league_id);
       CREATE INDEX IF NOT EXISTS idx_drafts_league ON drafts(league_id);
+      CREATE INDEX IF NOT EXISTS idx_injuries_league_status ON injuries(league_id, status);
+      CREATE INDEX IF NOT EXISTS idx_player_game_stats_player ON player_game_stats(player_id, league_id, season, day);
+      CREATE INDEX IF NOT EXISTS idx_player_game_stats_team ON player_game_stats(team_id, season, day);
+      CREATE INDEX IF NOT EXISTS idx_player_game_stats_league ON player_game_stats(league_id, season);
+      CREATE INDEX IF NOT EXISTS idx_games_playoff_series ON games(playoff_series_id);
+      CREATE INDEX IF NOT EXISTS idx_season_standings_team ON season_standings(team_id, season);
+      CREATE INDEX IF NOT EXISTS idx_awards_league_season ON awards(league_id, season);
+      CREATE INDEX IF NOT EXISTS idx_awards_player ON awards(player_id);
+      CREATE INDEX IF NOT EXISTS idx_league_phase_changes_league ON league_phase_changes(league_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_league_records_lookup ON league_records(league_id, scope, category, value DESC);
+      CREATE INDEX IF NOT EXISTS idx_hall_of_fame_ballots_player ON hall_of_fame_ballots(league_id, player_id);
+      CREATE INDEX IF NOT EXISTS idx_hall_of_fame_team ON hall_of_fame(team_id);
+      CREATE INDEX IF NOT EXISTS idx_league_progressions_league ON league_progressions(league_id, started_at);
+      CREATE INDEX IF NOT EXISTS idx_draft_picks_owner ON draft_picks(owner_team_id, season);
+      CREATE INDEX IF NOT EXISTS idx_draft_preferences_player ON draft_preferences(league_id, player_id);
     `);
 
     await client.query('COMMIT');
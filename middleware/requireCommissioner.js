@@ -0,0 +1,36 @@
+const { pool } = require('../database/init');
+
+/**
+ * Only let the league's commissioner through. Runs after `authenticate`;
+ * the league comes from `:leagueId` (or `:id`) in the path or `leagueId`
+ * in the body, and is left on `req.league`. Leagues created before
+ * commissioners existed are run by their owner.
+ */
+const requireCommissioner = async (req, res, next) => {
+  try {
+    const leagueId = req.params.leagueId || req.params.id || (req.body && req.body.leagueId);
+
+    const result = await pool.query(
+      `SELECT l.*, COALESCE(l.commissioner_user_id, l.owner_id) as commissioner_id
+       FROM leagues l
+       WHERE l.id = $1`,
+      [leagueId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    if (result.rows[0].commissioner_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the commissioner can do this' });
+    }
+
+    req.league = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Error checking commissioner:', error);
+    res.status(500).json({ error: 'Failed to check commissioner' });
+  }
+};
+
+module.exports = requireCommissioner;
@@ -0,0 +1,31 @@
+const { pool } = require('../database/init');
+const { checkPhase } = require('../services/leaguePhaseService');
+
+/**
+ * Turn requests away when the league's current phase doesn't allow the
+ * action (see leaguePhaseService). The league comes from `:leagueId` (or
+ * `:id`) in the path or `leagueId` in the body, and is left on
+ * `req.league` unless an earlier middleware already set it.
+ */
+const requirePhase = (action) => async (req, res, next) => {
+  try {
+    const leagueId = req.params.leagueId || req.params.id || (req.body && req.body.leagueId);
+    const { league, notFound, error } = await checkPhase(pool, leagueId, action);
+
+    if (notFound) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    if (error) {
+      return res.status(400).json({ error, phase: league.status });
+    }
+
+    req.league = req.league || league;
+    next();
+  } catch (error) {
+    console.error('Error checking league phase:', error);
+    res.status(500).json({ error: 'Failed to check league phase' });
+  }
+};
+
+module.exports = requirePhase;
@@ -0,0 +1,31 @@
+const { pool } = require('../database/init');
+
+/**
+ * Only let the GM who runs the team through. Runs after `authenticate`;
+ * the team comes from `:teamId` in the path, must belong to the league in
+ * `:leagueId` when there is one, and is left on `req.team`.
+ */
+const requireTeamOwner = async (req, res, next) => {
+  try {
+    const { teamId, leagueId } = req.params;
+
+    const result = await pool.query('SELECT * FROM teams WHERE id = $1', [teamId]);
+    const team = result.rows[0];
+
+    if (!team || (leagueId && team.league_id !== parseInt(leagueId))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (team.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the team\'s GM can do this' });
+    }
+
+    req.team = team;
+    next();
+  } catch (error) {
+    console.error('Error checking team owner:', error);
+    res.status(500).json({ error: 'Failed to check team owner' });
+  }
+};
+
+module.exports = requireTeamOwner;
@@ -3,6 +3,8 @@ const router = express.Router();
 const { pool } = require('../database/init');
 const { generateContractResponse } = require('../services/aiService');
 const { emitToTeam } = require('../services/websocketService');
+const { checkPhase } = require('../services/leaguePhaseService');
+const requirePhase = require('../middleware/requirePhase');
 
 /**
  * GET /api/contracts/free-agents/:leagueId
@@ -57,7 +59,7 @@ router.get('/free-agents/:leagueId', async (req, res) => {
  * POST /api/contracts/offer
  * Make a contract offer to a free agent
  */
-router.post('/offer', async (req, res) => {
+router.post('/offer', requirePhase('sign'), async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -223,6 +225,12 @@ router.put('/:offerId/accept-counter', async (req, res) => {
 
     const offer = offerResult.rows[0];
 
+    const phase = await checkPhase(client, offer.league_id, 'sign');
+    if (phase.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: phase.error, phase: phase.league.status });
+    }
+
     // Parse AI response for counter offer details
     // In a real implementation, this would come from a structured AI response
     const counterYears = offer.years;
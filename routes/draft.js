@@ -9,12 +9,25 @@ const {
   processAIDrafts,
   getDraftState
 } = require('../services/draftService');
+const { runDraftLottery, revealLottery, getDraftLottery } = require('../services/draftLotteryService');
+const { pauseDraftClock, resumeDraftClock, getDraftClock } = require('../services/draftClockService');
+const { getAuctionView } = require('../services/draftAuctionService');
+const {
+  getDraftPreferences,
+  setDraftQueue,
+  setDraftRankings,
+  setDraftSettings
+} = require('../services/draftQueueService');
+const authenticate = require('../middleware/authenticate');
+const requireCommissioner = require('../middleware/requireCommissioner');
+const requireTeamOwner = require('../middleware/requireTeamOwner');
+const requirePhase = require('../middleware/requirePhase');
 
 /**
  * POST /api/draft/initialize
  * Initialize a draft for a league
  */
-router.post('/initialize', async (req, res) => {
+router.post('/initialize', requirePhase('draft'), async (req, res) => {
   try {
     const { leagueId, settings } = req.body;
 
@@ -22,7 +35,13 @@ router.post('/initialize', async (req, res) => {
       rounds: settings?.rounds || 10,
       type: settings?.type || 'snake',
       totalPicks: settings?.totalPicks || 500,
-      timePerPick: settings?.timePerPick || 90 // seconds
+      timePerPick: settings?.timePerPick ?? 90, // seconds on the clock per pick, 0 for no clock
+      // Auction drafts: budgets, bid rules and clocks (see draftAuctionService)
+      auctionBudget: settings?.auctionBudget,
+      minBid: settings?.minBid,
+      bidIncrement: settings?.bidIncrement,
+      nominationSeconds: settings?.nominationSeconds,
+      bidSeconds: settings?.bidSeconds
     };
 
     const draftState = await initializeDraft(leagueId, draftSettings);
@@ -41,14 +60,14 @@ router.post('/initialize', async (req, res) => {
  * POST /api/draft/start
  * Start a draft
  */
-router.post('/start', async (req, res) => {
+router.post('/start', requirePhase('draft'), async (req, res) => {
   try {
     const { leagueId } = req.body;
+    const io = req.app.get('io');
 
-    const draftState = await startDraft(leagueId);
+    const draftState = await startDraft(leagueId, io);
 
     // Start auto-drafting for AI teams
-    const io = req.app.get('io');
     setTimeout(() => processAIDrafts(leagueId, io), 1000);
 
     // Emit to all connected clients
@@ -71,7 +90,7 @@ router.post('/start', async (req, res) => {
  * POST /api/draft/pick
  * Make a draft pick
  */
-router.post('/pick', async (req, res) => {
+router.post('/pick', requirePhase('draft'), async (req, res) => {
   try {
     const { leagueId, teamId, playerId } = req.body;
 
@@ -228,7 +247,7 @@ router.get('/:leagueId/upcoming-picks/:teamId', async (req, res) => {
  * POST /api/draft/:leagueId/auto-pick
  * Auto-pick for a human team (BPA)
  */
-router.post('/:leagueId/auto-pick', async (req, res) => {
+router.post('/:leagueId/auto-pick', requirePhase('draft'), async (req, res) => {
   try {
     const { leagueId } = req.params;
     const { teamId } = req.body;
@@ -251,6 +270,253 @@ router.post('/:leagueId/auto-pick', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/draft/:leagueId/auction
+ * Get an auction draft as it stands: who's nominating, the player up with
+ * the bids so far, and each team's budget, open spots and max bid
+ */
+router.get('/:leagueId/auction', async (req, res) => {
+  try {
+    const draftState = await getDraftState(req.params.leagueId);
+
+    if (!draftState) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    if (!draftState.auction) {
+      return res.status(400).json({ error: 'This draft is not an auction' });
+    }
+
+    res.json(getAuctionView(draftState));
+  } catch (error) {
+    console.error('Error fetching auction:', error);
+    res.status(500).json({ error: 'Failed to fetch auction' });
+  }
+});
+
+/**
+ * GET /api/draft/:leagueId/clock
+ * Get the pick clock: who's on it and how long they have left
+ */
+router.get('/:leagueId/clock', async (req, res) => {
+  try {
+    const clock = await getDraftClock(pool, req.params.leagueId);
+
+    if (!clock) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    res.json(clock);
+  } catch (error) {
+    console.error('Error fetching draft clock:', error);
+    res.status(500).json({ error: 'Failed to fetch draft clock' });
+  }
+});
+
+/**
+ * POST /api/draft/:leagueId/clock/pause
+ * Stop the pick clock (commissioner only)
+ */
+router.post('/:leagueId/clock/pause', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const clock = await pauseDraftClock(pool, req.league.id, req.app.get('io'));
+
+    if (!clock) {
+      return res.status(400).json({ error: 'The draft isn\'t running or its clock is already paused' });
+    }
+
+    res.json(await getDraftClock(pool, req.league.id));
+  } catch (error) {
+    console.error('Error pausing draft clock:', error);
+    res.status(500).json({ error: 'Failed to pause draft clock' });
+  }
+});
+
+/**
+ * POST /api/draft/:leagueId/clock/resume
+ * Restart the pick clock with the time that was left (commissioner only)
+ */
+router.post('/:leagueId/clock/resume', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const clock = await resumeDraftClock(pool, req.league.id, req.app.get('io'));
+
+    if (!clock) {
+      return res.status(400).json({ error: 'The draft isn\'t running or its clock isn\'t paused' });
+    }
+
+    res.json(await getDraftClock(pool, req.league.id));
+  } catch (error) {
+    console.error('Error resuming draft clock:', error);
+    res.status(500).json({ error: 'Failed to resume draft clock' });
+  }
+});
+
+/**
+ * GET /api/draft/:leagueId/teams/:teamId/preferences
+ * Get the team's private draft board: queue, rankings, do-not-draft list,
+ * position limits and autodraft (team's GM only)
+ */
+router.get('/:leagueId/teams/:teamId/preferences', authenticate, requireTeamOwner, async (req, res) => {
+  try {
+    const draftState = await getDraftState(req.params.leagueId);
+    const available = draftState ? draftState.available_players : [];
+
+    res.json(await getDraftPreferences(pool, req.team.id, available));
+  } catch (error) {
+    console.error('Error fetching draft preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch draft preferences' });
+  }
+});
+
+/**
+ * Save one part of a team's draft board. `update` gets a client inside a
+ * transaction and the draft's available players, and returns `{ errors }`
+ * if the change is no good.
+ */
+async function saveDraftBoard(req, res, update) {
+  const draftState = await getDraftState(req.params.leagueId);
+
+  if (!draftState) {
+    return res.status(404).json({ error: 'Draft not found' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await update(client, draftState.available_players);
+
+    if (result.errors) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid draft preferences', details: result.errors });
+    }
+
+    await client.query('COMMIT');
+
+    res.json(await getDraftPreferences(pool, req.team.id, draftState.available_players));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * PUT /api/draft/:leagueId/teams/:teamId/queue
+ * Replace the team's draft queue with `playerIds`, in order (team's GM only)
+ */
+router.put('/:leagueId/teams/:teamId/queue', authenticate, requireTeamOwner, async (req, res) => {
+  try {
+    await saveDraftBoard(req, res, (client, available) =>
+      setDraftQueue(client, req.team.league_id, req.team.id, req.body.playerIds, available));
+  } catch (error) {
+    console.error('Error saving draft queue:', error);
+    res.status(500).json({ error: 'Failed to save draft queue' });
+  }
+});
+
+/**
+ * PUT /api/draft/:leagueId/teams/:teamId/rankings
+ * Replace the team's custom rankings with `playerIds`, best first (team's
+ * GM only)
+ */
+router.put('/:leagueId/teams/:teamId/rankings', authenticate, requireTeamOwner, async (req, res) => {
+  try {
+    await saveDraftBoard(req, res, (client, available) =>
+      setDraftRankings(client, req.team.league_id, req.team.id, req.body.playerIds, available));
+  } catch (error) {
+    console.error('Error saving draft rankings:', error);
+    res.status(500).json({ error: 'Failed to save draft rankings' });
+  }
+});
+
+/**
+ * PUT /api/draft/:leagueId/teams/:teamId/preferences
+ * Update the team's do-not-draft list, position limits and autodraft
+ * switch (team's GM only). Switching autodraft on picks straight away if
+ * the team is on the clock.
+ */
+router.put('/:leagueId/teams/:teamId/preferences', authenticate, requireTeamOwner, async (req, res) => {
+  try {
+    const { doNotDraft, positionLimits, autodraft } = req.body;
+
+    await saveDraftBoard(req, res, (client, available) =>
+      setDraftSettings(client, req.team.league_id, req.team.id, { doNotDraft, positionLimits, autodraft }, available));
+
+    if (autodraft === true && res.statusCode === 200) {
+      const io = req.app.get('io');
+      setTimeout(() => processAIDrafts(req.team.league_id, io), 1000);
+    }
+  } catch (error) {
+    console.error('Error saving draft preferences:', error);
+    res.status(500).json({ error: 'Failed to save draft preferences' });
+  }
+});
+
+/**
+ * POST /api/draft/:leagueId/lottery
+ * Draw the lottery for the upcoming draft from last season's standings and
+ * reveal it pick by pick to the league room (commissioner only)
+ */
+router.post('/:leagueId/lottery', authenticate, requireCommissioner, requirePhase('draft'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await runDraftLottery(client, req.league, req.user.id);
+
+    if (result.errors) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Could not draw the lottery', details: result.errors });
+    }
+
+    await client.query('COMMIT');
+
+    revealLottery(req.app.get('io'), result.lottery, result.revealSeconds);
+
+    // The results come out over the socket; they're on the lottery once
+    // the reveal is over
+    res.status(201).json({ ...result.lottery, results: null, revealing: true });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error drawing draft lottery:', error);
+    res.status(500).json({ error: 'Failed to draw draft lottery' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/draft/:leagueId/lottery
+ * Get a season's draft lottery (default: the upcoming draft's) with its
+ * seed, entrants and odds
+ */
+router.get('/:leagueId/lottery', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT current_season FROM leagues WHERE id = $1', [leagueId]);
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const season = parseInt(req.query.season) || leagueResult.rows[0].current_season;
+    const lottery = await getDraftLottery(pool, leagueId, season);
+
+    if (!lottery) {
+      return res.status(404).json({ error: 'No lottery has been drawn for this draft' });
+    }
+
+    res.json(lottery);
+  } catch (error) {
+    console.error('Error fetching draft lottery:', error);
+    res.status(500).json({ error: 'Failed to fetch draft lottery' });
+  }
+});
+
 /**
  * GET /api/draft/:leagueId/draft-board
  * Get best available players (draft board view)
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/init');
+const { replayGame } = require('../services/gameSimulationService');
+const { getLiveEvents } = require('../services/liveGameService');
+const { generateSchedule, summarizeSchedule, scheduleOptions, saveSchedule } = require('../services/scheduleService');
+const { getStandings } = require('../services/standingsService');
+const { phaseError } = require('../services/leaguePhaseService');
+const authenticate = require('../middleware/authenticate');
+const requireCommissioner = require('../middleware/requireCommissioner');
 
 /**
  * GET /api/games/league/:leagueId
@@ -54,7 +61,7 @@ router.get('/league/:leagueId', async (req, res) => {
 
 /**
  * GET /api/games/:gameId
- * Get detailed game information
+ * Get detailed game information, including the play-by-play
  */
 router.get('/:gameId', async (req, res) => {
   try {
@@ -63,10 +70,12 @@ router.get('/:gameId', async (req, res) => {
     const result = await pool.query(
       `SELECT g.*, 
               ht.name as home_team_name, ht.abbreviation as home_team_abbr,
-              at.name as away_team_name, at.abbreviation as away_team_abbr
+              at.name as away_team_name, at.abbreviation as away_team_abbr,
+              COALESCE(pbp.events, '[]'::jsonb) as play_by_play
        FROM games g
        JOIN teams ht ON g.home_team_id = ht.id
        JOIN teams at ON g.away_team_id = at.id
+       LEFT JOIN game_play_by_play pbp ON pbp.game_id = g.id
        WHERE g.id = $1`,
       [gameId]
     );
@@ -75,79 +84,148 @@ router.get('/:gameId', async (req, res) => {
       return res.status(404).json({ error: 'Game not found' });
     }
 
-    res.json(result.rows[0]);
+    const game = result.rows[0];
+
+    // While a game is still being streamed, only show what watchers have seen
+    const liveEvents = getLiveEvents(gameId);
+    game.is_live = liveEvents !== null;
+    if (game.is_live) {
+      game.play_by_play = liveEvents;
+    }
+
+    res.json(game);
   } catch (error) {
     console.error('Error fetching game:', error);
     res.status(500).json({ error: 'Failed to fetch game' });
   }
 });
 
+/**
+ * POST /api/games/:gameId/replay
+ * Re-run a completed game from its recorded seed and confirm the box score matches
+ */
+router.post('/:gameId/replay', authenticate, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM games WHERE id = $1',
+      [gameId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const game = result.rows[0];
+
+    if (game.status !== 'completed') {
+      return res.status(400).json({ error: 'Only completed games can be replayed' });
+    }
+
+    if (game.forfeited_by) {
+      return res.status(400).json({ error: 'Forfeited games were never simulated' });
+    }
+
+    if (!game.seed || !game.sim_input) {
+      return res.status(400).json({ error: 'Game was simulated before seeds were recorded' });
+    }
+
+    const replay = replayGame(game);
+
+    res.json({
+      gameId: game.id,
+      ...replay
+    });
+  } catch (error) {
+    console.error('Error replaying game:', error);
+    res.status(500).json({ error: 'Failed to replay game' });
+  }
+});
+
 /**
  * POST /api/games/schedule
- * Create a game schedule for a league
+ * Generate a season schedule from the league settings. Pass preview: true
+ * to see it without saving, and replace: true to swap out a season that
+ * has not started yet (commissioner only).
  */
-router.post('/schedule', async (req, res) => {
+router.post('/schedule', authenticate, requireCommissioner, async (req, res) => {
   const client = await pool.connect();
   
   try {
-    const { leagueId, season, gamesPerTeam } = req.body;
+    const { leagueId, season, preview = false, replace = false } = req.body;
 
-    await client.query('BEGIN');
+    const league = req.league;
+    const scheduleSeason = parseInt(season) || league.current_season;
+    const options = scheduleOptions(league, scheduleSeason, req.body);
 
     // Get all teams in the league
     const teamsResult = await client.query(
-      'SELECT id FROM teams WHERE league_id = $1',
+      'SELECT id, name, conference, division FROM teams WHERE league_id = $1 ORDER BY id',
       [leagueId]
     );
 
     const teams = teamsResult.rows;
+    const schedule = generateSchedule(teams, options);
+
+    if (schedule.errors) {
+      return res.status(400).json({ error: 'Could not create schedule', details: schedule.errors });
+    }
 
-    if (teams.length < 2) {
-      return res.status(400).json({ error: 'Need at least 2 teams to create a schedule' });
+    const summary = summarizeSchedule(teams, schedule.games);
+    const { seed, ...scheduleSettings } = options;
+
+    if (preview) {
+      return res.json({
+        preview: true,
+        season: scheduleSeason,
+        settings: scheduleSettings,
+        summary,
+        games: schedule.games
+      });
     }
 
-    // Simple round-robin scheduling
-    const games = [];
-    let currentDay = 1;
-
-    for (let round = 0; round < gamesPerTeam; round++) {
-      for (let i = 0; i < teams.length; i++) {
-        for (let j = i + 1; j < teams.length; j++) {
-          // Alternate home/away
-          const homeTeam = round % 2 === 0 ? teams[i].id : teams[j].id;
-          const awayTeam = round % 2 === 0 ? teams[j].id : teams[i].id;
-
-          games.push({
-            leagueId,
-            season,
-            homeTeamId: homeTeam,
-            awayTeamId: awayTeam,
-            day: currentDay
-          });
-
-          // Increment day every few games to spread out the schedule
-          if (games.length % Math.floor(teams.length / 2) === 0) {
-            currentDay++;
-          }
-        }
-      }
+    const notAllowed = phaseError(league, 'schedule');
+    if (notAllowed) {
+      return res.status(400).json({ error: notAllowed, phase: league.status });
     }
 
-    // Insert games
-    for (const game of games) {
-      await client.query(
-        `INSERT INTO games (league_id, home_team_id, away_team_id, season, day, status)
-         VALUES ($1, $2, $3, $4, $5, 'scheduled')`,
-        [game.leagueId, game.homeTeamId, game.awayTeamId, game.season, game.day]
-      );
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT COUNT(*) FILTER (WHERE status = 'scheduled') as scheduled,
+              COUNT(*) FILTER (WHERE status <> 'scheduled') as played
+       FROM games WHERE league_id = $1 AND season = $2 AND game_type = 'regular'`,
+      [leagueId, scheduleSeason]
+    );
+    const { scheduled, played } = existing.rows[0];
+
+    if (parseInt(played) > 0 || (parseInt(scheduled) > 0 && !replace)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: parseInt(played) > 0
+          ? 'Season has already started'
+          : 'Season already has a schedule; pass replace: true to replace it'
+      });
     }
 
+    await client.query(
+      `DELETE FROM games
+       WHERE league_id = $1 AND season = $2 AND status = 'scheduled' AND game_type = 'regular'`,
+      [leagueId, scheduleSeason]
+    );
+
+    await saveSchedule(client, leagueId, scheduleSeason, schedule.games);
+
     await client.query('COMMIT');
 
     res.status(201).json({
       message: 'Schedule created successfully',
-      gamesCreated: games.length,
-      totalDays: currentDay
+      season: scheduleSeason,
+      gamesCreated: schedule.games.length,
+      totalDays: summary.lastDay - summary.firstDay + 1,
+      settings: scheduleSettings,
+      summary
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -199,23 +277,23 @@ router.get('/today/:leagueId', async (req, res) => {
 
 /**
  * GET /api/games/standings/:leagueId
- * Get league standings
+ * Get league, conference and division standings for a season (current
+ * season by default), with ties broken by the sport's rules
  */
 router.get('/standings/:leagueId', async (req, res) => {
   try {
     const { leagueId } = req.params;
-    const { season } = req.query;
 
-    const result = await pool.query(
-      `SELECT t.*,
-              (t.wins::float / NULLIF(t.wins + t.losses, 0)) as win_percentage
-       FROM teams t
-       WHERE t.league_id = $1
-       ORDER BY win_percentage DESC NULLS LAST, t.wins DESC`,
-      [leagueId]
-    );
+    const leagueResult = await pool.query('SELECT current_season FROM leagues WHERE id = $1', [leagueId]);
 
-    res.json(result.rows);
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const season = parseInt(req.query.season) || leagueResult.rows[0].current_season;
+    const standings = await getStandings(pool, leagueId, season);
+
+    res.json(standings);
   } catch (error) {
     console.error('Error fetching standings:', error);
     res.status(500).json({ error: 'Failed to fetch standings' });
@@ -3,6 +3,8 @@ const router = express.Router();
 const { pool } = require('../database/init');
 const nbaApiService = require('../services/nbaApiService');
 const mlbApiService = require('../services/mlbApiService');
+const { generateSeed, seedError } = require('../services/seededRandom');
+const { getLeagueSettings } = require('../services/leagueSettings');
 
 /**
  * POST /api/leagues-v2/create-multiplayer
@@ -14,12 +16,18 @@ router.post('/create-multiplayer', async (req, res) => {
     sport = 'NBA',
     maxTeams = 30,
     settings = {},
-    userId
+    userId,
+    seed
   } = req.body;
   
   if (!userId) {
     return res.status(400).json({ error: 'userId is required' });
   }
+
+  const invalidSeed = seedError(seed);
+  if (invalidSeed) {
+    return res.status(400).json({ error: 'Invalid seed', details: [invalidSeed] });
+  }
   
   const client = await pool.connect();
   
@@ -37,7 +45,8 @@ router.post('/create-multiplayer', async (req, res) => {
       draftRounds: 7,
       regularSeasonGames: 82,
       playoffTeams: 16,
-      playoffFormat: 'best_of_7'
+      playoffFormat: 'best_of_7',
+      liveGameSeconds: 180
     } : {
       playerPool: 'all_active',
       historicalYear: null,
@@ -48,7 +57,8 @@ router.post('/create-multiplayer', async (req, res) => {
       draftRounds: 40,
       regularSeasonGames: 162,
       playoffTeams: 12,
-      playoffFormat: 'best_of_7'
+      playoffFormat: 'best_of_7',
+      liveGameSeconds: 180
     };
 
     const leagueSettings = { ...defaultSettings, ...settings };
@@ -75,8 +85,8 @@ router.post('/create-multiplayer', async (req, res) => {
     // Create league
     const leagueResult = await client.query(
       `INSERT INTO leagues 
-       (name, sport, max_teams, league_settings, commissioner_user_id, status, owner_id, salary_cap, time_ratio, draft_type, player_pool)
-       VALUES ($1, $2, $3, $4, $5, 'setup', $5, $6, $7, $8, $9)
+       (name, sport, max_teams, league_settings, commissioner_user_id, status, owner_id, salary_cap, time_ratio, draft_type, player_pool, seed)
+       VALUES ($1, $2, $3, $4, $5, 'setup', $5, $6, $7, $8, $9, $10)
        RETURNING *`,
       [
         name, 
@@ -87,7 +97,8 @@ router.post('/create-multiplayer', async (req, res) => {
         leagueSettings.salaryCap,
         JSON.stringify({ real_hours: 24, league_days: 7 }),
         leagueSettings.draftType,
-        JSON.stringify({ type: leagueSettings.playerPool })
+        JSON.stringify({ type: leagueSettings.playerPool }),
+        seed ? String(seed) : generateSeed()
       ]
     );
     
@@ -212,7 +223,7 @@ router.post('/:id/import-players', async (req, res) => {
   
   try {
     const leagueResult = await pool.query(
-      'SELECT sport, league_settings FROM leagues WHERE id = $1',
+      'SELECT sport, settings, league_settings FROM leagues WHERE id = $1',
       [id]
     );
     
@@ -221,7 +232,7 @@ router.post('/:id/import-players', async (req, res) => {
     }
     
     const league = leagueResult.rows[0];
-    const settings = league.league_settings || {};
+    const settings = getLeagueSettings(league);
 
     console.log(`Setting up player pool for ${league.sport} league`);
 
@@ -1,6 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/init');
+const { generateSeed, seedError } = require('../services/seededRandom');
+const { getInjuries } = require('../services/injuryService');
+const { parsePagination, paginate, searchPlayerGames } = require('../services/gameLogService');
+const { getSeasonAnalytics } = require('../services/analyticsService');
+const { getLeaderboard, getLeaderboardSummary, listCategories } = require('../services/leaderboardService');
+const { getBracket, getSeries } = require('../services/playoffService');
+const { getAlignment, setAlignment } = require('../services/standingsService');
+const { isRolloverDue, rolloverSeason, getRollovers } = require('../services/seasonRolloverService');
+const { getSeasonAwards, getAwardHistory, listAwards } = require('../services/awardService');
+const { getLeagueHistory } = require('../services/historyService');
+const { RECORD_CATEGORIES, SCOPES, getRecordBook, getRecordProgression } = require('../services/recordsService');
+const { getHallOfFame, getBallots, getRetiredPlayers } = require('../services/hallOfFameService');
+const {
+  withLeagueLock, advanceLeague, simTargetError, startSimulation, cancelSimulation, setProgressionPaused, getProgressionStatus, getProgressions, MAX_SIM_DAYS
+} = require('../services/progressionService');
+const { phaseError, transitionError, transitionPhase, emitPhaseChange, getPhase } = require('../services/leaguePhaseService');
+const authenticate = require('../middleware/authenticate');
+const requireCommissioner = require('../middleware/requireCommissioner');
 
 /**
  * POST /api/leagues
@@ -17,16 +35,22 @@ router.post('/', async (req, res) => {
       salaryCap,
       timeRatio,
       draftType,
-      playerPool
+      playerPool,
+      seed
     } = req.body;
 
+    const invalidSeed = seedError(seed);
+    if (invalidSeed) {
+      return res.status(400).json({ error: 'Invalid seed', details: [invalidSeed] });
+    }
+
     await client.query('BEGIN');
 
     // Create league
     const leagueResult = await client.query(
       `INSERT INTO leagues 
-       (name, owner_id, sport, salary_cap, time_ratio, draft_type, player_pool)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       (name, owner_id, sport, salary_cap, time_ratio, draft_type, player_pool, seed)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
       [
         name,
@@ -35,7 +59,8 @@ router.post('/', async (req, res) => {
         salaryCap || 150000000,
         JSON.stringify(timeRatio || { real_hours: 24, league_days: 7 }),
         draftType || 'snake',
-        JSON.stringify(playerPool || [])
+        JSON.stringify(playerPool || []),
+        seed ? String(seed) : generateSeed()
       ]
     );
 
@@ -189,6 +214,61 @@ router.put('/:leagueId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/leagues/:leagueId/alignment
+ * Get the league's conferences and divisions
+ */
+router.get('/:leagueId/alignment', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT id FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    res.json(await getAlignment(pool, leagueId));
+  } catch (error) {
+    console.error('Error fetching alignment:', error);
+    res.status(500).json({ error: 'Failed to fetch alignment' });
+  }
+});
+
+/**
+ * PUT /api/leagues/:leagueId/alignment
+ * Replace the league's conferences and divisions:
+ * { conferences: [{ name, divisions: [{ name, teamIds }] }] }, or
+ * { name, teamIds } for a conference without divisions
+ */
+router.put('/:leagueId/alignment', authenticate, requireCommissioner, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { leagueId } = req.params;
+    const { conferences } = req.body;
+
+    await client.query('BEGIN');
+
+    const { errors } = await setAlignment(client, leagueId, conferences);
+
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid alignment', details: errors });
+    }
+
+    await client.query('COMMIT');
+
+    res.json(await getAlignment(pool, leagueId));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating alignment:', error);
+    res.status(500).json({ error: 'Failed to update alignment' });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * GET /api/leagues/:leagueId/storylines
  * Get recent storylines for a league
@@ -214,16 +294,56 @@ router.get('/:leagueId/storylines', async (req, res) => {
 });
 
 /**
- * POST /api/leagues/:leagueId/advance
- * Manually advance the league (for testing or immediate progression)
+ * GET /api/leagues/:leagueId/injuries
+ * Get the league-wide injury report (status=active|healed|all, default active)
+ */
+router.get('/:leagueId/injuries', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    const { status = 'active' } = req.query;
+
+    const injuries = await getInjuries(pool, { leagueId, status });
+    res.json(injuries);
+  } catch (error) {
+    console.error('Error fetching league injuries:', error);
+    res.status(500).json({ error: 'Failed to fetch injuries' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/analytics
+ * Get advanced metrics for every player and team in a season (current
+ * season by default)
  */
-router.post('/:leagueId/advance', async (req, res) => {
+router.get('/:leagueId/analytics', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    const { season } = req.query;
+
+    const analytics = await getSeasonAnalytics(pool, leagueId, season);
+
+    if (!analytics) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    res.json(analytics);
+  } catch (error) {
+    console.error('Error fetching league analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/leaders
+ * Get the top 5 in the sport's headline categories (season, mode, position,
+ * minGames, minAtBats, minInnings, limit)
+ */
+router.get('/:leagueId/leaders', async (req, res) => {
   try {
     const { leagueId } = req.params;
-    const { days = 1 } = req.body;
 
     const leagueResult = await pool.query(
-      'SELECT * FROM leagues WHERE id = $1',
+      'SELECT sport, current_season FROM leagues WHERE id = $1',
       [leagueId]
     );
 
@@ -231,29 +351,609 @@ router.post('/:leagueId/advance', async (req, res) => {
       return res.status(404).json({ error: 'League not found' });
     }
 
-    const league = leagueResult.rows[0];
-    
-    // Import the time progression service
-    const { advanceLeagueDay } = require('../services/timeProgressionService');
-    const io = req.app.get('io');
-    
-    const client = await pool.connect();
-    try {
-      for (let i = 0; i < days; i++) {
-        await advanceLeagueDay(client, league, io);
-      }
-      
-      res.json({ 
-        message: `Advanced league ${days} day(s)`,
-        currentDay: league.current_day + days
+    const { sport, current_season } = leagueResult.rows[0];
+    const season = parseInt(req.query.season) || current_season;
+
+    const summary = await getLeaderboardSummary(pool, leagueId, sport, season, req.query);
+    res.json({ ...summary, availableCategories: listCategories(sport) });
+  } catch (error) {
+    console.error('Error fetching league leaders:', error);
+    res.status(500).json({ error: 'Failed to fetch league leaders' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/leaders/:category
+ * Get the leaderboard for one stat category (season, mode=total|per_game,
+ * position, minGames, minAtBats, minInnings, limit)
+ */
+router.get('/:leagueId/leaders/:category', async (req, res) => {
+  try {
+    const { leagueId, category } = req.params;
+
+    const leagueResult = await pool.query(
+      'SELECT sport, current_season FROM leagues WHERE id = $1',
+      [leagueId]
+    );
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const { sport, current_season } = leagueResult.rows[0];
+    const season = parseInt(req.query.season) || current_season;
+
+    const leaderboard = await getLeaderboard(pool, leagueId, sport, season, category, req.query);
+
+    if (!leaderboard) {
+      return res.status(400).json({
+        error: 'Unknown stat category',
+        details: listCategories(sport).map(c => c.category)
       });
-    } finally {
-      client.release();
     }
+
+    res.json(leaderboard);
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/player-games
+ * Search single-game stat lines, e.g. ?min[pts]=40 for every 40-point game
+ * or ?sort=batting.hr for the biggest home run games
+ * (season, teamId, playerId, min[stat], max[stat], sort, order, page, limit)
+ */
+router.get('/:leagueId/player-games', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    const { season, teamId, playerId, min, max, sort, order } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const leagueResult = await pool.query('SELECT sport FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const { rows, total, errors } = await searchPlayerGames(pool, leagueId, leagueResult.rows[0].sport, {
+      season,
+      teamId,
+      playerId,
+      min: typeof min === 'object' ? min : {},
+      max: typeof max === 'object' ? max : {},
+      sort,
+      order,
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid search', details: errors });
+    }
+
+    res.json(paginate(rows, total, pagination));
+  } catch (error) {
+    console.error('Error searching player games:', error);
+    res.status(500).json({ error: 'Failed to search player games' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/playoffs
+ * Get the playoff bracket with every series score (current season by default)
+ */
+router.get('/:leagueId/playoffs', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT current_season FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const season = parseInt(req.query.season) || leagueResult.rows[0].current_season;
+    const bracket = await getBracket(pool, leagueId, season);
+
+    if (!bracket) {
+      return res.status(404).json({ error: 'Playoffs have not started for this season' });
+    }
+
+    res.json(bracket);
+  } catch (error) {
+    console.error('Error fetching playoffs:', error);
+    res.status(500).json({ error: 'Failed to fetch playoffs' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/playoffs/series/:seriesId
+ * Get a playoff series with its games
+ */
+router.get('/:leagueId/playoffs/series/:seriesId', async (req, res) => {
+  try {
+    const { leagueId, seriesId } = req.params;
+
+    const series = await getSeries(pool, seriesId);
+
+    if (!series || series.league_id !== parseInt(leagueId)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error('Error fetching playoff series:', error);
+    res.status(500).json({ error: 'Failed to fetch playoff series' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/awards
+ * Get every season's award winners and All-League teams
+ */
+router.get('/:leagueId/awards', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT sport FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    res.json({
+      awards: listAwards(leagueResult.rows[0].sport),
+      seasons: await getAwardHistory(pool, leagueId)
+    });
+  } catch (error) {
+    console.error('Error fetching award history:', error);
+    res.status(500).json({ error: 'Failed to fetch awards' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/awards/:season
+ * Get the full voting results for a season's awards
+ */
+router.get('/:leagueId/awards/:season', async (req, res) => {
+  try {
+    const { leagueId, season } = req.params;
+
+    const voting = await pool.query(
+      'SELECT * FROM season_awards WHERE league_id = $1 AND season = $2',
+      [leagueId, season]
+    );
+
+    if (voting.rows.length === 0) {
+      return res.status(404).json({ error: 'Awards have not been voted on for this season' });
+    }
+
+    res.json({
+      ...voting.rows[0],
+      awards: await getSeasonAwards(pool, leagueId, season)
+    });
+  } catch (error) {
+    console.error('Error fetching season awards:', error);
+    res.status(500).json({ error: 'Failed to fetch awards' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/history
+ * Get the league's champions and every franchise's all-time record
+ */
+router.get('/:leagueId/history', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT * FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    res.json(await getLeagueHistory(pool, leagueResult.rows[0]));
+  } catch (error) {
+    console.error('Error fetching league history:', error);
+    res.status(500).json({ error: 'Failed to fetch league history' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/records
+ * Get the record book: single-game, single-season and career records
+ */
+router.get('/:leagueId/records', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT id, sport FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    res.json(await getRecordBook(pool, leagueResult.rows[0]));
+  } catch (error) {
+    console.error('Error fetching records:', error);
+    res.status(500).json({ error: 'Failed to fetch records' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/records/:scope/:category
+ * Get everyone who has held a record, oldest first
+ */
+router.get('/:leagueId/records/:scope/:category', async (req, res) => {
+  try {
+    const { leagueId, scope, category } = req.params;
+
+    const leagueResult = await pool.query('SELECT sport FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const categories = RECORD_CATEGORIES[leagueResult.rows[0].sport] || RECORD_CATEGORIES.NBA;
+
+    if (!SCOPES.includes(scope) || !categories[category]) {
+      return res.status(400).json({
+        error: 'Unknown record',
+        details: { scopes: SCOPES, categories: Object.keys(categories) }
+      });
+    }
+
+    res.json({
+      scope,
+      category,
+      label: categories[category].label,
+      progression: await getRecordProgression(pool, leagueId, scope, category)
+    });
+  } catch (error) {
+    console.error('Error fetching record progression:', error);
+    res.status(500).json({ error: 'Failed to fetch record' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/hall-of-fame
+ * Get the league's Hall of Famers and its most recent ballot
+ */
+router.get('/:leagueId/hall-of-fame', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const members = await getHallOfFame(pool, leagueId);
+    const ballots = await getBallots(pool, leagueId);
+    const latestSeason = ballots.length > 0 ? ballots[0].season : null;
+
+    res.json({
+      members,
+      latestBallot: {
+        season: latestSeason,
+        candidates: ballots.filter(ballot => ballot.season === latestSeason)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching hall of fame:', error);
+    res.status(500).json({ error: 'Failed to fetch hall of fame' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/hall-of-fame/ballots
+ * Get Hall of Fame voting results (season to limit to one vote)
+ */
+router.get('/:leagueId/hall-of-fame/ballots', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    const season = parseInt(req.query.season) || null;
+
+    res.json(await getBallots(pool, leagueId, season));
+  } catch (error) {
+    console.error('Error fetching hall of fame ballots:', error);
+    res.status(500).json({ error: 'Failed to fetch ballots' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/retired-players
+ * Get the players who have retired from the league
+ */
+router.get('/:leagueId/retired-players', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    res.json(await getRetiredPlayers(pool, leagueId));
+  } catch (error) {
+    console.error('Error fetching retired players:', error);
+    res.status(500).json({ error: 'Failed to fetch retired players' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/rollovers
+ * Get the league's season rollovers and the steps each has left
+ */
+router.get('/:leagueId/rollovers', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    res.json(await getRollovers(pool, leagueId));
+  } catch (error) {
+    console.error('Error fetching rollovers:', error);
+    res.status(500).json({ error: 'Failed to fetch rollovers' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/phase
+ * Get the league's phase, what it allows, where it can go next and its
+ * phase history
+ */
+router.get('/:leagueId/phase', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT * FROM leagues WHERE id = $1', [leagueId]);
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const phase = await getPhase(pool, leagueResult.rows[0]);
+
+    res.json(phase);
+  } catch (error) {
+    console.error('Error fetching league phase:', error);
+    res.status(500).json({ error: 'Failed to fetch league phase' });
+  }
+});
+
+/**
+ * PUT /api/leagues/:leagueId/phase
+ * Move the league to its next phase (commissioner only)
+ */
+router.put('/:leagueId/phase', authenticate, requireCommissioner, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { phase, reason } = req.body;
+    const league = req.league;
+
+    await client.query('BEGIN');
+
+    const error = await transitionError(client, league, phase);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid phase change', details: error });
+    }
+
+    const change = await transitionPhase(client, league.id, phase, {
+      reason: reason || 'Commissioner decision',
+      userId: req.user.id
+    });
+
+    await client.query('COMMIT');
+
+    emitPhaseChange(req.app.get('io'), change);
+
+    res.json(change);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error changing league phase:', error);
+    res.status(500).json({ error: 'Failed to change league phase' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/leagues/:leagueId/rollover
+ * Move the league into its next season now, or resume a rollover that was
+ * interrupted (commissioner only)
+ */
+router.post('/:leagueId/rollover', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const league = req.league;
+
+    // Take the progression lock so the scheduler can't advance the league
+    // while the rollover is running
+    const result = await withLeagueLock(league.id, async (client) => {
+      if (!(await isRolloverDue(client, league))) {
+        return { notDue: true };
+      }
+
+      return { rollover: await rolloverSeason(client, league, req.app.get('io')) };
+    });
+
+    if (result.locked) {
+      return res.status(409).json({ error: 'League is already being advanced' });
+    }
+
+    if (result.notDue) {
+      return res.status(400).json({ error: 'The season is not over until the playoffs are complete' });
+    }
+
+    res.json(result.rollover);
+  } catch (error) {
+    console.error('Error rolling over season:', error);
+    res.status(500).json({ error: 'Failed to roll over season', details: error.message });
+  }
+});
+
+/**
+ * POST /api/leagues/:leagueId/advance
+ * Manually advance the league by `days` steps of its time ratio
+ * (commissioner only)
+ */
+router.post('/:leagueId/advance', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const league = req.league;
+    const days = req.body.days === undefined ? 1 : parseInt(req.body.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SIM_DAYS) {
+      return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_SIM_DAYS}` });
+    }
+
+    const notAllowed = phaseError(league, 'simulate');
+    if (notAllowed) {
+      return res.status(400).json({ error: notAllowed, phase: league.status });
+    }
+
+    const result = await advanceLeague(league.id, {
+      times: days,
+      trigger: 'manual',
+      userId: req.user.id,
+      io: req.app.get('io')
+    });
+
+    if (result.locked) {
+      return res.status(409).json({ error: 'League is already being advanced' });
+    }
+
+    res.json({ 
+      message: `Advanced league ${days} day(s)`,
+      currentDay: result.league.current_day,
+      currentSeason: result.league.current_season,
+      progression: result.progression
+    });
   } catch (error) {
     console.error('Error advancing league:', error);
     res.status(500).json({ error: 'Failed to advance league' });
   }
 });
 
+/**
+ * POST /api/leagues/:leagueId/sim
+ * Sim day by day until a target: a `day`, the `trade_deadline`, the
+ * `regular_season_end` or the `playoffs_end` (commissioner only). Answers
+ * once the sim is under way; progress arrives over the socket.
+ */
+router.post('/:leagueId/sim', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const league = req.league;
+    const { target, day } = req.body;
+
+    const invalid = simTargetError(league, { target, day });
+    if (invalid) {
+      return res.status(400).json({ error: invalid, phase: league.status });
+    }
+
+    const result = await startSimulation(league.id, {
+      target: { target, day: target === 'day' ? parseInt(day) : null },
+      trigger: 'sim',
+      userId: req.user.id,
+      io: req.app.get('io')
+    });
+
+    if (result.locked) {
+      return res.status(409).json({ error: 'League is already being advanced' });
+    }
+
+    res.status(202).json({ progression: result.progression });
+  } catch (error) {
+    console.error('Error starting simulation:', error);
+    res.status(500).json({ error: 'Failed to start simulation' });
+  }
+});
+
+/**
+ * POST /api/leagues/:leagueId/sim/cancel
+ * Stop the running sim after the day it's on (commissioner only)
+ */
+router.post('/:leagueId/sim/cancel', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const progression = await cancelSimulation(pool, req.league.id);
+
+    if (!progression) {
+      return res.status(400).json({ error: 'No simulation is running' });
+    }
+
+    res.json({ message: 'Simulation will stop after the current day', progression });
+  } catch (error) {
+    console.error('Error cancelling simulation:', error);
+    res.status(500).json({ error: 'Failed to cancel simulation' });
+  }
+});
+
+/**
+ * POST /api/leagues/:leagueId/pause
+ * Stop the league's clock from advancing on its own (commissioner only)
+ */
+router.post('/:leagueId/pause', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const league = await setProgressionPaused(pool, req.league.id, true, req.app.get('io'));
+
+    res.json({ leagueId: league.id, paused: league.progression_paused });
+  } catch (error) {
+    console.error('Error pausing league:', error);
+    res.status(500).json({ error: 'Failed to pause league' });
+  }
+});
+
+/**
+ * POST /api/leagues/:leagueId/resume
+ * Let the league's clock advance on its own again, starting a fresh
+ * interval from now (commissioner only)
+ */
+router.post('/:leagueId/resume', authenticate, requireCommissioner, async (req, res) => {
+  try {
+    const league = await setProgressionPaused(pool, req.league.id, false, req.app.get('io'));
+
+    res.json({ leagueId: league.id, paused: league.progression_paused });
+  } catch (error) {
+    console.error('Error resuming league:', error);
+    res.status(500).json({ error: 'Failed to resume league' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/progression
+ * Where the league's clock stands: paused, next advance, catch-up policy
+ * and days still owed from missed windows, and the run in progress
+ */
+router.get('/:leagueId/progression', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+
+    const leagueResult = await pool.query('SELECT * FROM leagues WHERE id = $1', [leagueId]);
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const status = await getProgressionStatus(pool, leagueResult.rows[0]);
+
+    res.json(status);
+  } catch (error) {
+    console.error('Error fetching league progression:', error);
+    res.status(500).json({ error: 'Failed to fetch league progression' });
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId/progressions
+ * Log of the league's clock advances, scheduled and manual, newest first
+ */
+router.get('/:leagueId/progressions', async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const leagueResult = await pool.query('SELECT id FROM leagues WHERE id = $1', [leagueId]);
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const progressions = await getProgressions(pool, leagueId, { limit });
+
+    res.json({ leagueId: parseInt(leagueId), progressions });
+  } catch (error) {
+    console.error('Error fetching league progressions:', error);
+    res.status(500).json({ error: 'Failed to fetch league progressions' });
+  }
+});
+
 module.exports = router;
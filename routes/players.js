@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/init');
+const { computeCareerStats } = require('../services/statsService');
+const { parsePagination, paginate, getPlayerGameLog } = require('../services/gameLogService');
+const { getSeasonAnalytics } = require('../services/analyticsService');
+const { getPlayerAwards } = require('../services/awardService');
 
 /**
  * GET /api/players
@@ -71,7 +75,7 @@ router.get('/', async (req, res) => {
 router.get('/:playerId', async (req, res) => {
   try {
     const { playerId } = req.params;
-    const { leagueId } = req.query;
+    const { leagueId, season } = req.query;
 
     const playerResult = await pool.query(
       'SELECT * FROM players WHERE id = $1',
@@ -107,8 +111,38 @@ router.get('/:playerId', async (req, res) => {
       );
 
       player.career_stats = statsResult.rows;
+
+      // Advanced metrics for the season, relative to the rest of the league
+      const analytics = await getSeasonAnalytics(pool, leagueId, season);
+      player.analytics = analytics
+        ? analytics.players.find(row => row.player_id === player.id) || null
+        : null;
     }
 
+    // Career totals across seasons, one entry per league
+    const careerResult = await pool.query(
+      `SELECT ps.*, l.name as league_name
+       FROM player_stats ps
+       JOIN leagues l ON ps.league_id = l.id
+       WHERE ps.player_id = $1 ${leagueId ? 'AND ps.league_id = $2' : ''}
+       ORDER BY ps.league_id, ps.season`,
+      leagueId ? [playerId, leagueId] : [playerId]
+    );
+
+    const seasonsByLeague = new Map();
+    careerResult.rows.forEach(row => {
+      if (!seasonsByLeague.has(row.league_id)) {
+        seasonsByLeague.set(row.league_id, []);
+      }
+      seasonsByLeague.get(row.league_id).push(row);
+    });
+
+    player.career_totals = [...seasonsByLeague.values()].map(rows => ({
+      league_id: rows[0].league_id,
+      league_name: rows[0].league_name,
+      ...computeCareerStats(rows)
+    }));
+
     res.json(player);
   } catch (error) {
     console.error('Error fetching player:', error);
@@ -116,6 +150,47 @@ router.get('/:playerId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/players/:playerId/awards
+ * Get the player's award finishes and All-League selections (leagueId)
+ */
+router.get('/:playerId/awards', async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { leagueId } = req.query;
+
+    res.json(await getPlayerAwards(pool, playerId, leagueId));
+  } catch (error) {
+    console.error('Error fetching player awards:', error);
+    res.status(500).json({ error: 'Failed to fetch player awards' });
+  }
+});
+
+/**
+ * GET /api/players/:playerId/game-log
+ * Get the player's game-by-game stat lines, most recent first
+ * (leagueId, season, page, limit)
+ */
+router.get('/:playerId/game-log', async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { leagueId, season } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const { rows, total } = await getPlayerGameLog(pool, playerId, {
+      leagueId,
+      season,
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json(paginate(rows, total, pagination));
+  } catch (error) {
+    console.error('Error fetching player game log:', error);
+    res.status(500).json({ error: 'Failed to fetch game log' });
+  }
+});
+
 /**
  * POST /api/players
  * Create a new player (for custom player pools)
@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/init');
+const { getInjuries } = require('../services/injuryService');
+const {
+  validateDepthChart,
+  getTeamRoster,
+  saveDepthChart,
+  resolveDepthChart
+} = require('../services/depthChartService');
+const { addStats, computeDerivedStats, computeCareerStats } = require('../services/statsService');
+const { parsePagination, paginate, getTeamGameLog } = require('../services/gameLogService');
+const { getSeasonAnalytics } = require('../services/analyticsService');
+const { getFranchiseHistory, getRetiredNumbers, retireNumber } = require('../services/historyService');
+const { ensureDraftPicks, getTeamPicks } = require('../services/draftPickService');
+const authenticate = require('../middleware/authenticate');
+const requireTeamOwner = require('../middleware/requireTeamOwner');
 
 /**
  * GET /api/teams/:teamId
@@ -182,6 +196,30 @@ router.get('/:teamId/schedule', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/teams/:teamId/game-log
+ * Get the team's completed games with scores and team totals, most recent
+ * first (season, page, limit)
+ */
+router.get('/:teamId/game-log', async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { season } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const { rows, total } = await getTeamGameLog(pool, teamId, {
+      season,
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json(paginate(rows, total, pagination));
+  } catch (error) {
+    console.error('Error fetching team game log:', error);
+    res.status(500).json({ error: 'Failed to fetch game log' });
+  }
+});
+
 /**
  * GET /api/teams/:teamId/stats
  * Get team statistics
@@ -193,7 +231,10 @@ router.get('/:teamId/stats', async (req, res) => {
 
     // Get team info
     const teamResult = await pool.query(
-      'SELECT * FROM teams WHERE id = $1',
+      `SELECT t.*, l.current_season
+       FROM teams t
+       JOIN leagues l ON t.league_id = l.id
+       WHERE t.id = $1`,
       [teamId]
     );
 
@@ -206,7 +247,7 @@ router.get('/:teamId/stats', async (req, res) => {
     // Get roster with stats
     let statsQuery = `
       SELECT p.id, p.name, p.position, p.overall_rating,
-             ps.stats, ps.games_played
+             ps.season, ps.stats, ps.games_played
       FROM players p
       JOIN team_rosters tr ON p.id = tr.player_id
       JOIN player_stats ps ON p.id = ps.player_id AND ps.league_id = tr.league_id
@@ -224,13 +265,54 @@ router.get('/:teamId/stats', async (req, res) => {
 
     const statsResult = await pool.query(statsQuery, params);
 
-    // Calculate team averages
-    const teamStats = calculateTeamStats(statsResult.rows, team);
+    // Calculate team averages for one season: the one asked for, or the current one
+    const averagesSeason = parseInt(season) || team.current_season;
+    const teamStats = calculateTeamStats(
+      statsResult.rows.filter(row => row.season === averagesSeason),
+      team
+    );
+
+    // Career totals in this league for everyone on the roster
+    const careerResult = await pool.query(
+      `SELECT p.id as player_id, p.name, p.position, ps.season, ps.games_played, ps.stats
+       FROM players p
+       JOIN team_rosters tr ON p.id = tr.player_id
+       JOIN player_stats ps ON p.id = ps.player_id AND ps.league_id = tr.league_id
+       WHERE tr.team_id = $1 AND tr.is_free_agent = false
+       ORDER BY p.id, ps.season`,
+      [teamId]
+    );
+
+    const seasonsByPlayer = new Map();
+    careerResult.rows.forEach(row => {
+      if (!seasonsByPlayer.has(row.player_id)) {
+        seasonsByPlayer.set(row.player_id, []);
+      }
+      seasonsByPlayer.get(row.player_id).push(row);
+    });
+
+    const careerTotals = [...seasonsByPlayer.values()].map(rows => ({
+      player_id: rows[0].player_id,
+      name: rows[0].name,
+      position: rows[0].position,
+      ...computeCareerStats(rows)
+    }));
+
+    // Advanced metrics for the same season, relative to the rest of the league
+    const leagueAnalytics = await getSeasonAnalytics(pool, team.league_id, averagesSeason);
+    const rosterIds = new Set(statsResult.rows.map(row => row.id));
+    const analytics = leagueAnalytics && {
+      season: leagueAnalytics.season,
+      team: leagueAnalytics.teams.find(row => row.team_id === team.id) || null,
+      players: leagueAnalytics.players.filter(row => rosterIds.has(row.player_id))
+    };
 
     res.json({
       team,
       playerStats: statsResult.rows,
-      teamAverages: teamStats
+      teamAverages: teamStats,
+      careerTotals,
+      analytics
     });
   } catch (error) {
     console.error('Error fetching team stats:', error);
@@ -238,6 +320,247 @@ router.get('/:teamId/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/teams/:teamId/injuries
+ * Get the team's injury report (status=active|healed|all, default active)
+ */
+router.get('/:teamId/injuries', async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { status = 'active' } = req.query;
+
+    const injuries = await getInjuries(pool, { teamId, status });
+    res.json(injuries);
+  } catch (error) {
+    console.error('Error fetching team injuries:', error);
+    res.status(500).json({ error: 'Failed to fetch injuries' });
+  }
+});
+
+/**
+ * GET /api/teams/:teamId/history
+ * Get the franchise's season-by-season record, retired numbers and Hall
+ * of Famers
+ */
+router.get('/:teamId/history', async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    const teamResult = await pool.query(
+      `SELECT t.*, l.current_season, l.sport
+       FROM teams t
+       JOIN leagues l ON t.league_id = l.id
+       WHERE t.id = $1`,
+      [teamId]
+    );
+
+    if (teamResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const team = teamResult.rows[0];
+    const league = { id: team.league_id, current_season: team.current_season, sport: team.sport };
+
+    res.json(await getFranchiseHistory(pool, team, league));
+  } catch (error) {
+    console.error('Error fetching franchise history:', error);
+    res.status(500).json({ error: 'Failed to fetch franchise history' });
+  }
+});
+
+/**
+ * GET /api/teams/:teamId/retired-numbers
+ * Get the numbers the team has retired
+ */
+router.get('/:teamId/retired-numbers', async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    res.json(await getRetiredNumbers(pool, teamId));
+  } catch (error) {
+    console.error('Error fetching retired numbers:', error);
+    res.status(500).json({ error: 'Failed to fetch retired numbers' });
+  }
+});
+
+/**
+ * POST /api/teams/:teamId/retired-numbers
+ * Retire a former player's number (team owner or league commissioner)
+ */
+router.post('/:teamId/retired-numbers', authenticate, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { teamId } = req.params;
+    const { playerId, number } = req.body;
+
+    const teamResult = await client.query(
+      `SELECT t.*, l.current_season, COALESCE(l.commissioner_user_id, l.owner_id) as commissioner_id
+       FROM teams t
+       JOIN leagues l ON t.league_id = l.id
+       WHERE t.id = $1`,
+      [teamId]
+    );
+
+    if (teamResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const team = teamResult.rows[0];
+
+    if (team.user_id !== req.user.id && team.commissioner_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the team owner or commissioner can retire numbers' });
+    }
+
+    await client.query('BEGIN');
+
+    const league = { id: team.league_id, current_season: team.current_season };
+    const result = await retireNumber(client, team, league, { playerId, number });
+
+    if (result.errors) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Could not retire number', details: result.errors });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json(result.retiredNumber);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error retiring number:', error);
+    res.status(500).json({ error: 'Failed to retire number' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/teams/:teamId/draft-picks
+ * Get the draft picks the team owns, this season's and future ones, and
+ * its own picks that now belong to other teams
+ */
+router.get('/:teamId/draft-picks', async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    const leagueResult = await pool.query(
+      `SELECT l.*
+       FROM teams t
+       JOIN leagues l ON t.league_id = l.id
+       WHERE t.id = $1`,
+      [teamId]
+    );
+
+    if (leagueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // Leagues that existed before picks did get theirs on first look
+    await ensureDraftPicks(pool, leagueResult.rows[0]);
+
+    res.json(await getTeamPicks(pool, teamId));
+  } catch (error) {
+    console.error('Error fetching draft picks:', error);
+    res.status(500).json({ error: 'Failed to fetch draft picks' });
+  }
+});
+
+/**
+ * GET /api/teams/:teamId/depth-chart
+ * Get the team's depth chart, generating one if the team has none
+ */
+router.get('/:teamId/depth-chart', async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    const teamResult = await pool.query(
+      `SELECT t.id, t.name, l.sport
+       FROM teams t
+       JOIN leagues l ON t.league_id = l.id
+       WHERE t.id = $1`,
+      [teamId]
+    );
+
+    if (teamResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const team = teamResult.rows[0];
+    const depthChart = await resolveDepthChart(pool, team, team.sport);
+
+    if (!depthChart) {
+      return res.status(404).json({ error: 'Team has no players' });
+    }
+
+    res.json({ ...depthChart, sport: team.sport, managed: depthChart.source === 'manual' });
+  } catch (error) {
+    console.error('Error fetching depth chart:', error);
+    res.status(500).json({ error: 'Failed to fetch depth chart' });
+  }
+});
+
+/**
+ * PUT /api/teams/:teamId/depth-chart
+ * Set the team's depth chart (team's GM only). The simulation uses it as
+ * set, filling in for players who are injured or no longer on the team.
+ */
+router.put('/:teamId/depth-chart', authenticate, requireTeamOwner, async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    const teamResult = await pool.query(
+      `SELECT t.id, l.sport
+       FROM teams t
+       JOIN leagues l ON t.league_id = l.id
+       WHERE t.id = $1`,
+      [teamId]
+    );
+
+    if (teamResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { sport } = teamResult.rows[0];
+    const roster = await getTeamRoster(pool, teamId);
+    const { chart, errors } = validateDepthChart(sport, req.body, roster);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid depth chart', details: errors });
+    }
+
+    const depthChart = await saveDepthChart(
+      pool,
+      teamId,
+      chart,
+      'manual',
+      roster.map(p => p.id).sort((a, b) => a - b)
+    );
+
+    res.json({ ...depthChart, sport, managed: true });
+  } catch (error) {
+    console.error('Error updating depth chart:', error);
+    res.status(500).json({ error: 'Failed to update depth chart' });
+  }
+});
+
+/**
+ * DELETE /api/teams/:teamId/depth-chart
+ * Stop managing the depth chart and let the AI coach set it again (team's
+ * GM only)
+ */
+router.delete('/:teamId/depth-chart', authenticate, requireTeamOwner, async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    await pool.query('DELETE FROM depth_charts WHERE team_id = $1', [teamId]);
+
+    res.json({ message: 'Depth chart reset to automatic' });
+  } catch (error) {
+    console.error('Error resetting depth chart:', error);
+    res.status(500).json({ error: 'Failed to reset depth chart' });
+  }
+});
+
 /**
  * DELETE /api/teams/:teamId/players/:playerId
  * Release a player from the team (make them a free agent)
@@ -302,35 +625,18 @@ function calculateTeamStats(playerStats, team) {
     return null;
   }
 
-  // This is sport-specific - example for NBA
-  const stats = {
-    ppg: 0,
-    apg: 0,
-    rpg: 0,
-    fg_percentage: 0,
+  // Team totals are the sum of the players' totals; the team has played
+  // as many games as its most used player
+  const totals = playerStats.reduce((sum, player) => addStats(sum, player.stats?.totals || {}), {});
+  const games = Math.max(...playerStats.map(player => player.games_played || 0));
+
+  return {
+    ...computeDerivedStats(totals, games),
+    games,
     wins: team.wins,
     losses: team.losses,
     win_percentage: team.wins / (team.wins + team.losses) || 0
   };
-
-  let totalGames = 0;
-
-  playerStats.forEach(player => {
-    if (player.stats && player.games_played) {
-      const playerAvg = player.stats;
-      stats.ppg += (playerAvg.ppg || 0);
-      stats.apg += (playerAvg.apg || 0);
-      stats.rpg += (playerAvg.rpg || 0);
-      stats.fg_percentage += (playerAvg.fg || 0);
-      totalGames = Math.max(totalGames, player.games_played);
-    }
-  });
-
-  if (playerStats.length > 0) {
-    stats.fg_percentage /= playerStats.length;
-  }
-
-  return stats;
 }
 
 module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const { pool } = require('../database/init');
 const { evaluateTradeProposal } = require('../services/aiService');
 const { emitToTeam } = require('../services/websocketService');
+const { checkPhase } = require('../services/leaguePhaseService');
+const { describePick, getPicksByIds, normalizeTradePicks, validateTradePicks, transferPicks } = require('../services/draftPickService');
+const requirePhase = require('../middleware/requirePhase');
 
 /**
  * GET /api/trades/league/:leagueId
@@ -60,15 +63,19 @@ router.get('/team/:teamId/incoming', async (req, res) => {
       [teamId]
     );
 
-    // Get player details for each trade
+    // Get player and draft pick details for each trade
     const tradesWithPlayers = await Promise.all(result.rows.map(async (trade) => {
       const offeringPlayers = await getPlayersByIds(trade.offering_players);
       const requestingPlayers = await getPlayersByIds(trade.requesting_players);
+      const offeringPicks = await getTradePicks(trade.offering_picks);
+      const requestingPicks = await getTradePicks(trade.requesting_picks);
 
       return {
         ...trade,
         offering_players: offeringPlayers,
-        requesting_players: requestingPlayers
+        requesting_players: requestingPlayers,
+        offering_picks: offeringPicks,
+        requesting_picks: requestingPicks
       };
     }));
 
@@ -81,9 +88,11 @@ router.get('/team/:teamId/incoming', async (req, res) => {
 
 /**
  * POST /api/trades
- * Create a new trade proposal
+ * Create a new trade proposal. Draft picks go in `offeringPickIds` and
+ * `requestingPickIds`, as ids or `{ id, protection }` for a top-N
+ * protected pick.
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePhase('trade'), async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -93,6 +102,8 @@ router.post('/', async (req, res) => {
       receivingTeamId,
       offeringPlayerIds,
       requestingPlayerIds,
+      offeringPickIds,
+      requestingPickIds,
       message
     } = req.body;
 
@@ -109,9 +120,28 @@ router.post('/', async (req, res) => {
     const proposingTeam = teamsResult.rows.find(t => t.id === proposingTeamId);
     const receivingTeam = teamsResult.rows.find(t => t.id === receivingTeamId);
 
-    // Get player details
+    // Draft picks must belong to the team giving them up
+    const teamCount = await client.query('SELECT COUNT(*) FROM teams WHERE league_id = $1', [leagueId]);
+    const offered = normalizeTradePicks(offeringPickIds, parseInt(teamCount.rows[0].count));
+    const requested = normalizeTradePicks(requestingPickIds, parseInt(teamCount.rows[0].count));
+    const pickErrors = [...(offered.errors || []), ...(requested.errors || [])];
+
+    if (pickErrors.length === 0) {
+      pickErrors.push(
+        ...await validateTradePicks(client, req.league, proposingTeamId, offered.picks),
+        ...await validateTradePicks(client, req.league, receivingTeamId, requested.picks)
+      );
+    }
+
+    if (pickErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid draft picks', details: pickErrors });
+    }
+
+    // Get player and draft pick details
     const offeringPlayers = await getPlayersWithContracts(client, offeringPlayerIds, leagueId);
     const requestingPlayers = await getPlayersWithContracts(client, requestingPlayerIds, leagueId);
+    const offeringPicks = withProtections(await getPicksByIds(client, offered.picks.map(pick => pick.id)), offered.picks);
+    const requestingPicks = withProtections(await getPicksByIds(client, requested.picks.map(pick => pick.id)), requested.picks);
 
     // Use AI to evaluate the trade
     const evaluation = await evaluateTradeProposal(
@@ -119,21 +149,26 @@ router.post('/', async (req, res) => {
       proposingTeam,
       receivingTeam,
       offeringPlayers,
-      requestingPlayers
+      requestingPlayers,
+      offeringPicks,
+      requestingPicks
     );
 
     // Create the trade
     const result = await client.query(
       `INSERT INTO trades 
-       (league_id, proposing_team_id, receiving_team_id, offering_players, requesting_players, message, ai_evaluation, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       (league_id, proposing_team_id, receiving_team_id, offering_players, requesting_players,
+        offering_picks, requesting_picks, message, ai_evaluation, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
       [
         leagueId,
         proposingTeamId,
         receivingTeamId,
-        JSON.stringify(offeringPlayerIds),
-        JSON.stringify(requestingPlayerIds),
+        JSON.stringify(offeringPlayerIds || []),
+        JSON.stringify(requestingPlayerIds || []),
+        JSON.stringify(offered.picks),
+        JSON.stringify(requested.picks),
         message,
         JSON.stringify(evaluation),
         'pending'
@@ -155,6 +190,8 @@ router.post('/', async (req, res) => {
       ...trade,
       offering_players: offeringPlayers,
       requesting_players: requestingPlayers,
+      offering_picks: offeringPicks,
+      requesting_picks: requestingPicks,
       evaluation
     });
   } catch (error) {
@@ -193,6 +230,13 @@ router.put('/:tradeId/accept', async (req, res) => {
       return res.status(400).json({ error: 'Trade is not pending' });
     }
 
+    // A trade proposed before the deadline can't go through after it
+    const phase = await checkPhase(client, trade.league_id, 'trade');
+    if (phase.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: phase.error, phase: phase.league.status });
+    }
+
     // Transfer players
     const offeringPlayerIds = trade.offering_players;
     const requestingPlayerIds = trade.requesting_players;
@@ -213,6 +257,22 @@ router.put('/:tradeId/accept', async (req, res) => {
       );
     }
 
+    // Picks may have been traded elsewhere since the proposal
+    const offeringPicks = trade.offering_picks || [];
+    const requestingPicks = trade.requesting_picks || [];
+    const pickErrors = [
+      ...await validateTradePicks(client, phase.league, trade.proposing_team_id, offeringPicks),
+      ...await validateTradePicks(client, phase.league, trade.receiving_team_id, requestingPicks)
+    ];
+
+    if (pickErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Draft picks in this trade are no longer available', details: pickErrors });
+    }
+
+    await transferPicks(client, offeringPicks, trade.receiving_team_id);
+    await transferPicks(client, requestingPicks, trade.proposing_team_id);
+
     // Update team salaries
     await updateTeamSalaries(client, trade.proposing_team_id);
     await updateTeamSalaries(client, trade.receiving_team_id);
@@ -312,6 +372,24 @@ async function getPlayersByIds(playerIds) {
   return result.rows;
 }
 
+/**
+ * Helper function to get a trade's draft picks, with the protections the
+ * trade would add
+ */
+async function getTradePicks(tradePicks) {
+  if (!tradePicks || tradePicks.length === 0) return [];
+
+  const picks = await getPicksByIds(pool, tradePicks.map(pick => pick.id));
+  return withProtections(picks, tradePicks);
+}
+
+function withProtections(picks, tradePicks) {
+  return picks.map(pick => {
+    const { protection } = tradePicks.find(tradePick => tradePick.id === pick.id) || {};
+    return protection ? { ...pick, protection, description: describePick({ ...pick, protection }) } : pick;
+  });
+}
+
 /**
  * Helper function to update team total salary
  */
@@ -18,7 +18,8 @@ const draftRoutes = require('./routes/draft');
 const nbaRoutes = require('./routes/nba');
 
 const { initializeDatabase } = require('./database/init');
-const { processLeagueDay } = require('./services/timeProgressionService');
+const { processDueLeagues } = require('./services/progressionService');
+const { tickDraftClocks } = require('./services/draftClockService');
 const { setupWebSocketHandlers } = require('./services/websocketService');
 
 const app = express();
@@ -85,12 +86,15 @@ setupWebSocketHandlers(io);
 // Time progression scheduler - runs every minute
 cron.schedule('* * * * *', async () => {
   try {
-    await processLeagueDay(io);
+    await processDueLeagues(io);
   } catch (error) {
     console.error('Error in time progression:', error);
   }
 });
 
+// Draft pick clocks - tick every second
+cron.schedule('* * * * * *', () => tickDraftClocks(io));
+
 // Initialize database and start server
 const PORT = process.env.PORT || 5000;
 
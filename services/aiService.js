@@ -5,43 +5,54 @@ const anthropic = new Anthropic({
 });
 
 /**
- * Generate game narrative and stats for a matchup
+ * Generate a game narrative from a simulated result
+ *
+ * The score and box score come from the simulation engine; the model only
+ * writes the story around them.
  */
-async function generateGameNarrative(homeTeam, awayTeam, homeRoster, awayRoster, gameContext) {
-  const prompt = `You are simulating an ${gameContext.sport} game between ${homeTeam.name} (home) and ${awayTeam.name} (away).
+async function generateGameNarrative(homeTeam, awayTeam, gameResult, gameContext) {
+  const formatLines = (players) => players
+    .map(p => `- ${p.name} (${p.position}): ${Object.entries(p.stats).map(([key, value]) => `${key} ${value}`).join(', ')}`)
+    .join('\n');
 
-Home Team Roster:
-${homeRoster.map(p => `- ${p.name} (${p.position}, Overall: ${p.overall_rating})`).join('\n')}
+  // Baseball results carry separate batting and pitching box scores
+  const formatBoxScore = (side) => gameResult.batting
+    ? `Batting:\n${formatLines(gameResult.batting[side])}\nPitching:\n${formatLines(gameResult.pitching[side])}`
+    : formatLines(gameResult.playerStats[side]);
 
-Away Team Roster:
-${awayRoster.map(p => `- ${p.name} (${p.position}, Overall: ${p.overall_rating})`).join('\n')}
+  const formatLineScore = (periods) => periods.map(runs => (runs === null ? 'X' : runs)).join(' ');
 
-Generate a realistic game simulation with:
-1. Final score
-2. Individual player statistics (realistic based on their overall ratings)
-3. A 3-4 paragraph narrative describing the key moments of the game
-4. Game highlights (3-5 key plays or moments)
+  const injuries = gameResult.injuries || [];
+  const injuryNotes = injuries.length > 0
+    ? `\nInjuries in this game:\n${injuries.map(i => `- ${i.name} (${i.team === 'home' ? homeTeam.name : awayTeam.name}): ${i.type}, expected out ${i.daysOut} days`).join('\n')}\n`
+    : '';
+
+  const prompt = `You are a sports writer covering an ${gameContext.sport} game between ${homeTeam.name} (home) and ${awayTeam.name} (away).
+
+Final score: ${homeTeam.name} ${gameResult.homeScore} - ${gameResult.awayScore} ${awayTeam.name}
+Line score:
+${awayTeam.name}: ${formatLineScore(gameResult.lineScore.away)}
+${homeTeam.name}: ${formatLineScore(gameResult.lineScore.home)}
+
+${homeTeam.name} box score:
+${formatBoxScore('home')}
+
+${awayTeam.name} box score:
+${formatBoxScore('away')}
+${injuryNotes}
+Write a 3-4 paragraph narrative describing the key moments of the game and 3-5 highlights.
+Only use the score and statistics above - do not invent or change any numbers.
 
 Format your response as JSON:
 {
-  "homeScore": number,
-  "awayScore": number,
   "narrative": "detailed game story",
-  "highlights": ["highlight 1", "highlight 2", ...],
-  "playerStats": {
-    "home": [{"playerId": id, "name": "name", "stats": {...}}],
-    "away": [{"playerId": id, "name": "name", "stats": {...}}]
-  }
-}
-
-For ${gameContext.sport === 'NBA' ? 'basketball' : 'baseball'}, include appropriate stats like ${gameContext.sport === 'NBA' ? 'points, rebounds, assists, steals, blocks, FG%, 3P%, FT%' : 'hits, runs, RBIs, home runs, stolen bases, batting average, ERA for pitchers'}.
-
-Make the stats realistic - star players (90+ overall) should have better performances, but allow for upsets and variance.`;
+  "highlights": ["highlight 1", "highlight 2", ...]
+}`;
 
   try {
     const message = await anthropic.messages.create({
       model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
+      max_tokens: 2000,
       messages: [{
         role: 'user',
         content: prompt
@@ -61,14 +72,24 @@ Make the stats realistic - star players (90+ overall) should have better perform
     return JSON.parse(jsonText.trim());
   } catch (error) {
     console.error('Error generating game narrative:', error);
-    throw error;
+    const homeWon = gameResult.homeScore > gameResult.awayScore;
+    const winner = homeWon ? homeTeam.name : awayTeam.name;
+    const loser = homeWon ? awayTeam.name : homeTeam.name;
+    return {
+      narrative: `${winner} beat ${loser} ${Math.max(gameResult.homeScore, gameResult.awayScore)}-${Math.min(gameResult.homeScore, gameResult.awayScore)}.`,
+      highlights: gameResult.topPerformers || []
+    };
   }
 }
 
 /**
  * Generate daily storylines for the league
  */
-async function generateDailyStorylines(league, teams, recentGames, leagueContext) {
+async function generateDailyStorylines(league, teams, recentGames, leagueContext, injuries = []) {
+  const injuryReport = injuries.length > 0
+    ? injuries.map(i => `- ${i.player_name} (${i.team_name}): ${i.injury_type}, ${i.severity}, expected back day ${i.expected_return_day}`).join('\n')
+    : 'No players are currently injured.';
+
   const prompt = `You are generating daily storylines for a ${league.sport} league on Day ${league.current_day}, Season ${league.current_season}.
 
 League: ${league.name}
@@ -77,13 +98,16 @@ Teams: ${teams.map(t => `${t.name} (${t.wins}-${t.losses})`).join(', ')}
 Recent Games:
 ${recentGames.map(g => `${g.home_team_name} ${g.home_score} - ${g.away_score} ${g.away_team_name}`).join('\n')}
 
+Current Injuries:
+${injuryReport}
+
 ${leagueContext ? `Context: ${leagueContext}` : ''}
 
 Generate 2-4 interesting storylines that could emerge. These could be:
 - Player performance trends or breakouts
 - Team winning/losing streaks
 - Rivalries developing
-- Injury reports
+- Injury reports (only about the injuries listed above - never invent an injury)
 - Trade rumors
 - Coaching decisions
 - Playoff implications
@@ -118,7 +142,12 @@ Make storylines engaging and realistic for a sports league simulation.`;
       jsonText = responseText.match(/```\n([\s\S]*?)\n```/)?.[1] || responseText;
     }
     
-    return JSON.parse(jsonText.trim());
+    const storylines = JSON.parse(jsonText.trim());
+
+    // Drop injury stories that are not about a real, current injury
+    const injuredNames = new Set(injuries.map(i => i.player_name));
+    return storylines.filter(storyline => storyline.type !== 'injury' ||
+      (storyline.entities?.players || []).some(name => injuredNames.has(name)));
   } catch (error) {
     console.error('Error generating storylines:', error);
     return [];
@@ -128,14 +157,19 @@ Make storylines engaging and realistic for a sports league simulation.`;
 /**
  * Evaluate a trade proposal
  */
-async function evaluateTradeProposal(trade, proposingTeam, receivingTeam, offeringPlayers, requestingPlayers) {
+async function evaluateTradeProposal(trade, proposingTeam, receivingTeam, offeringPlayers, requestingPlayers, offeringPicks = [], requestingPicks = []) {
+  const describeAssets = (players, picks) => [
+    ...players.map(p => `${p.name} (${p.position}, Overall: ${p.overall_rating}, ${p.contract_years}yr/$${(p.contract_salary/1000000).toFixed(1)}M)`),
+    ...picks.map(pick => `${pick.original_team_name} ${pick.season} round ${pick.round} pick${pick.protection ? ` (top-${pick.protection} protected)` : ''}`)
+  ].join(', ');
+
   const prompt = `Evaluate this trade proposal:
 
 Proposing Team: ${proposingTeam.name}
-Offering: ${offeringPlayers.map(p => `${p.name} (${p.position}, Overall: ${p.overall_rating}, ${p.contract_years}yr/$${(p.contract_salary/1000000).toFixed(1)}M)`).join(', ')}
+Offering: ${describeAssets(offeringPlayers, offeringPicks)}
 
 Receiving Team: ${receivingTeam.name}
-Requesting: ${requestingPlayers.map(p => `${p.name} (${p.position}, Overall: ${p.overall_rating}, ${p.contract_years}yr/$${(p.contract_salary/1000000).toFixed(1)}M)`).join(', ')}
+Requesting: ${describeAssets(requestingPlayers, requestingPicks)}
 
 Provide a brief evaluation (2-3 sentences) from the perspective of the receiving team's GM. Consider:
 - Player value and fit
@@ -293,10 +327,126 @@ Return JSON array of updates:
   }
 }
 
+/**
+ * Write the announcement storylines for a season's award winners
+ *
+ * The winners and vote shares come from the simulated voting; the model
+ * only writes them up.
+ */
+async function generateAwardAnnouncements(league, season, winners) {
+  const lines = winners.map(w => `- ${w.label}${w.selection === 'Winner' ? '' : ` (${w.selection})`}: ${w.name}, ${w.teamName || 'no team'} (${Math.round(w.voteShare * 100)}% vote share, ${w.firstPlaceVotes} first-place votes)`);
+
+  const prompt = `You are a sports writer covering the season ${season} awards in the ${league.sport} league "${league.name}".
+
+Results:
+${lines.join('\n')}
+
+Write one storyline per individual award and one for the All-League teams. Only use the names and numbers above - do not invent or change any results.
+
+Format as JSON array:
+[
+  {
+    "type": "awards",
+    "title": "headline",
+    "content": "1-2 paragraph story",
+    "entities": {"teams": [], "players": []}
+  }
+]`;
+
+  try {
+    const message = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 2000,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    });
+
+    const responseText = message.content[0].text;
+    let jsonText = responseText;
+    if (responseText.includes('```json')) {
+      jsonText = responseText.match(/```json\n([\s\S]*?)\n```/)?.[1] || responseText;
+    } else if (responseText.includes('```')) {
+      jsonText = responseText.match(/```\n([\s\S]*?)\n```/)?.[1] || responseText;
+    }
+
+    return JSON.parse(jsonText.trim());
+  } catch (error) {
+    console.error('Error generating award announcements:', error);
+    return winners
+      .filter(w => w.selection === 'Winner')
+      .map(w => ({
+        type: 'awards',
+        title: `${w.name} wins ${w.label}`,
+        content: `${w.name} of the ${w.teamName || 'league'} has been named season ${season} ${w.label} with ${Math.round(w.voteShare * 100)}% of the vote.`,
+        entities: { teams: w.teamName ? [w.teamName] : [], players: [w.name] }
+      }));
+  }
+}
+
+/**
+ * Have an AI coach set the depth chart for a team nobody manages.
+ * Returns null when no usable chart comes back.
+ */
+async function generateDepthChart(team, roster, sport) {
+  const format = sport === 'MLB'
+    ? `{
+  "battingOrder": [{"playerId": number, "position": "C|1B|2B|3B|SS|LF|CF|RF|DH"}] (exactly 9, each position once),
+  "rotation": [pitcher playerIds] (4-5 starting pitchers),
+  "bullpen": {
+    "closer": playerId,
+    "setup": [playerIds],
+    "middle": [playerIds],
+    "long": [playerIds]
+  }
+}`
+    : `{
+  "starters": [5 playerIds],
+  "minutes": {"playerId": minutes} (every player listed, 0-48 each, adding up to exactly 240)
+}`;
+
+  const prompt = `You are the head coach of the ${team.name} in a ${sport} league. Set the depth chart for your next game.
+
+Roster:
+${roster.map(p => `- id ${p.id}: ${p.name} (${p.position}), Overall ${p.overall_rating}`).join('\n')}
+
+Use only the player ids above. Play your best players the most, but keep a realistic rotation.
+
+Return JSON in this format:
+${format}`;
+
+  try {
+    const message = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 1500,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    });
+
+    const responseText = message.content[0].text;
+    let jsonText = responseText;
+    if (responseText.includes('```json')) {
+      jsonText = responseText.match(/```json\n([\s\S]*?)\n```/)?.[1] || responseText;
+    } else if (responseText.includes('```')) {
+      jsonText = responseText.match(/```\n([\s\S]*?)\n```/)?.[1] || responseText;
+    }
+
+    return JSON.parse(jsonText.trim());
+  } catch (error) {
+    console.error('Error generating depth chart:', error);
+    return null;
+  }
+}
+
 module.exports = {
   generateGameNarrative,
   generateDailyStorylines,
   evaluateTradeProposal,
   generateContractResponse,
-  generatePlayerDevelopment
+  generatePlayerDevelopment,
+  generateAwardAnnouncements,
+  generateDepthChart
 };
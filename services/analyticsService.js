@@ -0,0 +1,597 @@
+const { addStats } = require('./statsService');
+
+/**
+ * Advanced, league-relative metrics for a season, built from the per-game
+ * lines in `player_game_stats`.
+ *
+ * Each player's team context (team and opponent totals, scoring margin) is
+ * summed over the games that player actually appeared in, so usage, on/off
+ * and ratings follow players who changed teams mid-season.
+ *
+ * NBA: PER (Hollinger, scaled so the league average is 15), TS%, eFG%,
+ * usage, on/off and simplified Dean Oliver offensive/defensive ratings.
+ * MLB: OPS+, ERA+ (no park factors), FIP, WHIP and a simplified WAR that
+ * adds wOBA batting runs, baserunning, position and replacement level for
+ * hitters, and FIP-based runs for pitchers.
+ */
+
+const LEAGUE_AVERAGE_PER = 15;
+
+// wOBA linear weights and the scale that turns wOBA into runs
+const WOBA_WEIGHTS = { bb: 0.69, hbp: 0.72, single: 0.89, doubles: 1.27, triples: 1.62, hr: 2.10 };
+const WOBA_SCALE = 1.15;
+
+// Runs per 600 plate appearances
+const REPLACEMENT_RUNS = 20;
+const POSITION_RUNS = {
+  C: 12.5, SS: 7.5, '2B': 2.5, '3B': 2.5, CF: 2.5,
+  LF: -7.5, RF: -7.5, OF: -5, '1B': -12.5, DH: -17.5
+};
+
+// A replacement-level pitcher allows about a run per nine more than average
+const REPLACEMENT_FIP_MARGIN = 1;
+const PYTHAGOREAN_EXPONENT = { NBA: 14, MLB: 1.83 };
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function safeDivide(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+function stat(totals, key) {
+  return (totals && totals[key]) || 0;
+}
+
+/**
+ * Load every player line of a season, with the score of the game it came from
+ */
+async function loadSeasonLines(db, leagueId, season) {
+  const result = await db.query(
+    `SELECT pgs.game_id, pgs.player_id, pgs.team_id, pgs.stats,
+            p.name, p.position, t.name as team_name,
+            CASE WHEN pgs.is_home THEN g.home_score ELSE g.away_score END as team_score,
+            CASE WHEN pgs.is_home THEN g.away_score ELSE g.home_score END as opponent_score
+     FROM player_game_stats pgs
+     JOIN players p ON pgs.player_id = p.id
+     JOIN games g ON pgs.game_id = g.id
+     LEFT JOIN teams t ON pgs.team_id = t.id
+     WHERE pgs.league_id = $1 AND pgs.season = $2 AND g.game_type = 'regular'`,
+    [leagueId, season]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Sum the lines into per-game team totals, season team totals, and player
+ * totals with their team context
+ */
+function aggregateLines(lines) {
+  const teamGames = new Map();
+  lines.forEach(line => {
+    const key = `${line.game_id}:${line.team_id}`;
+    const current = teamGames.get(key) || {
+      gameId: line.game_id,
+      teamId: line.team_id,
+      teamName: line.team_name,
+      totals: {},
+      score: line.team_score || 0,
+      opponentScore: line.opponent_score || 0
+    };
+    current.totals = addStats(current.totals, line.stats);
+    teamGames.set(key, current);
+  });
+
+  // Pair each team's game with its opponent's
+  const byGame = new Map();
+  teamGames.forEach(teamGame => {
+    byGame.set(teamGame.gameId, [...(byGame.get(teamGame.gameId) || []), teamGame]);
+  });
+  teamGames.forEach(teamGame => {
+    const opponent = byGame.get(teamGame.gameId).find(other => other !== teamGame);
+    teamGame.opponentTotals = opponent ? opponent.totals : {};
+  });
+
+  const teams = new Map();
+  teamGames.forEach(teamGame => {
+    const current = teams.get(teamGame.teamId) || {
+      teamId: teamGame.teamId,
+      name: teamGame.teamName,
+      games: 0,
+      wins: 0,
+      totals: {},
+      opponentTotals: {},
+      pointsFor: 0,
+      pointsAgainst: 0
+    };
+    current.games += 1;
+    current.wins += teamGame.score > teamGame.opponentScore ? 1 : 0;
+    current.totals = addStats(current.totals, teamGame.totals);
+    current.opponentTotals = addStats(current.opponentTotals, teamGame.opponentTotals);
+    current.pointsFor += teamGame.score;
+    current.pointsAgainst += teamGame.opponentScore;
+    teams.set(teamGame.teamId, current);
+  });
+
+  const players = new Map();
+  const stints = new Map();
+  lines.forEach(line => {
+    const teamGame = teamGames.get(`${line.game_id}:${line.team_id}`);
+    const addLine = (map, key) => {
+      const current = map.get(key) || {
+        playerId: line.player_id,
+        name: line.name,
+        position: line.position,
+        teamIds: [],
+        games: 0,
+        totals: {},
+        teamTotals: {},
+        opponentTotals: {},
+        margin: 0
+      };
+      if (!current.teamIds.includes(line.team_id)) current.teamIds.push(line.team_id);
+      current.games += 1;
+      current.totals = addStats(current.totals, line.stats);
+      current.teamTotals = addStats(current.teamTotals, teamGame.totals);
+      current.opponentTotals = addStats(current.opponentTotals, teamGame.opponentTotals);
+      current.margin += teamGame.score - teamGame.opponentScore;
+      map.set(key, current);
+    };
+
+    addLine(players, line.player_id);
+    addLine(stints, `${line.player_id}:${line.team_id}`);
+  });
+
+  return { teams, players, stints };
+}
+
+/**
+ * Estimated possessions for a team, averaged with its opponents' estimate
+ */
+function possessions(team, opponent) {
+  const estimate = (offense, defense) =>
+    stat(offense, 'fga') + 0.4 * stat(offense, 'fta') + stat(offense, 'tov')
+    - 1.07 * safeDivide(stat(offense, 'oreb'), stat(offense, 'oreb') + stat(defense, 'dreb'))
+      * (stat(offense, 'fga') - stat(offense, 'fgm'));
+
+  return 0.5 * (estimate(team, opponent) + estimate(opponent, team));
+}
+
+/**
+ * Game minutes played, from player minutes summed over five on the floor
+ */
+function gameMinutes(teamTotals) {
+  return stat(teamTotals, 'min') / 5;
+}
+
+function trueShooting(totals) {
+  return safeDivide(stat(totals, 'pts'), 2 * (stat(totals, 'fga') + 0.44 * stat(totals, 'fta')));
+}
+
+function effectiveFieldGoal(totals) {
+  return safeDivide(stat(totals, 'fgm') + 0.5 * stat(totals, 'fg3m'), stat(totals, 'fga'));
+}
+
+/**
+ * League-wide constants for basketball metrics
+ */
+function basketballLeague(teams) {
+  let totals = {};
+  let poss = 0;
+  teams.forEach(team => {
+    totals = addStats(totals, team.totals);
+    poss += possessions(team.totals, team.opponentTotals);
+  });
+
+  const fgm = stat(totals, 'fgm');
+  const ftm = stat(totals, 'ftm');
+  const reb = stat(totals, 'reb');
+
+  return {
+    totals,
+    pace: safeDivide(48 * poss, gameMinutes(totals)),
+    rating: safeDivide(100 * stat(totals, 'pts'), poss),
+    factor: (2 / 3) - safeDivide(0.5 * safeDivide(stat(totals, 'ast'), fgm), 2 * safeDivide(fgm, ftm)),
+    vop: safeDivide(stat(totals, 'pts'), stat(totals, 'fga') - stat(totals, 'oreb') + stat(totals, 'tov') + 0.44 * stat(totals, 'fta')),
+    drbPct: safeDivide(reb - stat(totals, 'oreb'), reb),
+    ts_pct: trueShooting(totals),
+    efg_pct: effectiveFieldGoal(totals)
+  };
+}
+
+/**
+ * Hollinger's unadjusted PER
+ */
+function unadjustedPer(t, team, league) {
+  const minutes = stat(t, 'min');
+  if (minutes <= 0) return 0;
+
+  const teamAssistRate = safeDivide(stat(team, 'ast'), stat(team, 'fgm'));
+  const { factor, vop, drbPct } = league;
+  const lg = league.totals;
+
+  const value =
+    stat(t, 'fg3m')
+    + (2 / 3) * stat(t, 'ast')
+    + (2 - factor * teamAssistRate) * stat(t, 'fgm')
+    + stat(t, 'ftm') * 0.5 * (1 + (1 - teamAssistRate) + (2 / 3) * teamAssistRate)
+    - vop * stat(t, 'tov')
+    - vop * drbPct * (stat(t, 'fga') - stat(t, 'fgm'))
+    - vop * 0.44 * (0.44 + 0.56 * drbPct) * (stat(t, 'fta') - stat(t, 'ftm'))
+    + vop * (1 - drbPct) * (stat(t, 'reb') - stat(t, 'oreb'))
+    + vop * drbPct * stat(t, 'oreb')
+    + vop * stat(t, 'stl')
+    + vop * drbPct * stat(t, 'blk')
+    - stat(t, 'pf') * (safeDivide(stat(lg, 'ftm'), stat(lg, 'pf')) - 0.44 * safeDivide(stat(lg, 'fta'), stat(lg, 'pf')) * vop);
+
+  return value / minutes;
+}
+
+/**
+ * Points produced per 100 possessions used, crediting passers for half of
+ * an assisted basket. Possessions used are scaled so a team's players add
+ * up to the team's possessions, since offensive rebounds extend them.
+ */
+function offensiveRating(t, team, opponent) {
+  const assistedShare = Math.min(1, safeDivide(stat(team, 'ast'), stat(team, 'fgm')));
+  const pointsPerMake = safeDivide(stat(team, 'pts') - stat(team, 'ftm'), stat(team, 'fgm'));
+  const possessionScale = safeDivide(
+    possessions(team, opponent),
+    stat(team, 'fga') + 0.44 * stat(team, 'fta') + stat(team, 'tov')
+  );
+
+  const produced = stat(t, 'pts')
+    - 0.5 * assistedShare * (stat(t, 'pts') - stat(t, 'ftm'))
+    + 0.5 * stat(t, 'ast') * pointsPerMake;
+  const used = (
+    stat(t, 'fga')
+    - 0.5 * assistedShare * stat(t, 'fgm')
+    + 0.44 * stat(t, 'fta')
+    + stat(t, 'tov')
+    + 0.5 * stat(t, 'ast')
+  ) * possessionScale;
+
+  return safeDivide(100 * produced, used);
+}
+
+/**
+ * Dean Oliver's individual defensive rating: the team's rating moved a
+ * fifth of the way towards what the player's stop rate suggests
+ */
+function defensiveRating(t, team, opponent) {
+  const teamPoss = possessions(team, opponent);
+  const teamRating = safeDivide(100 * stat(opponent, 'pts'), teamPoss);
+  const minutes = stat(t, 'min');
+
+  const opponentFgPct = safeDivide(stat(opponent, 'fgm'), stat(opponent, 'fga'));
+  const opponentOrbPct = safeDivide(stat(opponent, 'oreb'), stat(opponent, 'oreb') + stat(team, 'dreb'));
+  const forcedMissWeight = safeDivide(
+    opponentFgPct * (1 - opponentOrbPct),
+    opponentFgPct * (1 - opponentOrbPct) + (1 - opponentFgPct) * opponentOrbPct
+  );
+  const opponentFtPct = safeDivide(stat(opponent, 'ftm'), stat(opponent, 'fta'));
+
+  // Stops the player made, plus a minutes share of the team's other stops
+  const individualStops = stat(t, 'stl')
+    + stat(t, 'blk') * forcedMissWeight * (1 - 1.07 * opponentOrbPct)
+    + stat(t, 'dreb') * (1 - forcedMissWeight);
+  const teamStops = (
+    safeDivide(stat(opponent, 'fga') - stat(opponent, 'fgm') - stat(team, 'blk'), stat(team, 'min'))
+      * forcedMissWeight * (1 - 1.07 * opponentOrbPct)
+    + safeDivide(stat(opponent, 'tov') - stat(team, 'stl'), stat(team, 'min'))
+  ) * minutes
+    + safeDivide(stat(t, 'pf'), stat(team, 'pf')) * 0.4 * stat(opponent, 'fta') * Math.pow(1 - opponentFtPct, 2);
+  const stopPct = safeDivide((individualStops + teamStops) * stat(opponent, 'min'), teamPoss * minutes);
+
+  const pointsPerScoringPoss = safeDivide(
+    stat(opponent, 'pts'),
+    stat(opponent, 'fgm') + (1 - Math.pow(1 - opponentFtPct, 2)) * stat(opponent, 'fta') * 0.4
+  );
+
+  return teamRating + 0.2 * (100 * pointsPerScoringPoss * (1 - stopPct) - teamRating);
+}
+
+/**
+ * Net points per 48 minutes with the player on the floor and off it
+ */
+function onOff(player) {
+  const minutes = stat(player.totals, 'min');
+  const plusMinus = stat(player.totals, 'plus_minus');
+  const offMinutes = gameMinutes(player.teamTotals) - minutes;
+
+  const on = safeDivide(plusMinus * 48, minutes);
+  const off = safeDivide((player.margin - plusMinus) * 48, offMinutes);
+
+  return { on: round(on, 1), off: round(off, 1), diff: round(on - off, 1) };
+}
+
+function basketballPlayer(player, league) {
+  const t = player.totals;
+  const team = player.teamTotals;
+  const teamPoss = possessions(team, player.opponentTotals);
+  const teamPace = safeDivide(48 * teamPoss, gameMinutes(team));
+  const adjustedPer = safeDivide(league.pace, teamPace) * unadjustedPer(t, team, league);
+
+  return {
+    minutes: stat(t, 'min'),
+    adjustedPer,
+    ts_pct: round(trueShooting(t), 3),
+    efg_pct: round(effectiveFieldGoal(t), 3),
+    usg_pct: round(safeDivide(
+      100 * (stat(t, 'fga') + 0.44 * stat(t, 'fta') + stat(t, 'tov')) * gameMinutes(team),
+      stat(t, 'min') * (stat(team, 'fga') + 0.44 * stat(team, 'fta') + stat(team, 'tov'))
+    ), 1),
+    on_off: onOff(player),
+    ortg: round(offensiveRating(t, team, player.opponentTotals), 1),
+    drtg: round(defensiveRating(t, team, player.opponentTotals), 1)
+  };
+}
+
+function basketballTeam(team) {
+  const t = team.totals;
+  const opp = team.opponentTotals;
+  const poss = possessions(t, opp);
+  const ortg = safeDivide(100 * stat(t, 'pts'), poss);
+  const drtg = safeDivide(100 * stat(opp, 'pts'), poss);
+
+  return {
+    pace: round(safeDivide(48 * poss, gameMinutes(t)), 1),
+    ortg: round(ortg, 1),
+    drtg: round(drtg, 1),
+    net_rating: round(ortg - drtg, 1),
+    ts_pct: round(trueShooting(t), 3),
+    efg_pct: round(effectiveFieldGoal(t), 3),
+    tov_pct: round(safeDivide(stat(t, 'tov'), stat(t, 'fga') + 0.44 * stat(t, 'fta') + stat(t, 'tov')), 3),
+    orb_pct: round(safeDivide(stat(t, 'oreb'), stat(t, 'oreb') + stat(opp, 'dreb')), 3),
+    ft_rate: round(safeDivide(stat(t, 'fta'), stat(t, 'fga')), 3)
+  };
+}
+
+function basketballAnalytics({ teams, players }) {
+  const league = basketballLeague([...teams.values()]);
+
+  const playerRows = [...players.values()].map(player => ({ player, metrics: basketballPlayer(player, league) }));
+
+  // Scale PER so the minutes-weighted league average is 15
+  const totalMinutes = playerRows.reduce((sum, row) => sum + row.metrics.minutes, 0);
+  const averagePer = safeDivide(
+    playerRows.reduce((sum, row) => sum + row.metrics.adjustedPer * row.metrics.minutes, 0),
+    totalMinutes
+  );
+
+  return {
+    league: {
+      pace: round(league.pace, 1),
+      rating: round(league.rating, 1),
+      ts_pct: round(league.ts_pct, 3),
+      efg_pct: round(league.efg_pct, 3)
+    },
+    players: playerRows.map(({ player, metrics }) => {
+      const { adjustedPer, ...rest } = metrics;
+      return {
+        ...describePlayer(player),
+        per: round(safeDivide(adjustedPer * LEAGUE_AVERAGE_PER, averagePer), 1),
+        ...rest
+      };
+    }),
+    teams: [...teams.values()].map(team => ({
+      ...describeTeam(team, 'NBA'),
+      ...basketballTeam(team)
+    }))
+  };
+}
+
+function inningsPitched(pitching) {
+  return stat(pitching, 'outs') / 3;
+}
+
+function wobaNumerator(batting) {
+  const singles = stat(batting, 'h') - stat(batting, 'doubles') - stat(batting, 'triples') - stat(batting, 'hr');
+  return WOBA_WEIGHTS.bb * stat(batting, 'bb')
+    + WOBA_WEIGHTS.hbp * stat(batting, 'hbp')
+    + WOBA_WEIGHTS.single * singles
+    + WOBA_WEIGHTS.doubles * stat(batting, 'doubles')
+    + WOBA_WEIGHTS.triples * stat(batting, 'triples')
+    + WOBA_WEIGHTS.hr * stat(batting, 'hr');
+}
+
+function onBase(batting) {
+  return safeDivide(stat(batting, 'h') + stat(batting, 'bb') + stat(batting, 'hbp'), stat(batting, 'pa'));
+}
+
+function slugging(batting) {
+  const singles = stat(batting, 'h') - stat(batting, 'doubles') - stat(batting, 'triples') - stat(batting, 'hr');
+  const totalBases = singles + 2 * stat(batting, 'doubles') + 3 * stat(batting, 'triples') + 4 * stat(batting, 'hr');
+  return safeDivide(totalBases, stat(batting, 'ab'));
+}
+
+function fipValue(pitching, constant) {
+  const innings = inningsPitched(pitching);
+  if (innings <= 0) return null;
+  return (13 * stat(pitching, 'hr') + 3 * (stat(pitching, 'bb') + stat(pitching, 'hbp')) - 2 * stat(pitching, 'so')) / innings + constant;
+}
+
+/**
+ * League-wide constants for baseball metrics
+ */
+function baseballLeague(teams) {
+  let batting = {};
+  let pitching = {};
+  teams.forEach(team => {
+    batting = addStats(batting, team.totals.batting);
+    pitching = addStats(pitching, team.totals.pitching);
+  });
+
+  const innings = inningsPitched(pitching);
+  const era = safeDivide(9 * stat(pitching, 'er'), innings);
+  const fipConstant = era - safeDivide(
+    13 * stat(pitching, 'hr') + 3 * (stat(pitching, 'bb') + stat(pitching, 'hbp')) - 2 * stat(pitching, 'so'),
+    innings
+  );
+
+  return {
+    obp: onBase(batting),
+    slg: slugging(batting),
+    woba: safeDivide(wobaNumerator(batting), stat(batting, 'pa')),
+    era,
+    fipConstant,
+    // Runs per win, from the league's scoring environment
+    runsPerWin: 9 * safeDivide(stat(pitching, 'r'), innings) * 1.5 + 3
+  };
+}
+
+function battingMetrics(batting, position, league) {
+  const pa = stat(batting, 'pa');
+  if (pa <= 0) return null;
+
+  const obp = onBase(batting);
+  const slg = slugging(batting);
+  const woba = safeDivide(wobaNumerator(batting), pa);
+  const battingRuns = ((woba - league.woba) / WOBA_SCALE) * pa;
+  const baserunningRuns = 0.2 * stat(batting, 'sb') - 0.41 * stat(batting, 'cs');
+  const positionRuns = (POSITION_RUNS[position] || 0) * pa / 600;
+  const replacementRuns = REPLACEMENT_RUNS * pa / 600;
+
+  return {
+    pa,
+    ops: round(obp + slg, 3),
+    ops_plus: Math.round(100 * (safeDivide(obp, league.obp) + safeDivide(slg, league.slg) - 1)),
+    woba: round(woba, 3),
+    batting_runs: round(battingRuns, 1),
+    war: safeDivide(battingRuns + baserunningRuns + positionRuns + replacementRuns, league.runsPerWin)
+  };
+}
+
+function pitchingMetrics(pitching, league) {
+  const innings = inningsPitched(pitching);
+  if (innings <= 0) return null;
+
+  const era = 9 * stat(pitching, 'er') / innings;
+  const fip = fipValue(pitching, league.fipConstant);
+  const replacementFip = league.era + REPLACEMENT_FIP_MARGIN;
+
+  return {
+    ip: `${Math.floor(stat(pitching, 'outs') / 3)}.${stat(pitching, 'outs') % 3}`,
+    era: round(era, 2),
+    era_plus: era > 0 ? Math.round(100 * league.era / era) : null,
+    fip: round(fip, 2),
+    whip: round((stat(pitching, 'bb') + stat(pitching, 'h')) / innings, 2),
+    war: safeDivide((replacementFip - fip) * innings / 9, league.runsPerWin)
+  };
+}
+
+/**
+ * Batting, pitching and combined WAR for one set of player totals
+ */
+function baseballPlayer(player, league) {
+  const batting = player.totals.batting ? battingMetrics(player.totals.batting, player.position, league) : null;
+  const pitching = player.totals.pitching ? pitchingMetrics(player.totals.pitching, league) : null;
+  const war = (batting ? batting.war : 0) + (pitching ? pitching.war : 0);
+
+  return {
+    batting: batting && { ...batting, war: round(batting.war, 1) },
+    pitching: pitching && { ...pitching, war: round(pitching.war, 1) },
+    war
+  };
+}
+
+function baseballAnalytics({ teams, players, stints }) {
+  const league = baseballLeague([...teams.values()]);
+
+  // Team WAR adds up what each player was worth while on that team
+  const teamWar = new Map();
+  stints.forEach(stint => {
+    const teamId = stint.teamIds[0];
+    teamWar.set(teamId, (teamWar.get(teamId) || 0) + baseballPlayer(stint, league).war);
+  });
+
+  return {
+    league: {
+      obp: round(league.obp, 3),
+      slg: round(league.slg, 3),
+      woba: round(league.woba, 3),
+      era: round(league.era, 2),
+      fip_constant: round(league.fipConstant, 2),
+      runs_per_win: round(league.runsPerWin, 2)
+    },
+    players: [...players.values()].map(player => {
+      const metrics = baseballPlayer(player, league);
+      return {
+        ...describePlayer(player),
+        ...metrics,
+        war: round(metrics.war, 1)
+      };
+    }),
+    teams: [...teams.values()].map(team => {
+      const batting = battingMetrics(team.totals.batting || {}, null, league);
+      const pitching = pitchingMetrics(team.totals.pitching || {}, league);
+
+      return {
+        ...describeTeam(team, 'MLB'),
+        ops: batting ? batting.ops : null,
+        ops_plus: batting ? batting.ops_plus : null,
+        era: pitching ? pitching.era : null,
+        era_plus: pitching ? pitching.era_plus : null,
+        fip: pitching ? pitching.fip : null,
+        whip: pitching ? pitching.whip : null,
+        war: round(teamWar.get(team.teamId) || 0, 1)
+      };
+    })
+  };
+}
+
+function describePlayer(player) {
+  return {
+    player_id: player.playerId,
+    name: player.name,
+    position: player.position,
+    team_ids: player.teamIds,
+    games: player.games
+  };
+}
+
+function describeTeam(team, sport) {
+  const exponent = PYTHAGOREAN_EXPONENT[sport];
+  const scored = Math.pow(team.pointsFor, exponent);
+  const allowed = Math.pow(team.pointsAgainst, exponent);
+
+  return {
+    team_id: team.teamId,
+    name: team.name,
+    games: team.games,
+    wins: team.wins,
+    losses: team.games - team.wins,
+    points_for: team.pointsFor,
+    points_against: team.pointsAgainst,
+    pythagorean_win_pct: round(safeDivide(scored, scored + allowed), 3)
+  };
+}
+
+/**
+ * Compute advanced metrics for every player and team in a league season
+ */
+async function getSeasonAnalytics(db, leagueId, season) {
+  const leagueResult = await db.query('SELECT sport, current_season FROM leagues WHERE id = $1', [leagueId]);
+  if (leagueResult.rows.length === 0) {
+    return null;
+  }
+
+  const { sport, current_season: currentSeason } = leagueResult.rows[0];
+  const analyticsSeason = parseInt(season) || currentSeason;
+  const aggregated = aggregateLines(await loadSeasonLines(db, leagueId, analyticsSeason));
+  const analytics = sport === 'MLB' ? baseballAnalytics(aggregated) : basketballAnalytics(aggregated);
+
+  return {
+    leagueId: parseInt(leagueId),
+    season: analyticsSeason,
+    sport,
+    ...analytics
+  };
+}
+
+module.exports = {
+  getSeasonAnalytics
+};
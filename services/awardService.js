@@ -0,0 +1,507 @@
+const { createRng, deriveSeed } = require('./seededRandom');
+const { getSeasonAnalytics } = require('./analyticsService');
+const { computeStandings } = require('./standingsService');
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * Season awards, voted on once the regular season is over.
+ *
+ * Each award scores its eligible candidates on a few criteria (stats,
+ * advanced metrics, team success), put on a common scale as z-scores
+ * within the candidate pool. A panel of voters then fills in ballots: each
+ * voter weighs the criteria a little differently and judges every
+ * candidate with some noise, so close races split the vote the way real
+ * ones do. Everything is seeded per league season, so a season's voting
+ * can be reproduced.
+ */
+
+const DEFAULT_VOTERS = 100;
+
+// How much voters disagree: spread of each voter's criteria weights, and
+// of their read on each candidate (in standard deviations)
+const WEIGHT_SPREAD = 0.25;
+const JUDGEMENT_NOISE = 0.25;
+
+const AWARDS = {
+  NBA: {
+    mvp: {
+      label: 'Most Valuable Player',
+      eligible: 'regular',
+      criteria: { per: 0.35, pts: 0.2, creation: 0.1, onOff: 0.1, teamWinPct: 0.25 },
+      points: [10, 7, 5, 3, 1]
+    },
+    dpoy: {
+      label: 'Defensive Player of the Year',
+      eligible: 'regular',
+      criteria: { defRating: 0.35, stocks: 0.35, dreb: 0.15, teamWinPct: 0.15 },
+      points: [5, 3, 1]
+    },
+    roy: {
+      label: 'Rookie of the Year',
+      eligible: 'rookie',
+      criteria: { per: 0.4, pts: 0.35, minutes: 0.15, teamWinPct: 0.1 },
+      points: [5, 3, 1]
+    },
+    all_league: {
+      label: 'All-League',
+      eligible: 'regular',
+      criteria: { per: 0.35, pts: 0.2, creation: 0.1, onOff: 0.1, teamWinPct: 0.25 },
+      teams: ['First Team', 'Second Team', 'Third Team'],
+      teamPoints: [5, 3, 1],
+      slots: { ANY: 5 }
+    }
+  },
+  MLB: {
+    mvp: {
+      label: 'Most Valuable Player',
+      eligible: 'regular',
+      criteria: { war: 0.65, opsPlus: 0.1, eraPlus: 0.05, teamWinPct: 0.2 },
+      points: [14, 9, 8, 7, 6, 5, 4, 3, 2, 1]
+    },
+    cy_young: {
+      label: 'Cy Young',
+      eligible: 'starter',
+      criteria: { pitchingWar: 0.45, era: 0.25, fip: 0.15, strikeouts: 0.15 },
+      points: [7, 4, 3, 2, 1]
+    },
+    roy: {
+      label: 'Rookie of the Year',
+      eligible: 'rookie',
+      criteria: { war: 0.8, teamWinPct: 0.2 },
+      points: [5, 3, 1]
+    },
+    all_league: {
+      label: 'All-League',
+      eligible: 'regular',
+      criteria: { war: 0.75, opsPlus: 0.1, eraPlus: 0.1, teamWinPct: 0.05 },
+      teams: ['First Team', 'Second Team'],
+      teamPoints: [3, 1],
+      slots: { C: 1, '1B': 1, '2B': 1, '3B': 1, SS: 1, OF: 3, DH: 1, SP: 5, RP: 2 }
+    }
+  }
+};
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+}
+
+function gaussian(rng) {
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function perGame(total, games) {
+  return games > 0 ? (total || 0) / games : 0;
+}
+
+/**
+ * Raw criteria values for a candidate; higher is always better
+ */
+function criteriaValues(sport, candidate) {
+  const { totals, games, metrics, teamWinPct } = candidate;
+
+  if (sport === 'MLB') {
+    const pitching = metrics.pitching || {};
+    const batting = metrics.batting || {};
+
+    return {
+      war: metrics.war || 0,
+      pitchingWar: pitching.war || 0,
+      opsPlus: batting.ops_plus || 0,
+      eraPlus: pitching.era_plus || 0,
+      era: -(pitching.era || 0),
+      fip: -(pitching.fip || 0),
+      strikeouts: (totals.pitching && totals.pitching.so) || 0,
+      teamWinPct
+    };
+  }
+
+  return {
+    per: metrics.per || 0,
+    pts: perGame(totals.pts, games),
+    creation: perGame((totals.ast || 0) + (totals.reb || 0), games),
+    onOff: (metrics.on_off && metrics.on_off.diff) || 0,
+    defRating: -(metrics.drtg || 0),
+    stocks: perGame((totals.stl || 0) + (totals.blk || 0), games),
+    dreb: perGame(totals.dreb, games),
+    minutes: perGame(totals.min, games),
+    teamWinPct
+  };
+}
+
+/**
+ * Turn each criterion into z-scores within the candidate pool
+ */
+function standardize(candidates, criteria) {
+  const z = new Map(candidates.map(candidate => [candidate, {}]));
+
+  Object.keys(criteria).forEach(key => {
+    const values = candidates.map(candidate => candidate.values[key]);
+    const average = mean(values);
+    const spread = Math.sqrt(mean(values.map(value => (value - average) ** 2))) || 1;
+    candidates.forEach(candidate => {
+      z.get(candidate)[key] = (candidate.values[key] - average) / spread;
+    });
+  });
+
+  return z;
+}
+
+/**
+ * One voter's view of the candidates: their own criteria weights, plus
+ * some noise in how they judge each player. Best first.
+ */
+function voterRanking(candidates, z, criteria, rng) {
+  const weights = Object.fromEntries(Object.entries(criteria)
+    .map(([key, weight]) => [key, Math.max(0, weight * (1 + WEIGHT_SPREAD * gaussian(rng)))]));
+
+  return candidates
+    .map(candidate => ({
+      candidate,
+      score: Object.entries(weights).reduce((sum, [key, weight]) => sum + weight * z.get(candidate)[key], 0)
+        + JUDGEMENT_NOISE * gaussian(rng)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.candidate);
+}
+
+function slotFor(sport, candidate) {
+  if (sport !== 'MLB') return 'ANY';
+
+  const position = String(candidate.position || '').toUpperCase();
+  if (['P', 'SP', 'RP'].includes(position) || (!candidate.metrics.batting && candidate.metrics.pitching)) {
+    return candidate.starter ? 'SP' : 'RP';
+  }
+  if (['LF', 'CF', 'RF', 'OF'].includes(position)) return 'OF';
+  if (['C', '1B', '2B', '3B', 'SS'].includes(position)) return position;
+  return 'DH';
+}
+
+/**
+ * Run a single-winner award: every voter ranks their top N
+ */
+function voteAward(award, candidates, voters, rng) {
+  const z = standardize(candidates, award.criteria);
+  const tally = new Map(candidates.map(candidate => [candidate, { points: 0, firstPlaceVotes: 0 }]));
+
+  for (let voter = 0; voter < voters; voter++) {
+    voterRanking(candidates, z, award.criteria, rng)
+      .slice(0, award.points.length)
+      .forEach((candidate, place) => {
+        const entry = tally.get(candidate);
+        entry.points += award.points[place];
+        if (place === 0) entry.firstPlaceVotes += 1;
+      });
+  }
+
+  const maxPoints = voters * award.points[0];
+
+  return [...tally.entries()]
+    .filter(([, entry]) => entry.points > 0)
+    .sort(([a, x], [b, y]) => y.points - x.points || y.firstPlaceVotes - x.firstPlaceVotes || a.playerId - b.playerId)
+    .map(([candidate, entry], index) => ({
+      candidate,
+      place: index + 1,
+      points: entry.points,
+      firstPlaceVotes: entry.firstPlaceVotes,
+      voteShare: Math.round((entry.points / maxPoints) * 1000) / 1000,
+      selection: index === 0 ? 'Winner' : null
+    }));
+}
+
+/**
+ * Run an All-League vote: every voter fills each team slot by slot, and
+ * the most points in each slot make the first team, then the second...
+ */
+function voteAllLeague(award, sport, candidates, voters, rng) {
+  const z = standardize(candidates, award.criteria);
+  const tally = new Map(candidates.map(candidate => [candidate, { points: 0, firstPlaceVotes: 0 }]));
+  const bySlot = slot => candidates.filter(candidate => slotFor(sport, candidate) === slot);
+
+  for (let voter = 0; voter < voters; voter++) {
+    const ranking = voterRanking(candidates, z, award.criteria, rng);
+
+    Object.entries(award.slots).forEach(([slot, count]) => {
+      ranking
+        .filter(candidate => slotFor(sport, candidate) === slot)
+        .slice(0, count * award.teams.length)
+        .forEach((candidate, index) => {
+          const team = Math.floor(index / count);
+          const entry = tally.get(candidate);
+          entry.points += award.teamPoints[team];
+          if (team === 0) entry.firstPlaceVotes += 1;
+        });
+    });
+  }
+
+  const maxPoints = voters * award.teamPoints[0];
+  const results = [];
+
+  Object.entries(award.slots).forEach(([slot, count]) => {
+    bySlot(slot)
+      .map(candidate => ({ candidate, ...tally.get(candidate) }))
+      .filter(entry => entry.points > 0)
+      .sort((a, b) => b.points - a.points || b.firstPlaceVotes - a.firstPlaceVotes || a.candidate.playerId - b.candidate.playerId)
+      .forEach((entry, index) => {
+        results.push({
+          candidate: entry.candidate,
+          points: entry.points,
+          firstPlaceVotes: entry.firstPlaceVotes,
+          voteShare: Math.round((entry.points / maxPoints) * 1000) / 1000,
+          selection: award.teams[Math.floor(index / count)] || null,
+          slot
+        });
+      });
+  });
+
+  return results
+    .sort((a, b) => b.points - a.points || a.candidate.playerId - b.candidate.playerId)
+    .map((result, index) => ({ ...result, place: index + 1 }));
+}
+
+/**
+ * Gather everyone who played in the season with their totals, advanced
+ * metrics, team record and whether they are a rookie
+ */
+async function loadCandidates(db, league, season) {
+  const analytics = await getSeasonAnalytics(db, league.id, season);
+  const standings = await computeStandings(db, league.id, season);
+  const winPct = new Map(standings.map(team => [team.team_id, team.win_pct]));
+  const teamNames = new Map(standings.map(team => [team.team_id, team.name]));
+  const teamGames = Math.max(0, ...standings.map(team => team.wins + team.losses));
+
+  const statsResult = await db.query(
+    `SELECT ps.player_id, ps.games_played, ps.stats, p.age,
+            NOT EXISTS (
+              SELECT 1 FROM player_stats earlier
+              WHERE earlier.player_id = ps.player_id AND earlier.league_id = ps.league_id AND earlier.season < ps.season
+            ) as first_season,
+            EXISTS (
+              SELECT 1 FROM player_stats earlier
+              WHERE earlier.league_id = ps.league_id AND earlier.season < ps.season
+            ) as league_has_history
+     FROM player_stats ps
+     JOIN players p ON ps.player_id = p.id
+     WHERE ps.league_id = $1 AND ps.season = $2`,
+    [league.id, season]
+  );
+  const stats = new Map(statsResult.rows.map(row => [row.player_id, row]));
+
+  const candidates = analytics.players
+    .filter(player => stats.has(player.player_id))
+    .map(player => {
+      const row = stats.get(player.player_id);
+      const totals = (row.stats && row.stats.totals) || {};
+      const teamId = player.team_ids[player.team_ids.length - 1];
+      const pitching = totals.pitching || {};
+
+      return {
+        playerId: player.player_id,
+        name: player.name,
+        position: player.position,
+        teamId,
+        teamName: teamNames.get(teamId) || null,
+        games: row.games_played,
+        totals,
+        metrics: player,
+        teamWinPct: winPct.get(teamId) || 0,
+        // Players in their first season here; in a league's first season
+        // only the youngest players count
+        rookie: row.first_season && (row.league_has_history || (row.age !== null && row.age <= 22)),
+        starter: (pitching.gs || 0) >= Math.max(1, 0.1 * teamGames),
+        innings: (pitching.outs || 0) / 3,
+        plateAppearances: (player.batting && player.batting.pa) || 0
+      };
+    });
+
+  return { candidates, teamGames };
+}
+
+/**
+ * Who can be voted for: enough games (NBA), enough plate appearances or
+ * innings (MLB), and rookies only for Rookie of the Year
+ */
+function isEligible(sport, eligible, candidate, teamGames) {
+  const qualified = sport === 'MLB'
+    ? candidate.plateAppearances >= 3.1 * teamGames || candidate.innings >= (candidate.starter ? 1 : 0.4) * teamGames
+    : candidate.games >= Math.ceil(0.79 * teamGames);
+
+  if (eligible === 'rookie') {
+    const played = sport === 'MLB'
+      ? candidate.plateAppearances >= 1.5 * teamGames || candidate.innings >= 0.3 * teamGames
+      : candidate.games >= Math.ceil(0.5 * teamGames);
+    return candidate.rookie && played;
+  }
+  if (eligible === 'starter') {
+    return candidate.starter && candidate.innings >= teamGames;
+  }
+  return qualified;
+}
+
+/**
+ * Vote on every award for a league season and save the results. Returns
+ * the winners, or null if the season was already voted on.
+ */
+async function runSeasonAwards(client, league, season) {
+  const existing = await client.query(
+    'SELECT id FROM season_awards WHERE league_id = $1 AND season = $2',
+    [league.id, season]
+  );
+
+  if (existing.rows.length > 0) {
+    return null;
+  }
+
+  const sport = league.sport === 'MLB' ? 'MLB' : 'NBA';
+  const settings = getLeagueSettings(league);
+  const voters = parseInt(settings.awardVoters) || DEFAULT_VOTERS;
+  const seed = deriveSeed(league.seed || league.id, 'awards', season);
+  const { candidates, teamGames } = await loadCandidates(client, league, season);
+
+  const awardRows = await client.query(
+    `INSERT INTO season_awards (league_id, season, voters, seed)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [league.id, season, voters, seed]
+  );
+
+  const winners = [];
+
+  for (const [key, award] of Object.entries(AWARDS[sport])) {
+    const pool = candidates
+      .filter(candidate => isEligible(sport, award.eligible, candidate, teamGames))
+      .map(candidate => ({ ...candidate, values: criteriaValues(sport, candidate) }));
+
+    if (pool.length === 0) continue;
+
+    // Each award gets its own stream, so adding one never changes another
+    const rng = createRng(deriveSeed(seed, key));
+    const results = award.teams
+      ? voteAllLeague(award, sport, pool, voters, rng)
+      : voteAward(award, pool, voters, rng);
+
+    for (const result of results) {
+      await client.query(
+        `INSERT INTO awards
+         (league_id, season, award, player_id, team_id, place, points, first_place_votes, vote_share, selection, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          league.id,
+          season,
+          key,
+          result.candidate.playerId,
+          result.candidate.teamId,
+          result.place,
+          result.points,
+          result.firstPlaceVotes,
+          result.voteShare,
+          result.selection,
+          JSON.stringify({ slot: result.slot, values: result.candidate.values })
+        ]
+      );
+    }
+
+    results
+      .filter(result => result.selection)
+      .forEach(result => winners.push({
+        award: key,
+        label: award.label,
+        selection: result.selection,
+        playerId: result.candidate.playerId,
+        name: result.candidate.name,
+        teamId: result.candidate.teamId,
+        teamName: result.candidate.teamName,
+        voteShare: result.voteShare,
+        firstPlaceVotes: result.firstPlaceVotes
+      }));
+  }
+
+  return { ...awardRows.rows[0], winners };
+}
+
+/**
+ * Full voting results for a league season, grouped by award
+ */
+async function getSeasonAwards(db, leagueId, season) {
+  const result = await db.query(
+    `SELECT a.*, p.name as player_name, p.position, t.name as team_name
+     FROM awards a
+     JOIN players p ON a.player_id = p.id
+     LEFT JOIN teams t ON a.team_id = t.id
+     WHERE a.league_id = $1 AND a.season = $2
+     ORDER BY a.award, a.place`,
+    [leagueId, season]
+  );
+
+  const awards = {};
+  result.rows.forEach(row => {
+    awards[row.award] = [...(awards[row.award] || []), row];
+  });
+
+  return awards;
+}
+
+/**
+ * Every season's winners and All-League selections for a league
+ */
+async function getAwardHistory(db, leagueId) {
+  const result = await db.query(
+    `SELECT a.season, a.award, a.selection, a.player_id, a.team_id, a.vote_share, a.first_place_votes,
+            p.name as player_name, p.position, t.name as team_name
+     FROM awards a
+     JOIN players p ON a.player_id = p.id
+     LEFT JOIN teams t ON a.team_id = t.id
+     WHERE a.league_id = $1 AND a.selection IS NOT NULL
+     ORDER BY a.season DESC, a.award, a.place`,
+    [leagueId]
+  );
+
+  const seasons = new Map();
+  result.rows.forEach(row => {
+    const season = seasons.get(row.season) || {};
+    season[row.award] = [...(season[row.award] || []), row];
+    seasons.set(row.season, season);
+  });
+
+  return [...seasons.entries()].map(([season, awards]) => ({ season, awards }));
+}
+
+/**
+ * A player's award finishes, optionally in one league
+ */
+async function getPlayerAwards(db, playerId, leagueId) {
+  const params = [playerId];
+  let query = `
+    SELECT a.league_id, a.season, a.award, a.place, a.points, a.first_place_votes, a.vote_share, a.selection,
+           a.team_id, t.name as team_name, l.name as league_name
+    FROM awards a
+    JOIN leagues l ON a.league_id = l.id
+    LEFT JOIN teams t ON a.team_id = t.id
+    WHERE a.player_id = $1
+  `;
+
+  if (leagueId) {
+    params.push(leagueId);
+    query += ' AND a.league_id = $2';
+  }
+
+  query += ' ORDER BY a.season DESC, a.award';
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Labels for a sport's awards
+ */
+function listAwards(sport) {
+  return Object.entries(AWARDS[sport] || AWARDS.NBA).map(([key, award]) => ({ award: key, label: award.label }));
+}
+
+module.exports = {
+  runSeasonAwards,
+  getSeasonAwards,
+  getAwardHistory,
+  getPlayerAwards,
+  listAwards
+};
@@ -0,0 +1,225 @@
+const { generateDepthChart } = require('./aiService');
+const { buildDefaultDepthChart } = require('./gameSimulationService');
+const { FIELD_POSITIONS } = require('./mlbGameEngine');
+
+/**
+ * Depth charts: who starts, who plays and in what role.
+ *
+ * NBA charts are `{ starters: [id x5], minutes: { id: minutes } }` with
+ * minutes adding up to 240. MLB charts are `{ battingOrder: [{ playerId,
+ * position }] x9, rotation: [id], bullpen: { closer, setup, middle, long } }`.
+ * Charts set by a GM are kept as they are; unmanaged teams get an
+ * AI-generated chart that is rebuilt whenever their roster changes.
+ */
+
+const LINEUP_POSITIONS = [...FIELD_POSITIONS, 'DH'];
+const BULLPEN_ROLES = ['setup', 'middle', 'long'];
+const PITCHER_POSITIONS = ['P', 'SP', 'RP'];
+
+function toId(value) {
+  const id = parseInt(value);
+  return Number.isInteger(id) ? id : null;
+}
+
+function findDuplicates(ids) {
+  return ids.filter((id, index) => ids.indexOf(id) !== index);
+}
+
+/**
+ * Validate a basketball depth chart
+ */
+function validateBasketballChart(chart, roster, errors) {
+  const rosterIds = new Set(roster.map(p => p.id));
+  const expectedStarters = Math.min(5, roster.length);
+  const starters = Array.isArray(chart.starters) ? chart.starters.map(toId) : [];
+
+  if (starters.length !== expectedStarters) {
+    errors.push(`starters must list exactly ${expectedStarters} players`);
+  }
+  if (starters.some(id => !rosterIds.has(id))) {
+    errors.push('Every starter must be on the team roster');
+  }
+  if (findDuplicates(starters).length > 0) {
+    errors.push('A player can only be listed once in starters');
+  }
+
+  const minutes = Object.fromEntries(roster.map(p => [p.id, 0]));
+  Object.entries(chart.minutes || {}).forEach(([key, value]) => {
+    const id = toId(key);
+    const playerMinutes = parseFloat(value);
+
+    if (!rosterIds.has(id)) {
+      errors.push(`Player ${key} in minutes is not on the team roster`);
+    } else if (!Number.isFinite(playerMinutes) || playerMinutes < 0 || playerMinutes > 48) {
+      errors.push(`Minutes for player ${key} must be between 0 and 48`);
+    } else {
+      minutes[id] = playerMinutes;
+    }
+  });
+
+  const total = Object.values(minutes).reduce((sum, m) => sum + m, 0);
+  const expectedTotal = expectedStarters * 48;
+  if (Math.abs(total - expectedTotal) > 1) {
+    errors.push(`Minutes must add up to ${expectedTotal} (got ${Math.round(total * 10) / 10})`);
+  }
+  if (starters.some(id => rosterIds.has(id) && minutes[id] <= 0)) {
+    errors.push('Every starter needs minutes');
+  }
+
+  return { starters, minutes };
+}
+
+/**
+ * Validate a baseball depth chart
+ */
+function validateBaseballChart(chart, roster, errors) {
+  const playersById = new Map(roster.map(p => [p.id, p]));
+  const isPitcher = id => playersById.has(id) && PITCHER_POSITIONS.includes(playersById.get(id).position);
+
+  const battingOrder = (Array.isArray(chart.battingOrder) ? chart.battingOrder : []).map(entry => ({
+    playerId: toId(entry && entry.playerId),
+    position: entry && String(entry.position || '').toUpperCase()
+  }));
+  const batterIds = battingOrder.map(entry => entry.playerId);
+  const positions = battingOrder.map(entry => entry.position);
+
+  if (battingOrder.length !== 9) {
+    errors.push('battingOrder must list exactly 9 batters');
+  }
+  if (batterIds.some(id => !playersById.has(id))) {
+    errors.push('Every batter must be on the team roster');
+  }
+  if (findDuplicates(batterIds).length > 0) {
+    errors.push('A player can only bat once in the order');
+  }
+  const missingPositions = LINEUP_POSITIONS.filter(position => !positions.includes(position));
+  if (missingPositions.length > 0 || positions.some(position => !LINEUP_POSITIONS.includes(position))) {
+    errors.push(`battingOrder must cover each of ${LINEUP_POSITIONS.join(', ')} once`);
+  }
+
+  const rotation = (Array.isArray(chart.rotation) ? chart.rotation : []).map(toId);
+  if (rotation.length < 1 || rotation.length > 6) {
+    errors.push('rotation must list between 1 and 6 starting pitchers');
+  }
+  if (rotation.some(id => !isPitcher(id))) {
+    errors.push('Every starting pitcher must be a pitcher on the team roster');
+  }
+
+  const bullpenInput = chart.bullpen || {};
+  const bullpen = {
+    closer: bullpenInput.closer === null || bullpenInput.closer === undefined ? null : toId(bullpenInput.closer)
+  };
+  BULLPEN_ROLES.forEach(role => {
+    bullpen[role] = (Array.isArray(bullpenInput[role]) ? bullpenInput[role] : []).map(toId);
+  });
+
+  const relieverIds = [bullpen.closer, ...BULLPEN_ROLES.flatMap(role => bullpen[role])].filter(id => id !== null);
+  if (relieverIds.some(id => !isPitcher(id))) {
+    errors.push('Every reliever must be a pitcher on the team roster');
+  }
+  if (findDuplicates([...rotation, ...relieverIds]).length > 0) {
+    errors.push('A pitcher can only have one role in the rotation and bullpen');
+  }
+
+  return { battingOrder, rotation, bullpen };
+}
+
+/**
+ * Check a depth chart against the team's roster; returns the cleaned-up
+ * chart along with any problems found
+ */
+function validateDepthChart(sport, chart, roster) {
+  if (!chart || typeof chart !== 'object') {
+    return { chart: null, errors: ['Depth chart must be an object'] };
+  }
+
+  const errors = [];
+  const cleaned = sport === 'MLB'
+    ? validateBaseballChart(chart, roster, errors)
+    : validateBasketballChart(chart, roster, errors);
+
+  return { chart: cleaned, errors };
+}
+
+/**
+ * Get every player on a team's roster, injured or not
+ */
+async function getTeamRoster(db, teamId) {
+  const result = await db.query(
+    `SELECT p.*
+     FROM players p
+     JOIN team_rosters tr ON p.id = tr.player_id
+     WHERE tr.team_id = $1
+     ORDER BY p.overall_rating DESC`,
+    [teamId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Save a team's depth chart
+ */
+async function saveDepthChart(db, teamId, chart, source, rosterIds) {
+  const result = await db.query(
+    `INSERT INTO depth_charts (team_id, chart, source, roster_ids, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (team_id)
+     DO UPDATE SET chart = $2, source = $3, roster_ids = $4, updated_at = NOW()
+     RETURNING *`,
+    [teamId, JSON.stringify(chart), source, JSON.stringify(rosterIds)]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get the depth chart a team plays with, creating one for unmanaged
+ * teams that have none or whose roster has changed since it was made
+ */
+async function resolveDepthChart(db, team, sport) {
+  const existing = await db.query('SELECT * FROM depth_charts WHERE team_id = $1', [team.id]);
+  const current = existing.rows[0];
+
+  if (current && current.source === 'manual') {
+    return current;
+  }
+
+  const roster = await getTeamRoster(db, team.id);
+  const rosterIds = roster.map(p => p.id).sort((a, b) => a - b);
+
+  if (current && JSON.stringify(current.roster_ids) === JSON.stringify(rosterIds)) {
+    return current;
+  }
+
+  if (roster.length === 0) {
+    return null;
+  }
+
+  let chart = null;
+  let source = 'default';
+
+  const generated = await generateDepthChart(team, roster, sport);
+  if (generated) {
+    const result = validateDepthChart(sport, generated, roster);
+    if (result.errors.length === 0) {
+      chart = result.chart;
+      source = 'ai';
+    } else {
+      console.log(`AI depth chart for team ${team.id} rejected: ${result.errors.join('; ')}`);
+    }
+  }
+
+  if (!chart) {
+    chart = buildDefaultDepthChart(sport, roster);
+  }
+
+  return saveDepthChart(db, team.id, chart, source, rosterIds);
+}
+
+module.exports = {
+  validateDepthChart,
+  getTeamRoster,
+  saveDepthChart,
+  resolveDepthChart
+};
@@ -0,0 +1,656 @@
+const { pool } = require('../database/init');
+const { transitionPhase, emitPhaseChange } = require('./leaguePhaseService');
+const { choosePreferredPlayer, isAutodraft, removeDraftedPlayer } = require('./draftQueueService');
+const { createRng, deriveSeed } = require('./seededRandom');
+
+/**
+ * Auction (salary-cap) drafts. Teams take turns nominating a player with an
+ * opening bid, then every team with room bids on them until the bid clock
+ * runs out; each new bid puts the clock back to full. The winning bid is
+ * the player's salary. Each team fills `rounds` roster spots out of its
+ * budget (its cap space, or the draft's `auctionBudget`), and can never bid
+ * so much that it couldn't fill the rest at the minimum bid.
+ *
+ * The auction lives in `draft_state.auction` and its clock is the draft's
+ * pick deadline, so it survives a restart and pauses like any other draft.
+ */
+
+const DEFAULT_NOMINATION_SECONDS = 30;
+const DEFAULT_BID_SECONDS = 15;
+const DEFAULT_MIN_BID = 1000000;
+const DEFAULT_BID_INCREMENT = 250000;
+const AUCTION_CONTRACT_YEARS = 4;
+
+// How long AI teams take to nominate or answer a bid
+const AI_DELAY_MS = 2000;
+
+/**
+ * The auction part of a new draft's state
+ */
+function createAuction(league, teams, rounds, settings) {
+  const budgets = {};
+  teams.forEach(team => {
+    const capSpace = Math.max(0, Number(league.salary_cap) - Number(team.total_salary || 0));
+    // A league-wide budget can't take a team over the cap
+    budgets[team.id] = Math.min(parseInt(settings.auctionBudget) || capSpace, capSpace);
+  });
+
+  return {
+    phase: 'waiting',
+    roster_slots: rounds,
+    min_bid: parseInt(settings.minBid) || DEFAULT_MIN_BID,
+    bid_increment: parseInt(settings.bidIncrement) || DEFAULT_BID_INCREMENT,
+    nomination_seconds: parseInt(settings.nominationSeconds) || DEFAULT_NOMINATION_SECONDS,
+    bid_seconds: parseInt(settings.bidSeconds) || DEFAULT_BID_SECONDS,
+    budgets,
+    nominator_index: -1,
+    clock_team_id: null,
+    lot: null
+  };
+}
+
+/**
+ * The most a team can bid right now: its budget less the minimum bid for
+ * every other roster spot it still has to fill. Zero once it's full.
+ */
+function maxBid(draftState, teamId) {
+  const { auction } = draftState;
+  const team = draftState.teams.find(t => t.id === teamId);
+  const slotsLeft = auction.roster_slots - team.picks.length;
+
+  if (slotsLeft <= 0) return 0;
+  return auction.budgets[teamId] - (slotsLeft - 1) * auction.min_bid;
+}
+
+function canBid(draftState, teamId) {
+  return maxBid(draftState, teamId) >= draftState.auction.min_bid;
+}
+
+/**
+ * Hand the nomination to the next team in the rotation that can still bid.
+ * Returns false when nobody can, or there's nobody left to nominate.
+ */
+function openNomination(draftState) {
+  const { auction } = draftState;
+  const rotation = draftState.draft_order;
+  auction.lot = null;
+
+  if (draftState.available_players.length === 0) {
+    return false;
+  }
+
+  for (let step = 1; step <= rotation.length; step++) {
+    const index = (auction.nominator_index + step) % rotation.length;
+    if (canBid(draftState, rotation[index].team_id)) {
+      auction.phase = 'nominating';
+      auction.nominator_index = index;
+      auction.clock_team_id = rotation[index].team_id;
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Put the auction clock back to full for the current phase; a paused clock
+ * keeps the full time waiting
+ */
+async function restartAuctionClock(client, leagueId, auction) {
+  const seconds = auction.phase === 'bidding' ? auction.bid_seconds : auction.nomination_seconds;
+
+  await client.query(
+    `UPDATE drafts
+     SET pick_deadline = CASE WHEN NOT clock_paused THEN NOW() + $2 * INTERVAL '1 second' ELSE NULL END,
+         clock_remaining = CASE WHEN clock_paused THEN $2 ELSE NULL END
+     WHERE league_id = $1`,
+    [leagueId, seconds]
+  );
+}
+
+async function saveAuction(client, leagueId, draftState) {
+  await client.query(
+    'UPDATE drafts SET status = $1, current_pick = $2, current_round = $3, draft_state = $4 WHERE league_id = $5',
+    [draftState.status, draftState.current_pick, draftState.current_round, JSON.stringify(draftState), leagueId]
+  );
+}
+
+/**
+ * Lock the league's auction for a change by `teamId`. `userId` is the GM
+ * acting for the team; AI teams leave it out. Returns `{ errors }`, or the
+ * draft state, the team and whether the auction clock is still running.
+ */
+async function lockAuction(client, leagueId, teamId, userId) {
+  const result = await client.query(
+    `SELECT draft_state, pick_deadline IS NOT NULL AND pick_deadline > NOW() as clock_running
+     FROM drafts WHERE league_id = $1 FOR UPDATE`,
+    [leagueId]
+  );
+
+  const draftState = result.rows.length > 0 ? result.rows[0].draft_state : null;
+  if (!draftState || !draftState.auction) {
+    return { errors: ['This league has no auction draft'] };
+  }
+  if (draftState.status !== 'in_progress') {
+    return { errors: ['The auction is not in progress'] };
+  }
+
+  const team = draftState.teams.find(t => t.id === parseInt(teamId));
+  if (!team) {
+    return { errors: ['Team not found in draft'] };
+  }
+  if (userId !== undefined && team.user_id !== userId) {
+    return { errors: ['Only the team\'s GM can bid for it'] };
+  }
+
+  return { draftState, team, clockRunning: result.rows[0].clock_running };
+}
+
+/**
+ * Put a player up for auction with an opening bid. Only the team whose turn
+ * it is can nominate. Returns `{ errors }` or `{ lot }`.
+ */
+async function applyNomination(client, draftState, team, playerId, amount) {
+  const { auction } = draftState;
+
+  if (auction.phase !== 'nominating') {
+    return { errors: ['A player is already up for auction'] };
+  }
+  if (auction.clock_team_id !== team.id) {
+    return { errors: ['It is not this team\'s turn to nominate'] };
+  }
+  if (!draftState.available_players.includes(playerId)) {
+    return { errors: ['Player not available'] };
+  }
+
+  const opening = amount === undefined ? auction.min_bid : amount;
+  const limit = maxBid(draftState, team.id);
+  if (!Number.isInteger(opening)) {
+    return { errors: ['The opening bid must be a whole number'] };
+  }
+  if (opening < auction.min_bid) {
+    return { errors: [`The opening bid must be at least ${auction.min_bid}`] };
+  }
+  if (opening > limit) {
+    return { errors: [`${team.name} can bid at most ${limit}`] };
+  }
+
+  const playerResult = await client.query(
+    'SELECT id, name, position, overall_rating, potential FROM players WHERE id = $1',
+    [playerId]
+  );
+  const player = playerResult.rows[0];
+
+  auction.phase = 'bidding';
+  auction.clock_team_id = team.id;
+  auction.lot = {
+    lot_number: draftState.current_pick,
+    player_id: player.id,
+    player_name: player.name,
+    position: player.position,
+    overall_rating: player.overall_rating,
+    potential: player.potential,
+    nominated_by: team.id,
+    high_bid: opening,
+    high_team_id: team.id,
+    bids: [{ team_id: team.id, amount: opening, at: new Date().toISOString() }]
+  };
+
+  return { lot: auction.lot };
+}
+
+function emitNomination(io, leagueId, team, lot) {
+  io.to(`league_${leagueId}`).emit('auction_nomination', {
+    leagueId,
+    lot: lot.lot_number,
+    teamId: team.id,
+    teamName: team.name,
+    playerId: lot.player_id,
+    playerName: lot.player_name,
+    position: lot.position,
+    amount: lot.high_bid
+  });
+}
+
+/**
+ * Nominate `playerId` for `teamId` with an opening bid of `amount` (default
+ * the minimum bid). Returns `{ errors }` or `{ lot }`.
+ */
+async function nominatePlayer(leagueId, teamId, playerId, amount, io, { userId } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const locked = await lockAuction(client, leagueId, teamId, userId);
+    const result = locked.errors
+      ? locked
+      : await applyNomination(client, locked.draftState, locked.team, parseInt(playerId), amount);
+
+    if (result.errors) {
+      await client.query('ROLLBACK');
+      return result;
+    }
+
+    await saveAuction(client, leagueId, locked.draftState);
+    await restartAuctionClock(client, leagueId, locked.draftState.auction);
+    await client.query('COMMIT');
+
+    emitNomination(io, leagueId, locked.team, result.lot);
+    scheduleAuctionAI(leagueId, io);
+
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error nominating player:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Why `team` can't bid `amount` on `playerId` right now, if it can't
+ */
+function bidErrors(draftState, clockRunning, team, playerId, amount) {
+  const { auction } = draftState;
+  const lot = auction.lot;
+
+  if (auction.phase !== 'bidding' || !lot || lot.player_id !== parseInt(playerId)) {
+    return ['That player is not up for auction'];
+  }
+  if (!clockRunning) {
+    return ['Bidding is closed'];
+  }
+  if (lot.high_team_id === team.id) {
+    return [`${team.name} already has the high bid`];
+  }
+  if (!Number.isInteger(amount)) {
+    return ['The bid must be a whole number'];
+  }
+  if (amount < lot.high_bid + auction.bid_increment) {
+    return [`Bids must be at least ${lot.high_bid + auction.bid_increment}`];
+  }
+
+  const limit = maxBid(draftState, team.id);
+  if (amount > limit) {
+    return [limit < auction.min_bid ? `${team.name} has no room left` : `${team.name} can bid at most ${limit}`];
+  }
+
+  return [];
+}
+
+/**
+ * Bid `amount` for `teamId` on the player up for auction. `playerId` has to
+ * be the player the bidder thinks they're bidding on, so a late bid can't
+ * land on the next lot. Returns `{ errors }` or `{ lot }`.
+ */
+async function placeBid(leagueId, teamId, playerId, amount, io, { userId } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const locked = await lockAuction(client, leagueId, teamId, userId);
+    const errors = locked.errors || bidErrors(locked.draftState, locked.clockRunning, locked.team, playerId, amount);
+
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return { errors };
+    }
+
+    const { draftState, team } = locked;
+    const { auction } = draftState;
+    auction.lot.high_bid = amount;
+    auction.lot.high_team_id = team.id;
+    auction.lot.bids.push({ team_id: team.id, amount, at: new Date().toISOString() });
+    auction.clock_team_id = team.id;
+
+    await saveAuction(client, leagueId, draftState);
+    await restartAuctionClock(client, leagueId, auction);
+    await client.query('COMMIT');
+
+    io.to(`league_${leagueId}`).emit('auction_bid', {
+      leagueId,
+      lot: auction.lot.lot_number,
+      playerId: auction.lot.player_id,
+      teamId: team.id,
+      teamName: team.name,
+      amount
+    });
+
+    scheduleAuctionAI(leagueId, io);
+
+    return { lot: auction.lot };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error placing bid:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Sell the player up for auction to the high bidder: the winning bid
+ * becomes their salary. Returns the sale for the league room.
+ */
+async function sellLot(client, leagueId, draftState) {
+  const { auction } = draftState;
+  const lot = auction.lot;
+  const team = draftState.teams.find(t => t.id === lot.high_team_id);
+
+  team.picks.push({
+    pick_number: lot.lot_number,
+    round: team.picks.length + 1,
+    player_id: lot.player_id,
+    player_name: lot.player_name,
+    position: lot.position,
+    overall_rating: lot.overall_rating,
+    salary: lot.high_bid
+  });
+  auction.budgets[team.id] -= lot.high_bid;
+  draftState.available_players = draftState.available_players.filter(id => id !== lot.player_id);
+
+  await client.query(
+    `INSERT INTO team_rosters (team_id, player_id, league_id, contract_years, contract_salary, is_free_agent)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [team.id, lot.player_id, leagueId, AUCTION_CONTRACT_YEARS, lot.high_bid, false]
+  );
+
+  await client.query(
+    `UPDATE teams
+     SET total_salary = (
+       SELECT COALESCE(SUM(contract_salary), 0)
+       FROM team_rosters
+       WHERE team_id = $1 AND is_free_agent = false
+     )
+     WHERE id = $1`,
+    [team.id]
+  );
+
+  const queuesChanged = await removeDraftedPlayer(client, leagueId, lot.player_id);
+
+  draftState.current_pick++;
+  draftState.current_round = Math.floor((draftState.current_pick - 1) / draftState.teams.length) + 1;
+
+  return {
+    sale: {
+      leagueId,
+      pickNumber: lot.lot_number,
+      round: team.picks.length,
+      teamId: team.id,
+      teamName: team.name,
+      playerId: lot.player_id,
+      playerName: lot.player_name,
+      position: lot.position,
+      overall: lot.overall_rating,
+      salary: lot.high_bid,
+      budgetRemaining: auction.budgets[team.id],
+      currentPick: draftState.current_pick
+    },
+    queuesChanged
+  };
+}
+
+/**
+ * Best player left for a team that has to nominate: its own queue or
+ * rankings first, then the highest rated. Null if nobody is left.
+ */
+async function chooseNomination(db, draftState, teamId) {
+  const positionCounts = {};
+  draftState.teams.find(t => t.id === teamId).picks.forEach(pick => {
+    positionCounts[pick.position] = (positionCounts[pick.position] || 0) + 1;
+  });
+
+  const preferred = await choosePreferredPlayer(db, teamId, draftState.available_players, positionCounts);
+  if (preferred) {
+    return preferred.id;
+  }
+
+  const result = await db.query(
+    'SELECT id FROM players WHERE id = ANY($1) ORDER BY overall_rating DESC, potential DESC LIMIT 1',
+    [draftState.available_players]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+/**
+ * Nominate at the minimum bid for the team whose clock ran out. A team that
+ * can't nominate anyone is passed over for the next team that can bid.
+ * Returns `{ team, lot }`, or null once no team can nominate.
+ */
+async function nominateForClockTeam(client, draftState) {
+  const { auction } = draftState;
+  const passedOver = new Set();
+
+  while (!passedOver.has(auction.clock_team_id)) {
+    const team = draftState.teams.find(t => t.id === auction.clock_team_id);
+    const playerId = await chooseNomination(client, draftState, team.id);
+
+    if (playerId !== null) {
+      const { lot, errors } = await applyNomination(client, draftState, team, playerId, auction.min_bid);
+      if (!errors) {
+        return { team, lot };
+      }
+      console.error(`Passing over ${team.name}'s nomination:`, errors.join(', '));
+    }
+
+    passedOver.add(team.id);
+    if (!openNomination(draftState)) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run out the auction clock: a team that didn't nominate in time gets a
+ * player nominated for it at the minimum bid, and a player whose bidding
+ * went quiet is sold. Only acts if the clock on `pickNumber` really has run
+ * out, so only one server does it.
+ */
+async function expireAuctionClock(io, leagueId, pickNumber) {
+  const client = await pool.connect();
+  let draftState;
+  let nomination = null;
+  let sold = null;
+  let phaseChange = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT draft_state FROM drafts
+       WHERE league_id = $1 AND current_pick = $2 AND status = 'in_progress'
+         AND pick_deadline IS NOT NULL AND pick_deadline <= NOW()
+       FOR UPDATE`,
+      [leagueId, pickNumber]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    draftState = result.rows[0].draft_state;
+    const { auction } = draftState;
+
+    let open;
+    if (auction.phase === 'nominating') {
+      nomination = await nominateForClockTeam(client, draftState);
+      open = nomination !== null;
+    } else {
+      sold = await sellLot(client, leagueId, draftState);
+      open = openNomination(draftState);
+    }
+
+    if (!open) {
+      draftState.status = 'completed';
+      draftState.completed_at = new Date().toISOString();
+      auction.phase = 'completed';
+      auction.clock_team_id = null;
+      phaseChange = await transitionPhase(client, leagueId, 'preseason', { reason: 'Draft completed' });
+    }
+
+    await saveAuction(client, leagueId, draftState);
+    if (draftState.status === 'in_progress') {
+      await restartAuctionClock(client, leagueId, auction);
+    } else {
+      await client.query('UPDATE drafts SET pick_deadline = NULL, clock_remaining = NULL WHERE league_id = $1', [leagueId]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (nomination) {
+    io.to(`league_${leagueId}`).emit('draft_pick_expired', { leagueId, pickNumber, teamId: nomination.team.id });
+    emitNomination(io, leagueId, nomination.team, nomination.lot);
+  }
+
+  if (sold) {
+    io.to(`league_${leagueId}`).emit('draft_pick_made', { ...sold.sale, status: draftState.status });
+    sold.queuesChanged.forEach(teamId => {
+      io.to(`team_${teamId}`).emit('draft_queue_updated', { leagueId, teamId, playerId: sold.sale.playerId });
+    });
+  }
+
+  emitPhaseChange(io, phaseChange);
+  scheduleAuctionAI(leagueId, io);
+}
+
+/**
+ * What an AI team would pay for the player up for auction: its budget per
+ * open spot for a 75 overall, half again for every 5 points above, less
+ * for a position it has already filled twice, and a little of its own
+ * judgement (seeded per team and player), in whole bid increments
+ */
+function aiValuation(league, draftState, teamId) {
+  const { auction } = draftState;
+  const lot = auction.lot;
+  const team = draftState.teams.find(t => t.id === teamId);
+  const slotsLeft = auction.roster_slots - team.picks.length;
+
+  const perSlot = auction.budgets[teamId] / slotsLeft;
+  const quality = Math.pow(1.5, (lot.overall_rating - 75) / 5);
+  const samePosition = team.picks.filter(pick => pick.position === lot.position).length;
+  const need = samePosition >= 2 ? 0.7 : 1;
+  const rng = createRng(deriveSeed(league.seed || league.id, 'auction', draftState.season, teamId, lot.player_id));
+  const judgement = 0.85 + rng() * 0.3;
+
+  const value = Math.min(perSlot * quality * need * judgement, maxBid(draftState, teamId));
+  return Math.floor(value / auction.bid_increment) * auction.bid_increment;
+}
+
+/**
+ * Teams the AI bids and nominates for: unmanaged teams and teams whose GM
+ * switched on autodraft
+ */
+async function aiTeamIds(db, draftState) {
+  const ids = [];
+  for (const team of draftState.teams) {
+    if (team.is_ai || await isAutodraft(db, team.id)) {
+      ids.push(team.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Let AI teams take their turn in the auction: nominate if it's theirs, or
+ * bid if one of them values the player above the high bid. The keenest AI
+ * bids just enough to beat the next AI's valuation (or the minimum raise),
+ * so AI teams don't bid each other up one step at a time.
+ */
+async function runAuctionAI(leagueId, io) {
+  const draftResult = await pool.query('SELECT draft_state FROM drafts WHERE league_id = $1', [leagueId]);
+  const draftState = draftResult.rows.length > 0 ? draftResult.rows[0].draft_state : null;
+
+  if (!draftState || !draftState.auction || draftState.status !== 'in_progress') {
+    return;
+  }
+
+  const { auction } = draftState;
+  const aiTeams = await aiTeamIds(pool, draftState);
+
+  if (auction.phase === 'nominating') {
+    if (!aiTeams.includes(auction.clock_team_id)) return;
+
+    const playerId = await chooseNomination(pool, draftState, auction.clock_team_id);
+    if (playerId === null) return;
+
+    await nominatePlayer(leagueId, auction.clock_team_id, playerId, auction.min_bid, io);
+    return;
+  }
+
+  if (auction.phase !== 'bidding') return;
+
+  const leagueResult = await pool.query('SELECT id, seed FROM leagues WHERE id = $1', [leagueId]);
+  const nextBid = auction.lot.high_bid + auction.bid_increment;
+
+  const bidders = aiTeams
+    .filter(teamId => teamId !== auction.lot.high_team_id && canBid(draftState, teamId))
+    .map(teamId => ({ teamId, value: aiValuation(leagueResult.rows[0], draftState, teamId) }))
+    .filter(bidder => bidder.value >= nextBid)
+    .sort((a, b) => b.value - a.value);
+
+  if (bidders.length === 0) return;
+
+  const [keenest, runnerUp] = bidders;
+  const amount = runnerUp ? Math.min(keenest.value, runnerUp.value + auction.bid_increment) : nextBid;
+
+  await placeBid(leagueId, keenest.teamId, auction.lot.player_id, Math.max(amount, nextBid), io);
+}
+
+/**
+ * Give AI teams a moment, then let them act on the auction as it stands
+ */
+function scheduleAuctionAI(leagueId, io) {
+  setTimeout(() => {
+    runAuctionAI(leagueId, io).catch(error => console.error('Error running auction AI:', error));
+  }, AI_DELAY_MS);
+}
+
+/**
+ * The auction as a team sees it: who's nominating, the player up with the
+ * bids so far, and every team's budget, open spots and max bid
+ */
+function getAuctionView(draftState) {
+  const { auction } = draftState;
+
+  return {
+    phase: auction.phase,
+    lotNumber: draftState.current_pick,
+    minBid: auction.min_bid,
+    bidIncrement: auction.bid_increment,
+    nominationSeconds: auction.nomination_seconds,
+    bidSeconds: auction.bid_seconds,
+    nominatingTeamId: auction.phase === 'nominating' ? auction.clock_team_id : null,
+    lot: auction.lot,
+    teams: draftState.teams.map(team => ({
+      teamId: team.id,
+      teamName: team.name,
+      budget: auction.budgets[team.id],
+      openSlots: Math.max(0, auction.roster_slots - team.picks.length),
+      maxBid: Math.max(0, maxBid(draftState, team.id)),
+      players: team.picks
+    }))
+  };
+}
+
+module.exports = {
+  createAuction,
+  openNomination,
+  restartAuctionClock,
+  nominatePlayer,
+  placeBid,
+  expireAuctionClock,
+  runAuctionAI,
+  getAuctionView
+};
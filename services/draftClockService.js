@@ -0,0 +1,223 @@
+const { pool } = require('../database/init');
+const { makeAIDraftPick, processAIDrafts } = require('./draftService');
+const { expireAuctionClock } = require('./draftAuctionService');
+
+/**
+ * Draft pick clocks. The deadline for the pick on the clock lives on the
+ * draft row (see restartPickClock in draftService), so a restart picks up
+ * where it left off. Every tick sends the time left to the league room and
+ * makes the pick for any team whose time has run out. In an auction the
+ * clock is the nomination or bid clock, and the team on it is the one
+ * nominating or holding the high bid.
+ */
+
+// Grace period before trying again when an expired pick couldn't be made
+const RETRY_SECONDS = 10;
+
+// The team on the clock: the auction's, or whoever has the current pick
+const CLOCK_TEAM = `COALESCE(draft_state->'auction'->>'clock_team_id',
+  draft_state->'draft_order'->(current_pick - 1)->>'team_id')`;
+
+let ticking = false;
+
+/**
+ * Claim an expired pick and make it for the team on the clock. Only one
+ * server gets the claim, and only while the pick is still the one that
+ * expired.
+ */
+async function expirePick(io, leagueId, pickNumber, teamId) {
+  const claim = await pool.query(
+    `UPDATE drafts SET pick_deadline = NULL
+     WHERE league_id = $1 AND current_pick = $2 AND status = 'in_progress'
+       AND pick_deadline IS NOT NULL AND pick_deadline <= NOW()
+     RETURNING league_id`,
+    [leagueId, pickNumber]
+  );
+
+  if (claim.rows.length === 0) {
+    return;
+  }
+
+  io.to(`league_${leagueId}`).emit('draft_pick_expired', { leagueId, pickNumber, teamId });
+
+  try {
+    await makeAIDraftPick(leagueId, teamId, io);
+    setTimeout(() => processAIDrafts(leagueId, io), 1000);
+  } catch (error) {
+    console.error(`Error making expired pick ${pickNumber} in league ${leagueId}:`, error);
+
+    // Put the clock back so the pick is tried again rather than stalling
+    await pool.query(
+      `UPDATE drafts SET pick_deadline = NOW() + $3 * INTERVAL '1 second'
+       WHERE league_id = $1 AND current_pick = $2 AND status = 'in_progress'
+         AND pick_deadline IS NULL AND NOT clock_paused`,
+      [leagueId, pickNumber, RETRY_SECONDS]
+    );
+  }
+}
+
+/**
+ * Run out an auction's nomination or bid clock, trying again shortly if it
+ * fails
+ */
+async function expireAuction(io, leagueId, pickNumber) {
+  try {
+    await expireAuctionClock(io, leagueId, pickNumber);
+  } catch (error) {
+    console.error(`Error running out auction clock on lot ${pickNumber} in league ${leagueId}:`, error);
+
+    await pool.query(
+      `UPDATE drafts SET pick_deadline = NOW() + $3 * INTERVAL '1 second'
+       WHERE league_id = $1 AND current_pick = $2 AND status = 'in_progress'
+         AND pick_deadline <= NOW()`,
+      [leagueId, pickNumber, RETRY_SECONDS]
+    );
+  }
+}
+
+/**
+ * Send every running clock's time to its league and expire the picks that
+ * are out of time. Expired picks are made in the background so one slow
+ * pick doesn't hold up the other drafts' clocks.
+ */
+async function tickDraftClocks(io) {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const result = await pool.query(
+      `SELECT league_id, current_pick, draft_state->>'draft_type' as draft_type,
+              ${CLOCK_TEAM} as team_id,
+              EXTRACT(EPOCH FROM (pick_deadline - NOW())) as seconds_left
+       FROM drafts
+       WHERE status = 'in_progress' AND pick_deadline IS NOT NULL`
+    );
+
+    result.rows.forEach(draft => {
+      const teamId = parseInt(draft.team_id);
+      const secondsLeft = Number(draft.seconds_left);
+
+      io.to(`league_${draft.league_id}`).emit('draft_clock', {
+        leagueId: draft.league_id,
+        pickNumber: draft.current_pick,
+        teamId,
+        secondsRemaining: Math.max(0, Math.ceil(secondsLeft))
+      });
+
+      if (secondsLeft <= 0 && draft.draft_type === 'auction') {
+        expireAuction(io, draft.league_id, draft.current_pick)
+          .catch(error => console.error('Error running out auction clock:', error));
+      } else if (secondsLeft <= 0) {
+        expirePick(io, draft.league_id, draft.current_pick, teamId)
+          .catch(error => console.error('Error expiring draft pick:', error));
+      }
+    });
+  } catch (error) {
+    console.error('Error ticking draft clocks:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Stop the clock, keeping the time left on it. Returns the draft's clock,
+ * or null if the draft isn't running or is already paused.
+ */
+async function pauseDraftClock(db, leagueId, io) {
+  const result = await db.query(
+    `UPDATE drafts
+     SET clock_paused = true,
+         clock_remaining = CASE WHEN pick_deadline IS NULL THEN clock_remaining
+                                ELSE GREATEST(CEIL(EXTRACT(EPOCH FROM (pick_deadline - NOW()))), 0)::int END,
+         pick_deadline = NULL
+     WHERE league_id = $1 AND status = 'in_progress' AND NOT clock_paused
+     RETURNING league_id, current_pick, clock_remaining`,
+    [leagueId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const clock = result.rows[0];
+  io.to(`league_${leagueId}`).emit('draft_clock_paused', {
+    leagueId: clock.league_id,
+    pickNumber: clock.current_pick,
+    secondsRemaining: clock.clock_remaining
+  });
+
+  return clock;
+}
+
+/**
+ * Restart the clock with the time that was left on it. Returns the
+ * draft's clock, or null if the draft isn't running or isn't paused.
+ */
+async function resumeDraftClock(db, leagueId, io) {
+  const result = await db.query(
+    `UPDATE drafts
+     SET clock_paused = false,
+         pick_deadline = CASE WHEN clock_remaining IS NULL THEN NULL
+                              ELSE NOW() + clock_remaining * INTERVAL '1 second' END,
+         clock_remaining = NULL
+     WHERE league_id = $1 AND status = 'in_progress' AND clock_paused
+     RETURNING league_id, current_pick, pick_deadline`,
+    [leagueId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const clock = result.rows[0];
+  io.to(`league_${leagueId}`).emit('draft_clock_resumed', {
+    leagueId: clock.league_id,
+    pickNumber: clock.current_pick,
+    deadline: clock.pick_deadline
+  });
+
+  return clock;
+}
+
+/**
+ * Where the draft's clock stands
+ */
+async function getDraftClock(db, leagueId) {
+  const result = await db.query(
+    `SELECT league_id, status, current_pick, clock_paused, clock_remaining, pick_deadline,
+            ${CLOCK_TEAM} as team_id,
+            draft_state->'settings'->>'timePerPick' as time_per_pick,
+            EXTRACT(EPOCH FROM (pick_deadline - NOW())) as seconds_left
+     FROM drafts
+     WHERE league_id = $1`,
+    [leagueId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const draft = result.rows[0];
+  const secondsRemaining = draft.pick_deadline
+    ? Math.max(0, Math.ceil(Number(draft.seconds_left)))
+    : draft.clock_remaining;
+
+  return {
+    leagueId: draft.league_id,
+    status: draft.status,
+    pickNumber: draft.current_pick,
+    teamId: draft.team_id ? parseInt(draft.team_id) : null,
+    timePerPick: parseInt(draft.time_per_pick) || 0,
+    running: Boolean(draft.pick_deadline),
+    paused: draft.clock_paused,
+    deadline: draft.pick_deadline,
+    secondsRemaining
+  };
+}
+
+module.exports = {
+  tickDraftClocks,
+  pauseDraftClock,
+  resumeDraftClock,
+  getDraftClock
+};
@@ -0,0 +1,243 @@
+const { createRng, deriveSeed } = require('./seededRandom');
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * Draft lotteries. The teams that missed the playoffs draw for the top
+ * picks, worst record first, then the playoff teams follow in reverse
+ * order of the standings. League settings choose the kind of lottery:
+ * - `weighted`: NBA-style odds that favour the worst teams (`lotteryOdds`)
+ * - `flat`: every non-playoff team has the same chance
+ * - `none`: no draw, straight reverse standings
+ *
+ * The draw is seeded from the league seed and the season and saved with
+ * its entrants and odds, so anyone can check it.
+ */
+
+const LOTTERY_TYPES = ['weighted', 'flat', 'none'];
+
+// Combinations out of 1000 for the 14 non-playoff teams, worst first
+const NBA_LOTTERY_ODDS = [140, 140, 140, 125, 105, 90, 75, 60, 45, 30, 20, 15, 10, 5];
+const DEFAULT_LOTTERY_PICKS = 4;
+const DEFAULT_REVEAL_SECONDS = 3;
+
+function lotterySettings(league) {
+  const settings = getLeagueSettings(league);
+  const odds = Array.isArray(settings.lotteryOdds) && settings.lotteryOdds.every(value => Number(value) >= 0)
+    ? settings.lotteryOdds.map(Number)
+    : NBA_LOTTERY_ODDS;
+
+  return {
+    type: LOTTERY_TYPES.includes(settings.draftLottery) ? settings.draftLottery : 'weighted',
+    picks: parseInt(settings.lotteryPicks) || DEFAULT_LOTTERY_PICKS,
+    odds,
+    revealSeconds: parseInt(settings.lotteryRevealSeconds) || DEFAULT_REVEAL_SECONDS
+  };
+}
+
+/**
+ * Draw the lottery. `entrants` are the non-playoff teams worst first and
+ * `others` the playoff teams worst first. Returns every team's chance of
+ * the first pick and the full draft order.
+ */
+function drawLottery(entrants, others, { type, picks, odds }, rng) {
+  const weighted = entrants.map((team, index) => ({
+    ...team,
+    pre_lottery_position: index + 1,
+    weight: type === 'flat' ? 1 : (odds[index] || 0)
+  }));
+  const totalWeight = weighted.reduce((sum, team) => sum + team.weight, 0);
+
+  const withOdds = weighted.map(team => ({
+    ...team,
+    first_pick_odds: type === 'none' || totalWeight === 0 ? (team.pre_lottery_position === 1 ? 1 : 0) : team.weight / totalWeight
+  }));
+
+  const remaining = [...withOdds];
+  const winners = [];
+
+  if (type !== 'none') {
+    for (let i = 0; i < Math.min(picks, withOdds.length); i++) {
+      const weight = remaining.reduce((sum, team) => sum + team.weight, 0);
+      if (weight <= 0) break;
+
+      let roll = rng() * weight;
+      const index = remaining.findIndex(team => (roll -= team.weight) < 0);
+      const winner = remaining.splice(index === -1 ? remaining.length - 1 : index, 1)[0];
+      winners.push({ ...winner, won_lottery: true });
+    }
+  }
+
+  const order = [
+    ...winners,
+    ...remaining.map(team => ({ ...team, won_lottery: false })),
+    ...others.map((team, index) => ({
+      ...team,
+      pre_lottery_position: withOdds.length + index + 1,
+      first_pick_odds: 0,
+      won_lottery: false
+    }))
+  ].map(({ weight, ...team }, index) => ({ ...team, pick: index + 1 }));
+
+  return {
+    entrants: withOdds.map(({ weight, ...team }) => team),
+    order
+  };
+}
+
+/**
+ * Standings of the season the draft is based on, worst first
+ */
+async function getLotteryStandings(db, leagueId, season) {
+  const result = await db.query(
+    `SELECT ss.team_id, t.name as team_name, ss.wins, ss.losses, ss.win_pct, ss.playoff_seed
+     FROM season_standings ss
+     JOIN teams t ON ss.team_id = t.id
+     WHERE ss.league_id = $1 AND ss.season = $2
+     ORDER BY ss.rank DESC`,
+    [leagueId, season]
+  );
+
+  return result.rows.map(row => ({ ...row, win_pct: Number(row.win_pct) }));
+}
+
+/**
+ * Draw the lottery for the league's upcoming draft (the current season's),
+ * based on how the last finished season ended. Returns `{ errors }` if it
+ * can't be drawn, otherwise `{ lottery, revealSeconds }`.
+ */
+async function runDraftLottery(client, league, userId) {
+  const draftSeason = league.current_season;
+  const standingsSeason = draftSeason - 1;
+  const settings = lotterySettings(league);
+
+  const existing = await client.query(
+    'SELECT id FROM draft_lotteries WHERE league_id = $1 AND season = $2',
+    [league.id, draftSeason]
+  );
+  if (existing.rows.length > 0) {
+    return { errors: [`The lottery for the season ${draftSeason} draft has already been drawn`] };
+  }
+
+  const draft = await client.query(
+    'SELECT status, draft_state FROM drafts WHERE league_id = $1',
+    [league.id]
+  );
+  if (draft.rows.length > 0 && draft.rows[0].status !== 'not_started'
+      && draft.rows[0].draft_state.season === draftSeason) {
+    return { errors: ['The draft has already started'] };
+  }
+
+  const standings = await getLotteryStandings(client, league.id, standingsSeason);
+  if (standings.length === 0) {
+    return { errors: ['There is no finished season to base the lottery on'] };
+  }
+
+  const entrants = standings.filter(team => team.playoff_seed === null);
+  const others = standings.filter(team => team.playoff_seed !== null);
+  const seed = deriveSeed(league.seed || league.id, 'draft_lottery', draftSeason);
+  const drawn = drawLottery(entrants, others, settings, createRng(seed));
+
+  const revealDuration = settings.type === 'none' ? 0 : settings.revealSeconds * (entrants.length + 1);
+
+  const result = await client.query(
+    `INSERT INTO draft_lotteries
+     (league_id, season, standings_season, lottery_type, lottery_picks, seed, entrants, results, drawn_by, reveal_ends_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + $10 * INTERVAL '1 second')
+     RETURNING *`,
+    [
+      league.id,
+      draftSeason,
+      standingsSeason,
+      settings.type,
+      settings.type === 'none' ? 0 : Math.min(settings.picks, entrants.length),
+      seed,
+      JSON.stringify(drawn.entrants),
+      JSON.stringify(drawn.order),
+      userId,
+      revealDuration
+    ]
+  );
+
+  return { lottery: result.rows[0], revealSeconds: settings.revealSeconds };
+}
+
+/**
+ * Reveal the draw to the league room from the last lottery pick up to the
+ * first, one every `revealSeconds`
+ */
+function revealLottery(io, lottery, revealSeconds) {
+  const room = `league_${lottery.league_id}`;
+  const lotteryPicks = lottery.results.slice(0, lottery.entrants.length).reverse();
+  const delay = lottery.lottery_type === 'none' ? 0 : revealSeconds * 1000;
+
+  io.to(room).emit('draft_lottery_started', {
+    leagueId: lottery.league_id,
+    season: lottery.season,
+    type: lottery.lottery_type,
+    entrants: lottery.entrants
+  });
+
+  lotteryPicks.forEach((pick, index) => {
+    setTimeout(() => {
+      io.to(room).emit('draft_lottery_pick', {
+        leagueId: lottery.league_id,
+        season: lottery.season,
+        pick: pick.pick,
+        teamId: pick.team_id,
+        teamName: pick.team_name,
+        preLotteryPosition: pick.pre_lottery_position,
+        wonLottery: pick.won_lottery
+      });
+    }, (index + 1) * delay);
+  });
+
+  setTimeout(() => {
+    io.to(room).emit('draft_lottery_completed', {
+      leagueId: lottery.league_id,
+      season: lottery.season,
+      order: lottery.results
+    });
+  }, (lotteryPicks.length + 1) * delay);
+}
+
+/**
+ * A season's lottery with everything needed to check it. The results stay
+ * hidden until the reveal is over.
+ */
+async function getDraftLottery(db, leagueId, season) {
+  const result = await db.query(
+    `SELECT dl.*, dl.reveal_ends_at > NOW() as revealing
+     FROM draft_lotteries dl
+     WHERE dl.league_id = $1 AND dl.season = $2`,
+    [leagueId, season]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const lottery = result.rows[0];
+  return lottery.revealing ? { ...lottery, results: null } : lottery;
+}
+
+/**
+ * The team order the lottery set for a season's draft, or null if there
+ * was no lottery
+ */
+async function getLotteryOrder(db, leagueId, season) {
+  const result = await db.query(
+    'SELECT results FROM draft_lotteries WHERE league_id = $1 AND season = $2',
+    [leagueId, season]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].results.map(pick => pick.team_id) : null;
+}
+
+module.exports = {
+  LOTTERY_TYPES,
+  drawLottery,
+  runDraftLottery,
+  revealLottery,
+  getDraftLottery,
+  getLotteryOrder
+};
@@ -0,0 +1,222 @@
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * Draft picks as owned assets. Every team gets a pick per round for the
+ * current season and a few seasons ahead; picks can change hands in trades,
+ * optionally with a top-N protection, and whoever owns a pick when the
+ * draft order is drawn up makes it.
+ */
+
+// Seasons ahead of the current one that picks exist for (league setting
+// `futurePickSeasons`)
+const DEFAULT_FUTURE_SEASONS = 3;
+// Rounds of future drafts (league setting `draftRounds`)
+const DEFAULT_PICK_ROUNDS = 2;
+
+function pickSettings(league) {
+  const settings = getLeagueSettings(league);
+  const futureSeasons = parseInt(settings.futurePickSeasons);
+
+  return {
+    futureSeasons: Number.isInteger(futureSeasons) && futureSeasons >= 0 ? futureSeasons : DEFAULT_FUTURE_SEASONS,
+    rounds: parseInt(settings.draftRounds) || DEFAULT_PICK_ROUNDS
+  };
+}
+
+/**
+ * Create the picks every team is owed for `fromSeason` to `toSeason`
+ * (defaults: the current season and the future seasons the league keeps).
+ * Picks that already exist are left with whoever owns them.
+ */
+async function ensureDraftPicks(db, league, { fromSeason, toSeason, rounds } = {}) {
+  const settings = pickSettings(league);
+  const first = fromSeason || league.current_season;
+  const last = toSeason || league.current_season + settings.futureSeasons;
+
+  const result = await db.query(
+    `INSERT INTO draft_picks (league_id, season, round, original_team_id, owner_team_id)
+     SELECT $1, season, round, t.id, t.id
+     FROM teams t
+     CROSS JOIN generate_series($2::int, $3::int) season
+     CROSS JOIN generate_series(1, $4::int) round
+     WHERE t.league_id = $1
+     ON CONFLICT (league_id, season, round, original_team_id) DO NOTHING`,
+    [league.id, first, last, rounds || settings.rounds]
+  );
+
+  return result.rowCount;
+}
+
+const PICK_COLUMNS = `dp.*, original.name as original_team_name, original.abbreviation as original_team_abbreviation,
+  owner.name as owner_team_name, player.name as player_name`;
+
+const PICK_JOINS = `JOIN teams original ON dp.original_team_id = original.id
+  JOIN teams owner ON dp.owner_team_id = owner.id
+  LEFT JOIN players player ON dp.player_id = player.id`;
+
+/**
+ * "2027 round 1 (via BOS, top-5 protected)"
+ */
+function describePick(pick) {
+  const notes = [];
+  if (pick.original_team_id !== pick.owner_team_id) {
+    notes.push(`via ${pick.original_team_abbreviation || pick.original_team_name}`);
+  }
+  if (pick.protection) {
+    notes.push(`top-${pick.protection} protected`);
+  }
+
+  return `${pick.season} round ${pick.round}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+/**
+ * Picks a team owns, and its own picks that belong to other teams
+ */
+async function getTeamPicks(db, teamId) {
+  const result = await db.query(
+    `SELECT ${PICK_COLUMNS}
+     FROM draft_picks dp
+     ${PICK_JOINS}
+     WHERE (dp.owner_team_id = $1 OR dp.original_team_id = $1)
+       AND dp.player_id IS NULL
+     ORDER BY dp.season, dp.round, original.name`,
+    [teamId]
+  );
+
+  const picks = result.rows.map(pick => ({ ...pick, description: describePick(pick), tradeable: pick.pick_number === null }));
+  const owned = picks.filter(pick => pick.owner_team_id === parseInt(teamId));
+  const tradedAway = picks.filter(pick => pick.owner_team_id !== parseInt(teamId));
+
+  return { owned, traded_away: tradedAway };
+}
+
+async function getPicksByIds(db, pickIds) {
+  if (!pickIds || pickIds.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT ${PICK_COLUMNS}
+     FROM draft_picks dp
+     ${PICK_JOINS}
+     WHERE dp.id = ANY($1)
+     ORDER BY dp.season, dp.round`,
+    [pickIds]
+  );
+
+  return result.rows.map(pick => ({ ...pick, description: describePick(pick) }));
+}
+
+/**
+ * Picks in a trade are ids, or `{ id, protection }` to protect a pick
+ * that's being given away. Returns `{ picks }` or `{ errors }`.
+ */
+function normalizeTradePicks(list, teamCount) {
+  const errors = [];
+  const picks = (list || []).map(entry => {
+    const id = parseInt(typeof entry === 'object' && entry !== null ? entry.id : entry);
+    const protection = typeof entry === 'object' && entry !== null && entry.protection !== undefined && entry.protection !== null
+      ? parseInt(entry.protection)
+      : null;
+
+    if (!Number.isInteger(id)) {
+      errors.push('Draft picks must be given by id');
+    }
+    if (protection !== null && (!Number.isInteger(protection) || protection < 1 || protection >= teamCount)) {
+      errors.push(`protection must be a whole number from 1 to ${teamCount - 1}`);
+    }
+
+    return { id, protection };
+  });
+
+  return errors.length > 0 ? { errors } : { picks };
+}
+
+/**
+ * Check that `teamId` owns every pick and that none has been drafted with
+ * or slotted into a draft order yet. Returns a list of problems.
+ */
+async function validateTradePicks(db, league, teamId, picks) {
+  if (picks.length === 0) return [];
+
+  const rows = await getPicksByIds(db, picks.map(pick => pick.id));
+  const errors = [];
+
+  picks.forEach(({ id }) => {
+    const pick = rows.find(row => row.id === id);
+
+    if (!pick || pick.league_id !== league.id) {
+      errors.push(`Draft pick ${id} not found`);
+    } else if (pick.owner_team_id !== parseInt(teamId)) {
+      errors.push(`${describePick(pick)} belongs to ${pick.owner_team_name}`);
+    } else if (pick.pick_number !== null || pick.player_id !== null || pick.season < league.current_season) {
+      errors.push(`${describePick(pick)} can no longer be traded`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Hand picks over to `toTeamId`, applying any protection the giving team
+ * attached
+ */
+async function transferPicks(client, picks, toTeamId) {
+  for (const pick of picks) {
+    await client.query(
+      `UPDATE draft_picks
+       SET owner_team_id = $2, protection = COALESCE($3, protection), updated_at = NOW()
+       WHERE id = $1`,
+      [pick.id, toTeamId, pick.protection]
+    );
+  }
+}
+
+/**
+ * A season's picks, for drawing up its draft order
+ */
+async function getSeasonPicks(db, leagueId, season) {
+  const result = await db.query(
+    'SELECT * FROM draft_picks WHERE league_id = $1 AND season = $2',
+    [leagueId, season]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Slot picks into the drawn-up draft order. A protected pick that landed
+ * inside its protection goes back to the team it came from.
+ */
+async function assignPickNumbers(client, order) {
+  for (const slot of order) {
+    if (!slot.draft_pick_id) continue;
+
+    await client.query(
+      `UPDATE draft_picks
+       SET pick_number = $2, owner_team_id = $3, protection_triggered = $4, updated_at = NOW()
+       WHERE id = $1`,
+      [slot.draft_pick_id, slot.pick, slot.team_id, slot.protection_triggered]
+    );
+  }
+}
+
+async function recordPickUsed(client, draftPickId, playerId) {
+  if (!draftPickId) return;
+
+  await client.query(
+    'UPDATE draft_picks SET player_id = $2, updated_at = NOW() WHERE id = $1',
+    [draftPickId, playerId]
+  );
+}
+
+module.exports = {
+  ensureDraftPicks,
+  describePick,
+  getTeamPicks,
+  getPicksByIds,
+  normalizeTradePicks,
+  validateTradePicks,
+  transferPicks,
+  getSeasonPicks,
+  assignPickNumbers,
+  recordPickUsed
+};
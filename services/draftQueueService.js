@@ -0,0 +1,267 @@
+/**
+ * Each GM's private draft board: an ordered queue, custom rankings,
+ * players they never want, position limits and an autodraft switch.
+ * Whenever a pick is made for a team (clock ran out, autodraft, auto-pick)
+ * its queue comes first, then its rankings, and only then the AI's choice.
+ */
+
+/**
+ * The team's board, with each player's details and whether they're still
+ * on the board (`available` ids from the draft)
+ */
+async function getDraftPreferences(db, teamId, available = []) {
+  const result = await db.query(
+    `SELECT dp.player_id, dp.queue_position, dp.ranking, dp.do_not_draft,
+            p.name, p.position, p.overall_rating, p.potential
+     FROM draft_preferences dp
+     JOIN players p ON dp.player_id = p.id
+     WHERE dp.team_id = $1`,
+    [teamId]
+  );
+  const settings = await getTeamDraftSettings(db, teamId);
+
+  const availableIds = new Set(available);
+  const rows = result.rows.map(row => ({ ...row, available: availableIds.has(row.player_id) }));
+
+  return {
+    teamId: parseInt(teamId),
+    autodraft: settings.autodraft,
+    positionLimits: settings.position_limits,
+    queue: rows.filter(row => row.queue_position !== null).sort((a, b) => a.queue_position - b.queue_position),
+    rankings: rows.filter(row => row.ranking !== null).sort((a, b) => a.ranking - b.ranking),
+    doNotDraft: rows.filter(row => row.do_not_draft)
+  };
+}
+
+async function getTeamDraftSettings(db, teamId) {
+  const result = await db.query(
+    'SELECT autodraft, position_limits FROM draft_team_settings WHERE team_id = $1',
+    [teamId]
+  );
+
+  return result.rows[0] || { autodraft: false, position_limits: {} };
+}
+
+function playerListErrors(playerIds, available, label) {
+  if (!Array.isArray(playerIds)) {
+    return [`${label} must be a list of player ids`];
+  }
+
+  const availableIds = new Set(available);
+  const errors = [];
+  const seen = new Set();
+
+  playerIds.forEach(id => {
+    if (!availableIds.has(parseInt(id))) {
+      errors.push(`Player ${id} is not available in this draft`);
+    }
+    if (seen.has(parseInt(id))) {
+      errors.push(`Player ${id} is listed twice`);
+    }
+    seen.add(parseInt(id));
+  });
+
+  return errors;
+}
+
+/**
+ * Replace one ordered list (`queue_position` or `ranking`) with `playerIds`
+ */
+async function setOrderedList(client, leagueId, teamId, column, playerIds) {
+  await client.query(
+    `UPDATE draft_preferences SET ${column} = NULL, updated_at = NOW() WHERE team_id = $1`,
+    [teamId]
+  );
+
+  for (let i = 0; i < playerIds.length; i++) {
+    await client.query(
+      `INSERT INTO draft_preferences (league_id, team_id, player_id, ${column})
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (team_id, player_id) DO UPDATE SET ${column} = $4, updated_at = NOW()`,
+      [leagueId, teamId, parseInt(playerIds[i]), i + 1]
+    );
+  }
+
+  await pruneEmpty(client, teamId);
+}
+
+async function pruneEmpty(client, teamId) {
+  await client.query(
+    `DELETE FROM draft_preferences
+     WHERE team_id = $1 AND queue_position IS NULL AND ranking IS NULL AND NOT do_not_draft`,
+    [teamId]
+  );
+}
+
+/**
+ * Replace the team's queue. Returns `{ errors }` or nothing.
+ */
+async function setDraftQueue(client, leagueId, teamId, playerIds, available) {
+  const errors = playerListErrors(playerIds, available, 'playerIds');
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  await setOrderedList(client, leagueId, teamId, 'queue_position', playerIds);
+  return {};
+}
+
+/**
+ * Replace the team's custom rankings. Returns `{ errors }` or nothing.
+ */
+async function setDraftRankings(client, leagueId, teamId, playerIds, available) {
+  const errors = playerListErrors(playerIds, available, 'playerIds');
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  await setOrderedList(client, leagueId, teamId, 'ranking', playerIds);
+  return {};
+}
+
+/**
+ * Update the team's do-not-draft list, position limits and autodraft
+ * switch; anything left out stays as it is. Returns `{ errors }` or
+ * nothing.
+ */
+async function setDraftSettings(client, leagueId, teamId, { doNotDraft, positionLimits, autodraft }, available) {
+  const errors = [];
+
+  if (doNotDraft !== undefined) {
+    errors.push(...playerListErrors(doNotDraft, available, 'doNotDraft'));
+  }
+
+  if (positionLimits !== undefined) {
+    if (positionLimits === null || typeof positionLimits !== 'object' || Array.isArray(positionLimits)) {
+      errors.push('positionLimits must map positions to a maximum number of players');
+    } else {
+      Object.entries(positionLimits).forEach(([position, limit]) => {
+        if (!Number.isInteger(limit) || limit < 0) {
+          errors.push(`Limit for ${position} must be a whole number of players`);
+        }
+      });
+    }
+  }
+
+  if (autodraft !== undefined && typeof autodraft !== 'boolean') {
+    errors.push('autodraft must be true or false');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  if (doNotDraft !== undefined) {
+    await client.query(
+      'UPDATE draft_preferences SET do_not_draft = false, updated_at = NOW() WHERE team_id = $1',
+      [teamId]
+    );
+
+    for (const playerId of doNotDraft) {
+      await client.query(
+        `INSERT INTO draft_preferences (league_id, team_id, player_id, do_not_draft)
+         VALUES ($1, $2, $3, true)
+         ON CONFLICT (team_id, player_id) DO UPDATE SET do_not_draft = true, updated_at = NOW()`,
+        [leagueId, teamId, parseInt(playerId)]
+      );
+    }
+
+    await pruneEmpty(client, teamId);
+  }
+
+  await client.query(
+    `INSERT INTO draft_team_settings (team_id, league_id, autodraft, position_limits)
+     VALUES ($1, $2, COALESCE($3, false), COALESCE($4, '{}'::jsonb))
+     ON CONFLICT (team_id) DO UPDATE
+     SET autodraft = COALESCE($3, draft_team_settings.autodraft),
+         position_limits = COALESCE($4, draft_team_settings.position_limits),
+         updated_at = NOW()`,
+    [teamId, leagueId, autodraft === undefined ? null : autodraft,
+      positionLimits === undefined ? null : JSON.stringify(positionLimits)]
+  );
+
+  return {};
+}
+
+/**
+ * Positions the team has filled up to its limit, given its roster's
+ * `positionCounts`
+ */
+function fullPositions(positionLimits, positionCounts) {
+  return Object.entries(positionLimits || {})
+    .filter(([position, limit]) => (positionCounts[position] || 0) >= limit)
+    .map(([position]) => position);
+}
+
+/**
+ * What a pick made for the team has to respect: players it never wants
+ * and positions it has filled
+ */
+async function getDraftRestrictions(db, teamId, positionCounts) {
+  const settings = await getTeamDraftSettings(db, teamId);
+  const result = await db.query(
+    'SELECT player_id FROM draft_preferences WHERE team_id = $1 AND do_not_draft',
+    [teamId]
+  );
+
+  return {
+    doNotDraft: result.rows.map(row => row.player_id),
+    fullPositions: fullPositions(settings.position_limits, positionCounts)
+  };
+}
+
+/**
+ * The team's own choice for a pick made for it: the first available player
+ * in its queue, otherwise its best-ranked available player, skipping
+ * do-not-draft players and filled positions. Null if neither has anyone.
+ */
+async function choosePreferredPlayer(db, teamId, available, positionCounts) {
+  const { fullPositions: full } = await getDraftRestrictions(db, teamId, positionCounts);
+
+  const result = await db.query(
+    `SELECT p.*
+     FROM draft_preferences dp
+     JOIN players p ON dp.player_id = p.id
+     WHERE dp.team_id = $1
+       AND dp.player_id = ANY($2)
+       AND NOT dp.do_not_draft
+       AND NOT (p.position = ANY($3))
+       AND (dp.queue_position IS NOT NULL OR dp.ranking IS NOT NULL)
+     ORDER BY dp.queue_position NULLS LAST, dp.ranking NULLS LAST
+     LIMIT 1`,
+    [teamId, available, full]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function isAutodraft(db, teamId) {
+  const settings = await getTeamDraftSettings(db, teamId);
+  return settings.autodraft;
+}
+
+/**
+ * Take a drafted player off every board in the league. Returns the teams
+ * whose queue lost them.
+ */
+async function removeDraftedPlayer(client, leagueId, playerId) {
+  const result = await client.query(
+    `DELETE FROM draft_preferences
+     WHERE league_id = $1 AND player_id = $2
+     RETURNING team_id, queue_position`,
+    [leagueId, playerId]
+  );
+
+  return result.rows.filter(row => row.queue_position !== null).map(row => row.team_id);
+}
+
+module.exports = {
+  getDraftPreferences,
+  setDraftQueue,
+  setDraftRankings,
+  setDraftSettings,
+  getDraftRestrictions,
+  choosePreferredPlayer,
+  isAutodraft,
+  removeDraftedPlayer
+};
@@ -1,4 +1,10 @@
 const { pool } = require('../database/init');
+const { transitionPhase, emitPhaseChange } = require('./leaguePhaseService');
+const { ensureDraftPicks, getSeasonPicks, assignPickNumbers, recordPickUsed } = require('./draftPickService');
+const { getLotteryOrder } = require('./draftLotteryService');
+const { choosePreferredPlayer, getDraftRestrictions, isAutodraft, removeDraftedPlayer } = require('./draftQueueService');
+const { emitToTeam } = require('./websocketService');
+const { createAuction, openNomination, restartAuctionClock, runAuctionAI } = require('./draftAuctionService');
 const Anthropic = require('@anthropic-ai/sdk');
 
 const anthropic = new Anthropic({
@@ -6,7 +12,10 @@ const anthropic = new Anthropic({
 });
 
 /**
- * Initialize a draft for a league
+ * Initialize a draft for a league. The draft is for the league's current
+ * season; teams pick in the order its lottery set, if one was drawn, and
+ * each slot goes to whoever owns that pick. In an auction draft that order
+ * is the nomination rotation instead, and teams bid for every player.
  */
 async function initializeDraft(leagueId, draftSettings) {
   const client = await pool.connect();
@@ -14,6 +23,10 @@ async function initializeDraft(leagueId, draftSettings) {
   try {
     await client.query('BEGIN');
 
+    const leagueResult = await client.query('SELECT * FROM leagues WHERE id = $1', [leagueId]);
+    const league = leagueResult.rows[0];
+    const rounds = draftSettings.rounds || 10;
+
     // Get all teams in the league
     const teamsResult = await client.query(
       'SELECT * FROM teams WHERE league_id = $1 ORDER BY id',
@@ -26,6 +39,13 @@ async function initializeDraft(leagueId, draftSettings) {
       throw new Error('No teams in league');
     }
 
+    const lotteryOrder = await getLotteryOrder(client, leagueId, league.current_season);
+    if (lotteryOrder) {
+      // Teams that joined after the lottery pick last
+      const position = team => (lotteryOrder.includes(team.id) ? lotteryOrder.indexOf(team.id) : lotteryOrder.length);
+      teams.sort((a, b) => position(a) - position(b));
+    }
+
     // Get available players for draft pool
     const playersResult = await client.query(
       `SELECT p.* FROM players p
@@ -38,14 +58,25 @@ async function initializeDraft(leagueId, draftSettings) {
       [leagueId, draftSettings.totalPicks || 500]
     );
 
+    // Every team needs a pick in every round of this draft, on top of the
+    // future picks the league keeps
+    await ensureDraftPicks(client, league, { fromSeason: league.current_season, toSeason: league.current_season, rounds });
+    await ensureDraftPicks(client, league);
+    const picks = await getSeasonPicks(client, leagueId, league.current_season);
+
+    const draftType = draftSettings.type || 'snake';
+    const draftOrder = generateDraftOrder(teams, rounds, draftType, picks);
+    await assignPickNumbers(client, draftOrder);
+
     // Create draft state
     const draftState = {
       league_id: leagueId,
+      season: league.current_season,
       status: 'not_started',
       current_pick: 1,
       current_round: 1,
-      total_rounds: draftSettings.rounds || 10,
-      draft_type: draftSettings.type || 'snake',
+      total_rounds: rounds,
+      draft_type: draftType,
       teams: teams.map(t => ({
         id: t.id,
         name: t.name,
@@ -54,17 +85,22 @@ async function initializeDraft(leagueId, draftSettings) {
         is_ai: t.user_id === null // AI controls teams without users
       })),
       available_players: playersResult.rows.map(p => p.id),
-      draft_order: generateDraftOrder(teams, draftSettings.rounds || 10, draftSettings.type || 'snake'),
+      draft_order: draftOrder,
       settings: draftSettings,
       created_at: new Date().toISOString()
     };
 
+    if (draftType === 'auction') {
+      draftState.auction = createAuction(league, teams, rounds, draftSettings);
+    }
+
     // Store draft state in database
     await client.query(
       `INSERT INTO drafts (league_id, status, current_pick, current_round, draft_state)
        VALUES ($1, $2, $3, $4, $5)
        ON CONFLICT (league_id) 
-       DO UPDATE SET status = $2, current_pick = $3, current_round = $4, draft_state = $5`,
+       DO UPDATE SET status = $2, current_pick = $3, current_round = $4, draft_state = $5,
+                     pick_deadline = NULL, clock_paused = false, clock_remaining = NULL`,
       [
         leagueId,
         draftState.status,
@@ -87,46 +123,53 @@ async function initializeDraft(leagueId, draftSettings) {
 }
 
 /**
- * Generate draft order based on draft type
+ * Generate draft order based on draft type. `teams` is the order teams
+ * pick in; with the season's `picks`, each slot goes to the team that owns
+ * the pick, unless the pick is protected and landed inside its protection.
+ * An auction has no pick slots to own, just the order teams nominate in.
  */
-function generateDraftOrder(teams, rounds, draftType) {
+function generateDraftOrder(teams, rounds, draftType, picks = []) {
   const order = [];
+
+  if (draftType === 'auction') {
+    return teams.map((team, index) => ({
+      nomination: index + 1,
+      team_id: team.id,
+      team_name: team.name
+    }));
+  }
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+
+  const addPick = (round, team, position) => {
+    const pick = picks.find(p => p.round === round && p.original_team_id === team.id);
+    const protectedHere = Boolean(pick && pick.protection && position <= pick.protection && pick.owner_team_id !== team.id);
+    const owner = pick && !protectedHere ? teamsById.get(pick.owner_team_id) || team : team;
+
+    order.push({
+      pick: order.length + 1,
+      round,
+      team_id: owner.id,
+      team_name: owner.name,
+      original_team_id: team.id,
+      draft_pick_id: pick ? pick.id : null,
+      protection_triggered: protectedHere
+    });
+  };
   
   if (draftType === 'snake') {
     for (let round = 1; round <= rounds; round++) {
       if (round % 2 === 1) {
         // Odd rounds: normal order
-        teams.forEach((team, index) => {
-          order.push({
-            pick: order.length + 1,
-            round,
-            team_id: team.id,
-            team_name: team.name
-          });
-        });
+        teams.forEach((team, index) => addPick(round, team, index + 1));
       } else {
         // Even rounds: reverse order
-        [...teams].reverse().forEach((team, index) => {
-          order.push({
-            pick: order.length + 1,
-            round,
-            team_id: team.id,
-            team_name: team.name
-          });
-        });
+        [...teams].reverse().forEach((team, index) => addPick(round, team, index + 1));
       }
     }
   } else {
     // Linear draft
     for (let round = 1; round <= rounds; round++) {
-      teams.forEach((team, index) => {
-        order.push({
-          pick: order.length + 1,
-          round,
-          team_id: team.id,
-          team_name: team.name
-        });
-      });
+      teams.forEach((team, index) => addPick(round, team, index + 1));
     }
   }
   
@@ -134,9 +177,27 @@ function generateDraftOrder(teams, rounds, draftType) {
 }
 
 /**
- * Start the draft
+ * Put the next pick on the clock for the draft's `timePerPick` seconds.
+ * A paused clock stays paused with the full time waiting; a finished draft
+ * or one without a clock has no deadline.
+ */
+async function restartPickClock(client, leagueId, draftState) {
+  const seconds = parseInt(draftState.settings && draftState.settings.timePerPick) || 0;
+  const running = draftState.status === 'in_progress' && seconds > 0;
+
+  await client.query(
+    `UPDATE drafts
+     SET pick_deadline = CASE WHEN $2 AND NOT clock_paused THEN NOW() + $3 * INTERVAL '1 second' ELSE NULL END,
+         clock_remaining = CASE WHEN $2 AND clock_paused THEN $3 ELSE NULL END
+     WHERE league_id = $1`,
+    [leagueId, running, seconds]
+  );
+}
+
+/**
+ * Start the draft, moving the league into its draft phase
  */
-async function startDraft(leagueId) {
+async function startDraft(leagueId, io) {
   const client = await pool.connect();
   
   try {
@@ -155,13 +216,27 @@ async function startDraft(leagueId) {
     draftState.status = 'in_progress';
     draftState.started_at = new Date().toISOString();
 
+    if (draftState.auction && !openNomination(draftState)) {
+      throw new Error('No team has room to bid in the auction');
+    }
+
     await client.query(
-      'UPDATE drafts SET status = $1, draft_state = $2 WHERE league_id = $3',
+      'UPDATE drafts SET status = $1, draft_state = $2, clock_paused = false WHERE league_id = $3',
       ['in_progress', JSON.stringify(draftState), leagueId]
     );
 
+    if (draftState.auction) {
+      await restartAuctionClock(client, leagueId, draftState.auction);
+    } else {
+      await restartPickClock(client, leagueId, draftState);
+    }
+
+    const phaseChange = await transitionPhase(client, leagueId, 'draft', { reason: 'Draft started' });
+
     await client.query('COMMIT');
 
+    emitPhaseChange(io, phaseChange);
+
     return draftState;
   } catch (error) {
     await client.query('ROLLBACK');
@@ -181,9 +256,10 @@ async function makeDraftPick(leagueId, teamId, playerId, io) {
   try {
     await client.query('BEGIN');
 
-    // Get current draft state
+    // Get current draft state; the lock keeps two picks (say a GM's and
+    // the clock's) from being made for the same slot
     const draftResult = await client.query(
-      'SELECT draft_state FROM drafts WHERE league_id = $1',
+      'SELECT draft_state FROM drafts WHERE league_id = $1 FOR UPDATE',
       [leagueId]
     );
 
@@ -197,6 +273,10 @@ async function makeDraftPick(leagueId, teamId, playerId, io) {
       throw new Error('Draft is not in progress');
     }
 
+    if (draftState.auction) {
+      throw new Error('Players in an auction draft are won by bidding');
+    }
+
     // Verify it's this team's turn
     const currentPick = draftState.draft_order[draftState.current_pick - 1];
     if (currentPick.team_id !== teamId) {
@@ -233,6 +313,8 @@ async function makeDraftPick(leagueId, teamId, playerId, io) {
 
     // Remove player from available pool
     draftState.available_players = draftState.available_players.filter(id => id !== playerId);
+    await recordPickUsed(client, currentPick.draft_pick_id, playerId);
+    const queuesChanged = await removeDraftedPlayer(client, leagueId, playerId);
 
     // Add player to team roster
     await client.query(
@@ -268,10 +350,12 @@ async function makeDraftPick(leagueId, teamId, playerId, io) {
       draftState.current_round++;
     }
 
-    // Check if draft is complete
+    // Check if draft is complete; the league heads into its preseason
+    let phaseChange = null;
     if (draftState.current_pick > draftState.draft_order.length) {
       draftState.status = 'completed';
       draftState.completed_at = new Date().toISOString();
+      phaseChange = await transitionPhase(client, leagueId, 'preseason', { reason: 'Draft completed' });
     }
 
     // Save updated draft state
@@ -280,6 +364,8 @@ async function makeDraftPick(leagueId, teamId, playerId, io) {
       [draftState.status, draftState.current_pick, draftState.current_round, JSON.stringify(draftState), leagueId]
     );
 
+    await restartPickClock(client, leagueId, draftState);
+
     await client.query('COMMIT');
 
     // Emit WebSocket event
@@ -297,8 +383,15 @@ async function makeDraftPick(leagueId, teamId, playerId, io) {
         currentPick: draftState.current_pick,
         status: draftState.status
       });
+
+      // Only the GMs whose private queue had the player hear about it
+      queuesChanged.forEach(queueTeamId => {
+        emitToTeam(io, queueTeamId, 'draft_queue_updated', { leagueId, teamId: queueTeamId, playerId });
+      });
     }
 
+    emitPhaseChange(io, phaseChange);
+
     return {
       draftState,
       pick: {
@@ -316,7 +409,8 @@ async function makeDraftPick(leagueId, teamId, playerId, io) {
 }
 
 /**
- * AI makes a draft pick
+ * Make a pick on a team's behalf: its own queue and rankings first, then
+ * the AI's choice among players it hasn't ruled out
  */
 async function makeAIDraftPick(leagueId, teamId, io) {
   const client = await pool.connect();
@@ -346,16 +440,18 @@ async function makeAIDraftPick(leagueId, teamId, io) {
       positionCounts[row.position] = parseInt(row.count);
     });
 
-    // Get available players
-    const playersResult = await client.query(
-      `SELECT * FROM players 
-       WHERE id = ANY($1)
-       ORDER BY overall_rating DESC
-       LIMIT 20`,
-      [draftState.available_players]
-    );
+    const preferred = await choosePreferredPlayer(client, teamId, draftState.available_players, positionCounts);
+    if (preferred) {
+      return await makeDraftPick(leagueId, teamId, preferred.id, io);
+    }
 
-    const availablePlayers = playersResult.rows;
+    // Get available players, leaving out the ones the GM doesn't want
+    const { doNotDraft, fullPositions } = await getDraftRestrictions(client, teamId, positionCounts);
+    let availablePlayers = await getDraftCandidates(client, draftState.available_players, doNotDraft, fullPositions);
+    if (availablePlayers.length === 0) {
+      // Every player left is ruled out; the pick still has to be made
+      availablePlayers = await getDraftCandidates(client, draftState.available_players);
+    }
 
     // Use AI to make intelligent pick
     const selectedPlayer = await selectBestPlayer(
@@ -376,6 +472,22 @@ async function makeAIDraftPick(leagueId, teamId, io) {
   }
 }
 
+/**
+ * Top 20 available players by rating, leaving out `excludeIds` and
+ * `excludePositions`
+ */
+async function getDraftCandidates(db, available, excludeIds = [], excludePositions = []) {
+  const result = await db.query(
+    `SELECT * FROM players 
+     WHERE id = ANY($1) AND NOT (id = ANY($2)) AND NOT (position = ANY($3))
+     ORDER BY overall_rating DESC
+     LIMIT 20`,
+    [available, excludeIds, excludePositions]
+  );
+
+  return result.rows;
+}
+
 /**
  * AI selects best available player based on team needs
  */
@@ -477,7 +589,8 @@ function calculateRookieContract(pickNumber, overall) {
 }
 
 /**
- * Auto-draft for AI teams
+ * Auto-draft for AI teams and teams whose GM switched on autodraft; in an
+ * auction they nominate and bid instead
  */
 async function processAIDrafts(leagueId, io) {
   const client = await pool.connect();
@@ -498,12 +611,17 @@ async function processAIDrafts(leagueId, io) {
       return;
     }
 
+    if (draftState.auction) {
+      await runAuctionAI(leagueId, io);
+      return;
+    }
+
     // Get current pick
     const currentPick = draftState.draft_order[draftState.current_pick - 1];
     const team = draftState.teams.find(t => t.id === currentPick.team_id);
 
-    // Check if it's an AI team's turn
-    if (team && team.is_ai) {
+    // Check if it's an AI or autodrafting team's turn
+    if (team && (team.is_ai || await isAutodraft(client, team.id))) {
       console.log(`AI team ${team.name} is picking...`);
       
       // Add slight delay for realism
@@ -511,7 +629,7 @@ async function processAIDrafts(leagueId, io) {
       
       await makeAIDraftPick(leagueId, team.id, io);
       
-      // Continue processing if next pick is also AI
+      // Continue processing if next pick is also AI or autodraft
       // This creates a recursive chain until a human team's turn
       setTimeout(() => processAIDrafts(leagueId, io), 1000);
     }
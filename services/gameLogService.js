@@ -0,0 +1,272 @@
+/**
+ * Per-game player stat lines, stored one row per player per game in
+ * `player_game_stats` for game logs and single-game searches.
+ *
+ * Lines keep the engine's shape: NBA stats are flat (`pts`, `reb`, ...),
+ * MLB stats are split into `batting` and `pitching` sections, so MLB stat
+ * names are written as `batting.hr` or `pitching.so`.
+ */
+
+const SEARCHABLE_STATS = {
+  NBA: [
+    'min', 'pts', 'reb', 'oreb', 'dreb', 'ast', 'stl', 'blk', 'tov', 'pf',
+    'fgm', 'fga', 'fg3m', 'fg3a', 'ftm', 'fta', 'plus_minus'
+  ],
+  MLB: [
+    'batting.pa', 'batting.ab', 'batting.r', 'batting.h', 'batting.doubles', 'batting.triples',
+    'batting.hr', 'batting.rbi', 'batting.bb', 'batting.so', 'batting.hbp', 'batting.sb', 'batting.cs',
+    'pitching.outs', 'pitching.bf', 'pitching.h', 'pitching.r', 'pitching.er', 'pitching.bb',
+    'pitching.so', 'pitching.hr', 'pitching.pitches'
+  ]
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read page and limit query params into a limit and offset
+ */
+function parsePagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Wrap one page of rows with the numbers needed to fetch the others
+ */
+function paginate(rows, total, { page, limit }) {
+  return {
+    results: rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Get the JSON path for a searchable stat, or null if the stat is unknown
+ */
+function statPath(sport, stat) {
+  const stats = SEARCHABLE_STATS[sport] || SEARCHABLE_STATS.NBA;
+  return stats.includes(stat) ? stat.split('.') : null;
+}
+
+/**
+ * Save every player's line from a simulated game
+ */
+async function savePlayerGameStats(client, game, gameResult) {
+  const homeWon = gameResult.homeScore > gameResult.awayScore;
+  const sides = [
+    { lines: gameResult.playerStats.home, teamId: game.home_team_id, opponentId: game.away_team_id, isHome: true, won: homeWon },
+    { lines: gameResult.playerStats.away, teamId: game.away_team_id, opponentId: game.home_team_id, isHome: false, won: !homeWon }
+  ];
+
+  for (const side of sides) {
+    for (const line of side.lines) {
+      await client.query(
+        `INSERT INTO player_game_stats
+         (game_id, league_id, player_id, team_id, opponent_id, season, day, is_home, won, starter, stats)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (game_id, player_id)
+         DO UPDATE SET team_id = $4, opponent_id = $5, won = $9, starter = $10, stats = $11`,
+        [
+          game.id,
+          game.league_id,
+          line.playerId,
+          side.teamId,
+          side.opponentId,
+          game.season,
+          game.day,
+          side.isHome,
+          side.won,
+          typeof line.starter === 'boolean' ? line.starter : null,
+          JSON.stringify(line.stats)
+        ]
+      );
+    }
+  }
+}
+
+/**
+ * A player's game-by-game lines, most recent first
+ */
+async function getPlayerGameLog(db, playerId, { leagueId, season, limit, offset }) {
+  const conditions = ['pgs.player_id = $1'];
+  const params = [playerId];
+
+  if (leagueId) {
+    params.push(leagueId);
+    conditions.push(`pgs.league_id = $${params.length}`);
+  }
+
+  if (season) {
+    params.push(season);
+    conditions.push(`pgs.season = $${params.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM player_game_stats pgs WHERE ${where}`,
+    params
+  );
+
+  const result = await db.query(
+    `SELECT pgs.game_id, pgs.league_id, pgs.season, pgs.day, pgs.team_id, t.abbreviation as team_abbr,
+            pgs.opponent_id, o.name as opponent_name, o.abbreviation as opponent_abbr,
+            pgs.is_home, pgs.won, pgs.starter, pgs.stats,
+            g.home_score, g.away_score
+     FROM player_game_stats pgs
+     JOIN games g ON pgs.game_id = g.id
+     LEFT JOIN teams t ON pgs.team_id = t.id
+     LEFT JOIN teams o ON pgs.opponent_id = o.id
+     WHERE ${where}
+     ORDER BY pgs.season DESC, pgs.day DESC, pgs.game_id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+/**
+ * A team's completed games with the score and its team totals, most
+ * recent first
+ */
+async function getTeamGameLog(db, teamId, { season, limit, offset }) {
+  const conditions = [`(g.home_team_id = $1 OR g.away_team_id = $1)`, `g.status = 'completed'`];
+  const params = [teamId];
+
+  if (season) {
+    params.push(season);
+    conditions.push(`g.season = $${params.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM games g WHERE ${where}`,
+    params
+  );
+
+  const result = await db.query(
+    `SELECT g.id as game_id, g.season, g.day,
+            g.home_team_id = $1 as is_home,
+            CASE WHEN g.home_team_id = $1 THEN g.away_team_id ELSE g.home_team_id END as opponent_id,
+            o.name as opponent_name, o.abbreviation as opponent_abbr,
+            CASE WHEN g.home_team_id = $1 THEN g.home_score ELSE g.away_score END as team_score,
+            CASE WHEN g.home_team_id = $1 THEN g.away_score ELSE g.home_score END as opponent_score,
+            g.box_score->'teamTotals'->(CASE WHEN g.home_team_id = $1 THEN 'home' ELSE 'away' END) as team_totals
+     FROM games g
+     JOIN teams o ON o.id = CASE WHEN g.home_team_id = $1 THEN g.away_team_id ELSE g.home_team_id END
+     WHERE ${where}
+     ORDER BY g.season DESC, g.day DESC, g.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  const rows = result.rows.map(row => ({
+    ...row,
+    won: row.team_score > row.opponent_score
+  }));
+
+  return { rows, total: parseInt(countResult.rows[0].count) };
+}
+
+/**
+ * Search single-game lines in a league. `min` and `max` map stat names to
+ * bounds (e.g. { pts: 40 }); results are sorted by `sort`, highest first
+ * unless `order` is 'asc'.
+ */
+async function searchPlayerGames(db, leagueId, sport, filters) {
+  const { season, teamId, playerId, min = {}, max = {}, sort, order, limit, offset } = filters;
+  const conditions = ['pgs.league_id = $1'];
+  const params = [leagueId];
+  const errors = [];
+
+  if (season) {
+    params.push(season);
+    conditions.push(`pgs.season = $${params.length}`);
+  }
+
+  if (teamId) {
+    params.push(teamId);
+    conditions.push(`pgs.team_id = $${params.length}`);
+  }
+
+  if (playerId) {
+    params.push(playerId);
+    conditions.push(`pgs.player_id = $${params.length}`);
+  }
+
+  [['>=', min], ['<=', max]].forEach(([operator, bounds]) => {
+    Object.entries(bounds || {}).forEach(([stat, value]) => {
+      const path = statPath(sport, stat);
+      const bound = parseFloat(value);
+
+      if (!path) {
+        errors.push(`Unknown stat: ${stat}`);
+      } else if (!Number.isFinite(bound)) {
+        errors.push(`Bound for ${stat} must be a number`);
+      } else {
+        params.push(path, bound);
+        conditions.push(`(pgs.stats #>> $${params.length - 1}::text[])::numeric ${operator} $${params.length}`);
+      }
+    });
+  });
+
+  let orderBy = 'pgs.season DESC, pgs.day DESC, pgs.game_id DESC';
+  if (sort) {
+    const path = statPath(sport, sort);
+    if (!path) {
+      errors.push(`Unknown stat: ${sort}`);
+    } else {
+      params.push(path);
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      orderBy = `COALESCE((pgs.stats #>> $${params.length}::text[])::numeric, 0) ${direction}, ${orderBy}`;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM player_game_stats pgs WHERE ${where}`,
+    params
+  );
+
+  const result = await db.query(
+    `SELECT pgs.game_id, pgs.season, pgs.day, pgs.player_id, p.name as player_name, p.position,
+            pgs.team_id, t.abbreviation as team_abbr,
+            pgs.opponent_id, o.abbreviation as opponent_abbr,
+            pgs.is_home, pgs.won, pgs.starter, pgs.stats
+     FROM player_game_stats pgs
+     JOIN players p ON pgs.player_id = p.id
+     LEFT JOIN teams t ON pgs.team_id = t.id
+     LEFT JOIN teams o ON pgs.opponent_id = o.id
+     WHERE ${where}
+     ORDER BY ${orderBy}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count), errors: [] };
+}
+
+module.exports = {
+  SEARCHABLE_STATS,
+  parsePagination,
+  paginate,
+  savePlayerGameStats,
+  getPlayerGameLog,
+  getTeamGameLog,
+  searchPlayerGames
+};
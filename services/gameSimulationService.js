@@ -0,0 +1,158 @@
+const nbaGameEngine = require('./nbaGameEngine');
+const mlbGameEngine = require('./mlbGameEngine');
+const { createRng, deriveSeed } = require('./seededRandom');
+
+const GAME_ENGINES = {
+  NBA: nbaGameEngine,
+  MLB: mlbGameEngine
+};
+
+/**
+ * Keep only the player fields the engines read, so a game can be replayed
+ * later even after ratings or rosters have changed
+ */
+function snapshotPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    position: player.position,
+    overall_rating: player.overall_rating,
+    attributes: player.attributes || {},
+    mlb_stats: player.mlb_stats || {}
+  };
+}
+
+/**
+ * Build one side of a simulation input; the depth chart is only included
+ * when the team has one
+ */
+function buildSide(team, roster) {
+  const side = { team: { id: team.id, name: team.name }, roster: roster.map(snapshotPlayer) };
+
+  if (team.depthChart) {
+    side.depthChart = team.depthChart;
+  }
+
+  return side;
+}
+
+/**
+ * Build the full, storable input for one game simulation
+ */
+function buildSimulationInput(sport, homeTeam, awayTeam, homeRoster, awayRoster, options = {}) {
+  const engine = GAME_ENGINES[sport] || nbaGameEngine;
+
+  return {
+    sport: GAME_ENGINES[sport] ? sport : 'NBA',
+    engineVersion: engine.ENGINE_VERSION,
+    home: buildSide(homeTeam, homeRoster),
+    away: buildSide(awayTeam, awayRoster),
+    options
+  };
+}
+
+/**
+ * Build the depth chart a sport's engine would pick on its own
+ */
+function buildDefaultDepthChart(sport, roster) {
+  const engine = GAME_ENGINES[sport] || nbaGameEngine;
+  return engine.buildDefaultDepthChart(roster);
+}
+
+/**
+ * Run the sport's engine on a simulation input with a seeded generator.
+ * Injuries draw from their own stream so they never shift the game itself.
+ */
+function runSimulation(simInput, seed) {
+  const engine = GAME_ENGINES[simInput.sport] || nbaGameEngine;
+  const { injuries, ...options } = simInput.options || {};
+
+  return engine.simulateGame(simInput.home, simInput.away, {
+    ...options,
+    rng: createRng(seed),
+    injuryRng: injuries ? createRng(deriveSeed(seed, 'injuries')) : null
+  });
+}
+
+/**
+ * Pick the parts of an engine result that are stored in games.box_score
+ */
+function buildBoxScore(gameResult) {
+  const boxScore = {
+    home: gameResult.playerStats.home,
+    away: gameResult.playerStats.away,
+    lineScore: gameResult.lineScore,
+    teamTotals: gameResult.teamTotals
+  };
+
+  if (gameResult.batting) {
+    boxScore.batting = gameResult.batting;
+    boxScore.pitching = gameResult.pitching;
+    boxScore.decisions = gameResult.decisions;
+  }
+
+  if (gameResult.injuries && gameResult.injuries.length > 0) {
+    boxScore.injuries = gameResult.injuries;
+  }
+
+  return boxScore;
+}
+
+/**
+ * List the paths where two JSON values differ (key order is ignored,
+ * since JSONB does not preserve it)
+ */
+function findDifferences(expected, actual, path = '', differences = []) {
+  if (differences.length >= 20) {
+    return differences;
+  }
+
+  if (expected === null || actual === null || typeof expected !== 'object' || typeof actual !== 'object') {
+    if (expected !== actual) {
+      differences.push({ path: path || '/', expected, actual });
+    }
+    return differences;
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  keys.forEach(key => findDifferences(expected[key], actual[key], `${path}/${key}`, differences));
+
+  return differences;
+}
+
+/**
+ * Re-run a completed game from its stored seed and input and compare the
+ * box score with the one that was saved
+ */
+function replayGame(game) {
+  if (!game.seed || !game.sim_input) {
+    throw new Error('Game has no recorded seed or simulation input');
+  }
+
+  const engine = GAME_ENGINES[game.sim_input.sport] || nbaGameEngine;
+  const replayed = runSimulation(game.sim_input, game.seed);
+  const boxScore = JSON.parse(JSON.stringify(buildBoxScore(replayed)));
+  const differences = findDifferences(
+    { homeScore: game.home_score, awayScore: game.away_score, boxScore: game.box_score },
+    { homeScore: replayed.homeScore, awayScore: replayed.awayScore, boxScore }
+  );
+
+  return {
+    identical: differences.length === 0,
+    seed: game.seed,
+    engineVersion: engine.ENGINE_VERSION,
+    recordedEngineVersion: game.sim_input.engineVersion,
+    homeScore: replayed.homeScore,
+    awayScore: replayed.awayScore,
+    boxScore,
+    differences
+  };
+}
+
+module.exports = {
+  buildSimulationInput,
+  buildDefaultDepthChart,
+  runSimulation,
+  buildBoxScore,
+  replayGame
+};
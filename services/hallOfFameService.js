@@ -0,0 +1,435 @@
+const { createRng, deriveSeed } = require('./seededRandom');
+const { getSeasonAnalytics } = require('./analyticsService');
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * Retirements and the league's Hall of Fame, both run during the season
+ * rollover.
+ *
+ * Older players retire with a chance that grows with age and shrinks for
+ * players who are still good. Once they've been retired long enough, a
+ * panel of voters fills in Hall of Fame ballots. Each candidate is judged
+ * on career value: what they were worth each season in the league (PER
+ * above replacement weighted by minutes in the NBA, WAR in MLB), raised a
+ * little for awards and championships. The bar is set by the league's own
+ * history, the value only its best careers reach, and every voter holds
+ * candidates to it a little differently. Everything is seeded per league
+ * season.
+ */
+
+const DEFAULT_VOTERS = 100;
+const DEFAULT_WAIT_SEASONS = 1;
+const DEFAULT_MIN_SEASONS = 3;
+
+const INDUCTION_SHARE = 0.75;
+const DROP_OFF_SHARE = 0.05;
+const MAX_BALLOTS = 10;
+const MAX_VOTES_PER_BALLOT = 10;
+
+// The bar is the career value reached by this share of the league's
+// players with enough seasons
+const STANDARD_PERCENTILE = 0.97;
+
+// How much voters disagree: spread of each voter's bar, and of their read
+// on each career
+const STRICTNESS_SPREAD = 0.15;
+const JUDGEMENT_NOISE = 0.2;
+
+const REPLACEMENT_PER = 11;
+const MINUTES_PER_SEASON = 2000;
+
+// Career value bonus for each award or title
+const HONOR_BONUS = {
+  mvp: 0.15,
+  dpoy: 0.08,
+  cy_young: 0.08,
+  roy: 0.03,
+  all_league: 0.04,
+  championship: 0.05
+};
+
+// Chance of retiring by age, before adjusting for how good the player is
+const RETIREMENT_BY_AGE = [
+  { age: 39, chance: 0.85 },
+  { age: 37, chance: 0.6 },
+  { age: 35, chance: 0.35 },
+  { age: 33, chance: 0.15 }
+];
+
+function gaussian(rng) {
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function retirementChance(player) {
+  const band = RETIREMENT_BY_AGE.find(entry => player.age >= entry.age);
+  if (!band) return 0;
+
+  let chance = band.chance;
+  if (player.overall_rating >= 85) chance *= 0.5;
+  if (player.overall_rating < 65) chance += 0.2;
+  if (player.is_free_agent) chance *= 1.5;
+
+  return Math.min(chance, 0.95);
+}
+
+/**
+ * Retire players at the end of a season. They leave their rosters and
+ * free agency; their stats stay with the league.
+ */
+async function retirePlayers(client, league, season) {
+  const rng = createRng(deriveSeed(league.seed || league.id, 'retirements', season));
+  const playersResult = await client.query(
+    `SELECT p.id, p.name, p.age, p.overall_rating, tr.team_id, tr.is_free_agent,
+            (SELECT COUNT(DISTINCT ps.season) FROM player_stats ps
+             WHERE ps.player_id = p.id AND ps.league_id = tr.league_id) as seasons
+     FROM team_rosters tr
+     JOIN players p ON tr.player_id = p.id
+     WHERE tr.league_id = $1 AND p.age IS NOT NULL
+     ORDER BY p.id`,
+    [league.id]
+  );
+
+  const retired = [];
+
+  for (const player of playersResult.rows) {
+    // Draw for everyone so one player's age never shifts another's luck
+    const draw = rng();
+    if (draw >= retirementChance(player)) continue;
+
+    const lastTeam = await client.query(
+      `SELECT team_id FROM player_game_stats
+       WHERE player_id = $1 AND league_id = $2
+       ORDER BY season DESC, day DESC
+       LIMIT 1`,
+      [player.id, league.id]
+    );
+
+    await client.query(
+      `INSERT INTO retired_players (league_id, player_id, season, age, last_team_id, seasons)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (league_id, player_id) DO NOTHING`,
+      [league.id, player.id, season, player.age, player.team_id || lastTeam.rows[0]?.team_id || null, parseInt(player.seasons)]
+    );
+    await client.query(
+      'DELETE FROM team_rosters WHERE league_id = $1 AND player_id = $2',
+      [league.id, player.id]
+    );
+
+    retired.push({ playerId: player.id, name: player.name, age: player.age, teamId: player.team_id });
+  }
+
+  await client.query(
+    `UPDATE teams t
+     SET total_salary = (
+       SELECT COALESCE(SUM(contract_salary), 0)
+       FROM team_rosters
+       WHERE team_id = t.id AND is_free_agent = false
+     )
+     WHERE t.league_id = $1`,
+    [league.id]
+  );
+
+  return { retired };
+}
+
+function seasonValue(sport, player) {
+  if (sport === 'MLB') {
+    return Math.max(0, player.war || 0);
+  }
+  return Math.max(0, (player.per || 0) - REPLACEMENT_PER) * (player.minutes || 0) / MINUTES_PER_SEASON;
+}
+
+/**
+ * Career value of everyone who has played in the league, with the team
+ * they played the most games for
+ */
+async function careerValues(db, league) {
+  const sport = league.sport === 'MLB' ? 'MLB' : 'NBA';
+  const seasons = await db.query(
+    'SELECT DISTINCT season FROM player_stats WHERE league_id = $1 ORDER BY season',
+    [league.id]
+  );
+
+  const careers = new Map();
+  for (const { season } of seasons.rows) {
+    const analytics = await getSeasonAnalytics(db, league.id, season);
+    analytics.players.forEach(player => {
+      const career = careers.get(player.player_id) || {
+        playerId: player.player_id,
+        name: player.name,
+        position: player.position,
+        seasons: 0,
+        games: 0,
+        baseValue: 0,
+        honors: []
+      };
+      career.seasons += 1;
+      career.games += player.games;
+      career.baseValue += seasonValue(sport, player);
+      careers.set(player.player_id, career);
+    });
+  }
+
+  const honors = await db.query(
+    `SELECT player_id, season, award as honor FROM awards
+     WHERE league_id = $1 AND selection IS NOT NULL
+     UNION ALL
+     SELECT DISTINCT pgs.player_id, p.season, 'championship' as honor
+     FROM playoffs p
+     JOIN player_game_stats pgs
+       ON pgs.league_id = p.league_id AND pgs.season = p.season AND pgs.team_id = p.champion_team_id
+     WHERE p.league_id = $1 AND p.status = 'completed'`,
+    [league.id]
+  );
+  honors.rows.forEach(row => {
+    const career = careers.get(row.player_id);
+    if (career) career.honors.push({ honor: row.honor, season: row.season });
+  });
+
+  const teams = await db.query(
+    `SELECT DISTINCT ON (player_id) player_id, team_id
+     FROM player_game_stats
+     WHERE league_id = $1
+     GROUP BY player_id, team_id
+     ORDER BY player_id, COUNT(*) DESC`,
+    [league.id]
+  );
+  const primaryTeams = new Map(teams.rows.map(row => [row.player_id, row.team_id]));
+
+  careers.forEach(career => {
+    const bonus = career.honors.reduce((sum, { honor }) => sum + (HONOR_BONUS[honor] || 0), 0);
+    career.value = round(career.baseValue * (1 + bonus), 2);
+    career.primaryTeamId = primaryTeams.get(career.playerId) || null;
+  });
+
+  return careers;
+}
+
+function percentile(values, share) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+}
+
+/**
+ * Votes for each candidate from the panel. Voters each have their own
+ * bar and read of every career, and can name at most 10 players.
+ */
+function castBallots(candidates, standard, voters, rng) {
+  const votes = new Map(candidates.map(candidate => [candidate.playerId, 0]));
+
+  for (let voter = 0; voter < voters; voter++) {
+    const bar = standard * Math.exp(STRICTNESS_SPREAD * gaussian(rng));
+    candidates
+      .map(candidate => ({ candidate, seen: candidate.value * Math.exp(JUDGEMENT_NOISE * gaussian(rng)) }))
+      .filter(({ seen }) => seen >= bar)
+      .sort((a, b) => b.seen - a.seen)
+      .slice(0, MAX_VOTES_PER_BALLOT)
+      .forEach(({ candidate }) => votes.set(candidate.playerId, votes.get(candidate.playerId) + 1));
+  }
+
+  return votes;
+}
+
+/**
+ * Vote on the Hall of Fame class for the end of `season`. Players who have
+ * been retired for `hallOfFameWait` seasons are on the ballot until they
+ * get in, fall under 5% or run out of ballots.
+ */
+async function runHallOfFameVote(client, league, season) {
+  const settings = getLeagueSettings(league);
+  const voters = parseInt(settings.hallOfFameVoters) || DEFAULT_VOTERS;
+  const wait = settings.hallOfFameWait !== undefined ? parseInt(settings.hallOfFameWait) : DEFAULT_WAIT_SEASONS;
+  const minSeasons = parseInt(settings.hallOfFameMinSeasons) || DEFAULT_MIN_SEASONS;
+
+  const existing = await client.query(
+    'SELECT COUNT(*) FROM hall_of_fame_ballots WHERE league_id = $1 AND season = $2',
+    [league.id, season]
+  );
+  if (parseInt(existing.rows[0].count) > 0) {
+    return { inducted: [], ballot: [] };
+  }
+
+  const eligible = await client.query(
+    `SELECT rp.*, p.name,
+            (SELECT COUNT(*) FROM hall_of_fame_ballots b
+             WHERE b.league_id = rp.league_id AND b.player_id = rp.player_id) as ballots,
+            (SELECT b.vote_share FROM hall_of_fame_ballots b
+             WHERE b.league_id = rp.league_id AND b.player_id = rp.player_id
+             ORDER BY b.season DESC LIMIT 1) as last_share
+     FROM retired_players rp
+     JOIN players p ON rp.player_id = p.id
+     WHERE rp.league_id = $1 AND rp.season <= $2
+       AND NOT EXISTS (SELECT 1 FROM hall_of_fame h WHERE h.league_id = rp.league_id AND h.player_id = rp.player_id)`,
+    [league.id, season - wait]
+  );
+
+  const onBallot = eligible.rows.filter(row =>
+    parseInt(row.ballots) < MAX_BALLOTS && (row.last_share === null || Number(row.last_share) >= DROP_OFF_SHARE)
+  );
+
+  if (onBallot.length === 0) {
+    return { inducted: [], ballot: [] };
+  }
+
+  const careers = await careerValues(client, league);
+  const standard = percentile(
+    [...careers.values()].filter(career => career.seasons >= minSeasons).map(career => career.value),
+    STANDARD_PERCENTILE
+  );
+
+  const candidates = onBallot
+    .map(row => ({ ...row, career: careers.get(row.player_id) }))
+    .filter(row => row.career && row.career.seasons >= minSeasons)
+    .map(row => ({
+      ...row.career,
+      playerId: row.player_id,
+      name: row.name,
+      ballotNumber: parseInt(row.ballots) + 1
+    }));
+
+  if (candidates.length === 0 || standard <= 0) {
+    return { inducted: [], ballot: [] };
+  }
+
+  const rng = createRng(deriveSeed(league.seed || league.id, 'hall_of_fame', season));
+  const votes = castBallots(candidates, standard, voters, rng);
+  const ballot = [];
+  const inducted = [];
+
+  for (const candidate of candidates) {
+    const voteShare = round(votes.get(candidate.playerId) / voters, 3);
+    const isInducted = voteShare >= INDUCTION_SHARE;
+
+    await client.query(
+      `INSERT INTO hall_of_fame_ballots
+       (league_id, season, player_id, ballot_number, votes, voters, vote_share, career_value, inducted)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        league.id,
+        season,
+        candidate.playerId,
+        candidate.ballotNumber,
+        votes.get(candidate.playerId),
+        voters,
+        voteShare,
+        candidate.value,
+        isInducted
+      ]
+    );
+
+    if (isInducted) {
+      await client.query(
+        `INSERT INTO hall_of_fame (league_id, player_id, season, team_id, vote_share, ballot_number, career_value, honors)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          league.id,
+          candidate.playerId,
+          season,
+          candidate.primaryTeamId,
+          voteShare,
+          candidate.ballotNumber,
+          candidate.value,
+          JSON.stringify(candidate.honors)
+        ]
+      );
+      inducted.push({
+        playerId: candidate.playerId,
+        name: candidate.name,
+        teamId: candidate.primaryTeamId,
+        voteShare,
+        ballotNumber: candidate.ballotNumber
+      });
+    }
+
+    ballot.push({ playerId: candidate.playerId, name: candidate.name, voteShare, inducted: isInducted });
+  }
+
+  return { standard, inducted, ballot };
+}
+
+/**
+ * Storylines for a Hall of Fame class
+ */
+function describeInductions(inducted, season) {
+  return inducted.map(member => ({
+    title: `${member.name} elected to the Hall of Fame`,
+    content: `${member.name} was named on ${Math.round(member.voteShare * 100)}% of ballots after season ${season}, ` +
+      (member.ballotNumber === 1 ? 'getting in on the first try.' : `getting in on ballot number ${member.ballotNumber}.`),
+    entities: { players: [member.playerId], teams: member.teamId ? [member.teamId] : [] }
+  }));
+}
+
+/**
+ * Everyone in a league's Hall of Fame, most recent class first
+ */
+async function getHallOfFame(db, leagueId) {
+  const result = await db.query(
+    `SELECT h.*, p.name as player_name, p.position, t.name as team_name, rp.season as retired_season
+     FROM hall_of_fame h
+     JOIN players p ON h.player_id = p.id
+     LEFT JOIN teams t ON h.team_id = t.id
+     LEFT JOIN retired_players rp ON rp.league_id = h.league_id AND rp.player_id = h.player_id
+     WHERE h.league_id = $1
+     ORDER BY h.season DESC, h.vote_share DESC`,
+    [leagueId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Hall of Fame ballots, for one season or all of them
+ */
+async function getBallots(db, leagueId, season) {
+  const params = [leagueId];
+  let query = `
+    SELECT b.*, p.name as player_name, p.position
+    FROM hall_of_fame_ballots b
+    JOIN players p ON b.player_id = p.id
+    WHERE b.league_id = $1
+  `;
+
+  if (season) {
+    params.push(season);
+    query += ' AND b.season = $2';
+  }
+
+  query += ' ORDER BY b.season DESC, b.vote_share DESC';
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Players who have retired from a league, most recent first
+ */
+async function getRetiredPlayers(db, leagueId) {
+  const result = await db.query(
+    `SELECT rp.*, p.name as player_name, p.position, t.name as last_team_name
+     FROM retired_players rp
+     JOIN players p ON rp.player_id = p.id
+     LEFT JOIN teams t ON rp.last_team_id = t.id
+     WHERE rp.league_id = $1
+     ORDER BY rp.season DESC, p.name`,
+    [leagueId]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  retirePlayers,
+  careerValues,
+  runHallOfFameVote,
+  describeInductions,
+  getHallOfFame,
+  getBallots,
+  getRetiredPlayers
+};
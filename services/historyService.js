@@ -0,0 +1,234 @@
+const { computeStandings } = require('./standingsService');
+
+/**
+ * League and franchise history: champions, each team's season-by-season
+ * record from the archived standings (plus the season in progress), and
+ * the numbers teams have retired.
+ */
+
+/**
+ * Every completed postseason with its champion, the team it beat in the
+ * final and the season's MVP
+ */
+async function getChampions(db, leagueId) {
+  const result = await db.query(
+    `SELECT p.season, p.champion_team_id, champion.name as champion_name,
+            final.runner_up_team_id, runner_up.name as runner_up_name,
+            final.higher_wins, final.lower_wins,
+            mvp.player_id as mvp_player_id, mvp_player.name as mvp_name
+     FROM playoffs p
+     LEFT JOIN teams champion ON p.champion_team_id = champion.id
+     LEFT JOIN LATERAL (
+       SELECT s.higher_wins, s.lower_wins,
+              CASE WHEN s.winner_team_id = s.higher_team_id THEN s.lower_team_id ELSE s.higher_team_id END as runner_up_team_id
+       FROM playoff_series s
+       WHERE s.playoff_id = p.id AND s.status = 'completed'
+       ORDER BY s.round DESC
+       LIMIT 1
+     ) final ON true
+     LEFT JOIN teams runner_up ON final.runner_up_team_id = runner_up.id
+     LEFT JOIN awards mvp ON mvp.league_id = p.league_id AND mvp.season = p.season
+       AND mvp.award = 'mvp' AND mvp.selection IS NOT NULL
+     LEFT JOIN players mvp_player ON mvp.player_id = mvp_player.id
+     WHERE p.league_id = $1 AND p.status = 'completed'
+     ORDER BY p.season DESC`,
+    [leagueId]
+  );
+
+  return result.rows.map(row => ({
+    season: row.season,
+    champion: { team_id: row.champion_team_id, name: row.champion_name },
+    runner_up: row.runner_up_team_id ? { team_id: row.runner_up_team_id, name: row.runner_up_name } : null,
+    final_series: row.runner_up_team_id ? `${Math.max(row.higher_wins, row.lower_wins)}-${Math.min(row.higher_wins, row.lower_wins)}` : null,
+    mvp: row.mvp_player_id ? { player_id: row.mvp_player_id, name: row.mvp_name } : null
+  }));
+}
+
+/**
+ * A team's seasons, oldest first. Finished seasons come from the archived
+ * standings; the current one, until it's archived, from live standings
+ * (pass them in when looking at several teams).
+ */
+async function getTeamSeasons(db, team, league, currentStandings = null) {
+  const archived = await db.query(
+    `SELECT season, rank, wins, losses, win_pct, conference, division, playoff_seed, playoff_result
+     FROM season_standings
+     WHERE team_id = $1
+     ORDER BY season`,
+    [team.id]
+  );
+
+  const seasons = archived.rows.map(row => ({ ...row, win_pct: Number(row.win_pct), in_progress: false }));
+
+  if (!seasons.some(row => row.season === league.current_season)) {
+    const standings = currentStandings || await computeStandings(db, league.id, league.current_season);
+    const current = standings.find(row => row.team_id === team.id);
+
+    if (current && current.wins + current.losses > 0) {
+      seasons.push({
+        season: league.current_season,
+        rank: current.rank,
+        wins: current.wins,
+        losses: current.losses,
+        win_pct: current.win_pct,
+        conference: current.conference,
+        division: current.division,
+        playoff_seed: null,
+        playoff_result: null,
+        in_progress: true
+      });
+    }
+  }
+
+  return seasons;
+}
+
+function summarizeSeasons(seasons) {
+  const wins = seasons.reduce((sum, season) => sum + season.wins, 0);
+  const losses = seasons.reduce((sum, season) => sum + season.losses, 0);
+  const finished = seasons.filter(season => !season.in_progress);
+  const best = [...finished].sort((a, b) => b.win_pct - a.win_pct)[0];
+
+  return {
+    seasons: seasons.length,
+    wins,
+    losses,
+    win_pct: wins + losses > 0 ? Math.round((wins / (wins + losses)) * 1000) / 1000 : 0,
+    playoff_appearances: finished.filter(season => season.playoff_seed !== null).length,
+    championships: finished.filter(season => season.playoff_result === 'Champion').length,
+    best_season: best ? { season: best.season, wins: best.wins, losses: best.losses } : null
+  };
+}
+
+/**
+ * Numbers a team has retired, in the order it retired them
+ */
+async function getRetiredNumbers(db, teamId) {
+  const result = await db.query(
+    `SELECT rn.*, p.name as player_name, p.position,
+            EXISTS (
+              SELECT 1 FROM hall_of_fame h WHERE h.league_id = rn.league_id AND h.player_id = rn.player_id
+            ) as hall_of_famer
+     FROM retired_numbers rn
+     JOIN players p ON rn.player_id = p.id
+     WHERE rn.team_id = $1
+     ORDER BY rn.created_at`,
+    [teamId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Retire a player's number. Only players who have retired from the league
+ * and played for the team qualify. Returns `{ errors }` if not.
+ */
+async function retireNumber(client, team, league, { playerId, number }) {
+  const errors = [];
+  const jerseyNumber = number === undefined || number === null ? null : parseInt(number);
+
+  if (number !== undefined && number !== null && (!Number.isInteger(jerseyNumber) || jerseyNumber < 0 || jerseyNumber > 99)) {
+    errors.push('number must be a whole number from 0 to 99');
+  }
+
+  const retired = await client.query(
+    `SELECT rp.*,
+            EXISTS (
+              SELECT 1 FROM player_game_stats pgs
+              WHERE pgs.player_id = rp.player_id AND pgs.team_id = $3
+            ) as played_here
+     FROM retired_players rp
+     WHERE rp.league_id = $1 AND rp.player_id = $2`,
+    [league.id, playerId, team.id]
+  );
+
+  if (retired.rows.length === 0) {
+    errors.push('Only players who have retired can have their number retired');
+  } else if (!retired.rows[0].played_here) {
+    errors.push('Player never played for this team');
+  }
+
+  const taken = await client.query(
+    'SELECT player_id, number FROM retired_numbers WHERE team_id = $1 AND (player_id = $2 OR number = $3)',
+    [team.id, playerId, Number.isInteger(jerseyNumber) ? jerseyNumber : null]
+  );
+  taken.rows.forEach(row => {
+    errors.push(row.player_id === parseInt(playerId)
+      ? 'This player\'s number is already retired'
+      : `Number ${row.number} is already retired`);
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const result = await client.query(
+    `INSERT INTO retired_numbers (league_id, team_id, player_id, number, season)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [league.id, team.id, playerId, jerseyNumber, league.current_season]
+  );
+
+  return { retiredNumber: result.rows[0] };
+}
+
+/**
+ * One franchise's history: every season, totals, retired numbers and Hall
+ * of Famers who spent most of their careers there
+ */
+async function getFranchiseHistory(db, team, league) {
+  const seasons = await getTeamSeasons(db, team, league);
+  const retiredNumbers = await getRetiredNumbers(db, team.id);
+  const hallOfFamers = await db.query(
+    `SELECT h.player_id, p.name as player_name, p.position, h.season as inducted_season, h.vote_share
+     FROM hall_of_fame h
+     JOIN players p ON h.player_id = p.id
+     WHERE h.team_id = $1
+     ORDER BY h.season`,
+    [team.id]
+  );
+
+  return {
+    team: { id: team.id, name: team.name, abbreviation: team.abbreviation },
+    summary: summarizeSeasons(seasons),
+    seasons,
+    retired_numbers: retiredNumbers,
+    hall_of_famers: hallOfFamers.rows
+  };
+}
+
+/**
+ * League history: champions and every franchise's all-time totals
+ */
+async function getLeagueHistory(db, league) {
+  const champions = await getChampions(db, league.id);
+  const teams = await db.query(
+    'SELECT id, name, abbreviation FROM teams WHERE league_id = $1 ORDER BY name',
+    [league.id]
+  );
+
+  const currentStandings = await computeStandings(db, league.id, league.current_season);
+
+  const franchises = [];
+  for (const team of teams.rows) {
+    const seasons = await getTeamSeasons(db, team, league, currentStandings);
+    franchises.push({ team_id: team.id, name: team.name, abbreviation: team.abbreviation, ...summarizeSeasons(seasons) });
+  }
+
+  franchises.sort((a, b) => b.championships - a.championships || b.win_pct - a.win_pct);
+
+  return {
+    leagueId: league.id,
+    currentSeason: league.current_season,
+    champions,
+    franchises
+  };
+}
+
+module.exports = {
+  getChampions,
+  getFranchiseHistory,
+  getLeagueHistory,
+  getRetiredNumbers,
+  retireNumber
+};
@@ -0,0 +1,77 @@
+/**
+ * Injury types the game engines can hand out, with how often each happens
+ * relative to the others and how many league days it keeps a player out
+ */
+const INJURY_TYPES = {
+  NBA: [
+    { type: 'Ankle sprain', weight: 30, minDays: 2, maxDays: 14 },
+    { type: 'Knee soreness', weight: 15, minDays: 1, maxDays: 7 },
+    { type: 'Hamstring strain', weight: 12, minDays: 5, maxDays: 21 },
+    { type: 'Calf strain', weight: 10, minDays: 7, maxDays: 28 },
+    { type: 'Back spasms', weight: 10, minDays: 2, maxDays: 10 },
+    { type: 'Concussion', weight: 6, minDays: 7, maxDays: 14 },
+    { type: 'Broken hand', weight: 4, minDays: 28, maxDays: 56 },
+    { type: 'Torn meniscus', weight: 3, minDays: 30, maxDays: 90 },
+    { type: 'Torn ACL', weight: 1, minDays: 240, maxDays: 365 },
+    { type: 'Ruptured Achilles', weight: 1, minDays: 270, maxDays: 365 }
+  ],
+  MLB_BATTER: [
+    { type: 'Hamstring strain', weight: 20, minDays: 10, maxDays: 30 },
+    { type: 'Oblique strain', weight: 15, minDays: 14, maxDays: 42 },
+    { type: 'Hand contusion', weight: 12, minDays: 1, maxDays: 7 },
+    { type: 'Ankle sprain', weight: 10, minDays: 5, maxDays: 20 },
+    { type: 'Back tightness', weight: 10, minDays: 2, maxDays: 10 },
+    { type: 'Concussion', weight: 4, minDays: 7, maxDays: 21 },
+    { type: 'Broken wrist', weight: 3, minDays: 42, maxDays: 70 },
+    { type: 'Torn ACL', weight: 1, minDays: 240, maxDays: 365 }
+  ],
+  MLB_PITCHER: [
+    { type: 'Shoulder inflammation', weight: 20, minDays: 10, maxDays: 30 },
+    { type: 'Elbow inflammation', weight: 18, minDays: 10, maxDays: 30 },
+    { type: 'Forearm strain', weight: 12, minDays: 14, maxDays: 45 },
+    { type: 'Blister', weight: 10, minDays: 3, maxDays: 12 },
+    { type: 'Lat strain', weight: 8, minDays: 21, maxDays: 60 },
+    { type: 'Rotator cuff strain', weight: 4, minDays: 45, maxDays: 120 },
+    { type: 'UCL tear', weight: 2, minDays: 300, maxDays: 420 }
+  ]
+};
+
+/**
+ * Classify an injury by how long it keeps the player out
+ */
+function severityFor(daysOut) {
+  if (daysOut <= 7) return 'minor';
+  if (daysOut <= 30) return 'moderate';
+  return 'severe';
+}
+
+/**
+ * Pick an injury type and its length from one of the catalogs
+ */
+function rollInjury(catalog, rng) {
+  const types = INJURY_TYPES[catalog] || INJURY_TYPES.NBA;
+  const total = types.reduce((sum, t) => sum + t.weight, 0);
+  let roll = rng() * total;
+  let chosen = types[types.length - 1];
+
+  for (const candidate of types) {
+    roll -= candidate.weight;
+    if (roll < 0) {
+      chosen = candidate;
+      break;
+    }
+  }
+
+  const daysOut = chosen.minDays + Math.floor(rng() * (chosen.maxDays - chosen.minDays + 1));
+
+  return {
+    type: chosen.type,
+    severity: severityFor(daysOut),
+    daysOut
+  };
+}
+
+module.exports = {
+  INJURY_TYPES,
+  rollInjury
+};
@@ -0,0 +1,122 @@
+/**
+ * Injuries picked up in simulated games and the players they keep out
+ */
+
+/**
+ * Save the injuries from one game; returns the saved rows
+ */
+async function recordInjuries(client, game, injuries) {
+  const saved = [];
+
+  for (const injury of injuries) {
+    const teamId = injury.team === 'home' ? game.home_team_id : game.away_team_id;
+    const result = await client.query(
+      `INSERT INTO injuries
+       (league_id, player_id, team_id, game_id, injury_type, severity, season, injured_day, expected_return_day)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        game.league_id,
+        injury.playerId,
+        teamId,
+        game.id,
+        injury.type,
+        injury.severity,
+        game.season,
+        game.day,
+        game.day + injury.daysOut
+      ]
+    );
+
+    saved.push({ ...result.rows[0], player_name: injury.name });
+  }
+
+  return saved;
+}
+
+/**
+ * Clear injuries whose players are due back by the given day; returns
+ * the players who have recovered
+ */
+async function healInjuries(client, leagueId, season, day) {
+  const result = await client.query(
+    `UPDATE injuries i
+     SET status = 'healed', healed_day = $3
+     FROM players p
+     WHERE i.player_id = p.id AND i.league_id = $1 AND i.status = 'active'
+       AND (i.season < $2 OR i.expected_return_day <= $3)
+     RETURNING i.*, p.name as player_name`,
+    [leagueId, season, day]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get injuries for a league, optionally only for one team
+ */
+async function getInjuries(db, { leagueId, teamId, status = 'active' }) {
+  const conditions = [];
+  const params = [];
+
+  if (leagueId) {
+    params.push(leagueId);
+    conditions.push(`i.league_id = $${params.length}`);
+  }
+
+  if (teamId) {
+    params.push(teamId);
+    conditions.push(`i.team_id = $${params.length}`);
+  }
+
+  if (status !== 'all') {
+    params.push(status);
+    conditions.push(`i.status = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `SELECT i.*, p.name as player_name, p.position, t.name as team_name
+     FROM injuries i
+     JOIN players p ON i.player_id = p.id
+     LEFT JOIN teams t ON i.team_id = t.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY i.season DESC, i.injured_day DESC, i.id DESC`,
+    params
+  );
+
+  return result.rows;
+}
+
+/**
+ * Tell the league and the affected teams about new injuries and recoveries
+ */
+function emitInjuryReport(io, leagueId, day, injuries, recoveries) {
+  if (injuries.length === 0 && recoveries.length === 0) {
+    return;
+  }
+
+  io.to(`league_${leagueId}`).emit('injury_report', {
+    leagueId,
+    day,
+    injuries,
+    recoveries
+  });
+
+  const teamIds = new Set([...injuries, ...recoveries].map(injury => injury.team_id).filter(Boolean));
+  teamIds.forEach(teamId => {
+    io.to(`team_${teamId}`).emit('injury_report', {
+      leagueId,
+      teamId,
+      day,
+      injuries: injuries.filter(injury => injury.team_id === teamId),
+      recoveries: recoveries.filter(injury => injury.team_id === teamId)
+    });
+  });
+}
+
+module.exports = {
+  recordInjuries,
+  healInjuries,
+  getInjuries,
+  emitInjuryReport
+};
@@ -0,0 +1,299 @@
+/**
+ * League leaders built from `player_stats`, cached per league season. The
+ * server that advances a day refreshes its cache; every server reloads a
+ * season once the league's day has moved on from the one it loaded at, or
+ * after `CACHE_TTL_MS` whatever happens.
+ *
+ * Counting stats can be ranked as season totals or per game; rate stats
+ * (percentages, AVG, ERA, ...) need a minimum sample to qualify. Unless a
+ * qualifier is given, rate leaders follow the usual rules: 70% of team
+ * games in the NBA, 3.1 at bats and 1 inning per team game in MLB.
+ */
+
+const CATEGORIES = {
+  NBA: {
+    pts: { label: 'Points', total: ['totals', 'pts'] },
+    reb: { label: 'Rebounds', total: ['totals', 'reb'] },
+    oreb: { label: 'Offensive rebounds', total: ['totals', 'oreb'] },
+    dreb: { label: 'Defensive rebounds', total: ['totals', 'dreb'] },
+    ast: { label: 'Assists', total: ['totals', 'ast'] },
+    stl: { label: 'Steals', total: ['totals', 'stl'] },
+    blk: { label: 'Blocks', total: ['totals', 'blk'] },
+    tov: { label: 'Turnovers', total: ['totals', 'tov'] },
+    pf: { label: 'Personal fouls', total: ['totals', 'pf'] },
+    min: { label: 'Minutes', total: ['totals', 'min'] },
+    fgm: { label: 'Field goals made', total: ['totals', 'fgm'] },
+    fga: { label: 'Field goals attempted', total: ['totals', 'fga'] },
+    fg3m: { label: 'Three-pointers made', total: ['totals', 'fg3m'] },
+    fg3a: { label: 'Three-pointers attempted', total: ['totals', 'fg3a'] },
+    ftm: { label: 'Free throws made', total: ['totals', 'ftm'] },
+    fta: { label: 'Free throws attempted', total: ['totals', 'fta'] },
+    plus_minus: { label: 'Plus/minus', total: ['totals', 'plus_minus'] },
+    fg_pct: { label: 'Field goal %', rate: ['percentages', 'fg_pct'], qualifier: 'games' },
+    fg3_pct: { label: 'Three-point %', rate: ['percentages', 'fg3_pct'], qualifier: 'games' },
+    ft_pct: { label: 'Free throw %', rate: ['percentages', 'ft_pct'], qualifier: 'games' }
+  },
+  MLB: {
+    'batting.r': { label: 'Runs', total: ['totals', 'batting', 'r'] },
+    'batting.h': { label: 'Hits', total: ['totals', 'batting', 'h'] },
+    'batting.doubles': { label: 'Doubles', total: ['totals', 'batting', 'doubles'] },
+    'batting.triples': { label: 'Triples', total: ['totals', 'batting', 'triples'] },
+    'batting.hr': { label: 'Home runs', total: ['totals', 'batting', 'hr'] },
+    'batting.rbi': { label: 'Runs batted in', total: ['totals', 'batting', 'rbi'] },
+    'batting.bb': { label: 'Walks', total: ['totals', 'batting', 'bb'] },
+    'batting.so': { label: 'Strikeouts', total: ['totals', 'batting', 'so'] },
+    'batting.sb': { label: 'Stolen bases', total: ['totals', 'batting', 'sb'] },
+    'batting.avg': { label: 'Batting average', rate: ['batting', 'avg'], qualifier: 'atBats' },
+    'batting.obp': { label: 'On-base percentage', rate: ['batting', 'obp'], qualifier: 'atBats' },
+    'batting.slg': { label: 'Slugging percentage', rate: ['batting', 'slg'], qualifier: 'atBats' },
+    'batting.ops': { label: 'OPS', rate: ['batting', 'ops'], qualifier: 'atBats' },
+    'batting.iso': { label: 'Isolated power', rate: ['batting', 'iso'], qualifier: 'atBats' },
+    'pitching.w': { label: 'Wins', total: ['totals', 'pitching', 'w'] },
+    'pitching.sv': { label: 'Saves', total: ['totals', 'pitching', 'sv'] },
+    'pitching.so': { label: 'Strikeouts', total: ['totals', 'pitching', 'so'] },
+    'pitching.ip': { label: 'Innings pitched', total: ['totals', 'pitching', 'outs'], scale: 1 / 3 },
+    'pitching.era': { label: 'ERA', rate: ['pitching', 'era'], qualifier: 'innings', ascending: true },
+    'pitching.whip': { label: 'WHIP', rate: ['pitching', 'whip'], qualifier: 'innings', ascending: true },
+    'pitching.k_per_9': { label: 'Strikeouts per 9', rate: ['pitching', 'k_per_9'], qualifier: 'innings' },
+    'pitching.bb_per_9': { label: 'Walks per 9', rate: ['pitching', 'bb_per_9'], qualifier: 'innings', ascending: true },
+    'pitching.opp_avg': { label: 'Opponent average', rate: ['pitching', 'opp_avg'], qualifier: 'innings', ascending: true }
+  }
+};
+
+// Categories shown when no category is asked for
+const SUMMARY_CATEGORIES = {
+  NBA: ['pts', 'reb', 'ast', 'stl', 'blk', 'fg_pct', 'fg3_pct', 'ft_pct'],
+  MLB: ['batting.avg', 'batting.hr', 'batting.rbi', 'batting.sb', 'pitching.w', 'pitching.era', 'pitching.so', 'pitching.sv']
+};
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Loaded season rows, keyed by `${leagueId}:${season}`
+const cache = new Map();
+const CACHE_TTL_MS = 60 * 1000;
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function readPath(object, path) {
+  return path.reduce((value, key) => (value && value[key] !== undefined ? value[key] : null), object);
+}
+
+/**
+ * Load the season's stat rows and the number of games teams have played
+ */
+async function loadSeason(db, leagueId, season) {
+  const statsResult = await db.query(
+    `SELECT ps.player_id, ps.games_played, ps.stats,
+            p.name, p.position, tr.team_id, t.name as team_name, t.abbreviation as team_abbr
+     FROM player_stats ps
+     JOIN players p ON ps.player_id = p.id
+     LEFT JOIN team_rosters tr ON tr.player_id = ps.player_id AND tr.league_id = ps.league_id
+     LEFT JOIN teams t ON tr.team_id = t.id
+     WHERE ps.league_id = $1 AND ps.season = $2 AND ps.stats ? 'totals'`,
+    [leagueId, season]
+  );
+
+  const gamesResult = await db.query(
+    `SELECT COALESCE(MAX(games), 0) as team_games
+     FROM (
+       SELECT t.id, COUNT(g.id) as games
+       FROM teams t
+       JOIN games g ON (g.home_team_id = t.id OR g.away_team_id = t.id)
+       WHERE t.league_id = $1 AND g.season = $2 AND g.status = 'completed' AND g.game_type = 'regular'
+       GROUP BY t.id
+     ) team_games`,
+    [leagueId, season]
+  );
+
+  const dayResult = await db.query('SELECT current_day FROM leagues WHERE id = $1', [leagueId]);
+
+  return {
+    rows: statsResult.rows,
+    teamGames: parseInt(gamesResult.rows[0].team_games),
+    day: dayResult.rows.length > 0 ? dayResult.rows[0].current_day : null,
+    loadedAt: Date.now(),
+    refreshedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Reload a league season into the cache
+ */
+async function refreshLeaderboards(db, leagueId, season) {
+  const key = `${leagueId}:${season}`;
+  const loaded = await loadSeason(db, leagueId, season);
+  cache.set(key, loaded);
+  return loaded;
+}
+
+/**
+ * Drop every cached season of a league, for when past stats change (a
+ * season rebuilt from its box scores)
+ */
+function invalidateLeaderboards(leagueId) {
+  [...cache.keys()]
+    .filter(key => key.startsWith(`${leagueId}:`))
+    .forEach(key => cache.delete(key));
+}
+
+/**
+ * The season's rows, reloaded if the cached copy is too old or from an
+ * earlier league day (another server may have advanced the league)
+ */
+async function getSeason(db, leagueId, season) {
+  const cached = cache.get(`${leagueId}:${season}`);
+
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    const dayResult = await db.query('SELECT current_day FROM leagues WHERE id = $1', [leagueId]);
+    if (dayResult.rows.length > 0 && dayResult.rows[0].current_day === cached.day) {
+      return cached;
+    }
+  }
+
+  return refreshLeaderboards(db, leagueId, season);
+}
+
+/**
+ * Work out the qualifiers in force: the ones asked for, plus the default
+ * for rate stats and per-game rankings when none was given
+ */
+function resolveQualifiers(sport, category, mode, teamGames, options) {
+  const qualifiers = {
+    minGames: parseFloat(options.minGames) || 0,
+    minAtBats: parseFloat(options.minAtBats) || 0,
+    minInnings: parseFloat(options.minInnings) || 0
+  };
+
+  if (category.qualifier === 'atBats' && !options.minAtBats) {
+    qualifiers.minAtBats = Math.floor(3.1 * teamGames);
+  } else if (category.qualifier === 'innings' && !options.minInnings) {
+    qualifiers.minInnings = teamGames;
+  } else if ((category.qualifier === 'games' || (mode === 'per_game' && sport === 'NBA')) && !options.minGames) {
+    qualifiers.minGames = Math.ceil(0.7 * teamGames);
+  }
+
+  return qualifiers;
+}
+
+function qualifies(row, qualifiers) {
+  const totals = row.stats.totals || {};
+  const atBats = (totals.batting && totals.batting.ab) || 0;
+  const innings = ((totals.pitching && totals.pitching.outs) || 0) / 3;
+
+  return row.games_played >= qualifiers.minGames
+    && atBats >= qualifiers.minAtBats
+    && innings >= qualifiers.minInnings;
+}
+
+function matchesPosition(row, positions) {
+  return positions.length === 0 || positions.includes(String(row.position).toUpperCase());
+}
+
+/**
+ * Rank one category from the loaded season
+ */
+function rankCategory(season, sport, key, options) {
+  const category = CATEGORIES[sport][key];
+  const mode = category.rate ? 'rate' : (options.mode === 'per_game' ? 'per_game' : 'total');
+  const qualifiers = resolveQualifiers(sport, category, mode, season.teamGames, options);
+  const positions = options.position
+    ? String(options.position).split(',').map(position => position.trim().toUpperCase())
+    : [];
+  const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const ranked = season.rows
+    .filter(row => matchesPosition(row, positions) && qualifies(row, qualifiers))
+    .map(row => {
+      let value = readPath(row.stats, category.rate || category.total);
+      if (value === null) return null;
+
+      if (category.scale) value *= category.scale;
+      if (mode === 'per_game') value = row.games_played > 0 ? value / row.games_played : 0;
+
+      return { row, value: round(value, category.rate ? 3 : 1) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (category.ascending ? a.value - b.value : b.value - a.value));
+
+  // Players with the same value share a rank
+  const leaders = [];
+  for (let i = 0; i < ranked.length && leaders.length < limit; i++) {
+    const { row, value } = ranked[i];
+    const rank = i > 0 && ranked[i - 1].value === value ? leaders[i - 1].rank : i + 1;
+    leaders.push({
+      rank,
+      player_id: row.player_id,
+      name: row.name,
+      position: row.position,
+      team_id: row.team_id,
+      team_name: row.team_name,
+      team_abbr: row.team_abbr,
+      games_played: row.games_played,
+      value
+    });
+  }
+
+  return {
+    category: key,
+    label: category.label,
+    mode,
+    qualifiers,
+    leaders
+  };
+}
+
+/**
+ * Get the leaders for one category; returns null for an unknown category
+ */
+async function getLeaderboard(db, leagueId, sport, season, key, options = {}) {
+  if (!CATEGORIES[sport] || !CATEGORIES[sport][key]) {
+    return null;
+  }
+
+  const loaded = await getSeason(db, leagueId, season);
+
+  return {
+    season,
+    teamGames: loaded.teamGames,
+    refreshedAt: loaded.refreshedAt,
+    ...rankCategory(loaded, sport, key, options)
+  };
+}
+
+/**
+ * Get the leaders in the sport's headline categories
+ */
+async function getLeaderboardSummary(db, leagueId, sport, season, options = {}) {
+  const loaded = await getSeason(db, leagueId, season);
+  const categories = SUMMARY_CATEGORIES[sport] || SUMMARY_CATEGORIES.NBA;
+
+  return {
+    season,
+    teamGames: loaded.teamGames,
+    refreshedAt: loaded.refreshedAt,
+    categories: categories.map(key => rankCategory(loaded, sport, key, { limit: 5, ...options }))
+  };
+}
+
+/**
+ * List the categories a sport can be ranked by
+ */
+function listCategories(sport) {
+  return Object.entries(CATEGORIES[sport] || CATEGORIES.NBA).map(([key, category]) => ({
+    category: key,
+    label: category.label,
+    type: category.rate ? 'rate' : 'counting'
+  }));
+}
+
+module.exports = {
+  getLeaderboard,
+  getLeaderboardSummary,
+  listCategories,
+  refreshLeaderboards,
+  invalidateLeaderboards
+};
@@ -0,0 +1,242 @@
+const { regularSeasonComplete } = require('./standingsService');
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * The stages a league moves through each season. `leagues.status` holds the
+ * current one; the draft, playoffs and rollover move the league along on
+ * their own, and the commissioner makes the other changes.
+ */
+
+const PHASES = ['setup', 'draft', 'preseason', 'regular_season', 'post_deadline', 'playoffs', 'offseason'];
+
+const TRANSITIONS = {
+  setup: ['draft', 'preseason'],
+  draft: ['preseason'],
+  preseason: ['regular_season'],
+  regular_season: ['post_deadline', 'playoffs'],
+  post_deadline: ['playoffs'],
+  playoffs: ['offseason'],
+  offseason: ['draft', 'preseason']
+};
+
+// What each phase lets teams and the commissioner do
+const ACTIONS = {
+  trade: ['preseason', 'regular_season', 'offseason'],
+  sign: ['setup', 'preseason', 'regular_season', 'post_deadline', 'offseason'],
+  draft: ['setup', 'draft', 'offseason'],
+  schedule: ['setup', 'draft', 'preseason', 'offseason'],
+  simulate: ['regular_season', 'post_deadline', 'playoffs']
+};
+
+const ACTION_LABELS = {
+  trade: 'Trades are',
+  sign: 'Free agent signings are',
+  draft: 'Drafting is',
+  schedule: 'Schedule changes are',
+  simulate: 'Simulating games is'
+};
+
+const PHASE_LABELS = {
+  setup: 'during league setup',
+  draft: 'during the draft',
+  preseason: 'during the preseason',
+  regular_season: 'during the regular season',
+  post_deadline: 'after the trade deadline',
+  playoffs: 'during the playoffs',
+  offseason: 'during the offseason'
+};
+
+// Without a tradeDeadlineDay setting, trading closes this far into the
+// regular season schedule
+const TRADE_DEADLINE_FRACTION = 0.6;
+
+/**
+ * Phases in which the league can play games
+ */
+const SIMULATION_PHASES = ACTIONS.simulate;
+
+function phaseOf(league) {
+  return league.status || 'setup';
+}
+
+/**
+ * Why the league's phase rules out an action, or null if it's allowed
+ */
+function phaseError(league, action) {
+  const phase = phaseOf(league);
+
+  if (ACTIONS[action].includes(phase)) {
+    return null;
+  }
+
+  return `${ACTION_LABELS[action]} not allowed ${PHASE_LABELS[phase] || `in the ${phase} phase`}`;
+}
+
+/**
+ * Look the league up and check an action against its phase. Returns
+ * `{ league }`, `{ notFound: true }` or `{ error }`.
+ */
+async function checkPhase(db, leagueId, action) {
+  const result = await db.query('SELECT * FROM leagues WHERE id = $1', [leagueId]);
+
+  if (result.rows.length === 0) {
+    return { notFound: true };
+  }
+
+  const league = result.rows[0];
+  const error = phaseError(league, action);
+
+  return error ? { error, league } : { league };
+}
+
+/**
+ * The day trading closes for the league's current season, or null if the
+ * season has no schedule yet
+ */
+async function tradeDeadlineDay(db, league) {
+  const settings = getLeagueSettings(league);
+
+  if (settings.tradeDeadlineDay) {
+    return parseInt(settings.tradeDeadlineDay);
+  }
+
+  const result = await db.query(
+    `SELECT MIN(day) as first_day, MAX(day) as last_day
+     FROM games
+     WHERE league_id = $1 AND season = $2 AND game_type = 'regular'`,
+    [league.id, league.current_season]
+  );
+
+  const { first_day: firstDay, last_day: lastDay } = result.rows[0];
+
+  if (firstDay === null) {
+    return null;
+  }
+
+  return firstDay + Math.round((lastDay - firstDay) * TRADE_DEADLINE_FRACTION);
+}
+
+/**
+ * Why the commissioner can't move the league to `to` right now, or null
+ */
+async function transitionError(db, league, to) {
+  const from = phaseOf(league);
+
+  if (!PHASES.includes(to)) {
+    return `Unknown phase ${to}; expected one of ${PHASES.join(', ')}`;
+  }
+
+  if (!TRANSITIONS[from].includes(to)) {
+    return `Can't move from ${from} to ${to}; next phase can be ${TRANSITIONS[from].join(' or ')}`;
+  }
+
+  if (from === 'draft') {
+    const draft = await db.query('SELECT status FROM drafts WHERE league_id = $1', [league.id]);
+    if (draft.rows.length > 0 && draft.rows[0].status === 'in_progress') {
+      return 'The draft is still in progress';
+    }
+  }
+
+  if (to === 'regular_season') {
+    const games = await db.query(
+      `SELECT COUNT(*) FROM games
+       WHERE league_id = $1 AND season = $2 AND game_type = 'regular' AND status = 'scheduled'`,
+      [league.id, league.current_season]
+    );
+    if (parseInt(games.rows[0].count) === 0) {
+      return 'The season has no schedule yet';
+    }
+  }
+
+  if (to === 'playoffs' && !(await regularSeasonComplete(db, league.id, league.current_season))) {
+    return 'The regular season is not over yet';
+  }
+
+  if (to === 'offseason') {
+    return 'The offseason starts once the season rollover finishes';
+  }
+
+  return null;
+}
+
+/**
+ * Move the league to a new phase and log the change. Returns the change,
+ * or null if the league is already there. Call `emitPhaseChange` once the
+ * transaction commits.
+ */
+async function transitionPhase(client, leagueId, to, { reason = null, userId = null } = {}) {
+  const result = await client.query(
+    'SELECT id, status, current_season, current_day FROM leagues WHERE id = $1 FOR UPDATE',
+    [leagueId]
+  );
+  const league = result.rows[0];
+  const from = phaseOf(league);
+
+  if (from === to) {
+    return null;
+  }
+
+  if (!TRANSITIONS[from].includes(to)) {
+    throw new Error(`League ${leagueId} can't move from ${from} to ${to}`);
+  }
+
+  await client.query('UPDATE leagues SET status = $1 WHERE id = $2', [to, leagueId]);
+  await client.query(
+    `INSERT INTO league_phase_changes (league_id, from_phase, to_phase, season, day, changed_by, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [leagueId, from, to, league.current_season, league.current_day, userId, reason]
+  );
+
+  return {
+    leagueId: league.id,
+    from,
+    to,
+    season: league.current_season,
+    day: league.current_day,
+    changedBy: userId,
+    reason
+  };
+}
+
+function emitPhaseChange(io, change) {
+  if (io && change) {
+    io.to(`league_${change.leagueId}`).emit('league_phase_changed', change);
+  }
+}
+
+/**
+ * Get the league's phase, what it allows and how it got there
+ */
+async function getPhase(db, league) {
+  const phase = phaseOf(league);
+  const history = await db.query(
+    `SELECT from_phase, to_phase, season, day, changed_by, reason, created_at
+     FROM league_phase_changes
+     WHERE league_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [league.id]
+  );
+
+  return {
+    leagueId: league.id,
+    phase,
+    season: league.current_season,
+    day: league.current_day,
+    nextPhases: TRANSITIONS[phase],
+    allowedActions: Object.keys(ACTIONS).filter(action => ACTIONS[action].includes(phase)),
+    tradeDeadlineDay: await tradeDeadlineDay(db, league),
+    history: history.rows
+  };
+}
+
+module.exports = {
+  PHASES,
+  SIMULATION_PHASES,
+  phaseError,
+  checkPhase,
+  tradeDeadlineDay,
+  transitionError,
+  transitionPhase,
+  emitPhaseChange,
+  getPhase
+};
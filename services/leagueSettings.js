@@ -0,0 +1,12 @@
+/**
+ * A league's settings. Leagues keep them in `settings` and, since
+ * multiplayer leagues, in `league_settings`; both default to '{}', so the
+ * two are merged with `league_settings` winning where both set a key.
+ */
+function getLeagueSettings(league) {
+  return { ...league.settings, ...league.league_settings };
+}
+
+module.exports = {
+  getLeagueSettings
+};
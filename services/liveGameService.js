@@ -0,0 +1,119 @@
+const { emitToGame, emitToLeague } = require('./websocketService');
+
+const DEFAULT_BROADCAST_SECONDS = 180;
+
+// Games currently being streamed, keyed by game id
+const liveGames = new Map();
+
+/**
+ * Spread a game's events across the broadcast window. NBA events carry
+ * elapsed game seconds; MLB events are spaced evenly by order.
+ */
+function eventOffsets(events, broadcastMs) {
+  const usesClock = events.every(event => typeof event.elapsed === 'number');
+  const span = usesClock
+    ? Math.max(1, events[events.length - 1].elapsed)
+    : Math.max(1, events.length - 1);
+
+  return events.map((event, index) =>
+    Math.round(((usesClock ? event.elapsed : index) / span) * broadcastMs)
+  );
+}
+
+/**
+ * Send one event to everyone watching the game
+ */
+function sendEvent(io, live, event) {
+  const { gameId } = live;
+
+  emitToGame(io, gameId, 'play_by_play', { gameId, event });
+
+  if (event.homeScore !== live.homeScore || event.awayScore !== live.awayScore) {
+    live.homeScore = event.homeScore;
+    live.awayScore = event.awayScore;
+    emitToGame(io, gameId, 'score_update', {
+      gameId,
+      homeScore: event.homeScore,
+      awayScore: event.awayScore,
+      period: event.period || event.inning,
+      half: event.half
+    });
+  }
+
+  if (event.type === 'period_end') {
+    emitToGame(io, gameId, 'period_end', {
+      gameId,
+      period: event.period || event.inning,
+      half: event.half,
+      homeScore: event.homeScore,
+      awayScore: event.awayScore,
+      description: event.description
+    });
+  }
+
+  if (event.type === 'final') {
+    emitToGame(io, gameId, 'game_final', {
+      gameId,
+      homeScore: event.homeScore,
+      awayScore: event.awayScore,
+      description: event.description
+    });
+  }
+}
+
+/**
+ * Stream a simulated game's play-by-play to its game room in near real time
+ */
+function broadcastGame(io, game, events, options = {}) {
+  if (!io || events.length === 0 || liveGames.has(game.id)) {
+    return;
+  }
+
+  const broadcastMs = (options.broadcastSeconds || DEFAULT_BROADCAST_SECONDS) * 1000;
+  const startDelayMs = options.startDelayMs || 0;
+  const offsets = eventOffsets(events, broadcastMs);
+  const live = {
+    gameId: game.id,
+    events,
+    sent: 0,
+    homeScore: 0,
+    awayScore: 0,
+    timers: []
+  };
+
+  liveGames.set(game.id, live);
+
+  live.timers.push(setTimeout(() => {
+    emitToLeague(io, game.leagueId, 'game_live', {
+      gameId: game.id,
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam
+    });
+  }, startDelayMs));
+
+  events.forEach((event, index) => {
+    live.timers.push(setTimeout(() => {
+      live.sent = index + 1;
+      sendEvent(io, live, event);
+
+      if (live.sent === events.length) {
+        liveGames.delete(game.id);
+      }
+    }, startDelayMs + offsets[index]));
+  });
+}
+
+/**
+ * Events already sent for a game that is still being streamed,
+ * or null when the game is not live
+ */
+function getLiveEvents(gameId) {
+  const live = liveGames.get(parseInt(gameId));
+  return live ? live.events.slice(0, live.sent) : null;
+}
+
+module.exports = {
+  DEFAULT_BROADCAST_SECONDS,
+  broadcastGame,
+  getLiveEvents
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { createRng, deriveSeed } = require('./seededRandom');
 
 const MLB_API_BASE = 'https://statsapi.mlb.com/api/v1';
 
@@ -252,9 +253,10 @@ class MLBApiService {
       baseSalary = 1000000;
     }
     
-    // Add randomness (+/- 20%)
+    // Add variance (+/- 20%), seeded by the player so it is reproducible
+    const rng = createRng(deriveSeed('mlb-salary', player.external_id || player.id || player.name));
     const variance = baseSalary * 0.2;
-    const salary = Math.round(baseSalary + (Math.random() * variance * 2 - variance));
+    const salary = Math.round(baseSalary + (rng() * variance * 2 - variance));
     
     return salary;
   }
@@ -0,0 +1,993 @@
+/**
+ * Plate-appearance based baseball simulation engine.
+ *
+ * Every plate appearance is resolved from the batter's and pitcher's rates
+ * (taken from `mlb_stats` when available, otherwise from overall_rating),
+ * inning by inning, with pitching changes, extra innings and official
+ * W/L/SV decisions. Like the basketball engine it is pure and takes its
+ * randomness from the `rng` option, with injuries rolled from `injuryRng`.
+ */
+
+const { rollInjury } = require('./injuryCatalog');
+
+// Bump whenever a change would make old games replay differently
+const ENGINE_VERSION = 1;
+
+const REGULATION_INNINGS = 9;
+// Chance per plate appearance for the batter, and per batter faced for the pitcher
+const BATTER_INJURY_RATE = 0.0015;
+const PITCHER_INJURY_RATE = 0.002;
+const OUTCOMES = ['so', 'bb', 'hbp', 'single', 'double', 'triple', 'hr'];
+
+// Per plate appearance league averages
+const LEAGUE_RATES = {
+  so: 0.225,
+  bb: 0.083,
+  hbp: 0.011,
+  single: 0.142,
+  double: 0.044,
+  triple: 0.004,
+  hr: 0.031
+};
+
+const FIELD_POSITIONS = ['C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF'];
+const OUTFIELD = ['LF', 'CF', 'RF'];
+
+function num(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function isPitcher(player) {
+  return player.position === 'P' || player.position === 'SP' || player.position === 'RP';
+}
+
+/**
+ * Scale league rates for a player with no usable stat history
+ */
+function ratesFromRating(overall, direction) {
+  const factor = clamp((overall - 75) / 25, -0.8, 1) * direction;
+
+  return {
+    so: LEAGUE_RATES.so * (1 - factor * 0.25),
+    bb: LEAGUE_RATES.bb * (1 + factor * 0.25),
+    hbp: LEAGUE_RATES.hbp,
+    single: LEAGUE_RATES.single * (1 + factor * 0.15),
+    double: LEAGUE_RATES.double * (1 + factor * 0.2),
+    triple: LEAGUE_RATES.triple,
+    hr: LEAGUE_RATES.hr * (1 + factor * 0.5)
+  };
+}
+
+/**
+ * Work out a batter's per plate appearance rates
+ */
+function buildBatterProfile(player) {
+  const overall = num(player.overall_rating, 75);
+  const batting = (player.mlb_stats && player.mlb_stats.batting) || {};
+  const avg = num(batting.avg, 0);
+  const hits = num(batting.hits, 0);
+  let rates = ratesFromRating(overall, 1);
+
+  if (avg > 0 && hits >= 20) {
+    const atBats = hits / avg;
+    const doubles = num(batting.doubles, 0);
+    const triples = num(batting.triples, 0);
+    const homeRuns = num(batting.hr, 0);
+    const singles = Math.max(0, hits - doubles - triples - homeRuns);
+    const slg = (singles + 2 * doubles + 3 * triples + 4 * homeRuns) / atBats;
+    const obp = clamp(num(batting.ops, 0) - slg, avg, 0.5);
+    const walks = Math.max(0, (obp * atBats - hits) / (1 - obp));
+    const plateAppearances = atBats + walks;
+
+    rates = {
+      so: clamp(0.22 - (avg - 0.25) * 0.8 + (homeRuns / plateAppearances) * 1.2, 0.08, 0.38),
+      bb: clamp(walks / plateAppearances * 0.92, 0.02, 0.2),
+      hbp: LEAGUE_RATES.hbp,
+      single: singles / plateAppearances,
+      double: doubles / plateAppearances,
+      triple: triples / plateAppearances,
+      hr: homeRuns / plateAppearances
+    };
+  }
+
+  const steals = num(batting.sb, 0);
+
+  return {
+    id: player.id,
+    name: player.name,
+    position: player.position,
+    overall,
+    rates,
+    speed: clamp(steals > 0 ? steals / 40 : (overall - 70) / 100, 0, 1),
+    quality: rates.bb + rates.hbp + rates.single + 2 * rates.double + 3 * rates.triple + 4 * rates.hr
+  };
+}
+
+/**
+ * Work out a pitcher's per batter faced rates
+ */
+function buildPitcherProfile(player) {
+  const overall = num(player.overall_rating, 75);
+  const pitching = (player.mlb_stats && player.mlb_stats.pitching) || {};
+  const innings = num(pitching.inningsPitched, 0);
+  let rates = ratesFromRating(overall, -1);
+
+  if (innings >= 10) {
+    const battersFaced = innings * 4.25;
+    const era = num(pitching.era, 4.2);
+    const whip = num(pitching.whip, 1.3);
+    const baserunners = whip * innings;
+    const walks = baserunners * 0.28;
+    const hits = baserunners - walks;
+    const homeRuns = innings / 9 * clamp(era * 0.3, 0.4, 2.5);
+
+    rates = {
+      so: clamp(num(pitching.strikeouts, 0) / battersFaced, 0.1, 0.4),
+      bb: clamp(walks / battersFaced, 0.03, 0.16),
+      hbp: LEAGUE_RATES.hbp,
+      single: clamp((hits - homeRuns) * 0.78 / battersFaced, 0.08, 0.22),
+      double: clamp((hits - homeRuns) * 0.2 / battersFaced, 0.02, 0.07),
+      triple: LEAGUE_RATES.triple,
+      hr: clamp(homeRuns / battersFaced, 0.01, 0.06)
+    };
+  }
+
+  return {
+    id: player.id,
+    name: player.name,
+    position: player.position,
+    overall,
+    rates,
+    innings,
+    saves: num(pitching.saves, 0),
+    stamina: Math.round(85 + clamp((overall - 75) / 25, -1, 1) * 15)
+  };
+}
+
+/**
+ * Combine batter and pitcher rates with the odds-ratio method
+ */
+function matchupProbabilities(batter, pitcher) {
+  const probabilities = {};
+  let total = 0;
+
+  OUTCOMES.forEach(outcome => {
+    const b = batter.rates[outcome];
+    const p = pitcher.rates[outcome];
+    const l = LEAGUE_RATES[outcome];
+    const odds = (b / (1 - b)) * (p / (1 - p)) / (l / (1 - l));
+    probabilities[outcome] = odds / (1 + odds);
+    total += probabilities[outcome];
+  });
+
+  // Keep a realistic share of plate appearances as balls in play for outs
+  if (total > 0.62) {
+    OUTCOMES.forEach(outcome => { probabilities[outcome] *= 0.62 / total; });
+  }
+
+  return probabilities;
+}
+
+function byQuality(a, b) {
+  return b.quality - a.quality || b.overall - a.overall;
+}
+
+function playsPosition(player, position) {
+  return player.position === position || (player.position === 'OF' && OUTFIELD.includes(position));
+}
+
+/**
+ * Follow a depth chart's batting order, filling any spot whose player is
+ * unavailable with the best remaining hitter for that position
+ */
+function lineupFromChart(roster, battingOrder) {
+  const profiles = new Map(roster.map(p => [p.id, buildBatterProfile(p)]));
+  const hitters = roster.filter(p => !isPitcher(p)).map(p => profiles.get(p.id));
+  const used = new Set(battingOrder.map(entry => entry.playerId).filter(id => profiles.has(id)));
+
+  const order = battingOrder.slice(0, 9).map(entry => {
+    const listed = profiles.get(entry.playerId);
+    if (listed) {
+      return { ...listed, fieldPosition: entry.position };
+    }
+
+    const candidates = hitters.filter(p => !used.has(p.id)).sort(byQuality);
+    const fill = candidates.find(p => playsPosition(p, entry.position)) || candidates[0];
+    if (!fill) {
+      return null;
+    }
+
+    used.add(fill.id);
+    return { ...fill, fieldPosition: entry.position };
+  }).filter(Boolean);
+
+  return {
+    order,
+    bench: hitters.filter(p => !used.has(p.id))
+  };
+}
+
+/**
+ * Choose the nine starting batters and their defensive positions
+ */
+function buildLineup(roster, depthChart) {
+  if (depthChart && Array.isArray(depthChart.battingOrder) && depthChart.battingOrder.length > 0) {
+    return lineupFromChart(roster, depthChart.battingOrder);
+  }
+
+  const hitters = roster.filter(p => !isPitcher(p)).map(buildBatterProfile);
+  const used = new Set();
+  const lineup = [];
+
+  const take = (position, candidates) => {
+    const best = candidates
+      .filter(p => !used.has(p.id))
+      .sort(byQuality)[0];
+    if (best) {
+      used.add(best.id);
+      lineup.push({ ...best, fieldPosition: position });
+    }
+  };
+
+  FIELD_POSITIONS.forEach(position => {
+    take(position, hitters.filter(p => playsPosition(p, position)));
+  });
+  FIELD_POSITIONS.forEach(position => {
+    if (!lineup.some(p => p.fieldPosition === position)) {
+      take(position, hitters);
+    }
+  });
+  take('DH', hitters);
+
+  // Short-handed rosters fill the remaining spots with pitchers
+  if (lineup.length < 9) {
+    const pitchersAsBatters = roster.filter(isPitcher).map(buildBatterProfile);
+    while (lineup.length < 9 && pitchersAsBatters.some(p => !used.has(p.id))) {
+      take(lineup.length < 8 ? FIELD_POSITIONS.find(pos => !lineup.some(p => p.fieldPosition === pos)) : 'DH', pitchersAsBatters);
+    }
+  }
+
+  const bench = hitters.filter(p => !used.has(p.id));
+
+  return {
+    order: lineup.sort((a, b) => b.quality - a.quality),
+    bench
+  };
+}
+
+/**
+ * Use a depth chart's rotation and bullpen roles. Starters who are not
+ * pitching today only come out of the bullpen once everyone else is used.
+ */
+function staffFromChart(staff, rotation, rotationIndex, bullpen) {
+  const byId = new Map(staff.map(p => [p.id, p]));
+  const starter = rotation[rotationIndex % rotation.length];
+  const pick = ids => (Array.isArray(ids) ? ids : [])
+    .map(id => byId.get(id))
+    .filter(p => p && p.id !== starter.id);
+
+  const closer = pick([bullpen.closer])[0] || null;
+  const roles = {
+    setup: pick(bullpen.setup).map(p => p.id),
+    middle: pick(bullpen.middle).map(p => p.id),
+    long: pick(bullpen.long).map(p => p.id)
+  };
+
+  const relievers = new Map();
+  [
+    ...pick([...roles.setup, ...roles.middle, ...roles.long]),
+    ...staff
+      .filter(p => !rotation.includes(p))
+      .sort((a, b) => b.overall - a.overall),
+    ...rotation
+  ].forEach(p => {
+    if (p.id !== starter.id && (!closer || p.id !== closer.id)) {
+      relievers.set(p.id, p);
+    }
+  });
+
+  return {
+    starter,
+    rotation,
+    closer,
+    relievers: [...relievers.values()],
+    roles
+  };
+}
+
+/**
+ * Split the pitchers into a starting rotation and a bullpen
+ */
+function buildStaff(roster, rotationIndex, depthChart) {
+  const pitchers = roster.filter(isPitcher).map(buildPitcherProfile);
+  const staff = pitchers.length > 0 ? pitchers : roster.map(buildPitcherProfile);
+
+  if (depthChart && Array.isArray(depthChart.rotation)) {
+    const byId = new Map(staff.map(p => [p.id, p]));
+    const rotation = depthChart.rotation.map(id => byId.get(id)).filter(Boolean);
+    if (rotation.length > 0) {
+      return staffFromChart(staff, rotation, rotationIndex, depthChart.bullpen || {});
+    }
+  }
+
+  const rotation = [...staff]
+    .sort((a, b) => (b.innings >= 60) - (a.innings >= 60) || b.overall - a.overall)
+    .slice(0, Math.min(5, staff.length));
+  const starter = rotation[rotationIndex % rotation.length];
+  const bullpen = staff.filter(p => p.id !== starter.id);
+  const closer = [...bullpen].sort((a, b) => b.saves - a.saves || b.overall - a.overall)[0] || null;
+
+  return {
+    starter,
+    rotation,
+    closer,
+    relievers: bullpen
+      .filter(p => !closer || p.id !== closer.id)
+      .sort((a, b) => b.overall - a.overall),
+    roles: null
+  };
+}
+
+function emptyBattingLine() {
+  return { pa: 0, ab: 0, r: 0, h: 0, doubles: 0, triples: 0, hr: 0, rbi: 0, bb: 0, so: 0, hbp: 0, sb: 0, cs: 0 };
+}
+
+function emptyPitchingLine() {
+  return { gs: 0, outs: 0, bf: 0, h: 0, r: 0, er: 0, bb: 0, so: 0, hr: 0, hbp: 0, pitches: 0 };
+}
+
+/**
+ * Create the mutable in-game state for one side
+ */
+function createSide(side, roster, rotationIndex, depthChart) {
+  if (roster.length === 0) {
+    throw new Error(`${side.name || 'Team'} has no available players`);
+  }
+
+  const lineup = buildLineup(roster, depthChart);
+  const staff = buildStaff(roster, rotationIndex, depthChart);
+
+  return {
+    team: side,
+    lineup: lineup.order,
+    batters: [...lineup.order],
+    bench: [...lineup.bench].sort((a, b) => b.quality - a.quality),
+    staff,
+    battingIndex: 0,
+    batting: new Map(lineup.order.map(p => [p.id, emptyBattingLine()])),
+    pitching: new Map([[staff.starter.id, { ...emptyPitchingLine(), gs: 1 }]]),
+    pitchers: [{ profile: staff.starter, enteredLead: 0, enteredRunners: 0 }],
+    usedRelievers: new Set(),
+    pitcher: staff.starter,
+    injuries: [],
+    runs: 0,
+    hits: 0,
+    innings: []
+  };
+}
+
+/**
+ * Collect play-by-play events along with the game situation at each one
+ */
+function createPlayByPlay(home, away) {
+  const events = [];
+
+  return {
+    events,
+    inning: 1,
+    half: 'top',
+    outs: 0,
+    scorers: [],
+    add(type, side, description, scoring = false) {
+      events.push({
+        sequence: events.length + 1,
+        type,
+        inning: this.inning,
+        half: this.half,
+        outs: this.outs,
+        team: side === home ? 'home' : side === away ? 'away' : null,
+        description,
+        scoring,
+        homeScore: home.runs,
+        awayScore: away.runs
+      });
+    }
+  };
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+function pitchingLine(side, pitcher) {
+  if (!side.pitching.has(pitcher.id)) {
+    side.pitching.set(pitcher.id, emptyPitchingLine());
+  }
+  return side.pitching.get(pitcher.id);
+}
+
+/**
+ * Bring in a new pitcher for the fielding side
+ */
+function changePitcher(fielding, reliever, lead, runnersOn) {
+  fielding.game.pbp.add('pitching_change', fielding, `Pitching change: ${reliever.name} replaces ${fielding.pitcher.name}`);
+  fielding.usedRelievers.add(reliever.id);
+  fielding.pitcher = reliever;
+  fielding.pitchers.push({ profile: reliever, enteredLead: lead, enteredRunners: runnersOn });
+  pitchingLine(fielding, reliever);
+}
+
+/**
+ * Pick the next reliever. With depth chart roles, long relievers cover
+ * early exits and setup men the late innings.
+ */
+function nextReliever(fielding, inning) {
+  const available = fielding.staff.relievers.filter(p => !fielding.usedRelievers.has(p.id));
+  const { roles } = fielding.staff;
+
+  if (roles && available.length > 0) {
+    const preferred = inning <= 5 ? roles.long : inning >= 7 ? roles.setup : roles.middle;
+    return available.find(p => preferred.includes(p.id)) || available[0];
+  }
+
+  return available[0] || null;
+}
+
+/**
+ * Decide whether the fielding side should go to the bullpen
+ */
+function managePitcher(fielding, context) {
+  const { inning, lead, runnersOn, inningStart } = context;
+  const current = fielding.pitcher;
+  const line = pitchingLine(fielding, current);
+  const isStarter = fielding.pitchers.length === 1;
+  const closer = fielding.staff.closer;
+  const closerAvailable = closer && !fielding.usedRelievers.has(closer.id) && current.id !== closer.id;
+
+  // Closer for the ninth inning or later in a save situation
+  if (inningStart && inning >= REGULATION_INNINGS && lead > 0 && lead <= 3 && closerAvailable) {
+    changePitcher(fielding, closer, lead, runnersOn);
+    return;
+  }
+
+  const limit = isStarter ? current.stamina : 30;
+  const shelled = line.r >= (isStarter ? 6 : 3);
+  const finishedInning = !isStarter && inningStart && line.outs >= 3;
+
+  if (line.pitches < limit && !shelled && !finishedInning) {
+    return;
+  }
+
+  const next = nextReliever(fielding, inning) ||
+    (closerAvailable && inning >= REGULATION_INNINGS ? closer : null);
+
+  if (next) {
+    changePitcher(fielding, next, lead, runnersOn);
+  }
+}
+
+function pitchesFor(outcome, rng) {
+  const base = { so: 4.8, bb: 5.6, hbp: 3.2 }[outcome] || 3.3;
+  return Math.max(1, Math.round(base + (rng() - 0.5) * 3));
+}
+
+/**
+ * Score a runner, charging the run to the pitcher responsible for him
+ */
+function scoreRunner(batting, fielding, runner, batterLine, rbi) {
+  batting.runs++;
+  batting.innings[batting.innings.length - 1]++;
+  batting.batting.get(runner.batterId).r++;
+  batting.game.pbp.scorers.push(runner.batterId);
+
+  const responsible = pitchingLine(fielding, { id: runner.pitcherId });
+  responsible.r++;
+  if (runner.earned) responsible.er++;
+
+  if (rbi && batterLine) batterLine.rbi++;
+
+  // Remember the pitchers of record whenever a team takes the lead
+  if (batting.runs === fielding.runs + 1) {
+    batting.game.goAhead = {
+      winningPitcherId: batting.pitcher.id,
+      losingPitcherId: runner.pitcherId
+    };
+  }
+}
+
+/**
+ * Move runners after a hit or walk; returns the runners who scored
+ */
+function advanceRunners(bases, batterRunner, basesForBatter, forced, rng) {
+  const scored = [];
+  const next = [null, null, null];
+
+  if (forced) {
+    // Walks and hit batters only move runners who are forced
+    next[0] = batterRunner;
+    if (bases[0]) {
+      next[1] = bases[0];
+      if (bases[1]) {
+        next[2] = bases[1];
+        if (bases[2]) scored.push(bases[2]);
+      } else {
+        next[2] = bases[2];
+      }
+    } else {
+      next[1] = bases[1];
+      next[2] = bases[2];
+    }
+    return { bases: next, scored };
+  }
+
+  for (let base = 2; base >= 0; base--) {
+    const runner = bases[base];
+    if (!runner) continue;
+
+    let advance = basesForBatter;
+    if (basesForBatter === 1 && base >= 1 && rng() < 0.6) advance = 2;
+    if (basesForBatter === 1 && base === 0 && rng() < 0.28) advance = 2;
+    if (basesForBatter === 2 && base === 0 && rng() < 0.4) advance = 3;
+
+    let target = base + advance;
+    while (target <= 2 && next[target]) target++;
+
+    if (target >= 3) scored.push(runner); else next[target] = runner;
+  }
+
+  if (basesForBatter >= 4) {
+    scored.push(batterRunner);
+  } else {
+    next[basesForBatter - 1] = batterRunner;
+  }
+
+  return { bases: next, scored };
+}
+
+/**
+ * Roll for injuries to the batter and pitcher after a plate appearance.
+ * An injured batter gives way to the best bench hitter and an injured
+ * pitcher to the next reliever; with nobody left they stay in the game.
+ */
+function checkForInjuries(batting, fielding, batter, pitcher, bases, inning, injuryRng) {
+  const pbp = batting.game.pbp;
+
+  if (injuryRng() < BATTER_INJURY_RATE) {
+    const injury = rollInjury('MLB_BATTER', injuryRng);
+    const slot = batting.lineup.findIndex(p => p.id === batter.id);
+    const substitute = slot >= 0 ? batting.bench.shift() : null;
+
+    batting.injuries.push({ playerId: batter.id, name: batter.name, ...injury, inning });
+
+    if (substitute) {
+      const entering = { ...substitute, fieldPosition: batter.fieldPosition };
+      batting.lineup[slot] = entering;
+      batting.batting.set(entering.id, emptyBattingLine());
+      batting.batters.splice(batting.batters.findIndex(p => p.id === batter.id) + 1, 0, entering);
+      pbp.add('injury', batting, `${batter.name} leaves the game with an injury (${injury.type.toLowerCase()}); ${entering.name} takes over at ${entering.fieldPosition}`);
+    } else {
+      pbp.add('injury', batting, `${batter.name} is injured (${injury.type.toLowerCase()}) but stays in with no bench left`);
+    }
+  }
+
+  if (injuryRng() < PITCHER_INJURY_RATE) {
+    const injury = rollInjury('MLB_PITCHER', injuryRng);
+    const closer = fielding.staff.closer;
+    const next = nextReliever(fielding, inning) ||
+      (closer && !fielding.usedRelievers.has(closer.id) && closer.id !== pitcher.id ? closer : null);
+
+    fielding.injuries.push({ playerId: pitcher.id, name: pitcher.name, ...injury, inning });
+    pbp.add('injury', fielding, `${pitcher.name} leaves the game with an injury (${injury.type.toLowerCase()})`);
+
+    if (next) {
+      changePitcher(fielding, next, fielding.runs - batting.runs, bases.filter(Boolean).length);
+    }
+  }
+}
+
+/**
+ * Play one half inning; returns when three outs are made or a walk-off ends it
+ */
+function playHalfInning(batting, fielding, inning, isBottom, options, rng) {
+  const pbp = batting.game.pbp;
+  let outs = 0;
+  let bases = [null, null, null];
+  batting.innings.push(0);
+
+  pbp.inning = inning;
+  pbp.half = isBottom ? 'bottom' : 'top';
+  pbp.outs = 0;
+  pbp.add('period_start', batting, `${isBottom ? 'Bottom' : 'Top'} of the ${ordinal(inning)}`);
+
+  if (inning > REGULATION_INNINGS && options.extraInningsRunner) {
+    const previous = batting.lineup[(batting.battingIndex + batting.lineup.length - 1) % batting.lineup.length];
+    bases[1] = { batterId: previous.id, pitcherId: fielding.pitcher.id, earned: false };
+  }
+
+  const walkOff = () => isBottom && inning >= REGULATION_INNINGS && batting.runs > fielding.runs;
+  let inningStart = true;
+
+  while (outs < 3) {
+    const lead = fielding.runs - batting.runs;
+    const runnersOn = bases.filter(Boolean).length;
+    managePitcher(fielding, { inning, lead, runnersOn, inningStart });
+    inningStart = false;
+
+    const pitcher = fielding.pitcher;
+    const pLine = pitchingLine(fielding, pitcher);
+
+    // Stolen base attempts with a runner on first and second open
+    if (bases[0] && !bases[1] && outs < 2) {
+      const runner = batting.lineup.find(p => p.id === bases[0].batterId);
+      if (runner && rng() < runner.speed * 0.12) {
+        if (rng() < 0.72 + runner.speed * 0.1) {
+          batting.batting.get(runner.id).sb++;
+          bases = [null, bases[0], bases[2]];
+          pbp.add('play', batting, `${runner.name} steals second`);
+        } else {
+          batting.batting.get(runner.id).cs++;
+          pLine.outs++;
+          bases = [null, null, bases[2]];
+          outs++;
+          pbp.outs = outs;
+          pbp.add('play', batting, `${runner.name} is caught stealing second`);
+          continue;
+        }
+      }
+    }
+
+    const batter = batting.lineup[batting.battingIndex];
+    batting.battingIndex = (batting.battingIndex + 1) % batting.lineup.length;
+
+    const bLine = batting.batting.get(batter.id);
+    const probabilities = matchupProbabilities(batter, pitcher);
+    let roll = rng();
+    let outcome = 'out';
+
+    for (const key of OUTCOMES) {
+      roll -= probabilities[key];
+      if (roll < 0) {
+        outcome = key;
+        break;
+      }
+    }
+
+    bLine.pa++;
+    pLine.bf++;
+    pLine.pitches += pitchesFor(outcome, rng);
+
+    const batterRunner = { batterId: batter.id, pitcherId: pitcher.id, earned: true };
+    let result = null;
+    let play = {
+      so: 'strikes out',
+      bb: 'walks',
+      hbp: 'is hit by a pitch',
+      single: 'singles',
+      double: 'doubles',
+      triple: 'triples',
+      hr: 'homers'
+    }[outcome];
+
+    switch (outcome) {
+      case 'so':
+        bLine.ab++;
+        bLine.so++;
+        pLine.so++;
+        pLine.outs++;
+        outs++;
+        break;
+      case 'bb':
+      case 'hbp':
+        bLine[outcome]++;
+        pLine[outcome]++;
+        result = advanceRunners(bases, batterRunner, 1, true, rng);
+        break;
+      case 'single':
+      case 'double':
+      case 'triple':
+      case 'hr': {
+        const basesTaken = { single: 1, double: 2, triple: 3, hr: 4 }[outcome];
+        bLine.ab++;
+        bLine.h++;
+        if (outcome !== 'single') bLine[outcome === 'hr' ? 'hr' : `${outcome}s`]++;
+        pLine.h++;
+        if (outcome === 'hr') pLine.hr++;
+        batting.hits++;
+        result = advanceRunners(bases, batterRunner, basesTaken, false, rng);
+        break;
+      }
+      default: {
+        // Ball in play for an out
+        const grounder = rng() < 0.48;
+        if (grounder && bases[0] && outs < 2 && rng() < 0.14) {
+          play = 'grounds into a double play';
+          bLine.ab++;
+          pLine.outs += 2;
+          outs += 2;
+          bases = [null, bases[1], bases[2]];
+          if (outs < 3 && bases[2] && rng() < 0.5) {
+            scoreRunner(batting, fielding, bases[2], bLine, false);
+            bases[2] = null;
+          }
+          break;
+        }
+
+        pLine.outs++;
+        outs++;
+        play = grounder ? 'grounds out' : 'flies out';
+
+        if (!grounder && bases[2] && outs < 3 && rng() < 0.45) {
+          // Sacrifice fly: no at bat charged
+          play = 'hits a sacrifice fly';
+          scoreRunner(batting, fielding, bases[2], bLine, true);
+          bases[2] = null;
+          break;
+        }
+
+        bLine.ab++;
+        if (outs < 3) {
+          if (bases[2] && grounder && rng() < 0.35) {
+            scoreRunner(batting, fielding, bases[2], bLine, true);
+            bases[2] = null;
+          }
+          if (bases[1] && !bases[2] && rng() < 0.4) {
+            bases = [bases[0], null, bases[1]];
+          }
+        }
+      }
+    }
+
+    if (result) {
+      result.scored.forEach(runner => scoreRunner(batting, fielding, runner, bLine, true));
+      bases = result.bases;
+    }
+
+    const scorers = pbp.scorers.splice(0);
+    const runnersHome = scorers
+      .filter(id => id !== batter.id)
+      .map(id => `, ${batting.batters.find(p => p.id === id).name} scores`);
+    pbp.outs = outs;
+    pbp.add('play', batting, `${batter.name} ${play}${runnersHome.join('')}`, scorers.length > 0);
+
+    if (options.injuryRng) {
+      checkForInjuries(batting, fielding, batter, pitcher, bases, inning, options.injuryRng);
+    }
+
+    if (walkOff()) {
+      return;
+    }
+  }
+
+  pbp.add('period_end', batting, `End of the ${pbp.half} of the ${ordinal(inning)}: ${fielding.team.name} ${fielding.runs}, ${batting.team.name} ${batting.runs}`);
+}
+
+/**
+ * Assign the winning, losing and save decisions
+ */
+function assignDecisions(winner, loser, goAhead) {
+  const winnerEntries = winner.pitchers;
+  let winningPitcher = goAhead.winningPitcherId;
+  const starterEntry = winnerEntries[0];
+
+  if (winningPitcher === starterEntry.profile.id && winnerEntries.length > 1 &&
+      pitchingLine(winner, starterEntry.profile).outs < 15) {
+    // A starter needs five innings for the win; give it to the busiest reliever
+    winningPitcher = winnerEntries.slice(1)
+      .sort((a, b) => pitchingLine(winner, b.profile).outs - pitchingLine(winner, a.profile).outs)[0].profile.id;
+  }
+
+  const decisions = { win: winningPitcher, loss: goAhead.losingPitcherId, save: null };
+  const finisher = winnerEntries[winnerEntries.length - 1];
+  const finisherLine = pitchingLine(winner, finisher.profile);
+
+  if (finisher.profile.id !== winningPitcher && finisher.enteredLead > 0) {
+    const saveSituation = (finisher.enteredLead <= 3 && finisherLine.outs >= 3) ||
+      finisherLine.outs >= 9 ||
+      finisher.enteredLead <= finisher.enteredRunners + 2;
+    if (saveSituation && finisherLine.outs > 0) {
+      decisions.save = finisher.profile.id;
+    }
+  }
+
+  pitchingLine(winner, { id: decisions.win }).decision = 'W';
+  pitchingLine(loser, { id: decisions.loss }).decision = 'L';
+  if (decisions.save) {
+    pitchingLine(winner, { id: decisions.save }).decision = 'S';
+  }
+
+  return decisions;
+}
+
+function formatInningsPitched(outs) {
+  return parseFloat(`${Math.floor(outs / 3)}.${outs % 3}`);
+}
+
+/**
+ * Turn one side's in-game state into batting and pitching box scores
+ */
+function finalizeSide(side, profilesById) {
+  const batting = side.batters.map(p => ({
+    playerId: p.id,
+    name: p.name,
+    position: p.fieldPosition,
+    stats: side.batting.get(p.id)
+  }));
+
+  const pitching = [...side.pitching.entries()].map(([id, line]) => ({
+    playerId: id,
+    name: profilesById.get(id).name,
+    position: 'P',
+    stats: { ...line, ip: formatInningsPitched(line.outs) }
+  }));
+
+  // Per-player stats for season accumulation, batting and pitching kept apart
+  const players = new Map();
+  batting.forEach(line => {
+    players.set(line.playerId, { playerId: line.playerId, name: line.name, position: line.position, stats: { batting: line.stats } });
+  });
+  pitching.forEach(line => {
+    const { ip, decision, ...counting } = line.stats;
+    const pitchingStats = {
+      ...counting,
+      w: decision === 'W' ? 1 : 0,
+      l: decision === 'L' ? 1 : 0,
+      sv: decision === 'S' ? 1 : 0
+    };
+    if (players.has(line.playerId)) {
+      players.get(line.playerId).stats.pitching = pitchingStats;
+    } else {
+      players.set(line.playerId, { playerId: line.playerId, name: line.name, position: 'P', stats: { pitching: pitchingStats } });
+    }
+  });
+
+  return { batting, pitching, players: [...players.values()] };
+}
+
+/**
+ * Build the depth chart the engine would pick on its own
+ */
+function buildDefaultDepthChart(roster) {
+  const lineup = buildLineup(roster);
+  const staff = buildStaff(roster, 0);
+  const relievers = staff.relievers.filter(p => !staff.rotation.includes(p));
+  const closer = staff.closer && !staff.rotation.includes(staff.closer) ? staff.closer : relievers[0] || null;
+  const bullpen = relievers.filter(p => p !== closer);
+  const longStart = Math.max(2, bullpen.length - 2);
+
+  return {
+    battingOrder: lineup.order.map(p => ({ playerId: p.id, position: p.fieldPosition })),
+    rotation: staff.rotation.map(p => p.id),
+    bullpen: {
+      closer: closer ? closer.id : null,
+      setup: bullpen.slice(0, 2).map(p => p.id),
+      middle: bullpen.slice(2, longStart).map(p => p.id),
+      long: bullpen.slice(longStart).map(p => p.id)
+    }
+  };
+}
+
+/**
+ * Simulate a full baseball game
+ *
+ * @param {{team: {id, name}, roster: Array, depthChart?: Object}} homeSide
+ * @param {{team: {id, name}, roster: Array, depthChart?: Object}} awaySide
+ * @param {{rng?: Function, injuryRng?: Function, homeRotationIndex?: number, awayRotationIndex?: number, extraInningsRunner?: boolean}} options
+ */
+function simulateGame(homeSide, awaySide, options = {}) {
+  const rng = options.rng || Math.random;
+  const settings = {
+    extraInningsRunner: options.extraInningsRunner !== false,
+    injuryRng: options.injuryRng || null
+  };
+  const home = createSide(homeSide.team, homeSide.roster, options.homeRotationIndex || 0, homeSide.depthChart);
+  const away = createSide(awaySide.team, awaySide.roster, options.awayRotationIndex || 0, awaySide.depthChart);
+
+  const profilesById = new Map();
+  [...homeSide.roster, ...awaySide.roster].forEach(p => profilesById.set(p.id, p));
+
+  const game = { goAhead: null, pbp: createPlayByPlay(home, away) };
+  home.game = game;
+  away.game = game;
+
+  game.pbp.add('game_start', null, `First pitch: ${away.staff.starter.name} vs ${home.staff.starter.name}`);
+
+  let inning = 1;
+
+  while (true) {
+    playHalfInning(away, home, inning, false, settings, rng);
+
+    if (inning >= REGULATION_INNINGS && home.runs > away.runs) {
+      // Home team does not need its last at bat
+      home.innings.push(null);
+      break;
+    }
+
+    playHalfInning(home, away, inning, true, settings, rng);
+
+    if (inning >= REGULATION_INNINGS && home.runs !== away.runs) {
+      break;
+    }
+
+    inning++;
+  }
+
+  const winner = home.runs > away.runs ? home : away;
+  const loser = winner === home ? away : home;
+  const finalLabel = inning > REGULATION_INNINGS ? `Final/${inning}` : 'Final';
+  game.pbp.add('final', null, `${finalLabel}: ${winner.team.name} ${winner.runs}, ${loser.team.name} ${loser.runs}`);
+
+  const decisions = assignDecisions(winner, loser, game.goAhead);
+
+  const homeBox = finalizeSide(home, profilesById);
+  const awayBox = finalizeSide(away, profilesById);
+
+  return {
+    sport: 'MLB',
+    homeScore: home.runs,
+    awayScore: away.runs,
+    innings: inning,
+    lineScore: {
+      home: home.innings,
+      away: away.innings
+    },
+    teamTotals: {
+      home: { r: home.runs, h: home.hits, e: 0 },
+      away: { r: away.runs, h: away.hits, e: 0 }
+    },
+    batting: {
+      home: homeBox.batting,
+      away: awayBox.batting
+    },
+    pitching: {
+      home: homeBox.pitching,
+      away: awayBox.pitching
+    },
+    decisions,
+    playerStats: {
+      home: homeBox.players,
+      away: awayBox.players
+    },
+    topPerformers: describeTopPerformers(homeSide.team.name, awaySide.team.name, homeBox, awayBox, decisions, profilesById),
+    injuries: [
+      ...home.injuries.map(injury => ({ ...injury, team: 'home' })),
+      ...away.injuries.map(injury => ({ ...injury, team: 'away' }))
+    ],
+    playByPlay: game.pbp.events
+  };
+}
+
+/**
+ * Describe the standout individual performances of a game
+ */
+function describeTopPerformers(homeName, awayName, homeBox, awayBox, decisions, profilesById) {
+  const hitters = [
+    ...homeBox.batting.map(p => ({ ...p, teamName: homeName })),
+    ...awayBox.batting.map(p => ({ ...p, teamName: awayName }))
+  ]
+    .sort((a, b) => (b.stats.h + b.stats.hr * 2 + b.stats.rbi) - (a.stats.h + a.stats.hr * 2 + a.stats.rbi))
+    .slice(0, 2)
+    .map(p => `${p.name} (${p.teamName}): ${p.stats.h}-for-${p.stats.ab}, ${p.stats.hr} HR, ${p.stats.rbi} RBI`);
+
+  const pitchers = [
+    decisions.win && `W: ${profilesById.get(decisions.win).name}`,
+    decisions.loss && `L: ${profilesById.get(decisions.loss).name}`,
+    decisions.save && `SV: ${profilesById.get(decisions.save).name}`
+  ].filter(Boolean);
+
+  return [...hitters, pitchers.join(', ')];
+}
+
+module.exports = {
+  ENGINE_VERSION,
+  FIELD_POSITIONS,
+  simulateGame,
+  buildDefaultDepthChart,
+  buildBatterProfile,
+  buildPitcherProfile
+};
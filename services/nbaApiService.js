@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { pool } = require('../database/init');
+const { createRng, deriveSeed } = require('./seededRandom');
 
 const NBA_API_BASE = 'https://api.balldontlie.io/v1';
 
@@ -96,8 +97,10 @@ function normalizePosition(position) {
  */
 function calculateOverallRating(stats, playerData) {
   if (!stats) {
-    // For players without recent stats, use a base rating
-    return Math.floor(Math.random() * 15) + 65; // 65-80 range
+    // For players without recent stats, use a base rating seeded by the
+    // player so re-imports give the same value
+    const rng = createRng(deriveSeed('nba-rating', playerData ? playerData.id : ''));
+    return Math.floor(rng() * 15) + 65; // 65-80 range
   }
 
   // Weight different stats for overall rating
@@ -150,7 +153,7 @@ async function importNBAPlayers() {
         
         // Calculate potential (younger players have higher potential)
         const age = calculateAge(player);
-        const potential = calculatePotential(overallRating, age);
+        const potential = calculatePotential(overallRating, age, player);
 
         // Check if player already exists
         const existingPlayer = await client.query(
@@ -238,22 +241,25 @@ async function importNBAPlayers() {
 function calculateAge(player) {
   // Since API doesn't provide age, estimate based on typical NBA player age
   // Most NBA players are between 22-35
-  return Math.floor(Math.random() * 13) + 22;
+  const rng = createRng(deriveSeed('nba-age', player.id));
+  return Math.floor(rng() * 13) + 22;
 }
 
 /**
  * Calculate potential based on current rating and age
  */
-function calculatePotential(overall, age) {
+function calculatePotential(overall, age, player) {
+  const rng = createRng(deriveSeed('nba-potential', player ? player.id : ''));
+
   if (age <= 23) {
     // Young players: high ceiling
-    return Math.min(99, overall + Math.floor(Math.random() * 15) + 5);
+    return Math.min(99, overall + Math.floor(rng() * 15) + 5);
   } else if (age <= 27) {
     // Prime years: some growth potential
-    return Math.min(99, overall + Math.floor(Math.random() * 8));
+    return Math.min(99, overall + Math.floor(rng() * 8));
   } else if (age <= 30) {
     // Peak: slight upside
-    return Math.min(99, overall + Math.floor(Math.random() * 3));
+    return Math.min(99, overall + Math.floor(rng() * 3));
   } else {
     // Veterans: at or past peak
     return overall;
@@ -0,0 +1,611 @@
+/**
+ * Ratings-driven basketball simulation engine.
+ *
+ * Works out every possession of a game from player ratings and the rosters
+ * passed in, and returns the final score, line score and full box score.
+ * The engine never calls out to the network; randomness comes from the
+ * `rng` option so results can be controlled by the caller. Injuries are
+ * only rolled when an `injuryRng` is passed, from that separate stream.
+ */
+
+const { rollInjury } = require('./injuryCatalog');
+
+// Bump whenever a change would make old games replay differently
+const ENGINE_VERSION = 1;
+
+const QUARTER_SECONDS = 720;
+const OVERTIME_SECONDS = 300;
+const REGULATION_SECONDS = QUARTER_SECONDS * 4;
+const SUBSTITUTION_WINDOW = 240;
+const FOUL_OUT_LIMIT = 6;
+const HOME_COURT_EDGE = 0.012;
+// Chance per player per possession on the floor
+const INJURY_RATE = 0.00015;
+
+const POSITION_DEFAULTS = {
+  PG: { threeRate: 0.42, reb: 4, ast: 6.5, stl: 1.2, blk: 0.3 },
+  SG: { threeRate: 0.42, reb: 4, ast: 3.5, stl: 1.0, blk: 0.4 },
+  SF: { threeRate: 0.36, reb: 5.5, ast: 2.8, stl: 1.0, blk: 0.6 },
+  PF: { threeRate: 0.25, reb: 7.5, ast: 2.2, stl: 0.8, blk: 1.0 },
+  C: { threeRate: 0.08, reb: 9.5, ast: 2.0, stl: 0.7, blk: 1.6 }
+};
+
+const DEFAULT_MINUTES = [34, 33, 32, 31, 30, 22, 18, 14, 12, 10];
+
+/**
+ * Read a numeric value, falling back when it is missing or not a number
+ */
+function num(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Pick an item from a list using relative weights
+ */
+function weightedPick(items, weightFn, rng) {
+  const weights = items.map(item => Math.max(0.0001, weightFn(item)));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let roll = rng() * total;
+
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll <= 0) {
+      return items[i];
+    }
+  }
+
+  return items[items.length - 1];
+}
+
+/**
+ * Build a simulation profile for a player from overall_rating and attributes
+ */
+function buildPlayerProfile(player) {
+  const overall = num(player.overall_rating, 75);
+  const ratingFactor = (overall - 75) / 25;
+  const defaults = POSITION_DEFAULTS[player.position] || POSITION_DEFAULTS.SF;
+  const stats = (player.attributes && player.attributes.stats) || null;
+
+  const fga = stats ? num(stats.fga, 0) : 0;
+  const fg3a = stats ? num(stats.fg3a, 0) : 0;
+  const fta = stats ? num(stats.fta, 0) : 0;
+  const hasShooting = fga > 0;
+
+  const fgPct = hasShooting ? num(stats.fg_pct, 0.45) : 0.45 + ratingFactor * 0.04;
+  const threeRate = hasShooting ? fg3a / fga : defaults.threeRate;
+  const threePct = hasShooting && fg3a > 0
+    ? num(stats.fg3_pct, 0.34)
+    : (defaults.threeRate < 0.15 ? 0.25 : 0.34 + ratingFactor * 0.04);
+  const twoPct = hasShooting && fga > fg3a
+    ? (fgPct * fga - threePct * fg3a) / (fga - fg3a)
+    : fgPct + 0.04;
+
+  const usage = hasShooting
+    ? fga + 0.44 * fta + num(stats.turnover, 1.5)
+    : 8 + (overall - 70) * 0.6;
+
+  return {
+    id: player.id,
+    name: player.name,
+    position: player.position,
+    overall,
+    usage: Math.max(2, usage),
+    threeRate: clamp(threeRate, 0, 0.75),
+    twoPct: clamp(twoPct, 0.35, 0.68),
+    threePct: clamp(threePct, 0.15, 0.47),
+    ftPct: clamp(stats ? num(stats.ft_pct, 0.75) : 0.74 + ratingFactor * 0.05, 0.45, 0.95),
+    foulDrawRate: clamp(hasShooting ? fta / fga * 0.4 : 0.1, 0.04, 0.25),
+    turnoverRate: clamp(stats && usage > 0 ? num(stats.turnover, 1.5) / usage : 0.12 - ratingFactor * 0.02, 0.05, 0.2),
+    rebound: Math.max(0.5, stats ? num(stats.reb, defaults.reb) : defaults.reb * (overall / 75)),
+    offensiveReboundShare: clamp(stats && num(stats.reb, 0) > 0 ? num(stats.oreb, 0) / num(stats.reb, 1) : 0.22, 0.05, 0.5),
+    assist: Math.max(0.3, stats ? num(stats.ast, defaults.ast) : defaults.ast * (overall / 75)),
+    steal: Math.max(0.1, stats ? num(stats.stl, defaults.stl) : defaults.stl * (overall / 75)),
+    block: Math.max(0.05, stats ? num(stats.blk, defaults.blk) : defaults.blk * (overall / 75)),
+    defense: overall + (stats ? (num(stats.stl, 0) + num(stats.blk, 0)) * 2 : 0)
+  };
+}
+
+/**
+ * Give each player a target number of regulation minutes
+ */
+function planMinutes(profiles) {
+  const sorted = [...profiles].sort((a, b) => b.overall - a.overall);
+  const rotation = sorted.slice(0, DEFAULT_MINUTES.length);
+  const planned = rotation.map((p, i) => DEFAULT_MINUTES[i]);
+  const total = planned.reduce((sum, m) => sum + m, 0);
+  const available = Math.min(5, rotation.length) * 48;
+
+  return {
+    starters: rotation.slice(0, 5).map(p => p.id),
+    minutes: Object.fromEntries(rotation.map((p, i) => [p.id, Math.min(48, planned[i] * available / total)]))
+  };
+}
+
+/**
+ * Follow a depth chart's starters and minutes for the players available,
+ * scaling the minutes back up to a full game when someone is missing
+ */
+function planFromChart(profiles, depthChart) {
+  const available = new Set(profiles.map(p => p.id));
+  const chartMinutes = depthChart.minutes || {};
+  const rotation = profiles.filter(p => (parseFloat(chartMinutes[p.id]) || 0) > 0);
+  const total = rotation.reduce((sum, p) => sum + parseFloat(chartMinutes[p.id]), 0);
+
+  if (rotation.length < Math.min(5, profiles.length) || total <= 0) {
+    return planMinutes(profiles);
+  }
+
+  const gameMinutes = Math.min(5, rotation.length) * 48;
+  const minutes = Object.fromEntries(rotation.map(p => [
+    p.id,
+    Math.min(48, parseFloat(chartMinutes[p.id]) * gameMinutes / total)
+  ]));
+
+  const starters = (depthChart.starters || []).filter(id => available.has(id)).slice(0, 5);
+  [...rotation]
+    .sort((a, b) => minutes[b.id] - minutes[a.id])
+    .forEach(p => {
+      if (starters.length < 5 && !starters.includes(p.id)) starters.push(p.id);
+    });
+
+  return { starters, minutes, fromChart: true };
+}
+
+function emptyLine() {
+  return {
+    min: 0, pts: 0, fgm: 0, fga: 0, fg3m: 0, fg3a: 0, ftm: 0, fta: 0,
+    oreb: 0, dreb: 0, reb: 0, ast: 0, stl: 0, blk: 0, tov: 0, pf: 0, plus_minus: 0
+  };
+}
+
+/**
+ * Create the mutable in-game state for one side
+ */
+function createSide(side, roster, depthChart) {
+  const profiles = roster.map(buildPlayerProfile);
+
+  if (profiles.length === 0) {
+    throw new Error(`${side.name || 'Team'} has no available players`);
+  }
+
+  const plan = depthChart ? planFromChart(profiles, depthChart) : planMinutes(profiles);
+
+  return {
+    team: side,
+    profiles,
+    plan,
+    lines: Object.fromEntries(profiles.map(p => [p.id, emptyLine()])),
+    seconds: Object.fromEntries(profiles.map(p => [p.id, 0])),
+    onCourt: [],
+    injured: new Set(),
+    injuries: [],
+    score: 0,
+    periodScores: []
+  };
+}
+
+/**
+ * Choose the five players on the floor for the next stint
+ */
+function chooseLineup(side, elapsed, { periodStart, closing }) {
+  const eligible = side.profiles.filter(p => side.lines[p.id].pf < FOUL_OUT_LIMIT && !side.injured.has(p.id));
+  const pool = eligible.length > 0 ? eligible : side.profiles;
+
+  if (closing) {
+    // Depth charts close games with their heaviest-minute players
+    const closingValue = side.plan.fromChart ? p => side.plan.minutes[p.id] || 0 : p => p.overall;
+    return [...pool].sort((a, b) => closingValue(b) - closingValue(a) || b.overall - a.overall).slice(0, 5);
+  }
+
+  if (periodStart) {
+    const starters = pool.filter(p => side.plan.starters.includes(p.id));
+    if (starters.length >= Math.min(5, pool.length)) {
+      return starters.slice(0, 5);
+    }
+  }
+
+  const progress = Math.min(1, (elapsed + SUBSTITUTION_WINDOW) / REGULATION_SECONDS);
+
+  return [...pool]
+    .map(p => {
+      const target = (side.plan.minutes[p.id] || 0) * 60;
+      return { p, need: target * progress - side.seconds[p.id] + (target > 0 ? 1 : 0) };
+    })
+    .sort((a, b) => b.need - a.need || b.p.overall - a.p.overall)
+    .slice(0, 5)
+    .map(entry => entry.p);
+}
+
+function lineupDefense(side) {
+  return side.onCourt.reduce((sum, p) => sum + p.defense, 0) / side.onCourt.length;
+}
+
+/**
+ * Credit points to the scoring side and plus/minus to everyone on the floor
+ */
+function addPoints(offense, defense, player, points) {
+  offense.lines[player.id].pts += points;
+  offense.score += points;
+  offense.periodScores[offense.periodScores.length - 1] += points;
+  offense.onCourt.forEach(p => { offense.lines[p.id].plus_minus += points; });
+  defense.onCourt.forEach(p => { defense.lines[p.id].plus_minus -= points; });
+}
+
+/**
+ * Collect play-by-play events along with the game situation at each one
+ */
+function createPlayByPlay(home, away) {
+  const events = [];
+
+  return {
+    events,
+    period: 1,
+    clock: QUARTER_SECONDS,
+    elapsed: 0,
+    add(type, side, description, scoring = false) {
+      events.push({
+        sequence: events.length + 1,
+        type,
+        period: this.period,
+        clock: Math.max(0, Math.round(this.clock)),
+        elapsed: Math.round(this.elapsed),
+        team: side === home ? 'home' : side === away ? 'away' : null,
+        description,
+        scoring,
+        homeScore: home.score,
+        awayScore: away.score
+      });
+    }
+  };
+}
+
+/**
+ * Name a period the way a broadcast would
+ */
+function periodName(period) {
+  return period <= 4 ? `Q${period}` : `OT${period - 4}`;
+}
+
+/**
+ * Resolve a missed shot; returns true when the offense keeps the ball
+ */
+function resolveRebound(offense, defense, rng, pbp) {
+  const offReb = offense.onCourt.reduce((sum, p) => sum + p.rebound * p.offensiveReboundShare, 0);
+  const defReb = defense.onCourt.reduce((sum, p) => sum + p.rebound * (1 - p.offensiveReboundShare), 0);
+  const offensiveChance = clamp(offReb / (offReb + defReb) * 1.1, 0.12, 0.38);
+
+  if (rng() < offensiveChance) {
+    const rebounder = weightedPick(offense.onCourt, p => p.rebound * p.offensiveReboundShare, rng);
+    offense.lines[rebounder.id].oreb++;
+    offense.lines[rebounder.id].reb++;
+    pbp.add('play', offense, `${rebounder.name} offensive rebound`);
+    return true;
+  }
+
+  const rebounder = weightedPick(defense.onCourt, p => p.rebound * (1 - p.offensiveReboundShare), rng);
+  defense.lines[rebounder.id].dreb++;
+  defense.lines[rebounder.id].reb++;
+  pbp.add('play', defense, `${rebounder.name} defensive rebound`);
+  return false;
+}
+
+/**
+ * Shoot free throws; returns true when the offense keeps the ball
+ */
+function shootFreeThrows(offense, defense, shooter, attempts, rng, pbp) {
+  let lastMade = false;
+
+  for (let i = 0; i < attempts; i++) {
+    offense.lines[shooter.id].fta++;
+    lastMade = rng() < shooter.ftPct;
+    if (lastMade) {
+      offense.lines[shooter.id].ftm++;
+      addPoints(offense, defense, shooter, 1);
+    }
+    pbp.add('play', offense, `${shooter.name} ${lastMade ? 'makes' : 'misses'} free throw ${i + 1} of ${attempts}`, lastMade);
+  }
+
+  return lastMade ? false : resolveRebound(offense, defense, rng, pbp);
+}
+
+/**
+ * Simulate one possession for the offense
+ */
+function playPossession(offense, defense, isHome, rng, pbp) {
+  // Offensive rebounds extend the same possession
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const tovChance = offense.onCourt.reduce((sum, p) => sum + p.turnoverRate * p.usage, 0) /
+      offense.onCourt.reduce((sum, p) => sum + p.usage, 0);
+
+    if (attempt === 0 && rng() < tovChance) {
+      const ballHandler = weightedPick(offense.onCourt, p => p.usage, rng);
+      offense.lines[ballHandler.id].tov++;
+      if (rng() < 0.5) {
+        const stealer = weightedPick(defense.onCourt, p => p.steal, rng);
+        defense.lines[stealer.id].stl++;
+        pbp.add('play', offense, `${ballHandler.name} turnover (${stealer.name} steal)`);
+      } else {
+        pbp.add('play', offense, `${ballHandler.name} turnover`);
+      }
+      return;
+    }
+
+    const shooter = weightedPick(offense.onCourt, p => p.usage * (1 + (p.overall - 75) / 50), rng);
+    const isThree = rng() < shooter.threeRate;
+
+    if (rng() < shooter.foulDrawRate) {
+      const fouler = weightedPick(defense.onCourt, p => 1 + p.block, rng);
+      defense.lines[fouler.id].pf++;
+      pbp.add('play', defense, `${fouler.name} shooting foul on ${shooter.name}`);
+      if (!shootFreeThrows(offense, defense, shooter, isThree ? 3 : 2, rng, pbp)) {
+        return;
+      }
+      continue;
+    }
+
+    const defenseAdjustment = (75 - lineupDefense(defense)) * 0.002;
+    const basePct = isThree ? shooter.threePct : shooter.twoPct;
+    const pct = clamp(basePct + defenseAdjustment + (isHome ? HOME_COURT_EDGE : 0), 0.1, 0.8);
+    const line = offense.lines[shooter.id];
+
+    const shotType = isThree ? '3-pt jump shot' : '2-pt shot';
+
+    line.fga++;
+    if (isThree) line.fg3a++;
+
+    if (rng() < pct) {
+      line.fgm++;
+      if (isThree) line.fg3m++;
+      addPoints(offense, defense, shooter, isThree ? 3 : 2);
+
+      const teammates = offense.onCourt.filter(p => p.id !== shooter.id);
+      if (teammates.length > 0 && rng() < 0.6) {
+        const assister = weightedPick(teammates, p => p.assist, rng);
+        offense.lines[assister.id].ast++;
+        pbp.add('play', offense, `${shooter.name} makes ${shotType} (${assister.name} assists)`, true);
+      } else {
+        pbp.add('play', offense, `${shooter.name} makes ${shotType}`, true);
+      }
+      return;
+    }
+
+    if (!isThree && rng() < 0.08) {
+      const blocker = weightedPick(defense.onCourt, p => p.block, rng);
+      defense.lines[blocker.id].blk++;
+      pbp.add('play', offense, `${shooter.name} misses ${shotType} (${blocker.name} blocks)`);
+    } else {
+      pbp.add('play', offense, `${shooter.name} misses ${shotType}`);
+    }
+
+    if (!resolveRebound(offense, defense, rng, pbp)) {
+      return;
+    }
+  }
+}
+
+/**
+ * Roll for injuries among the players on the floor; anyone hurt leaves
+ * the game and the lineup is filled straight away
+ */
+function checkForInjuries(side, injuryRng, pbp, elapsed, closing) {
+  const hurt = side.onCourt.filter(() => injuryRng() < INJURY_RATE);
+
+  if (hurt.length === 0) {
+    return;
+  }
+
+  hurt.forEach(player => {
+    const injury = rollInjury('NBA', injuryRng);
+    side.injured.add(player.id);
+    side.injuries.push({ playerId: player.id, name: player.name, ...injury, period: pbp.period });
+    pbp.add('injury', side, `${player.name} leaves the game with an injury (${injury.type.toLowerCase()})`);
+  });
+
+  side.onCourt = chooseLineup(side, elapsed, { periodStart: false, closing });
+}
+
+/**
+ * Play one period, substituting at regular windows
+ */
+function playPeriod(home, away, period, periodSeconds, elapsedBefore, possession, rng, pbp, injuryRng) {
+  let remaining = periodSeconds;
+  let sinceSubstitution = 0;
+  let offenseIsHome = possession;
+
+  home.periodScores.push(0);
+  away.periodScores.push(0);
+
+  const isOvertime = period > 4;
+  home.onCourt = chooseLineup(home, elapsedBefore, { periodStart: true, closing: isOvertime });
+  away.onCourt = chooseLineup(away, elapsedBefore, { periodStart: true, closing: isOvertime });
+
+  pbp.period = period;
+  pbp.clock = periodSeconds;
+  pbp.elapsed = elapsedBefore;
+  if (period > 1) {
+    pbp.add('period_start', null, `Start of ${periodName(period)}`);
+  }
+
+  while (remaining > 0) {
+    const duration = Math.min(remaining, 6 + rng() * 16);
+    const offense = offenseIsHome ? home : away;
+    const defense = offenseIsHome ? away : home;
+
+    pbp.clock = remaining - duration;
+    pbp.elapsed = elapsedBefore + periodSeconds - pbp.clock;
+    playPossession(offense, defense, offenseIsHome, rng, pbp);
+
+    [home, away].forEach(side => {
+      side.onCourt.forEach(p => { side.seconds[p.id] += duration; });
+    });
+
+    remaining -= duration;
+    sinceSubstitution += duration;
+    offenseIsHome = !offenseIsHome;
+
+    const elapsed = elapsedBefore + periodSeconds - remaining;
+    const closing = isOvertime || (period === 4 && remaining <= 240 && Math.abs(home.score - away.score) <= 10);
+
+    if (injuryRng && remaining > 0) {
+      checkForInjuries(home, injuryRng, pbp, elapsed, closing);
+      checkForInjuries(away, injuryRng, pbp, elapsed, closing);
+    }
+
+    const foulOut = [home, away].some(side => side.onCourt.some(p => side.lines[p.id].pf >= FOUL_OUT_LIMIT));
+
+    if (remaining > 0 && (sinceSubstitution >= SUBSTITUTION_WINDOW || foulOut)) {
+      home.onCourt = chooseLineup(home, elapsed, { periodStart: false, closing });
+      away.onCourt = chooseLineup(away, elapsed, { periodStart: false, closing });
+      sinceSubstitution = 0;
+    }
+  }
+
+  pbp.clock = 0;
+  pbp.elapsed = elapsedBefore + periodSeconds;
+  pbp.add('period_end', null, `End of ${periodName(period)}: ${away.team.name} ${away.score}, ${home.team.name} ${home.score}`);
+}
+
+/**
+ * Turn the in-game state of one side into box score lines and team totals
+ */
+function finalizeSide(side) {
+  const players = [];
+  const totals = emptyLine();
+
+  side.profiles.forEach(p => {
+    const line = side.lines[p.id];
+    line.min = Math.round(side.seconds[p.id] / 6) / 10;
+
+    if (line.min === 0) {
+      return;
+    }
+
+    Object.keys(totals).forEach(key => {
+      if (key !== 'plus_minus') totals[key] += line[key];
+    });
+
+    players.push({
+      playerId: p.id,
+      name: p.name,
+      position: p.position,
+      starter: side.plan.starters.includes(p.id),
+      stats: line
+    });
+  });
+
+  totals.min = Math.round(totals.min);
+  delete totals.plus_minus;
+
+  return { players, totals };
+}
+
+/**
+ * Describe the standout individual performances of a game
+ */
+function describeTopPerformers(homeName, awayName, homePlayers, awayPlayers) {
+  const lines = [
+    ...homePlayers.map(p => ({ ...p, teamName: homeName })),
+    ...awayPlayers.map(p => ({ ...p, teamName: awayName }))
+  ];
+
+  return lines
+    .sort((a, b) => (b.stats.pts + b.stats.reb + b.stats.ast) - (a.stats.pts + a.stats.reb + a.stats.ast))
+    .slice(0, 3)
+    .map(p => `${p.name} (${p.teamName}): ${p.stats.pts} PTS, ${p.stats.reb} REB, ${p.stats.ast} AST`);
+}
+
+/**
+ * Build the depth chart the engine would pick on its own, with whole
+ * minutes adding up to 240
+ */
+function buildDefaultDepthChart(roster) {
+  const profiles = roster.map(buildPlayerProfile);
+  const plan = planMinutes(profiles);
+  const minutes = Object.fromEntries(profiles.map(p => [p.id, Math.round(plan.minutes[p.id] || 0)]));
+  const assigned = Object.values(minutes).reduce((sum, m) => sum + m, 0);
+  const target = Math.min(5, profiles.length) * 48;
+
+  if (plan.starters.length > 0 && assigned !== target) {
+    minutes[plan.starters[0]] += target - assigned;
+  }
+
+  return { starters: plan.starters, minutes };
+}
+
+/**
+ * Simulate a full basketball game
+ *
+ * @param {{team: {id, name}, roster: Array, depthChart?: Object}} homeSide
+ * @param {{team: {id, name}, roster: Array, depthChart?: Object}} awaySide
+ * @param {{rng?: Function, injuryRng?: Function}} options
+ */
+function simulateGame(homeSide, awaySide, options = {}) {
+  const rng = options.rng || Math.random;
+  const injuryRng = options.injuryRng || null;
+  const home = createSide(homeSide.team, homeSide.roster, homeSide.depthChart);
+  const away = createSide(awaySide.team, awaySide.roster, awaySide.depthChart);
+
+  const pbp = createPlayByPlay(home, away);
+
+  let period = 1;
+  let elapsed = 0;
+  const openingPossession = rng() < 0.5;
+
+  pbp.add('game_start', openingPossession ? home : away, `Tip-off: ${(openingPossession ? home : away).team.name} win the jump ball`);
+
+  while (period <= 4 || home.score === away.score) {
+    const periodSeconds = period <= 4 ? QUARTER_SECONDS : OVERTIME_SECONDS;
+    const possession = period % 2 === 1 ? openingPossession : !openingPossession;
+
+    playPeriod(home, away, period, periodSeconds, elapsed, possession, rng, pbp, injuryRng);
+
+    elapsed += periodSeconds;
+    period++;
+  }
+
+  const winner = home.score > away.score ? home : away;
+  const loser = winner === home ? away : home;
+  const overtimes = period - 5;
+  const finalLabel = overtimes > 0 ? `Final/${overtimes > 1 ? overtimes : ''}OT` : 'Final';
+  pbp.add('final', null, `${finalLabel}: ${winner.team.name} ${winner.score}, ${loser.team.name} ${loser.score}`);
+
+  const homeBox = finalizeSide(home);
+  const awayBox = finalizeSide(away);
+
+  return {
+    sport: 'NBA',
+    homeScore: home.score,
+    awayScore: away.score,
+    periods: period - 1,
+    lineScore: {
+      home: home.periodScores,
+      away: away.periodScores
+    },
+    teamTotals: {
+      home: homeBox.totals,
+      away: awayBox.totals
+    },
+    playerStats: {
+      home: homeBox.players,
+      away: awayBox.players
+    },
+    topPerformers: describeTopPerformers(homeSide.team.name, awaySide.team.name, homeBox.players, awayBox.players),
+    injuries: [
+      ...home.injuries.map(injury => ({ ...injury, team: 'home' })),
+      ...away.injuries.map(injury => ({ ...injury, team: 'away' }))
+    ],
+    playByPlay: pbp.events
+  };
+}
+
+module.exports = {
+  ENGINE_VERSION,
+  simulateGame,
+  buildDefaultDepthChart,
+  buildPlayerProfile
+};
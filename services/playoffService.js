@@ -0,0 +1,539 @@
+const { computeStandings, regularSeasonComplete } = require('./standingsService');
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * The postseason: seeding from the final standings, an optional play-in,
+ * a bracket with byes for the top seeds when the field is not a power of
+ * two, and best-of-N series played one game a day through the normal
+ * daily simulation until a champion is crowned.
+ *
+ * `league_settings.playoffFormat` is 'best_of_N', 'single_game' or a list
+ * of series lengths per round (the last one repeats). With `playIn` on,
+ * the last two seeds are decided NBA-style between the four teams around
+ * the cut line.
+ */
+
+const PLAY_IN_ROUND = 0;
+
+/**
+ * Series length for each round
+ */
+function seriesLengths(playoffFormat, rounds) {
+  let lengths;
+
+  if (Array.isArray(playoffFormat)) {
+    lengths = playoffFormat.map(value => parseInt(value)).filter(value => value > 0 && value % 2 === 1);
+  } else if (playoffFormat === 'single_game') {
+    lengths = [1];
+  } else {
+    const match = String(playoffFormat || '').match(/^best_of_(\d+)$/);
+    const length = match ? parseInt(match[1]) : 7;
+    lengths = [length % 2 === 1 ? length : 7];
+  }
+
+  if (lengths.length === 0) lengths = [7];
+
+  return Array.from({ length: rounds }, (_, index) => lengths[Math.min(index, lengths.length - 1)]);
+}
+
+/**
+ * Seeds in bracket order, so 1 meets the lowest seed and 1 and 2 can only
+ * meet in the final (1, 16, 8, 9, 4, 13, ... for 16 teams)
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Which team hosts each game of a series: 2-2-1-1-1 for best of 7,
+ * 2-2-1 for best of 5, alternating otherwise
+ */
+function higherSeedHosts(bestOf, gameNumber) {
+  if (bestOf === 7) return [true, true, false, false, true, false, true][gameNumber - 1];
+  if (bestOf === 5) return [true, true, false, false, true][gameNumber - 1];
+  return gameNumber % 2 === 1;
+}
+
+function roundName(round, seriesInRound) {
+  if (round === PLAY_IN_ROUND) return 'Play-In';
+  if (seriesInRound === 1) return 'Finals';
+  if (seriesInRound === 2) return 'Semifinals';
+  if (seriesInRound === 4) return 'Quarterfinals';
+  return `Round ${round}`;
+}
+
+function teamForSeed(playoffs, seed) {
+  const entry = playoffs.seeds.find(s => s.seed === seed);
+  return entry ? entry.team_id : null;
+}
+
+async function createSeries(client, playoffs, round, slot, higher, lower, bestOf) {
+  const isBye = !lower;
+  const result = await client.query(
+    `INSERT INTO playoff_series
+     (playoff_id, league_id, season, round, slot, higher_seed, lower_seed, higher_team_id, lower_team_id,
+      best_of, winner_team_id, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      playoffs.id,
+      playoffs.league_id,
+      playoffs.season,
+      round,
+      slot,
+      higher.seed,
+      isBye ? null : lower.seed,
+      higher.teamId,
+      isBye ? null : lower.teamId,
+      isBye ? 0 : bestOf,
+      isBye ? higher.teamId : null,
+      isBye ? 'bye' : 'active'
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Create the first round from the seeds, giving byes to the top seeds
+ * when the field doesn't fill the bracket
+ */
+async function createFirstRound(client, playoffs) {
+  const { bracketSize, teams, seriesLengths: lengths } = playoffs.format;
+  const order = bracketOrder(bracketSize);
+  const created = [];
+
+  for (let slot = 0; slot < bracketSize / 2; slot++) {
+    const [a, b] = [order[slot * 2], order[slot * 2 + 1]];
+    const higherSeed = Math.min(a, b);
+    const lowerSeed = Math.max(a, b);
+
+    created.push(await createSeries(
+      client,
+      playoffs,
+      1,
+      slot,
+      { seed: higherSeed, teamId: teamForSeed(playoffs, higherSeed) },
+      lowerSeed <= teams ? { seed: lowerSeed, teamId: teamForSeed(playoffs, lowerSeed) } : null,
+      lengths[0]
+    ));
+  }
+
+  return created;
+}
+
+/**
+ * Seed the field from the final standings and start the postseason
+ */
+async function startPlayoffs(client, league, day) {
+  const settings = getLeagueSettings(league);
+  const standings = await computeStandings(client, league.id, league.current_season);
+  const teams = Math.min(parseInt(settings.playoffTeams) || (league.sport === 'MLB' ? 12 : 16), standings.length);
+
+  if (teams < 2) {
+    return null;
+  }
+
+  const playIn = Boolean(settings.playIn) && teams >= 4 && standings.length >= teams + 2;
+  const bracketSize = Math.pow(2, Math.ceil(Math.log2(teams)));
+  const rounds = Math.log2(bracketSize);
+  const seededCount = playIn ? teams + 2 : teams;
+
+  const format = {
+    teams,
+    bracketSize,
+    byes: bracketSize - teams,
+    playIn,
+    seriesLengths: seriesLengths(settings.playoffFormat, rounds)
+  };
+
+  const seeds = standings.slice(0, seededCount).map((team, index) => ({
+    seed: index + 1,
+    team_id: team.team_id,
+    name: team.name,
+    wins: team.wins,
+    losses: team.losses
+  }));
+
+  const result = await client.query(
+    `INSERT INTO playoffs (league_id, season, status, format, seeds, current_round, started_day)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      league.id,
+      league.current_season,
+      playIn ? 'play_in' : 'in_progress',
+      JSON.stringify(format),
+      JSON.stringify(seeds),
+      playIn ? PLAY_IN_ROUND : 1,
+      day
+    ]
+  );
+
+  const playoffs = result.rows[0];
+
+  if (playIn) {
+    // The two seeds above the cut play for the first spot, the two below
+    // for the right to play that game's loser for the last one
+    const seed = n => ({ seed: n, teamId: teamForSeed(playoffs, n) });
+    await createSeries(client, playoffs, PLAY_IN_ROUND, 0, seed(teams - 1), seed(teams), 1);
+    await createSeries(client, playoffs, PLAY_IN_ROUND, 1, seed(teams + 1), seed(teams + 2), 1);
+  } else {
+    await createFirstRound(client, playoffs);
+  }
+
+  return playoffs;
+}
+
+/**
+ * Recount wins in active series from their completed games and close out
+ * the ones that have been decided
+ */
+async function updateSeriesResults(client, playoffs, events) {
+  const active = await client.query(
+    `SELECT s.*,
+            COUNT(g.id) FILTER (WHERE (g.home_team_id = s.higher_team_id AND g.home_score > g.away_score)
+                                   OR (g.away_team_id = s.higher_team_id AND g.away_score > g.home_score)) as higher_count,
+            COUNT(g.id) FILTER (WHERE (g.home_team_id = s.lower_team_id AND g.home_score > g.away_score)
+                                   OR (g.away_team_id = s.lower_team_id AND g.away_score > g.home_score)) as lower_count
+     FROM playoff_series s
+     LEFT JOIN games g ON g.playoff_series_id = s.id AND g.status = 'completed'
+     WHERE s.playoff_id = $1 AND s.status = 'active'
+     GROUP BY s.id`,
+    [playoffs.id]
+  );
+
+  for (const series of active.rows) {
+    const higherWins = parseInt(series.higher_count);
+    const lowerWins = parseInt(series.lower_count);
+
+    if (higherWins === series.higher_wins && lowerWins === series.lower_wins) {
+      continue;
+    }
+
+    const needed = Math.ceil(series.best_of / 2);
+    const winner = higherWins >= needed ? series.higher_team_id : (lowerWins >= needed ? series.lower_team_id : null);
+
+    const updated = await client.query(
+      `UPDATE playoff_series
+       SET higher_wins = $1, lower_wins = $2, winner_team_id = $3, status = $4
+       WHERE id = $5
+       RETURNING *`,
+      [higherWins, lowerWins, winner, winner ? 'completed' : 'active', series.id]
+    );
+
+    events.push({ type: 'playoff_series_update', series: updated.rows[0] });
+  }
+}
+
+/**
+ * Move the bracket on once a round is finished: settle the play-in, pair
+ * up the winners for the next round, or crown the champion. Returns the
+ * playoffs record and whether anything changed.
+ */
+async function advanceBracket(client, playoffs, day, events) {
+  const roundResult = await client.query(
+    'SELECT * FROM playoff_series WHERE playoff_id = $1 AND round = $2 ORDER BY slot',
+    [playoffs.id, playoffs.current_round]
+  );
+  const series = roundResult.rows;
+
+  if (series.some(s => s.status === 'active')) {
+    return { playoffs, advanced: false };
+  }
+
+  const { teams, seriesLengths: lengths } = playoffs.format;
+
+  if (playoffs.current_round === PLAY_IN_ROUND) {
+    const [first, second, decider] = series;
+    const loserOf = s => (s.winner_team_id === s.higher_team_id ? s.lower_team_id : s.higher_team_id);
+
+    if (!decider) {
+      await createSeries(
+        client,
+        playoffs,
+        PLAY_IN_ROUND,
+        2,
+        { seed: teams, teamId: loserOf(first) },
+        { seed: teams + 1, teamId: second.winner_team_id },
+        1
+      );
+      return { playoffs, advanced: true };
+    }
+
+    // Lock in the last two seeds and start the first round
+    const seeds = playoffs.seeds
+      .filter(s => s.seed < teams - 1)
+      .concat([
+        { ...playoffs.seeds.find(s => s.team_id === first.winner_team_id), seed: teams - 1 },
+        { ...playoffs.seeds.find(s => s.team_id === decider.winner_team_id), seed: teams }
+      ]);
+
+    const updated = await client.query(
+      `UPDATE playoffs SET seeds = $1, status = 'in_progress', current_round = 1
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify(seeds), playoffs.id]
+    );
+
+    const next = updated.rows[0];
+    await createFirstRound(client, next);
+    events.push({ type: 'playoff_round_started', round: 1, name: roundName(1, next.format.bracketSize / 2) });
+    return { playoffs: next, advanced: true };
+  }
+
+  if (series.length === 1) {
+    const updated = await client.query(
+      `UPDATE playoffs SET status = 'completed', champion_team_id = $1, completed_day = $2
+       WHERE id = $3
+       RETURNING *`,
+      [series[0].winner_team_id, day, playoffs.id]
+    );
+
+    events.push({ type: 'champion_crowned', championTeamId: series[0].winner_team_id });
+    return { playoffs: updated.rows[0], advanced: true };
+  }
+
+  const nextRound = playoffs.current_round + 1;
+  const seedOf = (s, teamId) => (teamId === s.higher_team_id ? s.higher_seed : s.lower_seed);
+
+  for (let slot = 0; slot < series.length / 2; slot++) {
+    const [a, b] = [series[slot * 2], series[slot * 2 + 1]];
+    const entrants = [
+      { seed: seedOf(a, a.winner_team_id), teamId: a.winner_team_id },
+      { seed: seedOf(b, b.winner_team_id), teamId: b.winner_team_id }
+    ].sort((x, y) => x.seed - y.seed);
+
+    await createSeries(client, playoffs, nextRound, slot, entrants[0], entrants[1], lengths[nextRound - 1]);
+  }
+
+  const updated = await client.query(
+    'UPDATE playoffs SET current_round = $1 WHERE id = $2 RETURNING *',
+    [nextRound, playoffs.id]
+  );
+
+  events.push({ type: 'playoff_round_started', round: nextRound, name: roundName(nextRound, series.length / 2) });
+  return { playoffs: updated.rows[0], advanced: true };
+}
+
+/**
+ * Make sure every undecided series has its next game on the given day
+ */
+async function scheduleSeriesGames(client, playoffs, day) {
+  const active = await client.query(
+    `SELECT * FROM playoff_series WHERE playoff_id = $1 AND status = 'active'`,
+    [playoffs.id]
+  );
+
+  for (const series of active.rows) {
+    // A game that could not be simulated is moved to the new day
+    const pending = await client.query(
+      `UPDATE games SET day = GREATEST(day, $2)
+       WHERE playoff_series_id = $1 AND status = 'scheduled'
+       RETURNING id`,
+      [series.id, day]
+    );
+
+    if (pending.rows.length > 0) {
+      continue;
+    }
+
+    const gameNumber = series.higher_wins + series.lower_wins + 1;
+    const higherHosts = higherSeedHosts(series.best_of, gameNumber);
+
+    await client.query(
+      `INSERT INTO games (league_id, home_team_id, away_team_id, season, day, status, game_type, playoff_series_id)
+       VALUES ($1, $2, $3, $4, $5, 'scheduled', 'playoff', $6)`,
+      [
+        series.league_id,
+        higherHosts ? series.higher_team_id : series.lower_team_id,
+        higherHosts ? series.lower_team_id : series.higher_team_id,
+        series.season,
+        day,
+        series.id
+      ]
+    );
+  }
+}
+
+/**
+ * Run the postseason forward after a day's games: start it once the
+ * regular season is over, record series results, move the bracket on and
+ * schedule the next day's games. Returns events to send to the league.
+ */
+async function progressPlayoffs(client, league, day) {
+  const events = [];
+  const existing = await client.query(
+    'SELECT * FROM playoffs WHERE league_id = $1 AND season = $2',
+    [league.id, league.current_season]
+  );
+
+  let playoffs = existing.rows[0];
+
+  if (!playoffs) {
+    if (!(await regularSeasonComplete(client, league.id, league.current_season))) {
+      return events;
+    }
+
+    playoffs = await startPlayoffs(client, league, day);
+    if (!playoffs) {
+      return events;
+    }
+
+    events.push({ type: 'playoffs_started', playoffId: playoffs.id });
+  } else if (playoffs.status === 'completed') {
+    return events;
+  } else {
+    await updateSeriesResults(client, playoffs, events);
+  }
+
+  // The play-in takes two steps before the first round can start
+  let advanced = true;
+  while (advanced && playoffs.status !== 'completed') {
+    ({ playoffs, advanced } = await advanceBracket(client, playoffs, day, events));
+  }
+
+  if (playoffs.status !== 'completed') {
+    await scheduleSeriesGames(client, playoffs, day + 1);
+  }
+
+  return events;
+}
+
+/**
+ * Get the bracket for a league season with every series and its games
+ */
+async function getBracket(db, leagueId, season) {
+  const playoffsResult = await db.query(
+    `SELECT p.*, t.name as champion_name
+     FROM playoffs p
+     LEFT JOIN teams t ON p.champion_team_id = t.id
+     WHERE p.league_id = $1 AND p.season = $2`,
+    [leagueId, season]
+  );
+
+  if (playoffsResult.rows.length === 0) {
+    return null;
+  }
+
+  const playoffs = playoffsResult.rows[0];
+
+  const seriesResult = await db.query(
+    `SELECT s.*, ht.name as higher_team_name, lt.name as lower_team_name,
+            COALESCE(
+              json_agg(json_build_object(
+                'id', g.id, 'day', g.day, 'status', g.status,
+                'home_team_id', g.home_team_id, 'away_team_id', g.away_team_id,
+                'home_score', g.home_score, 'away_score', g.away_score
+              ) ORDER BY g.day) FILTER (WHERE g.id IS NOT NULL),
+              '[]'
+            ) as games
+     FROM playoff_series s
+     LEFT JOIN teams ht ON s.higher_team_id = ht.id
+     LEFT JOIN teams lt ON s.lower_team_id = lt.id
+     LEFT JOIN games g ON g.playoff_series_id = s.id
+     WHERE s.playoff_id = $1
+     GROUP BY s.id, ht.name, lt.name
+     ORDER BY s.round, s.slot`,
+    [playoffs.id]
+  );
+
+  const rounds = new Map();
+  seriesResult.rows.forEach(series => {
+    rounds.set(series.round, [...(rounds.get(series.round) || []), series]);
+  });
+
+  return {
+    ...playoffs,
+    rounds: [...rounds.entries()].map(([round, series]) => ({
+      round,
+      name: roundName(round, round === PLAY_IN_ROUND ? 0 : playoffs.format.bracketSize / Math.pow(2, round)),
+      series
+    }))
+  };
+}
+
+/**
+ * Get one series with its games
+ */
+async function getSeries(db, seriesId) {
+  const seriesResult = await db.query(
+    `SELECT s.*, ht.name as higher_team_name, lt.name as lower_team_name
+     FROM playoff_series s
+     LEFT JOIN teams ht ON s.higher_team_id = ht.id
+     LEFT JOIN teams lt ON s.lower_team_id = lt.id
+     WHERE s.id = $1`,
+    [seriesId]
+  );
+
+  if (seriesResult.rows.length === 0) {
+    return null;
+  }
+
+  const gamesResult = await db.query(
+    `SELECT g.id, g.day, g.status, g.home_team_id, g.away_team_id, g.home_score, g.away_score, g.narrative
+     FROM games g
+     WHERE g.playoff_series_id = $1
+     ORDER BY g.day, g.id`,
+    [seriesId]
+  );
+
+  return { ...seriesResult.rows[0], games: gamesResult.rows };
+}
+
+/**
+ * How each playoff team's season ended, keyed by team id:
+ * `{ seed, result }` with results like 'Champion' or 'Lost in Semifinals'
+ */
+async function getPlayoffResults(db, leagueId, season) {
+  const playoffsResult = await db.query(
+    'SELECT * FROM playoffs WHERE league_id = $1 AND season = $2',
+    [leagueId, season]
+  );
+
+  const results = new Map();
+  if (playoffsResult.rows.length === 0) {
+    return results;
+  }
+
+  const playoffs = playoffsResult.rows[0];
+  const seriesResult = await db.query(
+    'SELECT * FROM playoff_series WHERE playoff_id = $1 ORDER BY round, slot',
+    [playoffs.id]
+  );
+
+  const seriesPerRound = new Map();
+  seriesResult.rows.forEach(series => {
+    seriesPerRound.set(series.round, (seriesPerRound.get(series.round) || 0) + 1);
+  });
+
+  // Later rounds overwrite earlier ones, leaving the round each team went out in
+  seriesResult.rows.forEach(series => {
+    [series.higher_team_id, series.lower_team_id].filter(Boolean).forEach(teamId => {
+      const name = roundName(series.round, series.round === PLAY_IN_ROUND ? 0 : seriesPerRound.get(series.round));
+      const seed = playoffs.seeds.find(s => s.team_id === teamId);
+      results.set(teamId, {
+        seed: seed ? seed.seed : null,
+        result: series.status === 'completed' && series.winner_team_id !== teamId ? `Lost in ${name}` : null
+      });
+    });
+  });
+
+  if (playoffs.champion_team_id && results.has(playoffs.champion_team_id)) {
+    results.get(playoffs.champion_team_id).result = 'Champion';
+  }
+
+  return results;
+}
+
+module.exports = {
+  progressPlayoffs,
+  getBracket,
+  getSeries,
+  getPlayoffResults
+};
@@ -0,0 +1,568 @@
+const os = require('os');
+const { pool } = require('../database/init');
+const { advanceLeagueDay } = require('./timeProgressionService');
+const { isRolloverDue } = require('./seasonRolloverService');
+const { regularSeasonComplete } = require('./standingsService');
+const { SIMULATION_PHASES } = require('./leaguePhaseService');
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * Moving league clocks forward. Each league is claimed with a Postgres
+ * advisory lock held by the connection doing the work, so the scheduler on
+ * any number of server instances and the commissioner's manual advance can
+ * never work on the same league at once. The lock goes away with the
+ * connection if a worker dies mid-day.
+ */
+
+// First half of the two-key advisory lock; the league id is the second
+const LOCK_NAMESPACE = 4021;
+const DEFAULT_CONCURRENCY = 3;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Whole time-ratio windows since the league last advanced
+const ELAPSED_WINDOWS = `FLOOR(EXTRACT(EPOCH FROM (NOW() - l.last_processed)) / 3600 / (l.time_ratio->>'real_hours')::numeric)`;
+
+// Leagues the scheduler should advance now: a window has passed or they
+// still owe days from missed ones
+const DUE_CONDITION = `(${ELAPSED_WINDOWS} >= 1 OR COALESCE(l.catch_up_days, 0) > 0)
+  AND l.status = ANY($1)
+  AND NOT COALESCE(l.progression_paused, false)`;
+
+// What happens to windows missed while the server was down (league setting
+// `catchUpPolicy`): drop them, play them all, or play up to
+// `catchUpMaxDays` league days of them
+const CATCH_UP_POLICIES = ['skip', 'full', 'cap'];
+const DEFAULT_CATCH_UP_POLICY = 'cap';
+const DEFAULT_CATCH_UP_MAX_DAYS = 7;
+
+// Where a commissioner's sim can run to, and the phases each can start in
+const SIM_TARGETS = {
+  day: SIMULATION_PHASES,
+  trade_deadline: ['regular_season'],
+  regular_season_end: ['regular_season', 'post_deadline'],
+  playoffs_end: SIMULATION_PHASES
+};
+
+// Longest sim a commissioner can ask for in one go
+const MAX_SIM_DAYS = 400;
+
+let tickRunning = false;
+
+/**
+ * Run `fn(client)` while holding the league's progression lock. Returns
+ * `{ locked: true }` without running it when someone else holds the lock.
+ */
+async function withLeagueLock(leagueId, fn) {
+  const client = await pool.connect();
+
+  try {
+    const claim = await client.query(
+      'SELECT pg_try_advisory_lock($1, $2) as acquired',
+      [LOCK_NAMESPACE, leagueId]
+    );
+
+    if (!claim.rows[0].acquired) {
+      return { locked: true };
+    }
+
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1, $2)', [LOCK_NAMESPACE, leagueId]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+function catchUpSettings(league) {
+  const settings = getLeagueSettings(league);
+  const maxDays = parseInt(settings.catchUpMaxDays);
+
+  return {
+    policy: CATCH_UP_POLICIES.includes(settings.catchUpPolicy) ? settings.catchUpPolicy : DEFAULT_CATCH_UP_POLICY,
+    maxDays: Number.isInteger(maxDays) && maxDays >= 0 ? maxDays : DEFAULT_CATCH_UP_MAX_DAYS
+  };
+}
+
+/**
+ * League days owed for `windows` elapsed windows: the current window's
+ * days plus whatever the catch-up policy keeps of the missed ones
+ */
+function owedDays(league, windows) {
+  if (windows < 1) {
+    return { days: 0, skipped: 0 };
+  }
+
+  const leagueDays = parseInt(league.time_ratio.league_days);
+  const missed = (windows - 1) * leagueDays;
+  const { policy, maxDays } = catchUpSettings(league);
+  const kept = policy === 'full' ? missed : policy === 'skip' ? 0 : Math.min(missed, maxDays);
+
+  return { days: leagueDays + kept, skipped: missed - kept };
+}
+
+/**
+ * Why a sim to `target` can't start, or null if it can
+ */
+function simTargetError(league, { target, day }) {
+  const phases = SIM_TARGETS[target];
+
+  if (!phases) {
+    return `target must be one of: ${Object.keys(SIM_TARGETS).join(', ')}`;
+  }
+
+  if (!phases.includes(league.status)) {
+    return `Can't sim to ${target} during ${league.status}`;
+  }
+
+  if (target === 'day') {
+    const targetDay = parseInt(day);
+    if (!Number.isInteger(targetDay) || targetDay <= league.current_day) {
+      return `day must be after the current day (${league.current_day})`;
+    }
+    if (targetDay - league.current_day > MAX_SIM_DAYS) {
+      return `Can't sim more than ${MAX_SIM_DAYS} days at once`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Why a sim should stop before playing the next day, or null to keep going
+ */
+async function simStopReason(client, league, target) {
+  if (!SIMULATION_PHASES.includes(league.status)) {
+    return 'The league is no longer playing games';
+  }
+
+  // A finished postseason is as far as a sim goes; the rollover is separate
+  if (await isRolloverDue(client, league)) {
+    return 'The playoffs are over';
+  }
+
+  if (target.target === 'day' && league.current_day >= target.day) {
+    return `Reached day ${target.day}`;
+  }
+
+  if (target.target === 'trade_deadline' && league.status !== 'regular_season') {
+    return 'Reached the trade deadline';
+  }
+
+  if (target.target === 'regular_season_end'
+      && (league.status === 'playoffs' || await regularSeasonComplete(client, league.id, league.current_season))) {
+    return 'The regular season is over';
+  }
+
+  const remaining = await client.query(
+    `SELECT 1 FROM games WHERE league_id = $1 AND season = $2 AND status = 'scheduled' LIMIT 1`,
+    [league.id, league.current_season]
+  );
+  if (remaining.rows.length === 0) {
+    return 'No games left to play';
+  }
+
+  return null;
+}
+
+/**
+ * Advance one league under its lock and log the attempt.
+ *
+ * The league is read again once the lock is held, so a run that was queued
+ * against a stale row starts from the real current day. Scheduled runs
+ * also re-check that the league is still due: another worker may have just
+ * advanced it and released the lock. They book the days owed for elapsed
+ * windows onto the league's backlog and play one window's worth of it in
+ * its own transaction; anything left is picked up by the next run.
+ *
+ * With a `target` (`{ target, day }`, see SIM_TARGETS) it plays one day at a time
+ * until the target is reached or the sim is cancelled, reporting each day
+ * over the socket; `onStarted(progression)` is called once it's under way.
+ * Otherwise the league advances `times` steps of its time ratio.
+ *
+ * Resolves to `{ locked }`, `{ notFound }`, `{ notDue }` or
+ * `{ league, progression }`; a failed advance is logged and rethrown.
+ */
+async function advanceLeague(leagueId, { times = 1, target = null, trigger = 'schedule', userId = null, scheduled = false, onStarted, io }) {
+  return withLeagueLock(leagueId, async (client) => {
+    const leagueResult = await client.query(
+      `SELECT l.*, (${DUE_CONDITION}) as due, ${ELAPSED_WINDOWS} as windows
+       FROM leagues l
+       WHERE l.id = $2`,
+      [SIMULATION_PHASES, leagueId]
+    );
+
+    if (leagueResult.rows.length === 0) {
+      return { notFound: true };
+    }
+
+    const { due, windows, ...league } = leagueResult.rows[0];
+
+    if (scheduled && !due) {
+      return { notDue: true, league };
+    }
+
+    let skippedDays = 0;
+    let catchingUp = false;
+    if (scheduled) {
+      const owed = owedDays(league, parseInt(windows) || 0);
+      skippedDays = owed.skipped;
+      catchingUp = league.catch_up_days > 0 || owed.days > parseInt(league.time_ratio.league_days) || owed.skipped > 0;
+
+      // Book the windows as soon as they're counted so no run counts them again
+      if (owed.days > 0) {
+        const booked = await client.query(
+          `UPDATE leagues
+           SET catch_up_days = COALESCE(catch_up_days, 0) + $2, last_processed = NOW()
+           WHERE id = $1
+           RETURNING catch_up_days, last_processed`,
+          [league.id, owed.days]
+        );
+        Object.assign(league, booked.rows[0]);
+      }
+    }
+
+    // Runs still marked as running were cut off by a worker that died
+    // holding the lock, which is now ours
+    await client.query(
+      `UPDATE league_progressions
+       SET status = 'abandoned', finished_at = NOW()
+       WHERE league_id = $1 AND status = 'running'`,
+      [league.id]
+    );
+
+    const logResult = await client.query(
+      `INSERT INTO league_progressions (league_id, trigger, requested_by, worker, from_season, from_day, target, target_day, skipped_days)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [league.id, trigger, userId, WORKER_ID, league.current_season, league.current_day,
+        target ? target.target : null, target && target.target === 'day' ? target.day : null, skippedDays]
+    );
+    const started = logResult.rows[0];
+
+    if (target) {
+      io.to(`league_${league.id}`).emit('sim_started', {
+        leagueId: league.id,
+        progressionId: started.id,
+        target: target.target,
+        targetDay: started.target_day,
+        currentDay: league.current_day
+      });
+    }
+
+    if (onStarted) {
+      onStarted(started);
+    }
+
+    let status = 'completed';
+    let stopReason = null;
+    let daysSimulated = 0;
+
+    try {
+      if (target) {
+        while (!stopReason) {
+          stopReason = await simStopReason(client, league, target);
+          if (stopReason) {
+            break;
+          }
+
+          const cancel = await client.query(
+            'SELECT cancel_requested FROM league_progressions WHERE id = $1',
+            [started.id]
+          );
+          if (cancel.rows[0].cancel_requested) {
+            status = 'cancelled';
+            stopReason = 'Cancelled by the commissioner';
+            break;
+          }
+
+          if (daysSimulated >= MAX_SIM_DAYS) {
+            stopReason = `Stopped after ${MAX_SIM_DAYS} days`;
+            break;
+          }
+
+          await advanceLeagueDay(client, league, io, { days: 1 });
+          daysSimulated++;
+
+          await client.query(
+            'UPDATE league_progressions SET to_season = $2, to_day = $3 WHERE id = $1',
+            [started.id, league.current_season, league.current_day]
+          );
+
+          io.to(`league_${league.id}`).emit('sim_progress', {
+            leagueId: league.id,
+            progressionId: started.id,
+            target: target.target,
+            currentDay: league.current_day,
+            phase: league.status,
+            daysSimulated
+          });
+        }
+      } else if (scheduled) {
+        const leagueDays = parseInt(league.time_ratio.league_days);
+        const backlog = league.catch_up_days;
+        const days = Math.min(backlog, leagueDays);
+
+        await advanceLeagueDay(client, league, io, { days, fromBacklog: true });
+
+        // Only worth announcing when there was more than the current window
+        if (catchingUp) {
+          io.to(`league_${league.id}`).emit('catch_up_progress', {
+            leagueId: league.id,
+            progressionId: started.id,
+            currentDay: league.current_day,
+            daysPlayed: days,
+            backlogDays: league.catch_up_days,
+            skippedDays
+          });
+        }
+      } else {
+        // Each step checks the phase again: a step that rolls the season
+        // over leaves the league in the offseason, and the next season's
+        // games wait for its draft and preseason
+        for (let i = 0; i < times; i++) {
+          if (!SIMULATION_PHASES.includes(league.status)) {
+            stopReason = 'The league is no longer playing games';
+            break;
+          }
+
+          const rollingOver = await isRolloverDue(client, league);
+          await advanceLeagueDay(client, league, io);
+
+          if (rollingOver) {
+            stopReason = 'The season rolled over';
+            break;
+          }
+        }
+      }
+    } catch (error) {
+      const failed = await finishProgression(client, started.id, league, 'failed', { error: error.message });
+      if (target) {
+        emitSimFinished(io, failed, daysSimulated);
+      }
+      throw error;
+    }
+
+    const progression = await finishProgression(client, started.id, league, status, { stopReason });
+    if (target) {
+      emitSimFinished(io, progression, daysSimulated);
+    }
+
+    return { league, progression };
+  });
+}
+
+async function finishProgression(client, logId, league, status, { error = null, stopReason = null } = {}) {
+  // The league row is the truth; a failed day rolled back its changes
+  const current = await client.query(
+    'SELECT current_season, current_day, catch_up_days FROM leagues WHERE id = $1',
+    [league.id]
+  );
+  const { current_season, current_day, catch_up_days } = current.rows[0] || league;
+
+  const result = await client.query(
+    `UPDATE league_progressions
+     SET status = $2, to_season = $3, to_day = $4, error = $5, stop_reason = $6, backlog_days = $7, finished_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [logId, status, current_season, current_day, error, stopReason, catch_up_days || 0]
+  );
+
+  return result.rows[0];
+}
+
+function emitSimFinished(io, progression, daysSimulated) {
+  io.to(`league_${progression.league_id}`).emit('sim_finished', {
+    leagueId: progression.league_id,
+    progressionId: progression.id,
+    status: progression.status,
+    reason: progression.stop_reason || progression.error,
+    currentDay: progression.to_day,
+    daysSimulated
+  });
+}
+
+/**
+ * Start a commissioner's sim to a target and resolve as soon as it's under
+ * way (`{ progression }`) or couldn't start (`{ locked }`, `{ notFound }`).
+ * The sim itself carries on in the background.
+ */
+function startSimulation(leagueId, options) {
+  return new Promise((resolve, reject) => {
+    advanceLeague(leagueId, { ...options, onStarted: progression => resolve({ progression }) })
+      .then(resolve, reject);
+  });
+}
+
+/**
+ * Ask the league's running sim to stop after the day it's on. Returns the
+ * progression, or null if no sim is running.
+ */
+async function cancelSimulation(db, leagueId) {
+  const result = await db.query(
+    `UPDATE league_progressions
+     SET cancel_requested = true
+     WHERE league_id = $1 AND status = 'running' AND target IS NOT NULL
+     RETURNING *`,
+    [leagueId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Pause or resume automatic progression. Time spent paused doesn't count
+ * towards the next scheduled advance.
+ */
+async function setProgressionPaused(db, leagueId, paused, io) {
+  const result = await db.query(
+    `UPDATE leagues
+     SET progression_paused = $2,
+         last_processed = CASE WHEN $2 THEN last_processed ELSE NOW() END
+     WHERE id = $1
+     RETURNING id, progression_paused, current_day, current_season`,
+    [leagueId, paused]
+  );
+
+  const league = result.rows[0];
+
+  io.to(`league_${league.id}`).emit(paused ? 'league_progression_paused' : 'league_progression_resumed', {
+    leagueId: league.id,
+    currentDay: league.current_day,
+    currentSeason: league.current_season
+  });
+
+  return league;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight
+ */
+async function runWithConcurrency(items, limit, fn) {
+  const queue = [...items];
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await fn(queue.shift());
+    }
+  });
+
+  await Promise.all(workers);
+}
+
+/**
+ * Scheduler entry point: advance every league that is due, a few at a time.
+ * A tick that starts while the previous one is still running is skipped;
+ * leagues the previous tick is still on are skipped by their locks anyway.
+ */
+async function processDueLeagues(io, { concurrency = parseInt(process.env.PROGRESSION_CONCURRENCY) || DEFAULT_CONCURRENCY } = {}) {
+  if (tickRunning) {
+    console.log('Previous time progression run still in progress, skipping');
+    return;
+  }
+
+  tickRunning = true;
+
+  try {
+    const dueResult = await pool.query(`
+      SELECT l.id
+      FROM leagues l
+      WHERE ${DUE_CONDITION}
+      ORDER BY l.last_processed
+    `, [SIMULATION_PHASES]);
+
+    await runWithConcurrency(dueResult.rows.map(row => row.id), concurrency, async (leagueId) => {
+      try {
+        const result = await advanceLeague(leagueId, { trigger: 'schedule', scheduled: true, io });
+        if (result.locked) {
+          console.log(`League ${leagueId} is already being advanced, skipping`);
+        }
+      } catch (error) {
+        console.error(`Error processing league ${leagueId}:`, error);
+      }
+    });
+  } catch (error) {
+    console.error('Error processing league days:', error);
+  } finally {
+    tickRunning = false;
+  }
+}
+
+/**
+ * Where the league's clock stands: paused or not, when it next advances,
+ * its catch-up policy and backlog, and the run in progress if any
+ */
+async function getProgressionStatus(db, league) {
+  const timing = await db.query(
+    `SELECT l.last_processed,
+            l.last_processed + ((l.time_ratio->>'real_hours')::numeric * INTERVAL '1 hour') as next_window_at,
+            ${ELAPSED_WINDOWS} as elapsed_windows
+     FROM leagues l
+     WHERE l.id = $1`,
+    [league.id]
+  );
+  const running = await db.query(
+    `SELECT * FROM league_progressions
+     WHERE league_id = $1 AND status = 'running'
+     ORDER BY started_at DESC
+     LIMIT 1`,
+    [league.id]
+  );
+
+  const { last_processed, next_window_at, elapsed_windows } = timing.rows[0];
+  const { policy, maxDays } = catchUpSettings(league);
+  const backlogDays = league.catch_up_days || 0;
+  const automatic = SIMULATION_PHASES.includes(league.status) && !league.progression_paused;
+
+  return {
+    leagueId: league.id,
+    phase: league.status,
+    currentSeason: league.current_season,
+    currentDay: league.current_day,
+    paused: Boolean(league.progression_paused),
+    timeRatio: league.time_ratio,
+    lastProcessed: last_processed,
+    // Leagues that are owed days are picked up by the next scheduler run
+    nextAdvanceAt: automatic ? (backlogDays > 0 ? new Date() : next_window_at) : null,
+    catchUp: {
+      policy,
+      maxDays: policy === 'cap' ? maxDays : null,
+      backlogDays,
+      // Windows that have passed but haven't been booked yet
+      pendingWindows: parseInt(elapsed_windows) || 0
+    },
+    running: running.rows[0] || null
+  };
+}
+
+/**
+ * A league's progression log, newest first
+ */
+async function getProgressions(db, leagueId, { limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT p.*, u.username as requested_by_username
+     FROM league_progressions p
+     LEFT JOIN users u ON p.requested_by = u.id
+     WHERE p.league_id = $1
+     ORDER BY p.started_at DESC, p.id DESC
+     LIMIT $2`,
+    [leagueId, limit]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  SIM_TARGETS,
+  MAX_SIM_DAYS,
+  CATCH_UP_POLICIES,
+  withLeagueLock,
+  advanceLeague,
+  simTargetError,
+  startSimulation,
+  cancelSimulation,
+  setProgressionPaused,
+  processDueLeagues,
+  getProgressionStatus,
+  getProgressions
+};
@@ -0,0 +1,360 @@
+/**
+ * The league record book: the best single game, season and career in each
+ * headline category. Only regular season stats count.
+ *
+ * The book opens once the league finishes its first season, when the
+ * season rollover fills it in from everything played so far. From then on
+ * each simulated game is checked against it, and passing a record writes
+ * a new entry (kept, so every record has its progression). A holder who
+ * keeps adding to their own season or career record just moves the mark.
+ */
+
+const RECORD_CATEGORIES = {
+  NBA: {
+    pts: { label: 'points', path: ['pts'] },
+    reb: { label: 'rebounds', path: ['reb'] },
+    ast: { label: 'assists', path: ['ast'] },
+    stl: { label: 'steals', path: ['stl'] },
+    blk: { label: 'blocks', path: ['blk'] },
+    fg3m: { label: 'three-pointers', path: ['fg3m'] }
+  },
+  MLB: {
+    'batting.h': { label: 'hits', path: ['batting', 'h'] },
+    'batting.hr': { label: 'home runs', path: ['batting', 'hr'] },
+    'batting.rbi': { label: 'runs batted in', path: ['batting', 'rbi'] },
+    'batting.sb': { label: 'stolen bases', path: ['batting', 'sb'] },
+    'pitching.so': { label: 'strikeouts', path: ['pitching', 'so'] },
+    'pitching.w': { label: 'wins', path: ['pitching', 'w'], scopes: ['season', 'career'] },
+    'pitching.sv': { label: 'saves', path: ['pitching', 'sv'], scopes: ['season', 'career'] }
+  }
+};
+
+const SCOPES = ['single_game', 'season', 'career'];
+
+const SCOPE_LABELS = {
+  single_game: 'single-game',
+  season: 'single-season',
+  career: 'career'
+};
+
+function readPath(object, path) {
+  return path.reduce((value, key) => (value && value[key] !== undefined ? value[key] : null), object);
+}
+
+/**
+ * Is this the holder adding to a mark they already own: the same career,
+ * or the same season? A single game is always a new mark.
+ */
+function isSameMark(scope, current, playerId, season) {
+  if (current.player_id !== playerId) return false;
+  return scope === 'career' || (scope === 'season' && current.season === season);
+}
+
+function categoriesFor(sport, scope) {
+  return Object.entries(RECORD_CATEGORIES[sport] || RECORD_CATEGORIES.NBA)
+    .filter(([, category]) => !category.scopes || category.scopes.includes(scope));
+}
+
+/**
+ * Current holder of every record, keyed by `${scope}:${category}`
+ */
+async function loadBook(db, leagueId) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (r.scope, r.category) r.*, p.name as player_name
+     FROM league_records r
+     JOIN players p ON r.player_id = p.id
+     WHERE r.league_id = $1
+     ORDER BY r.scope, r.category, r.value DESC, r.created_at`,
+    [leagueId]
+  );
+
+  return new Map(result.rows.map(row => [`${row.scope}:${row.category}`, row]));
+}
+
+async function insertRecord(client, leagueId, scope, category, entry, previous) {
+  const result = await client.query(
+    `INSERT INTO league_records
+     (league_id, scope, category, player_id, team_id, value, season, day, game_id, previous_record_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      leagueId,
+      scope,
+      category,
+      entry.playerId,
+      entry.teamId || null,
+      entry.value,
+      entry.season,
+      entry.day || null,
+      entry.gameId || null,
+      previous ? previous.id : null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Weigh one player's number against the book. Returns the broken record
+ * when the player takes it from someone (or beats their own season mark
+ * from another season); moving a mark the player already holds is silent.
+ */
+async function contest(client, book, leagueId, scope, key, category, entry) {
+  const current = book.get(`${scope}:${key}`);
+
+  if (!current || !(entry.value > Number(current.value))) {
+    return null;
+  }
+
+  if (isSameMark(scope, current, entry.playerId, entry.season)) {
+    await client.query(
+      `UPDATE league_records SET value = $1, team_id = $2, day = $3, game_id = $4, updated_at = NOW()
+       WHERE id = $5`,
+      [entry.value, entry.teamId || current.team_id, entry.day || null, entry.gameId || null, current.id]
+    );
+    book.set(`${scope}:${key}`, { ...current, value: entry.value });
+    return null;
+  }
+
+  const record = await insertRecord(client, leagueId, scope, key, entry, current);
+  book.set(`${scope}:${key}`, { ...record, player_name: entry.name });
+
+  return {
+    scope,
+    category: key,
+    label: category.label,
+    playerId: entry.playerId,
+    name: entry.name,
+    teamId: entry.teamId,
+    value: entry.value,
+    previous: {
+      playerId: current.player_id,
+      name: current.player_name,
+      value: Number(current.value),
+      season: current.season
+    }
+  };
+}
+
+/**
+ * Check a just-simulated regular season game against the record book,
+ * after its stats have been saved. Returns the records that fell.
+ */
+async function checkGameRecords(client, game, gameResult, sport) {
+  const book = await loadBook(client, game.league_id);
+
+  if (book.size === 0) {
+    return [];
+  }
+
+  const lines = [
+    ...gameResult.playerStats.home.map(line => ({ ...line, teamId: game.home_team_id })),
+    ...gameResult.playerStats.away.map(line => ({ ...line, teamId: game.away_team_id }))
+  ];
+  const playerIds = lines.map(line => line.playerId);
+
+  const statsResult = await client.query(
+    `SELECT ps.player_id, ps.season, ps.stats, p.name
+     FROM player_stats ps
+     JOIN players p ON ps.player_id = p.id
+     WHERE ps.league_id = $1 AND ps.player_id = ANY($2::int[])`,
+    [game.league_id, playerIds]
+  );
+
+  const names = new Map();
+  const seasonTotals = new Map();
+  const careerTotals = new Map();
+  statsResult.rows.forEach(row => {
+    const totals = (row.stats && row.stats.totals) || {};
+    names.set(row.player_id, row.name);
+    if (row.season === game.season) {
+      seasonTotals.set(row.player_id, totals);
+    }
+    careerTotals.set(row.player_id, [...(careerTotals.get(row.player_id) || []), totals]);
+  });
+
+  const broken = [];
+
+  for (const line of lines) {
+    const base = {
+      playerId: line.playerId,
+      name: names.get(line.playerId) || line.name,
+      teamId: line.teamId,
+      season: game.season,
+      day: game.day,
+      gameId: game.id
+    };
+    const numbers = {
+      single_game: category => readPath(line.stats, category.path),
+      season: category => readPath(seasonTotals.get(line.playerId), category.path),
+      career: category => Math.round((careerTotals.get(line.playerId) || [])
+        .reduce((sum, totals) => sum + (readPath(totals, category.path) || 0), 0) * 10) / 10
+    };
+
+    for (const scope of SCOPES) {
+      for (const [key, category] of categoriesFor(sport, scope)) {
+        const value = numbers[scope](category);
+        if (!value) continue;
+
+        const record = await contest(client, book, game.league_id, scope, key, category, { ...base, value });
+        if (record) {
+          broken.push({ ...record, season: game.season, day: game.day, gameId: game.id });
+        }
+      }
+    }
+  }
+
+  return broken;
+}
+
+/**
+ * Best single game, season and career in each category up to and
+ * including `season`, straight from the stats tables
+ */
+async function findBest(db, leagueId, season, scope, path) {
+  const queries = {
+    single_game: `
+      SELECT pgs.player_id, pgs.team_id, pgs.season, pgs.day, pgs.game_id,
+             (pgs.stats #>> $3::text[])::numeric as value
+      FROM player_game_stats pgs
+      JOIN games g ON pgs.game_id = g.id
+      WHERE pgs.league_id = $1 AND pgs.season <= $2 AND g.game_type = 'regular'
+        AND pgs.stats #>> $3::text[] IS NOT NULL
+      ORDER BY value DESC, pgs.season, pgs.day
+      LIMIT 1`,
+    season: `
+      SELECT ps.player_id, NULL::int as team_id, ps.season, NULL::int as day, NULL::int as game_id,
+             (ps.stats #>> $3::text[])::numeric as value
+      FROM player_stats ps
+      WHERE ps.league_id = $1 AND ps.season <= $2 AND ps.stats #>> $3::text[] IS NOT NULL
+      ORDER BY value DESC, ps.season
+      LIMIT 1`,
+    career: `
+      SELECT ps.player_id, NULL::int as team_id, MAX(ps.season) as season, NULL::int as day, NULL::int as game_id,
+             SUM((ps.stats #>> $3::text[])::numeric) as value
+      FROM player_stats ps
+      WHERE ps.league_id = $1 AND ps.season <= $2 AND ps.stats #>> $3::text[] IS NOT NULL
+      GROUP BY ps.player_id
+      ORDER BY value DESC
+      LIMIT 1`
+  };
+
+  const statPath = scope === 'single_game' ? path : ['totals', ...path];
+  const result = await db.query(queries[scope], [leagueId, season, statPath]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Bring the book up to date at the end of a season. Fills it in the first
+ * time, and catches anything the game-by-game checks didn't see.
+ */
+async function archiveSeasonRecords(client, league, season) {
+  const sport = league.sport === 'MLB' ? 'MLB' : 'NBA';
+  const book = await loadBook(client, league.id);
+  let recorded = 0;
+
+  for (const scope of SCOPES) {
+    for (const [key, category] of categoriesFor(sport, scope)) {
+      const best = await findBest(client, league.id, season, scope, category.path);
+      if (!best || !(Number(best.value) > 0)) continue;
+
+      const current = book.get(`${scope}:${key}`);
+      if (current && !(Number(best.value) > Number(current.value))) continue;
+
+      if (current && isSameMark(scope, current, best.player_id, best.season)) {
+        await client.query(
+          'UPDATE league_records SET value = $1, season = $2, updated_at = NOW() WHERE id = $3',
+          [best.value, best.season, current.id]
+        );
+      } else {
+        await insertRecord(client, league.id, scope, key, {
+          playerId: best.player_id,
+          teamId: best.team_id,
+          value: best.value,
+          season: best.season,
+          day: best.day,
+          gameId: best.game_id
+        }, current);
+      }
+      recorded++;
+    }
+  }
+
+  return { recordsUpdated: recorded };
+}
+
+/**
+ * Headline and text for a storyline about a broken record
+ */
+function describeRecord(record) {
+  const scopeLabel = SCOPE_LABELS[record.scope];
+  const previous = record.previous;
+  const when = record.scope === 'single_game' ? ' in one game' : record.scope === 'season' ? ' this season' : ' in their career';
+  const oldMark = previous.playerId === record.playerId
+    ? `beating their own ${previous.value} from season ${previous.season}`
+    : `passing the ${previous.value} ${previous.name} put up in season ${previous.season}`;
+
+  return {
+    title: `${record.name} sets the ${scopeLabel} ${record.label} record`,
+    content: `${record.name} now has ${record.value} ${record.label}${when}, a new league record, ${oldMark}.`,
+    entities: { players: [record.playerId], teams: record.teamId ? [record.teamId] : [] }
+  };
+}
+
+/**
+ * The record book for a league, grouped by scope
+ */
+async function getRecordBook(db, league) {
+  const sport = league.sport === 'MLB' ? 'MLB' : 'NBA';
+  const book = await loadBook(db, league.id);
+  const teams = await db.query('SELECT id, name FROM teams WHERE league_id = $1', [league.id]);
+  const teamNames = new Map(teams.rows.map(team => [team.id, team.name]));
+
+  const records = {};
+  SCOPES.forEach(scope => {
+    records[scope] = categoriesFor(sport, scope).map(([key, category]) => {
+      const row = book.get(`${scope}:${key}`);
+      return {
+        category: key,
+        label: category.label,
+        value: row ? Number(row.value) : null,
+        player_id: row ? row.player_id : null,
+        player_name: row ? row.player_name : null,
+        team_id: row ? row.team_id : null,
+        team_name: row && row.team_id ? teamNames.get(row.team_id) || null : null,
+        season: row ? row.season : null,
+        day: row ? row.day : null,
+        game_id: row ? row.game_id : null
+      };
+    });
+  });
+
+  return { leagueId: league.id, sport, records };
+}
+
+/**
+ * Every holder of one record, oldest first
+ */
+async function getRecordProgression(db, leagueId, scope, category) {
+  const result = await db.query(
+    `SELECT r.*, p.name as player_name, t.name as team_name
+     FROM league_records r
+     JOIN players p ON r.player_id = p.id
+     LEFT JOIN teams t ON r.team_id = t.id
+     WHERE r.league_id = $1 AND r.scope = $2 AND r.category = $3
+     ORDER BY r.created_at, r.id`,
+    [leagueId, scope, category]
+  );
+
+  return result.rows.map(row => ({ ...row, value: Number(row.value) }));
+}
+
+module.exports = {
+  RECORD_CATEGORIES,
+  SCOPES,
+  checkGameRecords,
+  archiveSeasonRecords,
+  describeRecord,
+  getRecordBook,
+  getRecordProgression
+};
@@ -0,0 +1,413 @@
+const { createRng, deriveSeed } = require('./seededRandom');
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * Regular season schedule generation.
+ *
+ * A schedule is built in three steps: how many times each pair of teams
+ * meets (weighted towards division and conference rivals), who hosts each
+ * of those games (every team within one game of a 50/50 home/away split),
+ * and which day each game is played on (no team plays twice in a day,
+ * unless MLB double-headers are allowed, and teams get their rest days).
+ */
+
+const DEFAULT_WEIGHTS = { division: 4, conference: 3, other: 2 };
+
+function shuffle(items, rng) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function pairWeight(a, b, weights) {
+  if (a.division && a.division === b.division && a.conference === b.conference) return weights.division;
+  if (a.conference && a.conference === b.conference) return weights.conference;
+  return weights.other;
+}
+
+// Slack for floating point when rounding the scaled weights, so a target
+// of 5.9999999 counts as 6
+const ROUNDING_EPSILON = 1e-6;
+
+/**
+ * Work out how many times each pair of teams meets so that every team
+ * plays exactly `gamesPerTeam` games, in proportion to the pair weights.
+ * Returns `{ counts }`, or `{ errors }` if the games can't be shared out.
+ */
+function buildMatchupCounts(teams, gamesPerTeam, weights, rng) {
+  const n = teams.length;
+  const weight = teams.map((a, i) => teams.map((b, j) => (i === j ? 0 : pairWeight(a, b, weights))));
+
+  // Scale the weights until each team's expected games add up (Sinkhorn)
+  const scale = new Array(n).fill(1);
+  for (let iteration = 0; iteration < 100; iteration++) {
+    for (let i = 0; i < n; i++) {
+      const expected = weight[i].reduce((sum, w, j) => sum + w * scale[i] * scale[j], 0);
+      scale[i] *= Math.sqrt(gamesPerTeam / expected);
+    }
+  }
+
+  // Round each pairing once so both teams agree on how often they meet
+  const target = weight.map((row, i) => row.map((w, j) => w * scale[Math.min(i, j)] * scale[Math.max(i, j)]));
+  const counts = target.map((row, i) => row.map((value, j) => Math.floor(target[Math.min(i, j)][Math.max(i, j)] + ROUNDING_EPSILON)));
+  const deficit = counts.map(row => gamesPerTeam - row.reduce((sum, c) => sum + c, 0));
+  const order = shuffle(teams.map((_, i) => i), rng);
+  const shortfall = (i, j) => target[i][j] - counts[i][j];
+
+  // Hand out the games lost to rounding, pairing the teams that are
+  // furthest short and preferring the pairs rounded down the most
+  while (deficit.some(d => d > 0)) {
+    const t = order.reduce((best, i) => (deficit[i] > deficit[best] ? i : best), order[0]);
+    const partners = order.filter(j => j !== t && deficit[j] > 0);
+
+    if (partners.length > 0) {
+      const j = partners.reduce((best, k) => (shortfall(t, k) > shortfall(t, best) ? k : best), partners[0]);
+      counts[t][j] += 1;
+      counts[j][t] += 1;
+      deficit[t] -= 1;
+      deficit[j] -= 1;
+    } else {
+      // Only one team is short: break up another pairing's game and give
+      // that team a game against each side of it
+      let swap = null;
+      order.forEach(a => order.forEach(b => {
+        if (a < b && a !== t && b !== t && counts[a][b] > 0
+          && (!swap || shortfall(a, b) < shortfall(swap[0], swap[1]))) {
+          swap = [a, b];
+        }
+      }));
+      if (!swap) break;
+
+      const [a, b] = swap;
+      counts[a][b] -= 1;
+      counts[b][a] -= 1;
+      counts[t][a] += 1;
+      counts[a][t] += 1;
+      counts[t][b] += 1;
+      counts[b][t] += 1;
+      deficit[t] -= 2;
+    }
+  }
+
+  const wrong = counts
+    .map((row, i) => ({ team: teams[i], games: row.reduce((sum, c) => sum + c, 0) }))
+    .filter(({ games }) => games !== gamesPerTeam);
+  if (wrong.length > 0) {
+    return {
+      errors: wrong.map(({ team, games }) => `Could not give team ${team.id} ${gamesPerTeam} games (got ${games})`)
+    };
+  }
+
+  return { counts };
+}
+
+/**
+ * Split each pairing's games into home and away. Even series are split in
+ * half; the odd games left over are oriented along Euler circuits, which
+ * leaves every team within one home game of an even split.
+ */
+function assignHomeAway(counts, rng) {
+  const n = counts.length;
+  const homeGames = counts.map(row => row.map(c => Math.floor(c / 2)));
+
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (counts[i][j] % 2 === 1) edges.push([i, j]);
+    }
+  }
+
+  // Pair up odd-degree teams through a dummy vertex so circuits exist
+  const dummy = n;
+  const degree = new Array(n).fill(0);
+  edges.forEach(([i, j]) => { degree[i] += 1; degree[j] += 1; });
+  degree.forEach((d, i) => { if (d % 2 === 1) edges.push([i, dummy]); });
+
+  const adjacency = Array.from({ length: n + 1 }, () => []);
+  shuffle(edges.map((_, index) => index), rng).forEach(index => {
+    const [i, j] = edges[index];
+    adjacency[i].push(index);
+    adjacency[j].push(index);
+  });
+
+  const used = new Array(edges.length).fill(false);
+  for (let start = 0; start <= n; start++) {
+    const stack = [start];
+    while (stack.length > 0) {
+      const vertex = stack[stack.length - 1];
+      while (adjacency[vertex].length > 0 && used[adjacency[vertex][adjacency[vertex].length - 1]]) {
+        adjacency[vertex].pop();
+      }
+      if (adjacency[vertex].length === 0) {
+        stack.pop();
+        continue;
+      }
+
+      const index = adjacency[vertex].pop();
+      used[index] = true;
+      const [i, j] = edges[index];
+      const next = i === vertex ? j : i;
+
+      // Travelling from one team to the next makes the first one the host
+      if (vertex !== dummy && next !== dummy) {
+        homeGames[vertex][next] += 1;
+      }
+      stack.push(next);
+    }
+  }
+
+  return homeGames;
+}
+
+/**
+ * Put every game on a day. Each day the teams with the most games left
+ * are scheduled first, which keeps the end of the season from dragging.
+ * With a fixed season length, teams count as behind once they are within
+ * `margin` games of running out of days.
+ */
+function assignDays(matchups, teamCount, gamesPerTeam, options, margin, rng) {
+  const { restDays, seasonDays, doubleHeaders } = options;
+  const remaining = new Array(teamCount).fill(gamesPerTeam);
+  const played = new Array(teamCount).fill(0);
+  const nextDay = new Array(teamCount).fill(1);
+  const slotsAfter = day => (seasonDays ? Math.floor((seasonDays - day) / (restDays + 1)) : Infinity);
+
+  let pending = shuffle(matchups, rng);
+  const scheduled = [];
+  const maxDays = seasonDays || gamesPerTeam * (restDays + 1) * 3 + 30;
+
+  for (let day = 1; pending.length > 0; day++) {
+    if (day > maxDays) {
+      return { error: seasonDays
+        ? `${pending.length} games do not fit in ${seasonDays} days`
+        : 'Could not fit the schedule into a reasonable number of days' };
+    }
+
+    const busy = new Set();
+    const today = [];
+    // Short of days to play the rest of their games in, counting today
+    const behind = team => remaining[team] + margin > slotsAfter(day);
+    const available = team => !busy.has(team) && nextDay[team] <= day
+      // When the season has a fixed length, don't let anyone run ahead of pace
+      && (!seasonDays || behind(team) || played[team] < Math.ceil((gamesPerTeam * day) / seasonDays) + 1);
+
+    const ordered = pending
+      .map((game, index) => ({ game, index }))
+      .sort((a, b) =>
+        (remaining[b.game.home] + remaining[b.game.away]) - (remaining[a.game.home] + remaining[a.game.away])
+        || a.index - b.index);
+
+    ordered.forEach(({ game }) => {
+      if (available(game.home) && available(game.away)) {
+        busy.add(game.home);
+        busy.add(game.away);
+        today.push(game);
+      }
+    });
+
+    // Double-headers, only for teams that would otherwise run out of days
+    if (doubleHeaders) {
+      [...today].forEach(game => {
+        if (!behind(game.home) && !behind(game.away)) return;
+
+        const second = pending.find(other => !today.includes(other)
+          && ((other.home === game.home && other.away === game.away)
+            || (other.home === game.away && other.away === game.home)));
+        if (second) {
+          second.doubleHeader = true;
+          game.doubleHeader = true;
+          today.push(second);
+        }
+      });
+    }
+
+    today.forEach(game => {
+      [game.home, game.away].forEach(team => {
+        remaining[team] -= 1;
+        played[team] += 1;
+        nextDay[team] = day + restDays + 1;
+      });
+      scheduled.push({ ...game, day });
+    });
+
+    const todaySet = new Set(today);
+    pending = pending.filter(game => !todaySet.has(game));
+  }
+
+  return { games: scheduled };
+}
+
+/**
+ * Check the schedule options against the teams; returns any problems found
+ */
+function validateScheduleOptions(teams, options) {
+  const errors = [];
+  const { gamesPerTeam, restDays, seasonDays, doubleHeaders, sport } = options;
+
+  if (teams.length < 2) {
+    errors.push('Need at least 2 teams to create a schedule');
+  }
+  if (!Number.isInteger(gamesPerTeam) || gamesPerTeam < 1) {
+    errors.push('gamesPerTeam must be a positive whole number');
+  } else if ((teams.length * gamesPerTeam) % 2 !== 0) {
+    errors.push(`${teams.length} teams cannot each play ${gamesPerTeam} games; one of them must be even`);
+  }
+  if (!Number.isInteger(restDays) || restDays < 0) {
+    errors.push('restDays must be a whole number of days, 0 or more');
+  }
+  if (seasonDays !== null && (!Number.isInteger(seasonDays) || seasonDays < 1)) {
+    errors.push('seasonDays must be a positive whole number');
+  }
+  if (doubleHeaders && sport !== 'MLB') {
+    errors.push('Double-headers are only allowed in MLB leagues');
+  }
+
+  return errors;
+}
+
+/**
+ * Generate a season schedule. `teams` need `id` and may have `conference`
+ * and `division`; returns `{ games: [{ homeTeamId, awayTeamId, day,
+ * doubleHeader }] }` or `{ errors }`.
+ */
+function generateSchedule(teams, options) {
+  const settings = {
+    restDays: 0,
+    seasonDays: null,
+    doubleHeaders: false,
+    startDay: 1,
+    ...options,
+    weights: { ...DEFAULT_WEIGHTS, ...(options.weights || {}) }
+  };
+
+  const errors = validateScheduleOptions(teams, settings);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const rng = createRng(settings.seed);
+  const { counts, errors: countErrors } = buildMatchupCounts(teams, settings.gamesPerTeam, settings.weights, rng);
+  if (countErrors) {
+    return { errors: countErrors };
+  }
+
+  const homeGames = assignHomeAway(counts, rng);
+
+  const matchups = [];
+  homeGames.forEach((row, home) => row.forEach((count, away) => {
+    for (let k = 0; k < count; k++) {
+      matchups.push({ home, away });
+    }
+  }));
+
+  // A tight season can strand a game or two at the end; catch teams up
+  // sooner on each retry
+  let result;
+  for (const margin of [1, 2, 3, 5]) {
+    result = assignDays(matchups, teams.length, settings.gamesPerTeam, settings, margin, createRng(`${settings.seed}:${margin}`));
+    if (!result.error || !settings.seasonDays) break;
+  }
+  if (result.error) {
+    return { errors: [result.error] };
+  }
+
+  return {
+    games: result.games
+      .map(game => ({
+        homeTeamId: teams[game.home].id,
+        awayTeamId: teams[game.away].id,
+        day: settings.startDay + game.day - 1,
+        doubleHeader: Boolean(game.doubleHeader)
+      }))
+      .sort((a, b) => a.day - b.day)
+  };
+}
+
+/**
+ * Per-team totals for a generated schedule, for previews
+ */
+function summarizeSchedule(teams, games) {
+  const byTeam = new Map(teams.map(team => [team.id, {
+    teamId: team.id,
+    name: team.name,
+    games: 0,
+    home: 0,
+    away: 0,
+    doubleHeaders: 0,
+    opponents: {}
+  }]));
+
+  games.forEach(game => {
+    const home = byTeam.get(game.homeTeamId);
+    const away = byTeam.get(game.awayTeamId);
+    home.games += 1;
+    home.home += 1;
+    away.games += 1;
+    away.away += 1;
+    home.opponents[game.awayTeamId] = (home.opponents[game.awayTeamId] || 0) + 1;
+    away.opponents[game.homeTeamId] = (away.opponents[game.homeTeamId] || 0) + 1;
+    if (game.doubleHeader) {
+      home.doubleHeaders += 0.5;
+      away.doubleHeaders += 0.5;
+    }
+  });
+
+  const days = games.map(game => game.day);
+
+  return {
+    totalGames: games.length,
+    firstDay: days.length > 0 ? Math.min(...days) : null,
+    lastDay: days.length > 0 ? Math.max(...days) : null,
+    teams: [...byTeam.values()]
+  };
+}
+
+/**
+ * Schedule options for a league season: `overrides` (e.g. a request body)
+ * first, then the league settings, then the sport's defaults
+ */
+function scheduleOptions(league, season, overrides = {}) {
+  const settings = getLeagueSettings(league);
+  const pick = (key, fallback) => (overrides[key] !== undefined ? overrides[key] : (settings[key] !== undefined ? settings[key] : fallback));
+
+  return {
+    sport: league.sport,
+    gamesPerTeam: parseInt(pick('gamesPerTeam', settings.regularSeasonGames || (league.sport === 'MLB' ? 162 : 82))),
+    restDays: parseInt(pick('restDays', 0)),
+    seasonDays: pick('seasonDays', null) === null ? null : parseInt(pick('seasonDays', null)),
+    doubleHeaders: Boolean(pick('doubleHeaders', false)),
+    weights: pick('scheduleWeights', undefined),
+    // Day 1 of the current season has already been played through
+    startDay: parseInt(overrides.startDay) || (season === league.current_season ? league.current_day + 1 : 1),
+    seed: deriveSeed(league.seed || league.id, 'schedule', season)
+  };
+}
+
+/**
+ * Insert a generated schedule's games for a season
+ */
+async function saveSchedule(client, leagueId, season, games) {
+  await client.query(
+    `INSERT INTO games (league_id, home_team_id, away_team_id, season, day, status)
+     SELECT $1, home, away, $2, day, 'scheduled'
+     FROM unnest($3::int[], $4::int[], $5::int[]) AS g(home, away, day)`,
+    [
+      leagueId,
+      season,
+      games.map(game => game.homeTeamId),
+      games.map(game => game.awayTeamId),
+      games.map(game => game.day)
+    ]
+  );
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  generateSchedule,
+  summarizeSchedule,
+  scheduleOptions,
+  saveSchedule
+};
@@ -0,0 +1,424 @@
+const { generatePlayerDevelopment } = require('./aiService');
+const { computeStandings } = require('./standingsService');
+const { getPlayoffResults } = require('./playoffService');
+const { generateSchedule, scheduleOptions, saveSchedule } = require('./scheduleService');
+const { transitionPhase, emitPhaseChange } = require('./leaguePhaseService');
+const { archiveSeasonRecords } = require('./recordsService');
+const { retirePlayers, runHallOfFameVote, describeInductions } = require('./hallOfFameService');
+const { ensureDraftPicks } = require('./draftPickService');
+
+/**
+ * Moving a league from a finished season into the next one.
+ *
+ * The rollover runs as a list of steps. Each step commits in its own
+ * transaction together with the note that it is done, so a rollover that
+ * is interrupted (crash, restart, failed AI call) picks up at the first
+ * unfinished step the next time it runs, and no step is ever applied twice.
+ */
+
+const STEPS = [
+  'archive_standings',
+  'archive_records',
+  'retire_players',
+  'hall_of_fame',
+  'expire_contracts',
+  'age_players',
+  'develop_players',
+  'reset_records',
+  'advance_season',
+  'create_draft_picks',
+  'generate_schedule',
+  'start_offseason'
+];
+
+/**
+ * Save the final standings and how each team's postseason ended
+ */
+async function archiveStandings(client, rollover) {
+  const { league_id: leagueId, from_season: season } = rollover;
+  const standings = await computeStandings(client, leagueId, season);
+  const playoffResults = await getPlayoffResults(client, leagueId, season);
+
+  for (const team of standings) {
+    const playoff = playoffResults.get(team.team_id) || {};
+
+    await client.query(
+      `INSERT INTO season_standings
+       (league_id, season, team_id, rank, wins, losses, win_pct, conference, division, playoff_seed, playoff_result, record)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (league_id, season, team_id)
+       DO UPDATE SET rank = $4, wins = $5, losses = $6, win_pct = $7, conference = $8, division = $9,
+                     playoff_seed = $10, playoff_result = $11, record = $12`,
+      [
+        leagueId,
+        season,
+        team.team_id,
+        team.rank,
+        team.wins,
+        team.losses,
+        team.win_pct,
+        team.conference,
+        team.division,
+        playoff.seed || null,
+        playoff.result || null,
+        JSON.stringify(team)
+      ]
+    );
+  }
+
+  const champion = [...playoffResults.entries()].find(([, playoff]) => playoff.result === 'Champion');
+
+  return { teams: standings.length, championTeamId: champion ? champion[0] : null };
+}
+
+/**
+ * Bring the record book up to date with the finished season
+ */
+async function archiveRecords(client, rollover, league) {
+  return archiveSeasonRecords(client, league, rollover.from_season);
+}
+
+/**
+ * Retire players who are done; they don't count as free agents or age
+ * with the rest
+ */
+async function retireSeasonPlayers(client, rollover, league) {
+  return retirePlayers(client, league, rollover.from_season);
+}
+
+/**
+ * Vote on the Hall of Fame class and announce it
+ */
+async function electHallOfFame(client, rollover, league) {
+  const { inducted, ballot } = await runHallOfFameVote(client, league, rollover.from_season);
+
+  for (const storyline of describeInductions(inducted, rollover.from_season)) {
+    await client.query(
+      `INSERT INTO storylines (league_id, type, title, content, entities, day, season)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        rollover.league_id,
+        'hall_of_fame',
+        storyline.title,
+        storyline.content,
+        JSON.stringify(storyline.entities),
+        league.current_day,
+        rollover.from_season
+      ]
+    );
+  }
+
+  return { hallOfFame: { inducted, candidates: ballot.length } };
+}
+
+/**
+ * Take a year off every contract and send players whose deals ran out to
+ * free agency, asking for a length that suits their age
+ */
+async function expireContracts(client, rollover) {
+  const leagueId = rollover.league_id;
+
+  await client.query(
+    `UPDATE team_rosters SET contract_years = contract_years - 1
+     WHERE league_id = $1 AND is_free_agent = false`,
+    [leagueId]
+  );
+
+  const expired = await client.query(
+    `UPDATE team_rosters tr
+     SET is_free_agent = true, team_id = NULL,
+         contract_years = CASE WHEN p.age < 28 THEN 3 WHEN p.age < 32 THEN 2 ELSE 1 END
+     FROM players p, team_rosters previous
+     WHERE tr.player_id = p.id AND previous.id = tr.id
+       AND tr.league_id = $1 AND tr.is_free_agent = false AND tr.contract_years <= 0
+     RETURNING tr.player_id, previous.team_id, p.name`,
+    [leagueId]
+  );
+
+  await client.query(
+    `UPDATE teams t
+     SET total_salary = (
+       SELECT COALESCE(SUM(contract_salary), 0)
+       FROM team_rosters
+       WHERE team_id = t.id AND is_free_agent = false
+     )
+     WHERE t.league_id = $1`,
+    [leagueId]
+  );
+
+  return {
+    freeAgents: expired.rows.map(row => ({ playerId: row.player_id, name: row.name, previousTeamId: row.team_id }))
+  };
+}
+
+/**
+ * Everyone in the league is a year older
+ */
+async function agePlayers(client, rollover) {
+  const result = await client.query(
+    `UPDATE players SET age = age + 1
+     WHERE age IS NOT NULL
+       AND id IN (SELECT player_id FROM team_rosters WHERE league_id = $1)`,
+    [rollover.league_id]
+  );
+
+  return { playersAged: result.rowCount };
+}
+
+/**
+ * Offseason development, judged on the season just finished
+ */
+async function developPlayers(client, rollover) {
+  const playersQuery = await client.query(
+    `SELECT p.*, ps.stats as recent_stats
+     FROM players p
+     JOIN team_rosters tr ON p.id = tr.player_id
+     LEFT JOIN player_stats ps ON p.id = ps.player_id AND ps.league_id = tr.league_id AND ps.season = $2
+     WHERE tr.league_id = $1`,
+    [rollover.league_id, rollover.from_season]
+  );
+
+  const updates = await generatePlayerDevelopment(playersQuery.rows, {
+    leagueId: rollover.league_id,
+    offseason: true
+  });
+  const playerIds = new Set(playersQuery.rows.map(player => player.id));
+  const changes = [];
+
+  for (const update of updates) {
+    if (update.overallChange !== 0 && playerIds.has(update.playerId)) {
+      await client.query(
+        'UPDATE players SET overall_rating = overall_rating + $1 WHERE id = $2',
+        [update.overallChange, update.playerId]
+      );
+      changes.push({ playerId: update.playerId, change: update.overallChange, reason: update.reason });
+    }
+  }
+
+  return { development: changes };
+}
+
+/**
+ * Clear the win-loss records kept on teams
+ */
+async function resetRecords(client, rollover) {
+  await client.query(
+    'UPDATE teams SET wins = 0, losses = 0 WHERE league_id = $1',
+    [rollover.league_id]
+  );
+
+  return {};
+}
+
+async function advanceSeason(client, rollover, league) {
+  await client.query(
+    'UPDATE leagues SET current_season = $1, current_day = 1 WHERE id = $2',
+    [rollover.to_season, rollover.league_id]
+  );
+
+  league.current_season = rollover.to_season;
+  league.current_day = 1;
+
+  return {};
+}
+
+/**
+ * Give every team its picks for the seasons that have come into range
+ */
+async function createDraftPicks(client, rollover, league) {
+  const created = await ensureDraftPicks(client, league);
+
+  return { draftPicks: { created } };
+}
+
+/**
+ * Schedule the new season from the league settings, unless one has
+ * already been made. A schedule that can't be built doesn't hold up the
+ * rollover; the commissioner can create one with the schedule endpoint.
+ */
+async function generateNextSchedule(client, rollover) {
+  const existing = await client.query(
+    'SELECT COUNT(*) FROM games WHERE league_id = $1 AND season = $2',
+    [rollover.league_id, rollover.to_season]
+  );
+
+  if (parseInt(existing.rows[0].count) > 0) {
+    return { schedule: { gamesCreated: 0, existing: true } };
+  }
+
+  const leagueResult = await client.query('SELECT * FROM leagues WHERE id = $1', [rollover.league_id]);
+  const teamsResult = await client.query(
+    'SELECT id, name, conference, division FROM teams WHERE league_id = $1 ORDER BY id',
+    [rollover.league_id]
+  );
+
+  const schedule = generateSchedule(
+    teamsResult.rows,
+    scheduleOptions(leagueResult.rows[0], rollover.to_season)
+  );
+
+  if (schedule.errors) {
+    return { schedule: { gamesCreated: 0, errors: schedule.errors } };
+  }
+
+  await saveSchedule(client, rollover.league_id, rollover.to_season, schedule.games);
+
+  return { schedule: { gamesCreated: schedule.games.length } };
+}
+
+/**
+ * Hand the league over to the offseason, where the commissioner takes it
+ * on to the draft or the preseason
+ */
+async function startOffseason(client, rollover, league) {
+  const phaseChange = await transitionPhase(client, rollover.league_id, 'offseason', {
+    reason: `Season ${rollover.from_season} complete`
+  });
+
+  league.status = 'offseason';
+
+  return { phaseChange };
+}
+
+const STEP_HANDLERS = {
+  archive_standings: archiveStandings,
+  archive_records: archiveRecords,
+  retire_players: retireSeasonPlayers,
+  hall_of_fame: electHallOfFame,
+  expire_contracts: expireContracts,
+  age_players: agePlayers,
+  develop_players: developPlayers,
+  reset_records: resetRecords,
+  advance_season: advanceSeason,
+  create_draft_picks: createDraftPicks,
+  generate_schedule: generateNextSchedule,
+  start_offseason: startOffseason
+};
+
+/**
+ * Is the league ready to move on: its playoffs are over, or a rollover
+ * was started and didn't finish?
+ */
+async function isRolloverDue(db, league) {
+  const result = await db.query(
+    `SELECT
+       EXISTS (SELECT 1 FROM season_rollovers WHERE league_id = $1 AND status = 'in_progress') as unfinished,
+       EXISTS (SELECT 1 FROM playoffs WHERE league_id = $1 AND season = $2 AND status = 'completed') as playoffs_over`,
+    [league.id, league.current_season]
+  );
+
+  return result.rows[0].unfinished || result.rows[0].playoffs_over;
+}
+
+/**
+ * Run (or resume) the league's rollover into the next season. Updates
+ * `league` in place and returns the finished rollover record.
+ */
+async function rolloverSeason(client, league, io) {
+  await client.query(
+    `INSERT INTO season_rollovers (league_id, from_season, to_season)
+     SELECT $1, $2, $2 + 1
+     WHERE NOT EXISTS (SELECT 1 FROM season_rollovers WHERE league_id = $1 AND status = 'in_progress')
+     ON CONFLICT (league_id, from_season) DO NOTHING`,
+    [league.id, league.current_season]
+  );
+
+  const started = await client.query(
+    `SELECT * FROM season_rollovers
+     WHERE league_id = $1 AND (status = 'in_progress' OR from_season = $2)
+     ORDER BY status = 'in_progress' DESC, from_season DESC
+     LIMIT 1`,
+    [league.id, league.current_season]
+  );
+
+  let rollover = started.rows[0];
+
+  for (const step of STEPS) {
+    if (rollover.status === 'completed' || rollover.completed_steps.includes(step)) {
+      continue;
+    }
+
+    try {
+      await client.query('BEGIN');
+
+      // Someone else may have finished the step in the meantime
+      const locked = await client.query(
+        'SELECT * FROM season_rollovers WHERE id = $1 FOR UPDATE',
+        [rollover.id]
+      );
+      rollover = locked.rows[0];
+
+      if (rollover.completed_steps.includes(step)) {
+        await client.query('COMMIT');
+        continue;
+      }
+
+      const result = await STEP_HANDLERS[step](client, rollover, league);
+      const completedSteps = [...rollover.completed_steps, step];
+      const finished = completedSteps.length === STEPS.length;
+
+      const updated = await client.query(
+        `UPDATE season_rollovers
+         SET completed_steps = $1, summary = summary || $2, error = NULL,
+             status = $3, completed_at = CASE WHEN $3 = 'completed' THEN NOW() ELSE NULL END
+         WHERE id = $4
+         RETURNING *`,
+        [JSON.stringify(completedSteps), JSON.stringify(result), finished ? 'completed' : 'in_progress', rollover.id]
+      );
+
+      await client.query('COMMIT');
+      rollover = updated.rows[0];
+
+      io.to(`league_${league.id}`).emit('season_rollover_progress', {
+        leagueId: league.id,
+        fromSeason: rollover.from_season,
+        toSeason: rollover.to_season,
+        step,
+        completedSteps,
+        totalSteps: STEPS.length
+      });
+
+      emitPhaseChange(io, result.phaseChange);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await client.query(
+        'UPDATE season_rollovers SET error = $1 WHERE id = $2',
+        [`${step}: ${error.message}`, rollover.id]
+      );
+      throw error;
+    }
+  }
+
+  io.to(`league_${league.id}`).emit('season_rollover_completed', {
+    leagueId: league.id,
+    fromSeason: rollover.from_season,
+    toSeason: rollover.to_season,
+    summary: rollover.summary
+  });
+
+  console.log(`League ${league.id} rolled over to season ${rollover.to_season}`);
+
+  return rollover;
+}
+
+/**
+ * Get a league's rollovers, most recent first
+ */
+async function getRollovers(db, leagueId) {
+  const result = await db.query(
+    'SELECT * FROM season_rollovers WHERE league_id = $1 ORDER BY from_season DESC',
+    [leagueId]
+  );
+
+  return result.rows.map(rollover => ({
+    ...rollover,
+    remaining_steps: STEPS.filter(step => !rollover.completed_steps.includes(step))
+  }));
+}
+
+module.exports = {
+  STEPS,
+  isRolloverDue,
+  rolloverSeason,
+  getRollovers
+};
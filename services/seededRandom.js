@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded pseudo-random numbers so simulations can be reproduced exactly
+ */
+
+/**
+ * Hash any seed value down to a 32-bit integer
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a random number generator (0 <= n < 1) from a seed
+ */
+function createRng(seed) {
+  let state = hashSeed(seed);
+
+  return function rng() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build a child seed from a parent seed and identifying parts
+ */
+function deriveSeed(...parts) {
+  return parts.join(':');
+}
+
+// leagues.seed is a VARCHAR(64)
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Check a league seed someone chose. Returns a problem, or null if the seed
+ * is fine (or wasn't given).
+ */
+function seedError(seed) {
+  if (seed === undefined || seed === null || seed === '') return null;
+
+  if (typeof seed !== 'string' && !Number.isInteger(seed)) {
+    return 'seed must be a string or a whole number';
+  }
+  if (String(seed).length > MAX_SEED_LENGTH) {
+    return `seed can be at most ${MAX_SEED_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Generate a fresh random seed for a new league
+ */
+function generateSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+module.exports = {
+  createRng,
+  deriveSeed,
+  seedError,
+  generateSeed
+};
@@ -0,0 +1,543 @@
+const { getLeagueSettings } = require('./leagueSettings');
+
+/**
+ * Season standings worked out from completed regular season games.
+ *
+ * Teams are ranked by winning percentage, with ties broken by the sport's
+ * rules in order. When a rule separates some of the tied teams, each group
+ * still level starts again from the first rule (two-team rules for pairs,
+ * multi-team rules for larger groups).
+ */
+
+function emptyRecord() {
+  return { wins: 0, losses: 0 };
+}
+
+function pct(record) {
+  const games = record.wins + record.losses;
+  return games > 0 ? record.wins / games : 0;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function sameDivision(a, b) {
+  return Boolean(a.division) && a.division === b.division && a.conference === b.conference;
+}
+
+function sameConference(a, b) {
+  return Boolean(a.conference) && a.conference === b.conference;
+}
+
+/**
+ * Win percentage against a set of opponents
+ */
+function recordAgainst(team, opponentIds) {
+  const record = emptyRecord();
+  opponentIds.forEach(id => {
+    const h2h = team.headToHead.get(id);
+    if (h2h) {
+      record.wins += h2h.wins;
+      record.losses += h2h.losses;
+    }
+  });
+  return record;
+}
+
+/**
+ * Teams that would make the playoffs on record alone, used by the NBA
+ * rules that compare records against playoff teams
+ */
+function playoffBound(teams, playoffTeams) {
+  const byConference = new Map();
+  teams.forEach(team => {
+    const key = team.conference || '';
+    byConference.set(key, [...(byConference.get(key) || []), team]);
+  });
+
+  const perConference = Math.ceil(playoffTeams / byConference.size);
+  const bound = new Set();
+
+  byConference.forEach(members => {
+    const sorted = [...members].sort((a, b) => pct(b) - pct(a));
+    const cutoff = sorted[Math.min(perConference, sorted.length) - 1];
+    members.filter(team => pct(team) >= pct(cutoff)).forEach(team => bound.add(team.team_id));
+  });
+
+  return bound;
+}
+
+/**
+ * Tiebreaker rules. Each gives a value per team (higher is better);
+ * `applies` skips a rule for groups it doesn't make sense for.
+ */
+const RULES = {
+  headToHead: {
+    label: 'Head-to-head record',
+    value: (team, group) => pct(recordAgainst(team, group.filter(t => t !== team).map(t => t.team_id)))
+  },
+  divisionLeader: {
+    label: 'Division leader',
+    applies: group => group.every(team => team.conference && team.conference === group[0].conference),
+    value: (team, group, context) => (context.divisionLeaders.has(team.team_id) ? 1 : 0)
+  },
+  divisionRecord: {
+    label: 'Division record',
+    applies: group => group.every(team => sameDivision(team, group[0])),
+    value: team => pct(team.divisionRecord)
+  },
+  conferenceRecord: {
+    label: 'Conference record',
+    applies: group => group.every(team => team.conference),
+    value: team => pct(team.conferenceRecord)
+  },
+  playoffTeamsOwnConference: {
+    label: 'Record against playoff teams in own conference',
+    value: (team, group, context) => pct(recordAgainst(team, context.teams
+      .filter(other => other !== team && context.playoffBound.has(other.team_id) && sameConference(team, other))
+      .map(other => other.team_id)))
+  },
+  playoffTeamsOtherConference: {
+    label: 'Record against playoff teams in other conference',
+    applies: group => group.every(team => team.conference),
+    value: (team, group, context) => pct(recordAgainst(team, context.teams
+      .filter(other => context.playoffBound.has(other.team_id) && other.conference && !sameConference(team, other))
+      .map(other => other.team_id)))
+  },
+  secondHalfConferenceRecord: {
+    label: 'Record in the second half of conference games',
+    applies: group => group.every(team => team.conference),
+    value: team => {
+      const results = team.conferenceResults.slice(Math.floor(team.conferenceResults.length / 2));
+      return results.length > 0 ? results.filter(Boolean).length / results.length : 0;
+    }
+  },
+  pointDifferential: {
+    label: 'Point differential',
+    value: team => team.points_for - team.points_against
+  },
+  runDifferential: {
+    label: 'Run differential',
+    value: team => team.points_for - team.points_against
+  }
+};
+
+const TIEBREAKERS = {
+  NBA: {
+    twoTeam: ['headToHead', 'divisionLeader', 'divisionRecord', 'conferenceRecord',
+      'playoffTeamsOwnConference', 'playoffTeamsOtherConference', 'pointDifferential'],
+    multiTeam: ['divisionLeader', 'headToHead', 'divisionRecord', 'conferenceRecord',
+      'playoffTeamsOwnConference', 'playoffTeamsOtherConference', 'pointDifferential']
+  },
+  MLB: {
+    twoTeam: ['headToHead', 'divisionRecord', 'conferenceRecord', 'secondHalfConferenceRecord', 'runDifferential'],
+    multiTeam: ['headToHead', 'divisionRecord', 'conferenceRecord', 'secondHalfConferenceRecord', 'runDifferential']
+  }
+};
+
+/**
+ * Order a group of teams tied on winning percentage. Returns the teams in
+ * order, each marked with the rule that placed it.
+ */
+function breakTie(group, context, rules) {
+  if (group.length === 1) {
+    return group;
+  }
+
+  const order = group.length === 2 ? rules.twoTeam : rules.multiTeam;
+
+  for (const key of order) {
+    const rule = RULES[key];
+    if (rule.applies && !rule.applies(group)) continue;
+
+    const values = new Map(group.map(team => [team, rule.value(team, group, context)]));
+    const distinct = [...new Set(values.values())].sort((a, b) => b - a);
+    if (distinct.length === 1) continue;
+
+    // Split by the rule and start over within each group still level
+    return distinct.flatMap(value => {
+      const tied = group.filter(team => values.get(team) === value);
+      tied.forEach(team => { team.tiebreaker = rule.label; });
+      return breakTie(tied, context, rules);
+    });
+  }
+
+  // Nothing separates them; fall back to a stable order
+  return [...group].sort((a, b) => a.team_id - b.team_id)
+    .map(team => Object.assign(team, { tiebreaker: 'Unresolved' }));
+}
+
+/**
+ * Rank teams by winning percentage, breaking ties with the sport's rules
+ */
+function rankTeams(teams, context, rules) {
+  const groups = new Map();
+  teams.forEach(team => {
+    delete team.tiebreaker;
+    groups.set(pct(team), [...(groups.get(pct(team)) || []), team]);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => b - a)
+    .flatMap(([, group]) => breakTie(group, context, rules));
+}
+
+/**
+ * Load the season's teams and work out each team's records from its games
+ */
+async function loadRecords(db, leagueId, season) {
+  const teamsResult = await db.query(
+    `SELECT id, name, abbreviation, conference, division
+     FROM teams WHERE league_id = $1
+     ORDER BY id`,
+    [leagueId]
+  );
+
+  const gamesResult = await db.query(
+    `SELECT home_team_id, away_team_id, home_score, away_score
+     FROM games
+     WHERE league_id = $1 AND season = $2 AND status = 'completed' AND game_type = 'regular'
+     ORDER BY day, id`,
+    [leagueId, season]
+  );
+
+  const teams = new Map(teamsResult.rows.map(row => [row.id, {
+    team_id: row.id,
+    name: row.name,
+    abbreviation: row.abbreviation,
+    conference: row.conference,
+    division: row.division,
+    wins: 0,
+    losses: 0,
+    points_for: 0,
+    points_against: 0,
+    homeRecord: emptyRecord(),
+    awayRecord: emptyRecord(),
+    divisionRecord: emptyRecord(),
+    conferenceRecord: emptyRecord(),
+    headToHead: new Map(),
+    results: [],
+    conferenceResults: []
+  }]));
+
+  gamesResult.rows.forEach(game => {
+    const home = teams.get(game.home_team_id);
+    const away = teams.get(game.away_team_id);
+    if (!home || !away) return;
+
+    const homeWon = game.home_score > game.away_score;
+
+    [[home, away, homeWon, game.home_score, game.away_score, 'homeRecord'],
+      [away, home, !homeWon, game.away_score, game.home_score, 'awayRecord']]
+      .forEach(([team, opponent, won, scored, allowed, venue]) => {
+        const key = won ? 'wins' : 'losses';
+        team[key] += 1;
+        team[venue][key] += 1;
+        team.points_for += scored;
+        team.points_against += allowed;
+        team.results.push(won);
+
+        if (sameDivision(team, opponent)) team.divisionRecord[key] += 1;
+        if (sameConference(team, opponent)) {
+          team.conferenceRecord[key] += 1;
+          team.conferenceResults.push(won);
+        }
+
+        const h2h = team.headToHead.get(opponent.team_id) || emptyRecord();
+        h2h[key] += 1;
+        team.headToHead.set(opponent.team_id, h2h);
+      });
+  });
+
+  return [...teams.values()];
+}
+
+function streak(results) {
+  if (results.length === 0) return null;
+
+  const last = results[results.length - 1];
+  let length = 0;
+  for (let i = results.length - 1; i >= 0 && results[i] === last; i--) {
+    length += 1;
+  }
+  return `${last ? 'W' : 'L'}${length}`;
+}
+
+function gamesBack(team, leader) {
+  return ((leader.wins - team.wins) + (team.losses - leader.losses)) / 2;
+}
+
+/**
+ * Shape a ranked list of teams for the response, with games back from
+ * the first team in the list
+ */
+function formatRows(ranked) {
+  const leader = ranked[0];
+
+  return ranked.map((team, index) => ({
+    rank: index + 1,
+    team_id: team.team_id,
+    name: team.name,
+    abbreviation: team.abbreviation,
+    conference: team.conference,
+    division: team.division,
+    wins: team.wins,
+    losses: team.losses,
+    win_pct: round3(pct(team)),
+    games_back: gamesBack(team, leader),
+    home: team.homeRecord,
+    away: team.awayRecord,
+    division_record: team.divisionRecord,
+    conference_record: team.conferenceRecord,
+    last_10: {
+      wins: team.results.slice(-10).filter(Boolean).length,
+      losses: team.results.slice(-10).filter(won => !won).length
+    },
+    streak: streak(team.results),
+    points_for: team.points_for,
+    points_against: team.points_against,
+    point_diff: team.points_for - team.points_against,
+    tiebreaker: team.tiebreaker || null
+  }));
+}
+
+async function buildStandings(db, leagueId, season) {
+  const leagueResult = await db.query('SELECT * FROM leagues WHERE id = $1', [leagueId]);
+  if (leagueResult.rows.length === 0) {
+    return null;
+  }
+
+  const league = leagueResult.rows[0];
+  const settings = getLeagueSettings(league);
+  const rules = TIEBREAKERS[league.sport] || TIEBREAKERS.NBA;
+  const teams = await loadRecords(db, leagueId, season);
+
+  // Best record in each division, before any tiebreaking
+  const divisionLeaders = new Set();
+  teams.forEach(team => {
+    if (!team.division) return;
+    const rivals = teams.filter(other => sameDivision(team, other));
+    if (rivals.every(other => pct(team) >= pct(other))) divisionLeaders.add(team.team_id);
+  });
+
+  const context = {
+    teams,
+    divisionLeaders,
+    playoffBound: playoffBound(teams, parseInt(settings.playoffTeams) || (league.sport === 'MLB' ? 12 : 16))
+  };
+
+  return { league, teams, context, rules };
+}
+
+/**
+ * Has every regular season game of the season been played?
+ */
+async function regularSeasonComplete(db, leagueId, season) {
+  const result = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE status = 'scheduled') as scheduled,
+            COUNT(*) FILTER (WHERE status = 'completed') as completed
+     FROM games
+     WHERE league_id = $1 AND season = $2 AND game_type = 'regular'`,
+    [leagueId, season]
+  );
+
+  const { scheduled, completed } = result.rows[0];
+  return parseInt(scheduled) === 0 && parseInt(completed) > 0;
+}
+
+/**
+ * Get every team's record for a season, best first with ties broken
+ */
+async function computeStandings(db, leagueId, season) {
+  const built = await buildStandings(db, leagueId, season);
+  if (!built) {
+    return [];
+  }
+
+  const { teams, context, rules } = built;
+  return formatRows(rankTeams(teams, context, rules));
+}
+
+/**
+ * Full standings for a season: the whole league, and each conference and
+ * division ranked on its own with games back from its leader
+ */
+async function getStandings(db, leagueId, season) {
+  const built = await buildStandings(db, leagueId, season);
+  if (!built) {
+    return null;
+  }
+
+  const { league, teams, context, rules } = built;
+  const rank = members => formatRows(rankTeams(members, context, rules));
+
+  const conferences = [...new Set(teams.filter(team => team.conference).map(team => team.conference))]
+    .map(conference => {
+      const members = teams.filter(team => team.conference === conference);
+      const divisions = [...new Set(members.filter(team => team.division).map(team => team.division))];
+
+      return {
+        name: conference,
+        standings: rank(members),
+        divisions: divisions.map(division => ({
+          name: division,
+          standings: rank(members.filter(team => team.division === division))
+        }))
+      };
+    });
+
+  return {
+    leagueId: league.id,
+    season,
+    sport: league.sport,
+    tiebreakers: {
+      twoTeam: rules.twoTeam.map(key => RULES[key].label),
+      multiTeam: rules.multiTeam.map(key => RULES[key].label)
+    },
+    standings: rank(teams),
+    conferences
+  };
+}
+
+/**
+ * Get the league's conferences and divisions with their teams
+ */
+async function getAlignment(db, leagueId) {
+  const result = await db.query(
+    `SELECT id, name, abbreviation, conference, division
+     FROM teams WHERE league_id = $1
+     ORDER BY conference NULLS LAST, division NULLS LAST, id`,
+    [leagueId]
+  );
+
+  const conferences = [];
+  const unassigned = [];
+
+  result.rows.forEach(team => {
+    if (!team.conference) {
+      unassigned.push(team);
+      return;
+    }
+
+    let conference = conferences.find(c => c.name === team.conference);
+    if (!conference) {
+      conference = { name: team.conference, divisions: [], teams: [] };
+      conferences.push(conference);
+    }
+
+    if (!team.division) {
+      conference.teams.push(team);
+      return;
+    }
+
+    let division = conference.divisions.find(d => d.name === team.division);
+    if (!division) {
+      division = { name: team.division, teams: [] };
+      conference.divisions.push(division);
+    }
+    division.teams.push(team);
+  });
+
+  return { conferences, unassigned };
+}
+
+/**
+ * Check a new alignment, `[{ name, divisions: [{ name, teamIds }] }]` or
+ * `[{ name, teamIds }]` for conferences without divisions, against the
+ * league's teams. Returns the team assignments or the problems found.
+ */
+function resolveAlignment(conferences, leagueTeamIds) {
+  const errors = [];
+  const assignments = new Map();
+
+  if (!Array.isArray(conferences)) {
+    return { errors: ['conferences must be an array'] };
+  }
+
+  const assign = (teamIds, conference, division, where) => {
+    if (!Array.isArray(teamIds)) {
+      errors.push(`${where} needs a teamIds array`);
+      return;
+    }
+    teamIds.forEach(id => {
+      const teamId = parseInt(id);
+      if (!leagueTeamIds.has(teamId)) {
+        errors.push(`Team ${id} is not in this league`);
+      } else if (assignments.has(teamId)) {
+        errors.push(`Team ${id} is assigned more than once`);
+      } else {
+        assignments.set(teamId, { conference, division });
+      }
+    });
+  };
+
+  const conferenceNames = new Set();
+  conferences.forEach((conference, index) => {
+    const name = typeof conference.name === 'string' ? conference.name.trim() : '';
+    if (!name) {
+      errors.push(`Conference ${index + 1} needs a name`);
+      return;
+    }
+    if (conferenceNames.has(name)) {
+      errors.push(`Conference ${name} is listed more than once`);
+    }
+    conferenceNames.add(name);
+
+    if (!conference.divisions) {
+      assign(conference.teamIds, name, null, `Conference ${name}`);
+      return;
+    }
+
+    const divisionNames = new Set();
+    (Array.isArray(conference.divisions) ? conference.divisions : []).forEach((division, divisionIndex) => {
+      const divisionName = typeof division.name === 'string' ? division.name.trim() : '';
+      if (!divisionName) {
+        errors.push(`Division ${divisionIndex + 1} of ${name} needs a name`);
+        return;
+      }
+      if (divisionNames.has(divisionName)) {
+        errors.push(`Division ${divisionName} is listed more than once in ${name}`);
+      }
+      divisionNames.add(divisionName);
+      assign(division.teamIds, name, divisionName, `Division ${divisionName}`);
+    });
+  });
+
+  return { errors, assignments };
+}
+
+/**
+ * Replace the league's conferences and divisions. Teams left out of the
+ * new alignment no longer belong to any.
+ */
+async function setAlignment(client, leagueId, conferences) {
+  const teamsResult = await client.query('SELECT id FROM teams WHERE league_id = $1', [leagueId]);
+  const { errors, assignments } = resolveAlignment(conferences, new Set(teamsResult.rows.map(row => row.id)));
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  await client.query(
+    'UPDATE teams SET conference = NULL, division = NULL WHERE league_id = $1',
+    [leagueId]
+  );
+
+  for (const [teamId, { conference, division }] of assignments) {
+    await client.query(
+      'UPDATE teams SET conference = $1, division = $2 WHERE id = $3',
+      [conference, division, teamId]
+    );
+  }
+
+  return { errors: [] };
+}
+
+module.exports = {
+  computeStandings,
+  getStandings,
+  regularSeasonComplete,
+  getAlignment,
+  setAlignment
+};
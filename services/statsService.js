@@ -0,0 +1,203 @@
+/**
+ * Season and career stat aggregation.
+ *
+ * `player_stats.stats` keeps the raw counting totals under `totals` and the
+ * numbers derived from them next to it, so they can always be recomputed:
+ * NBA rows get `per_game` and `percentages`, MLB rows get `batting` and
+ * `pitching` sections with their own rates.
+ */
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(numerator, denominator, places = 3) {
+  return denominator > 0 ? round(numerator / denominator, places) : 0;
+}
+
+/**
+ * Add one game's stat line onto running totals, recursing into nested
+ * sections (MLB lines keep batting and pitching apart)
+ */
+function addStats(totals, line) {
+  const result = { ...(totals || {}) };
+
+  Object.entries(line || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      result[key] = round((result[key] || 0) + value, 1);
+    } else if (value && typeof value === 'object') {
+      result[key] = addStats(result[key], value);
+    }
+  });
+
+  return result;
+}
+
+function deriveBasketball(totals, gamesPlayed) {
+  const perGame = {};
+  [
+    ['mpg', 'min'], ['ppg', 'pts'], ['rpg', 'reb'], ['orpg', 'oreb'], ['drpg', 'dreb'],
+    ['apg', 'ast'], ['spg', 'stl'], ['bpg', 'blk'], ['tpg', 'tov'], ['fpg', 'pf'],
+    ['fgm', 'fgm'], ['fga', 'fga'], ['fg3m', 'fg3m'], ['fg3a', 'fg3a'], ['ftm', 'ftm'], ['fta', 'fta'],
+    ['plus_minus', 'plus_minus']
+  ].forEach(([key, source]) => {
+    perGame[key] = ratio(totals[source] || 0, gamesPlayed, 1);
+  });
+
+  return {
+    per_game: perGame,
+    percentages: {
+      fg_pct: ratio(totals.fgm || 0, totals.fga || 0),
+      fg3_pct: ratio(totals.fg3m || 0, totals.fg3a || 0),
+      ft_pct: ratio(totals.ftm || 0, totals.fta || 0)
+    }
+  };
+}
+
+function deriveBatting(batting) {
+  const singles = batting.h - batting.doubles - batting.triples - batting.hr;
+  const totalBases = singles + 2 * batting.doubles + 3 * batting.triples + 4 * batting.hr;
+  // Sacrifice flies are the only plate appearances left out of at bats
+  // besides walks and hit batters, so OBP's denominator is simply PA
+  const obp = ratio(batting.h + batting.bb + batting.hbp, batting.pa);
+  const slg = ratio(totalBases, batting.ab);
+
+  return {
+    avg: ratio(batting.h, batting.ab),
+    obp,
+    slg,
+    ops: round(obp + slg, 3),
+    iso: round(slg - ratio(batting.h, batting.ab), 3),
+    bb_pct: ratio(batting.bb, batting.pa),
+    k_pct: ratio(batting.so, batting.pa),
+    sb_pct: ratio(batting.sb, batting.sb + batting.cs)
+  };
+}
+
+function derivePitching(pitching) {
+  const innings = pitching.outs / 3;
+
+  return {
+    ip: `${Math.floor(pitching.outs / 3)}.${pitching.outs % 3}`,
+    era: ratio(pitching.er * 9, innings, 2),
+    whip: ratio(pitching.bb + pitching.h, innings, 2),
+    k_per_9: ratio(pitching.so * 9, innings, 1),
+    bb_per_9: ratio(pitching.bb * 9, innings, 1),
+    hr_per_9: ratio(pitching.hr * 9, innings, 1),
+    opp_avg: ratio(pitching.h, pitching.bf - pitching.bb - pitching.hbp)
+  };
+}
+
+const BATTING_KEYS = ['pa', 'ab', 'r', 'h', 'doubles', 'triples', 'hr', 'rbi', 'bb', 'so', 'hbp', 'sb', 'cs'];
+const PITCHING_KEYS = ['gs', 'outs', 'bf', 'h', 'r', 'er', 'bb', 'so', 'hr', 'hbp', 'pitches', 'w', 'l', 'sv'];
+
+function withDefaults(section, keys) {
+  return { ...Object.fromEntries(keys.map(key => [key, 0])), ...(section || {}) };
+}
+
+/**
+ * Build the stored stats object from counting totals
+ */
+function computeDerivedStats(totals, gamesPlayed) {
+  const safeTotals = totals || {};
+
+  // Baseball totals are split into batting and pitching sections
+  if (safeTotals.batting || safeTotals.pitching) {
+    const stats = { totals: safeTotals };
+
+    if (safeTotals.batting) {
+      const batting = withDefaults(safeTotals.batting, BATTING_KEYS);
+      stats.batting = {
+        ...deriveBatting(batting),
+        r_per_game: ratio(batting.r, gamesPlayed, 2),
+        rbi_per_game: ratio(batting.rbi, gamesPlayed, 2)
+      };
+    }
+
+    if (safeTotals.pitching) {
+      stats.pitching = derivePitching(withDefaults(safeTotals.pitching, PITCHING_KEYS));
+    }
+
+    return stats;
+  }
+
+  return {
+    totals: safeTotals,
+    ...deriveBasketball(safeTotals, gamesPlayed)
+  };
+}
+
+/**
+ * Combine season rows into career totals for one player in one league
+ */
+function computeCareerStats(seasonRows) {
+  const gamesPlayed = seasonRows.reduce((sum, row) => sum + (row.games_played || 0), 0);
+  const totals = seasonRows.reduce((sum, row) => addStats(sum, (row.stats && row.stats.totals) || {}), {});
+
+  return {
+    seasons: seasonRows.length,
+    games_played: gamesPlayed,
+    stats: computeDerivedStats(totals, gamesPlayed)
+  };
+}
+
+/**
+ * Rebuild every player's season stats in a league from the box scores of
+ * its completed regular season games
+ */
+async function rebuildSeasonStats(client, leagueId, season) {
+  const games = await client.query(
+    `SELECT box_score FROM games
+     WHERE league_id = $1 AND season = $2 AND status = 'completed' AND box_score IS NOT NULL
+       AND game_type = 'regular'`,
+    [leagueId, season]
+  );
+
+  const players = new Map();
+  games.rows.forEach(({ box_score: boxScore }) => {
+    [...(boxScore.home || []), ...(boxScore.away || [])].forEach(line => {
+      if (!line || !line.playerId) return;
+      const current = players.get(line.playerId) || { totals: {}, gamesPlayed: 0 };
+      players.set(line.playerId, {
+        totals: addStats(current.totals, line.stats),
+        gamesPlayed: current.gamesPlayed + 1
+      });
+    });
+  });
+
+  // Older box scores were free-form, so only keep ids of real players
+  const known = await client.query(
+    'SELECT id FROM players WHERE id = ANY($1::int[])',
+    [[...players.keys()].filter(id => Number.isInteger(id))]
+  );
+  const knownIds = new Set(known.rows.map(row => row.id));
+
+  for (const [playerId, { totals, gamesPlayed }] of players) {
+    if (!knownIds.has(playerId)) continue;
+
+    await client.query(
+      `INSERT INTO player_stats (player_id, league_id, season, games_played, stats)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (player_id, league_id, season)
+       DO UPDATE SET games_played = $4, stats = $5`,
+      [playerId, leagueId, season, gamesPlayed, JSON.stringify(computeDerivedStats(totals, gamesPlayed))]
+    );
+  }
+
+  // Anyone left without totals has no box score lines to rebuild from
+  await client.query(
+    `UPDATE player_stats SET stats = $3
+     WHERE league_id = $1 AND season = $2 AND NOT (stats ? 'totals')`,
+    [leagueId, season, JSON.stringify(computeDerivedStats({}, 0))]
+  );
+
+  console.log(`Rebuilt season ${season} stats for league ${leagueId} from ${games.rows.length} games`);
+}
+
+module.exports = {
+  addStats,
+  computeDerivedStats,
+  computeCareerStats,
+  rebuildSeasonStats
+};
@@ -1,46 +1,100 @@
-const { pool } = require('../database/init');
-const { generateGameNarrative, generateDailyStorylines, generatePlayerDevelopment } = require('./aiService');
+const { generateGameNarrative, generateDailyStorylines, generatePlayerDevelopment, generateAwardAnnouncements } = require('./aiService');
+const { buildSimulationInput, runSimulation, buildBoxScore } = require('./gameSimulationService');
+const { deriveSeed } = require('./seededRandom');
+const { broadcastGame, DEFAULT_BROADCAST_SECONDS } = require('./liveGameService');
+const { recordInjuries, healInjuries, getInjuries, emitInjuryReport } = require('./injuryService');
+const { resolveDepthChart } = require('./depthChartService');
+const { addStats, computeDerivedStats, rebuildSeasonStats } = require('./statsService');
+const { savePlayerGameStats } = require('./gameLogService');
+const { refreshLeaderboards, invalidateLeaderboards } = require('./leaderboardService');
+const { progressPlayoffs } = require('./playoffService');
+const { isRolloverDue, rolloverSeason } = require('./seasonRolloverService');
+const { regularSeasonComplete } = require('./standingsService');
+const { runSeasonAwards } = require('./awardService');
+const { checkGameRecords, describeRecord } = require('./recordsService');
+const { SIMULATION_PHASES, tradeDeadlineDay, transitionPhase, emitPhaseChange } = require('./leaguePhaseService');
+const { getLeagueSettings } = require('./leagueSettings');
+
+// Forfeits go down at the sport's usual forfeit score
+const FORFEIT_SCORES = { NBA: 2, MLB: 9 };
 
 /**
- * Process all leagues that are due for a day advancement
+ * Advance a single league by the configured number of days (or `days`).
+ * With `fromBacklog` the days are taken off the league's catch-up backlog
+ * in the same transaction. Callers hold the league's progression lock (see
+ * progressionService).
  */
-async function processLeagueDay(io) {
-  const client = await pool.connect();
-  
-  try {
-    // Find leagues that need to advance
-    const leaguesQuery = await client.query(`
-      SELECT l.*, 
-             EXTRACT(EPOCH FROM (NOW() - l.last_processed)) / 3600 as hours_since_last
-      FROM leagues l
-      WHERE EXTRACT(EPOCH FROM (NOW() - l.last_processed)) / 3600 >= (l.time_ratio->>'real_hours')::numeric
-    `);
-
-    for (const league of leaguesQuery.rows) {
-      await advanceLeagueDay(client, league, io);
-    }
-  } catch (error) {
-    console.error('Error processing league days:', error);
-  } finally {
-    client.release();
+async function advanceLeagueDay(client, league, io, { days, fromBacklog = false } = {}) {
+  // Once the champion is crowned the league moves into its next season
+  // instead of playing a day; the rollover commits step by step itself.
+  // Days still owed from last season aren't carried into the next one.
+  if (await isRolloverDue(client, league)) {
+    await rolloverSeason(client, league, io);
+    await client.query('UPDATE leagues SET last_processed = NOW(), catch_up_days = 0 WHERE id = $1', [league.id]);
+    league.catch_up_days = 0;
+    return;
+  }
+
+  // Games are only played in the simulation phases, whoever asks
+  if (!SIMULATION_PHASES.includes(league.status)) {
+    throw new Error(`League ${league.id} is in its ${league.status} phase, where no games are played`);
   }
-}
 
-/**
- * Advance a single league by the configured number of days
- */
-async function advanceLeagueDay(client, league, io) {
   try {
     await client.query('BEGIN');
 
-    const leagueDays = parseInt(league.time_ratio.league_days);
+    const leagueDays = days || parseInt(league.time_ratio.league_days);
+    const simulatedDays = [];
+    const injuryReports = [];
+    const playoffEvents = [];
+    const awardResults = [];
+    const phaseChanges = [];
+    const deadlineDay = await tradeDeadlineDay(client, league);
     
     for (let i = 0; i < leagueDays; i++) {
       const newDay = league.current_day + 1;
+
+      // Players due back are available again before the day's games
+      const recoveries = await healInjuries(client, league.id, league.current_season, newDay);
       
       // Simulate games for this day
-      await simulateGamesForDay(client, league.id, league.current_season, newDay, league.sport, io);
+      const games = await simulateGamesForDay(client, league.id, league.current_season, newDay, league.sport, io);
+      simulatedDays.push(games);
+      injuryReports.push({
+        day: newDay,
+        injuries: games.flatMap(game => game.injuries),
+        recoveries
+      });
       
+      // Vote on the season's awards as soon as the regular season is over
+      if (await regularSeasonComplete(client, league.id, league.current_season)) {
+        const awards = await runSeasonAwards(client, league, league.current_season);
+        if (awards) {
+          awards.storylines = await announceAwards(client, league, awards);
+          awardResults.push(awards);
+        }
+      }
+
+      // Trading closes for the rest of the season at the deadline
+      if (league.status === 'regular_season' && deadlineDay !== null && newDay >= deadlineDay) {
+        phaseChanges.push(await transitionPhase(client, league.id, 'post_deadline', {
+          reason: 'Trade deadline passed'
+        }));
+        league.status = 'post_deadline';
+      }
+
+      // Start the postseason once the regular season is done, then move
+      // series along and schedule the next day's playoff games
+      const dayPlayoffEvents = await progressPlayoffs(client, league, newDay);
+      playoffEvents.push(...dayPlayoffEvents);
+
+      if (league.status !== 'playoffs' && dayPlayoffEvents.some(event => event.type === 'playoffs_started')) {
+        phaseChanges.push(await transitionPhase(client, league.id, 'playoffs', {
+          reason: 'Regular season complete'
+        }));
+        league.status = 'playoffs';
+      }
+
       // Update player stats
       await updatePlayerStats(client, league.id, league.current_season);
       
@@ -52,23 +106,40 @@ async function advanceLeagueDay(client, league, io) {
         await processPlayerDevelopment(client, league.id, io);
       }
       
-      // Update league day
-      await client.query(
-        'UPDATE leagues SET current_day = $1 WHERE id = $2',
-        [newDay, league.id]
+      // Update league day, refusing to if it moved under us so a day can
+      // never be played twice
+      const dayUpdate = await client.query(
+        'UPDATE leagues SET current_day = $1 WHERE id = $2 AND current_day = $3',
+        [newDay, league.id, league.current_day]
       );
 
+      if (dayUpdate.rowCount === 0) {
+        throw new Error(`League ${league.id} is no longer on day ${league.current_day}`);
+      }
+
       league.current_day = newDay;
     }
 
     // Update last processed timestamp
-    await client.query(
-      'UPDATE leagues SET last_processed = NOW() WHERE id = $1',
-      [league.id]
+    const backlogResult = await client.query(
+      `UPDATE leagues
+       SET last_processed = NOW(), catch_up_days = GREATEST(COALESCE(catch_up_days, 0) - $2, 0)
+       WHERE id = $1
+       RETURNING catch_up_days`,
+      [league.id, fromBacklog ? leagueDays : 0]
     );
 
     await client.query('COMMIT');
 
+    league.catch_up_days = backlogResult.rows[0].catch_up_days;
+
+    // Leaderboards are cached, so reload them with the new results
+    try {
+      await refreshLeaderboards(client, league.id, league.current_season);
+    } catch (error) {
+      console.error(`Error refreshing leaderboards for league ${league.id}:`, error);
+    }
+
     // Notify connected clients
     io.to(`league_${league.id}`).emit('league_day_advanced', {
       leagueId: league.id,
@@ -76,6 +147,40 @@ async function advanceLeagueDay(client, league, io) {
       currentSeason: league.current_season
     });
 
+    phaseChanges.forEach(change => emitPhaseChange(io, change));
+
+    injuryReports.forEach(report => {
+      emitInjuryReport(io, league.id, report.day, report.injuries, report.recoveries);
+    });
+
+    playoffEvents.forEach(({ type, ...event }) => {
+      io.to(`league_${league.id}`).emit(type, {
+        leagueId: league.id,
+        season: league.current_season,
+        ...event
+      });
+    });
+
+    awardResults.forEach(awards => {
+      io.to(`league_${league.id}`).emit('awards_announced', {
+        leagueId: league.id,
+        season: awards.season,
+        winners: awards.winners,
+        storylines: awards.storylines
+      });
+    });
+
+    // Stream play-by-play to game rooms now that results are saved,
+    // one simulated day after another
+    const settings = getLeagueSettings(league);
+    const broadcastSeconds = parseInt(settings.liveGameSeconds) || DEFAULT_BROADCAST_SECONDS;
+    simulatedDays.forEach((games, dayIndex) => {
+      games.forEach(game => broadcastGame(io, game, game.events, {
+        broadcastSeconds,
+        startDelayMs: dayIndex * broadcastSeconds * 1000
+      }));
+    });
+
     console.log(`Advanced league ${league.id} to day ${league.current_day}`);
   } catch (error) {
     await client.query('ROLLBACK');
@@ -91,30 +196,44 @@ async function simulateGamesForDay(client, leagueId, season, day, sport, io) {
   // Get scheduled games for this day
   const gamesQuery = await client.query(
     `SELECT g.*, 
-            ht.name as home_team_name, at.name as away_team_name
+            ht.name as home_team_name, at.name as away_team_name,
+            l.seed as league_seed
      FROM games g
      JOIN teams ht ON g.home_team_id = ht.id
      JOIN teams at ON g.away_team_id = at.id
+     JOIN leagues l ON g.league_id = l.id
      WHERE g.league_id = $1 AND g.season = $2 AND g.day = $3 AND g.status = 'scheduled'`,
     [leagueId, season, day]
   );
 
+  const simulated = [];
+
   for (const game of gamesQuery.rows) {
-    await simulateSingleGame(client, game, sport, io);
+    const result = await simulateSingleGame(client, game, sport, io);
+    if (result) {
+      simulated.push(result);
+    }
   }
+
+  return simulated;
 }
 
 /**
- * Simulate a single game using AI
+ * Simulate a single game with the game engine and let AI write the narrative.
+ * Returns what is needed to stream the game's play-by-play afterwards.
  */
 async function simulateSingleGame(client, game, sport, io) {
   try {
-    // Get rosters
+    // Get rosters, leaving out injured players
     const homeRosterQuery = await client.query(
       `SELECT p.*, tr.contract_years, tr.contract_salary
        FROM players p
        JOIN team_rosters tr ON p.id = tr.player_id
-       WHERE tr.team_id = $1 AND tr.league_id = $2`,
+       WHERE tr.team_id = $1 AND tr.league_id = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM injuries i
+           WHERE i.player_id = p.id AND i.league_id = tr.league_id AND i.status = 'active'
+         )`,
       [game.home_team_id, game.league_id]
     );
 
@@ -122,7 +241,11 @@ async function simulateSingleGame(client, game, sport, io) {
       `SELECT p.*, tr.contract_years, tr.contract_salary
        FROM players p
        JOIN team_rosters tr ON p.id = tr.player_id
-       WHERE tr.team_id = $1 AND tr.league_id = $2`,
+       WHERE tr.team_id = $1 AND tr.league_id = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM injuries i
+           WHERE i.player_id = p.id AND i.league_id = tr.league_id AND i.status = 'active'
+         )`,
       [game.away_team_id, game.league_id]
     );
 
@@ -131,46 +254,76 @@ async function simulateSingleGame(client, game, sport, io) {
     const homeRoster = homeRosterQuery.rows;
     const awayRoster = awayRosterQuery.rows;
 
-    // Generate game using AI
-    const gameResult = await generateGameNarrative(
-      homeTeam,
-      awayTeam,
-      homeRoster,
-      awayRoster,
-      { sport }
-    );
+    // A team with nobody fit to play forfeits instead of the game staying on
+    // the schedule; if neither can play, the home team forfeits
+    if (homeRoster.length === 0 || awayRoster.length === 0) {
+      const forfeitingTeamId = homeRoster.length === 0 ? game.home_team_id : game.away_team_id;
+      await forfeitGame(client, game, sport, forfeitingTeamId, io);
+      return null;
+    }
+
+    // Depth charts set by GMs, or generated for unmanaged teams
+    const homeChart = await resolveDepthChart(client, homeTeam, sport);
+    const awayChart = await resolveDepthChart(client, awayTeam, sport);
+    homeTeam.depthChart = homeChart ? homeChart.chart : null;
+    awayTeam.depthChart = awayChart ? awayChart.chart : null;
+
+    // Work out the result locally from ratings and rosters, seeded per game
+    // so the exact result can be replayed later
+    const engineOptions = sport === 'MLB'
+      ? { injuries: true, ...await getRotationIndexes(client, game) }
+      : { injuries: true };
+    const simInput = buildSimulationInput(sport, homeTeam, awayTeam, homeRoster, awayRoster, engineOptions);
+    const seed = deriveSeed(game.league_seed || game.league_id, game.season, game.day, game.id);
+    const gameResult = runSimulation(simInput, seed);
+
+    // AI only writes the story around the engine's result
+    const story = await generateGameNarrative(homeTeam, awayTeam, gameResult, { sport });
+    gameResult.narrative = story.narrative;
+    gameResult.highlights = story.highlights;
 
     // Update game record
     await client.query(
       `UPDATE games 
-       SET home_score = $1, away_score = $2, box_score = $3, narrative = $4, status = 'completed'
-       WHERE id = $5`,
+       SET home_score = $1, away_score = $2, box_score = $3, narrative = $4, status = 'completed',
+           seed = $5, sim_input = $6
+       WHERE id = $7`,
       [
         gameResult.homeScore,
         gameResult.awayScore,
-        JSON.stringify(gameResult.playerStats),
+        JSON.stringify(buildBoxScore(gameResult)),
         gameResult.narrative,
+        seed,
+        JSON.stringify(simInput),
         game.id
       ]
     );
 
-    // Update team records
-    const homeWon = gameResult.homeScore > gameResult.awayScore;
     await client.query(
-      `UPDATE teams SET wins = wins + $1, losses = losses + $2 WHERE id = $3`,
-      [homeWon ? 1 : 0, homeWon ? 0 : 1, game.home_team_id]
-    );
-    await client.query(
-      `UPDATE teams SET wins = wins + $1, losses = losses + $2 WHERE id = $3`,
-      [homeWon ? 0 : 1, homeWon ? 1 : 0, game.away_team_id]
+      `INSERT INTO game_play_by_play (game_id, events)
+       VALUES ($1, $2)
+       ON CONFLICT (game_id) DO UPDATE SET events = $2`,
+      [game.id, JSON.stringify(gameResult.playByPlay)]
     );
 
-    // Save player stats to database
-    await savePlayerStats(client, gameResult.playerStats, game.league_id, game.season);
+    const injuries = await recordInjuries(client, game, gameResult.injuries);
+
+    // Team records and season stats only count the regular season;
+    // playoff games are still kept in the game logs
+    if (game.game_type !== 'playoff') {
+      await recordTeamResults(client, game, gameResult.homeScore > gameResult.awayScore);
+      await savePlayerStats(client, gameResult.playerStats, game.league_id, game.season);
+
+      const records = await checkGameRecords(client, game, gameResult, sport);
+      await announceRecords(client, game, records, io);
+    }
+    await savePlayerGameStats(client, game, gameResult);
 
     // Emit game result to connected clients
     io.to(`league_${game.league_id}`).emit('game_completed', {
       gameId: game.id,
+      gameType: game.game_type,
+      playoffSeriesId: game.playoff_series_id,
       homeTeam: game.home_team_name,
       awayTeam: game.away_team_name,
       homeScore: gameResult.homeScore,
@@ -179,39 +332,202 @@ async function simulateSingleGame(client, game, sport, io) {
     });
 
     console.log(`Game completed: ${game.home_team_name} ${gameResult.homeScore} - ${gameResult.awayScore} ${game.away_team_name}`);
+
+    return {
+      id: game.id,
+      leagueId: game.league_id,
+      homeTeam: game.home_team_name,
+      awayTeam: game.away_team_name,
+      events: gameResult.playByPlay,
+      injuries
+    };
   } catch (error) {
     console.error(`Error simulating game ${game.id}:`, error);
+    throw error;
   }
 }
 
 /**
- * Save individual player stats from a game
+ * Add a regular season result to both teams' records
+ */
+async function recordTeamResults(client, game, homeWon) {
+  await client.query(
+    `UPDATE teams SET wins = wins + $1, losses = losses + $2 WHERE id = $3`,
+    [homeWon ? 1 : 0, homeWon ? 0 : 1, game.home_team_id]
+  );
+  await client.query(
+    `UPDATE teams SET wins = wins + $1, losses = losses + $2 WHERE id = $3`,
+    [homeWon ? 0 : 1, homeWon ? 1 : 0, game.away_team_id]
+  );
+}
+
+/**
+ * Record a forfeit by `forfeitingTeamId`. There's no play-by-play or player
+ * stats, but the result counts in the standings and playoff series like any
+ * other.
+ */
+async function forfeitGame(client, game, sport, forfeitingTeamId, io) {
+  const homeForfeits = forfeitingTeamId === game.home_team_id;
+  const score = FORFEIT_SCORES[sport] || FORFEIT_SCORES.NBA;
+  const homeScore = homeForfeits ? 0 : score;
+  const awayScore = homeForfeits ? score : 0;
+  const teamName = homeForfeits ? game.home_team_name : game.away_team_name;
+
+  await client.query(
+    `UPDATE games
+     SET home_score = $1, away_score = $2, narrative = $3, status = 'completed', forfeited_by = $4
+     WHERE id = $5`,
+    [homeScore, awayScore, `${teamName} had no available players and forfeited.`, forfeitingTeamId, game.id]
+  );
+
+  if (game.game_type !== 'playoff') {
+    await recordTeamResults(client, game, !homeForfeits);
+  }
+
+  io.to(`league_${game.league_id}`).emit('game_completed', {
+    gameId: game.id,
+    gameType: game.game_type,
+    playoffSeriesId: game.playoff_series_id,
+    homeTeam: game.home_team_name,
+    awayTeam: game.away_team_name,
+    homeScore,
+    awayScore,
+    forfeitedBy: forfeitingTeamId,
+    highlights: []
+  });
+
+  console.log(`Game forfeited: ${teamName} had no available players for game ${game.id}`);
+}
+
+/**
+ * Work out where each team is in its starting rotation
+ */
+async function getRotationIndexes(client, game) {
+  const result = await client.query(
+    `SELECT t.id, COUNT(g.id) as games_played
+     FROM teams t
+     LEFT JOIN games g ON (g.home_team_id = t.id OR g.away_team_id = t.id)
+       AND g.season = $3 AND g.status = 'completed'
+     WHERE t.id IN ($1, $2)
+     GROUP BY t.id`,
+    [game.home_team_id, game.away_team_id, game.season]
+  );
+
+  const gamesPlayed = Object.fromEntries(result.rows.map(row => [row.id, parseInt(row.games_played)]));
+
+  return {
+    homeRotationIndex: gamesPlayed[game.home_team_id] || 0,
+    awayRotationIndex: gamesPlayed[game.away_team_id] || 0
+  };
+}
+
+/**
+ * Add individual player stats from a game onto their season totals
  */
 async function savePlayerStats(client, playerStats, leagueId, season) {
   const allStats = [...playerStats.home, ...playerStats.away];
   
   for (const stat of allStats) {
+    const existing = await client.query(
+      `SELECT stats, games_played FROM player_stats
+       WHERE player_id = $1 AND league_id = $2 AND season = $3
+       FOR UPDATE`,
+      [stat.playerId, leagueId, season]
+    );
+
+    const current = existing.rows[0];
+    const totals = addStats(current?.stats?.totals || {}, stat.stats);
+    const gamesPlayed = (current?.games_played || 0) + 1;
+
     await client.query(
       `INSERT INTO player_stats (player_id, league_id, season, games_played, stats)
-       VALUES ($1, $2, $3, 1, $4)
+       VALUES ($1, $2, $3, $4, $5)
        ON CONFLICT (player_id, league_id, season)
-       DO UPDATE SET 
-         games_played = player_stats.games_played + 1,
-         stats = player_stats.stats || $4`,
-      [stat.playerId, leagueId, season, JSON.stringify(stat.stats)]
+       DO UPDATE SET games_played = $4, stats = $5`,
+      [stat.playerId, leagueId, season, gamesPlayed, JSON.stringify(computeDerivedStats(totals, gamesPlayed))]
     );
   }
 }
 
 /**
- * Update aggregated player stats
+ * Repair season stats saved before totals were tracked. Those rows only
+ * hold their latest game, so the season is rebuilt from the box scores.
  */
 async function updatePlayerStats(client, leagueId, season) {
-  // This would calculate averages, update overall ratings based on performance, etc.
-  // Implementation depends on your specific stat tracking needs
+  const legacy = await client.query(
+    `SELECT COUNT(*) FROM player_stats
+     WHERE league_id = $1 AND season = $2 AND NOT (stats ? 'totals')`,
+    [leagueId, season]
+  );
+
+  if (parseInt(legacy.rows[0].count) > 0) {
+    await rebuildSeasonStats(client, leagueId, season);
+    invalidateLeaderboards(leagueId);
+  }
+
   console.log(`Updated player stats for league ${leagueId}, season ${season}`);
 }
 
+/**
+ * Save storylines announcing the season's award winners, unless the
+ * league has turned them off
+ */
+async function announceAwards(client, league, awards) {
+  const settings = getLeagueSettings(league);
+  if (settings.awardStorylines === false || awards.winners.length === 0) {
+    return [];
+  }
+
+  const storylines = await generateAwardAnnouncements(league, awards.season, awards.winners);
+
+  for (const storyline of storylines) {
+    await client.query(
+      `INSERT INTO storylines (league_id, type, title, content, entities, day, season)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        league.id,
+        'awards',
+        storyline.title,
+        storyline.content,
+        JSON.stringify(storyline.entities || {}),
+        league.current_day + 1,
+        awards.season
+      ]
+    );
+  }
+
+  return storylines;
+}
+
+/**
+ * Save a storyline for each record broken in a game and tell the league
+ */
+async function announceRecords(client, game, records, io) {
+  for (const record of records) {
+    const storyline = describeRecord(record);
+
+    await client.query(
+      `INSERT INTO storylines (league_id, type, title, content, entities, day, season)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        game.league_id,
+        'record',
+        storyline.title,
+        storyline.content,
+        JSON.stringify(storyline.entities),
+        game.day,
+        game.season
+      ]
+    );
+
+    io.to(`league_${game.league_id}`).emit('record_broken', {
+      leagueId: game.league_id,
+      ...record,
+      title: storyline.title
+    });
+  }
+}
+
 /**
  * Generate and save storylines for the day
  */
@@ -235,11 +551,15 @@ async function generateAndSaveStorylines(client, league, day, io) {
       [league.id]
     );
 
+    // Real injuries, so storylines never make one up
+    const injuries = await getInjuries(client, { leagueId: league.id });
+
     const storylines = await generateDailyStorylines(
       league,
       teamsQuery.rows,
       recentGamesQuery.rows,
-      null
+      null,
+      injuries
     );
 
     // Save storylines
@@ -312,6 +632,5 @@ async function processPlayerDevelopment(client, leagueId, io) {
 }
 
 module.exports = {
-  processLeagueDay,
   advanceLeagueDay
 };
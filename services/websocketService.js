@@ -1,6 +1,56 @@
 /**
  * WebSocket service for real-time league updates
  */
+const jwt = require('jsonwebtoken');
+const { nominatePlayer, placeBid } = require('./draftAuctionService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+/**
+ * An auction amount as a whole number. Clients may send it as a number or
+ * a string of digits; left out stays undefined, anything else is NaN.
+ */
+function parseAmount(amount) {
+  if (amount === undefined || amount === null || amount === '') return undefined;
+  if (Number.isInteger(amount)) return amount;
+  if (typeof amount === 'string' && /^\d+$/.test(amount.trim())) return parseInt(amount, 10);
+  return NaN;
+}
+
+/**
+ * Run an auction nomination or bid for the GM the socket belongs to (the
+ * token in its handshake `auth`) and answer through the acknowledgement.
+ * `action` gets the GM's user id and the parsed `amount`.
+ */
+async function handleAuctionAction(socket, ack, amount, action) {
+  const reply = typeof ack === 'function' ? ack : () => {};
+
+  const parsedAmount = parseAmount(amount);
+  if (Number.isNaN(parsedAmount)) {
+    return reply({ error: 'Invalid amount', details: ['amount must be a whole number'] });
+  }
+
+  let userId;
+  try {
+    userId = jwt.verify(socket.handshake.auth && socket.handshake.auth.token, JWT_SECRET).userId;
+  } catch (error) {
+    return reply({ error: 'Invalid or expired token', details: error.message });
+  }
+
+  try {
+    const result = await action(userId, parsedAmount);
+
+    if (result.errors) {
+      return reply({ error: 'Auction action rejected', details: result.errors });
+    }
+
+    reply({ lot: result.lot });
+  } catch (error) {
+    console.error('Error handling auction action:', error);
+    reply({ error: 'Failed to handle auction action' });
+  }
+}
+
 function setupWebSocketHandlers(io) {
   io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
@@ -82,6 +132,19 @@ function setupWebSocketHandlers(io) {
       });
     });
 
+    // Auction draft nominations and bids, answered through the acknowledgement
+    socket.on('auction_nominate', (data, ack) => {
+      const { leagueId, teamId, playerId, amount } = data || {};
+      handleAuctionAction(socket, ack, amount, (userId, openingBid) =>
+        nominatePlayer(leagueId, teamId, playerId, openingBid, io, { userId }));
+    });
+
+    socket.on('auction_bid', (data, ack) => {
+      const { leagueId, teamId, playerId, amount } = data || {};
+      handleAuctionAction(socket, ack, amount, (userId, bid) =>
+        placeBid(leagueId, teamId, playerId, bid, io, { userId }));
+    });
+
     // Live game updates (if implementing real-time game viewing)
     socket.on('watch_game', (gameId) => {
       socket.join(`game_${gameId}`);